@@ -0,0 +1,411 @@
+// Autograder
+//
+// Runs a professor-supplied test command against a repository snapshot:
+// the snapshot tarball is unpacked into a scratch directory, the assignment's
+// test files are written over it, and the command runs under /bin/sh with a
+// wall-clock timeout and a memory cap. The cap is ulimit -d rather than -v:
+// runtimes such as Node and the JVM reserve far more address space than they
+// use, and -d only counts memory that is actually writable.
+//
+// The default "unshare" sandbox runs the command in new user, mount, PID and
+// network namespaces. Its root is an empty tmpfs holding read-only binds of
+// the system directories (AUTOGRADER_READONLY_PATHS, colon-separated; the
+// directory Node is installed in is added) and the scratch directory as
+// /work; everything else, the database and archive included, is out of
+// reach. The network has only loopback and the command keeps no
+// capabilities. AUTOGRADER_SANDBOX=none runs the command directly, for hosts
+// without user namespaces; it should only be used for local development.
+//
+// Test counts are best reported on file descriptor 3, named in
+// AUTOGRADER_RESULTS_FD: a line of JSON such as {"passed": 4, "failed": 1},
+// e.g. `echo '{"passed":4,"failed":1}' >&3`. It is a pipe back to the grader
+// rather than a file, so nothing the student commits or writes into the work
+// tree is read as results; when more than one line arrives, the last one
+// counts. Without a report the counts come from the last summary a common
+// runner (TAP, Jest, Mocha, pytest) printed to the log, so output the
+// student's code prints before the real run cannot stand in for it. Test
+// files are never written through a symlink in the student's tree.
+
+const { execFile, spawn } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+class AutograderError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'AutograderError';
+        this.status = 400;
+    }
+}
+
+const SANDBOXES = ['unshare', 'none'];
+const DEFAULT_READONLY_PATHS = ['/bin', '/sbin', '/lib', '/lib32', '/lib64', '/libx32', '/usr', '/etc'];
+const RESULTS_FD = 3;
+const MAX_LOG_BYTES = 64 * 1024;
+const MAX_RESULTS_BYTES = 4 * 1024;
+const MAX_FILE_BYTES = 512 * 1024;
+
+function loadAutograderConfig(env = process.env) {
+    const sandbox = env.AUTOGRADER_SANDBOX || 'unshare';
+    if (!SANDBOXES.includes(sandbox)) {
+        throw new Error(`AUTOGRADER_SANDBOX must be one of: ${SANDBOXES.join(', ')}`);
+    }
+    const readonlyPaths = env.AUTOGRADER_READONLY_PATHS
+        ? env.AUTOGRADER_READONLY_PATHS.split(':').filter(Boolean)
+        : DEFAULT_READONLY_PATHS;
+    if (!readonlyPaths.every(entry => path.isAbsolute(entry))) {
+        throw new Error('AUTOGRADER_READONLY_PATHS must be absolute paths');
+    }
+    return {
+        sandbox,
+        workDir: path.resolve(env.AUTOGRADER_WORK_DIR || os.tmpdir()),
+        readonlyPaths: [...new Set([...readonlyPaths, path.dirname(path.dirname(process.execPath))])]
+    };
+}
+
+function boundedInteger(value, fallback, min, max, label) {
+    if (value === undefined || value === null || value === '') return fallback;
+    const number = Number(value);
+    if (!Number.isInteger(number) || number < min || number > max) {
+        throw new AutograderError(`${label} must be a whole number between ${min} and ${max}`);
+    }
+    return number;
+}
+
+// Test files are written relative to the repository root and may not escape it
+function normalizeTestFilePath(input) {
+    const raw = String(input || '').trim().replace(/\\/g, '/');
+    const normalized = path.posix.normalize(raw);
+    if (!raw || raw.startsWith('/') || normalized.startsWith('..') || normalized === '.' ||
+        normalized.split('/').includes('.git') || normalized.length > 200) {
+        throw new AutograderError(`"${raw}" is not a valid test file path`);
+    }
+    return normalized;
+}
+
+function normalizeAutograderSettings(input = {}) {
+    const command = String(input.command || '').trim();
+    if (!command) {
+        throw new AutograderError('A test command is required');
+    }
+
+    const maxPoints = input.maxPoints === undefined || input.maxPoints === '' ? 100 : Number(input.maxPoints);
+    if (!Number.isFinite(maxPoints) || maxPoints <= 0) {
+        throw new AutograderError('Max points must be a positive number');
+    }
+
+    const files = (Array.isArray(input.files) ? input.files : []).map(file => {
+        const content = String(file.content === undefined ? '' : file.content);
+        if (Buffer.byteLength(content) > MAX_FILE_BYTES) {
+            throw new AutograderError(`Test file "${file.path}" is larger than ${MAX_FILE_BYTES / 1024} KB`);
+        }
+        return { path: normalizeTestFilePath(file.path), content };
+    });
+
+    if (new Set(files.map(file => file.path)).size !== files.length) {
+        throw new AutograderError('Test file paths must be unique');
+    }
+
+    return {
+        command,
+        timeout_seconds: boundedInteger(input.timeoutSeconds, 60, 1, 600, 'Timeout'),
+        memory_mb: boundedInteger(input.memoryMb, 512, 64, 4096, 'Memory limit'),
+        prefill_grade: input.prefillGrade ? 1 : 0,
+        max_points: maxPoints,
+        files
+    };
+}
+
+function countFrom(regex, output) {
+    const match = output.match(regex);
+    return match ? Number(match[1]) : null;
+}
+
+// The last match of the global `regex` in `text`, or null
+function lastMatch(regex, text) {
+    let last = null;
+    for (const match of text.matchAll(regex)) last = match;
+    return last;
+}
+
+// A summary split over a passed line and a failed line, as TAP and Mocha print it
+function splitSummary(passRegex, failRegex, text) {
+    const pass = lastMatch(passRegex, text);
+    const fail = lastMatch(failRegex, text);
+    if (!pass && !fail) return null;
+    return {
+        index: Math.max(pass ? pass.index : -1, fail ? fail.index : -1),
+        counts: { passed: pass ? Number(pass[1]) : 0, failed: fail ? Number(fail[1]) : 0 }
+    };
+}
+
+// Returns { passed, failed } from the last summary a runner printed, or null
+// when none is recognised. Earlier summaries are ignored, so counts the
+// submission prints before the real run do not count.
+function parseTestCounts(output) {
+    const text = output.replace(/\x1b\[[0-9;]*m/g, '');
+    const summaries = [];
+
+    // Jest / Vitest: "Tests:       1 failed, 4 passed, 5 total"
+    const jest = lastMatch(/Tests?:\s+(.*\d+ total)/g, text);
+    if (jest) {
+        summaries.push({
+            index: jest.index,
+            counts: {
+                passed: countFrom(/(\d+) passed/, jest[1]) || 0,
+                failed: countFrom(/(\d+) failed/, jest[1]) || 0
+            }
+        });
+    }
+
+    // TAP / node --test: "# pass 4" and "# fail 1"
+    summaries.push(splitSummary(/^# pass(?:ed)?\s+(\d+)/gm, /^# fail(?:ed)?\s+(\d+)/gm, text));
+
+    // Mocha: "4 passing" / "1 failing"
+    summaries.push(splitSummary(/(\d+) passing/g, /(\d+) failing/g, text));
+
+    // pytest: "=== 1 failed, 4 passed in 0.12s ==="
+    const pytest = lastMatch(/=+ (.*(?:passed|failed).*) in [\d.]+s/g, text);
+    if (pytest) {
+        summaries.push({
+            index: pytest.index,
+            counts: {
+                passed: countFrom(/(\d+) passed/, pytest[1]) || 0,
+                failed: (countFrom(/(\d+) failed/, pytest[1]) || 0) + (countFrom(/(\d+) errors?/, pytest[1]) || 0)
+            }
+        });
+    }
+
+    const found = summaries.filter(Boolean);
+    if (found.length) {
+        return found.reduce((latest, summary) => (summary.index > latest.index ? summary : latest)).counts;
+    }
+
+    // Bare TAP: count "ok" / "not ok" lines
+    const ok = (text.match(/^ok \d+/gm) || []).length;
+    const notOk = (text.match(/^not ok \d+/gm) || []).length;
+    if (ok || notOk) {
+        return { passed: ok, failed: notOk };
+    }
+
+    return null;
+}
+
+// The last line of JSON reported on the results descriptor, or null
+function parseResultsReport(report) {
+    const lines = report.split('\n').map(line => line.trim()).filter(Boolean);
+    try {
+        const results = JSON.parse(lines[lines.length - 1]);
+        const passed = Number(results.passed);
+        const failed = Number(results.failed);
+        if (Number.isInteger(passed) && Number.isInteger(failed) && passed >= 0 && failed >= 0) {
+            return { passed, failed };
+        }
+    } catch (error) {
+        // No report, or not one we understand
+    }
+    return null;
+}
+
+// A student's tree is unpacked before the test files are written, so a symlink
+// or file in it could redirect them; every directory on the way must be a real one
+async function writeTestFile(directory, file) {
+    const refuse = () => new AutograderError(`Test file "${file.path}" cannot be written: the submission has a ` +
+                                             'file or symlink in its way');
+    let current = directory;
+    for (const segment of file.path.split('/').slice(0, -1)) {
+        current = path.join(current, segment);
+        const stats = await fs.promises.lstat(current).catch(() => null);
+        if (!stats) {
+            await fs.promises.mkdir(current);
+        } else if (!stats.isDirectory()) {
+            throw refuse();
+        }
+    }
+
+    const target = path.join(directory, file.path);
+    const stats = await fs.promises.lstat(target).catch(() => null);
+    if (stats && !stats.isFile()) {
+        throw refuse();
+    }
+    // Replaced rather than written over, so a hard link cannot carry the write elsewhere
+    await fs.promises.rm(target, { force: true });
+    await fs.promises.writeFile(target, file.content, { flag: 'wx' });
+}
+
+function unpack(archivePath, directory) {
+    return new Promise((resolve, reject) => {
+        execFile('tar', ['-xzf', archivePath, '-C', directory], { timeout: 60000 }, (err, stdout, stderr) => {
+            if (err) return reject(new Error(`Could not unpack snapshot: ${(stderr || err.message).trim()}`));
+            resolve();
+        });
+    });
+}
+
+// Runs inside the namespaces: builds the root, pivots into it so the host's
+// filesystem is unmounted, and drops every capability before running the command
+const SANDBOX_SETUP = `
+set -e
+root="$AUTOGRADER_ROOT"
+mount -t tmpfs -o mode=755 sandbox "$root"
+IFS=:
+for entry in $AUTOGRADER_READONLY_PATHS; do
+    [ -e "$entry" ] || continue
+    mkdir -p "$root$(dirname "$entry")"
+    if [ -L "$entry" ]; then
+        ln -s "$(readlink "$entry")" "$root$entry"
+    else
+        mkdir -p "$root$entry"
+        mount --rbind "$entry" "$root$entry"
+        mount -o remount,bind,ro "$root$entry"
+    fi
+done
+unset IFS
+mkdir "$root/work" "$root/tmp" "$root/dev" "$root/proc" "$root/.host"
+chmod 1777 "$root/tmp"
+mount --bind "$AUTOGRADER_WORK" "$root/work"
+for device in null zero random urandom; do
+    touch "$root/dev/$device"
+    mount --bind "/dev/$device" "$root/dev/$device"
+done
+mount -t proc proc "$root/proc"
+cd "$root"
+pivot_root . .host
+umount -l /.host
+rmdir /.host
+cd /work
+exec setpriv --no-new-privs --inh-caps=-all --bounding-set=-all \\
+    --securebits=+noroot,+noroot_locked,+no_setuid_fixup,+no_setuid_fixup_locked \\
+    /bin/sh -c "$AUTOGRADER_LIMITED"
+`;
+
+// [file, args, env, cwd] for running the command on `directories`
+function sandboxed(config, memoryMb, directories) {
+    const limited = `ulimit -d ${memoryMb * 1024} && exec /bin/sh -c "$AUTOGRADER_COMMAND"`;
+    if (config.sandbox === 'unshare') {
+        return ['unshare', ['--user', '--map-root-user', '--mount', '--pid', '--fork', '--net', '--',
+                            '/bin/sh', '-c', SANDBOX_SETUP], {
+            HOME: '/work',
+            AUTOGRADER_ROOT: directories.root,
+            AUTOGRADER_WORK: directories.work,
+            AUTOGRADER_READONLY_PATHS: config.readonlyPaths.join(':'),
+            AUTOGRADER_LIMITED: limited
+        }, directories.root];
+    }
+    return ['/bin/sh', ['-c', limited], { HOME: directories.work }, directories.work];
+}
+
+function execute(command, directories, { timeoutSeconds, memoryMb }, config) {
+    const [file, args, sandboxEnv, cwd] = sandboxed(config, memoryMb, directories);
+    const env = {
+        PATH: process.env.PATH,
+        CI: '1',
+        AUTOGRADER_COMMAND: command,
+        AUTOGRADER_RESULTS_FD: String(RESULTS_FD),
+        ...sandboxEnv
+    };
+
+    return new Promise(resolve => {
+        const started = Date.now();
+        const chunks = [];
+        const reported = [];
+        let reportedSize = 0;
+        let size = 0;
+        let truncated = false;
+        let timedOut = false;
+
+        // Own process group, so a timeout takes down everything the tests started;
+        // the extra pipe is the results descriptor
+        const child = spawn(file, args, { cwd, env, detached: true, stdio: ['ignore', 'pipe', 'pipe', 'pipe'] });
+
+        const collect = chunk => {
+            if (size >= MAX_LOG_BYTES) {
+                truncated = true;
+                return;
+            }
+            chunks.push(chunk.slice(0, MAX_LOG_BYTES - size));
+            size += chunk.length;
+        };
+        child.stdout.on('data', collect);
+        child.stderr.on('data', collect);
+        child.stdio[RESULTS_FD].on('data', chunk => {
+            if (reportedSize >= MAX_RESULTS_BYTES) return;
+            reported.push(chunk.slice(0, MAX_RESULTS_BYTES - reportedSize));
+            reportedSize += chunk.length;
+        });
+
+        const timer = setTimeout(() => {
+            timedOut = true;
+            try {
+                process.kill(-child.pid, 'SIGKILL');
+            } catch (error) {
+                // Already gone
+            }
+        }, timeoutSeconds * 1000);
+
+        const finish = (exitCode, extra = '') => {
+            clearTimeout(timer);
+            let log = Buffer.concat(chunks).toString('utf8');
+            if (truncated) log += `\n[output truncated at ${MAX_LOG_BYTES / 1024} KB]`;
+            if (timedOut) log += `\n[timed out after ${timeoutSeconds} s]`;
+            resolve({
+                exitCode,
+                log: log + extra,
+                report: Buffer.concat(reported).toString('utf8'),
+                timedOut,
+                durationMs: Date.now() - started
+            });
+        };
+
+        child.on('error', error => finish(null, `\n[could not start sandbox: ${error.message}]`));
+        child.on('close', code => finish(code));
+    });
+}
+
+// `job` is { archivePath, command, files, timeoutSeconds, memoryMb }
+async function runAutograder(job, config) {
+    await fs.promises.mkdir(config.workDir, { recursive: true });
+    const scratch = await fs.promises.mkdtemp(path.join(config.workDir, 'autograde-'));
+    // The repository goes in work/; root/ is where the sandbox mounts its filesystem
+    const directories = { work: path.join(scratch, 'work'), root: path.join(scratch, 'root') };
+
+    try {
+        await fs.promises.mkdir(directories.work);
+        await fs.promises.mkdir(directories.root);
+        await unpack(job.archivePath, directories.work);
+        for (const file of job.files) {
+            await writeTestFile(directories.work, file);
+        }
+
+        const result = await execute(job.command, directories, job, config);
+        const counts = parseResultsReport(result.report) || parseTestCounts(result.log);
+
+        let status;
+        if (result.exitCode === null && !result.timedOut) {
+            status = 'error';
+        } else {
+            status = result.exitCode === 0 && (!counts || counts.failed === 0) ? 'passed' : 'failed';
+        }
+
+        return {
+            status,
+            exitCode: result.exitCode,
+            passed: counts ? counts.passed : null,
+            failed: counts ? counts.failed : null,
+            log: result.log,
+            durationMs: result.durationMs
+        };
+    } finally {
+        await fs.promises.rm(scratch, { recursive: true, force: true });
+    }
+}
+
+module.exports = {
+    AutograderError,
+    loadAutograderConfig,
+    normalizeAutograderSettings,
+    parseResultsReport,
+    parseTestCounts,
+    runAutograder
+};
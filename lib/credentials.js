@@ -0,0 +1,110 @@
+// Account credentials handed out by someone else: a roster import, an
+// administrator creating an account or forcing a password reset.
+//
+// An account gets either an invite link, which lets its owner choose their own
+// password, or a temporary password. Either is shown once to whoever issued
+// it; the database keeps just a bcrypt hash or a SHA-256 of the invite token.
+// A forgotten-password link works the same way but is emailed to the account
+// and expires within the hour.
+//
+// Passwords people choose themselves must pass passwordProblem().
+
+const crypto = require('crypto');
+
+const CREDENTIAL_MODES = ['invite', 'password'];
+const DEFAULT_INVITE_DAYS = 14;
+const PASSWORD_RESET_MINUTES = 60;
+const MIN_PASSWORD_LENGTH = 8;
+
+// bcrypt ignores everything after the first 72 bytes
+const MAX_PASSWORD_BYTES = 72;
+
+// Refused outright, however they are capitalized
+const COMMON_PASSWORDS = new Set([
+    'password', 'password1', 'password12', 'password123', 'password1234', 'passw0rd', 'p@ssw0rd',
+    '12345678', '123456789', '1234567890', '87654321', '11111111', '00000000',
+    'qwerty12', 'qwerty123', 'qwertyuiop', 'abc12345', 'abcd1234', 'iloveyou', 'iloveyou1',
+    'letmein1', 'welcome1', 'welcome123', 'admin123', 'changeme', 'changeme1', 'sunshine1',
+    'football1', 'baseball1', 'monkey123', 'dragon123', 'trustno1', 'student1', 'student123',
+    'university', 'university1', 'edusubmit', 'edusubmit1'
+]);
+
+// Letters and digits that cannot be misread for one another on a printout
+const PASSWORD_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz23456789';
+const PASSWORD_LENGTH = 12;
+
+function generateTemporaryPassword() {
+    let password = '';
+    for (let i = 0; i < PASSWORD_LENGTH; i++) {
+        password += PASSWORD_ALPHABET[crypto.randomInt(PASSWORD_ALPHABET.length)];
+    }
+    return password;
+}
+
+function hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+// Returns { token, tokenHash }; only the hash is stored
+function createToken() {
+    const token = crypto.randomBytes(32).toString('base64url');
+    return { token, tokenHash: hashToken(token) };
+}
+
+function inviteUrl(appUrl, token) {
+    return `${appUrl}/?invite=${encodeURIComponent(token)}`;
+}
+
+function inviteExpiry(days = DEFAULT_INVITE_DAYS, now = Date.now()) {
+    return new Date(now + days * 24 * 60 * 60 * 1000).toISOString();
+}
+
+function passwordResetUrl(appUrl, token) {
+    return `${appUrl}/?reset=${encodeURIComponent(token)}`;
+}
+
+function passwordResetExpiry(now = Date.now()) {
+    return new Date(now + PASSWORD_RESET_MINUTES * 60 * 1000).toISOString();
+}
+
+// Why `password` may not be used, or null. `email` and `name` are the
+// account's own, which a password must not simply repeat.
+function passwordProblem(password, { email = '', name = '' } = {}) {
+    if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+        return `Password must be at least ${MIN_PASSWORD_LENGTH} characters`;
+    }
+    if (Buffer.byteLength(password, 'utf8') > MAX_PASSWORD_BYTES) {
+        return `Password must be at most ${MAX_PASSWORD_BYTES} bytes`;
+    }
+    if (!/\p{L}/u.test(password) || !/[^\p{L}]/u.test(password)) {
+        return 'Password must mix letters with numbers or symbols';
+    }
+
+    const lower = password.toLowerCase();
+    if (COMMON_PASSWORDS.has(lower)) {
+        return 'That password is too common; choose another';
+    }
+
+    const personal = [String(email).split('@')[0], ...String(name).split(/\s+/)]
+        .map(part => part.toLowerCase())
+        .filter(part => part.length >= 3);
+    if (personal.some(part => lower.includes(part))) {
+        return 'Password must not contain your name or email address';
+    }
+    return null;
+}
+
+module.exports = {
+    CREDENTIAL_MODES,
+    DEFAULT_INVITE_DAYS,
+    PASSWORD_RESET_MINUTES,
+    MIN_PASSWORD_LENGTH,
+    generateTemporaryPassword,
+    hashToken,
+    createToken,
+    inviteUrl,
+    inviteExpiry,
+    passwordResetUrl,
+    passwordResetExpiry,
+    passwordProblem
+};
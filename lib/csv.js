@@ -0,0 +1,92 @@
+// CSV reading and writing
+//
+// Parsing follows RFC 4180: fields may be quoted, quotes inside a quoted field
+// are doubled, and quoted fields may span lines. Both \n and \r\n end a row,
+// a leading byte order mark is dropped and blank lines are skipped, which is
+// what spreadsheet programs produce when saving as CSV.
+//
+// Written text cells that start with =, +, - or @ get a leading apostrophe so
+// a spreadsheet opening the file shows them instead of evaluating a formula.
+
+class CsvError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'CsvError';
+        this.status = 400;
+    }
+}
+
+// Returns an array of rows, each { line, fields }, where line is 1-based
+function parseCsv(text) {
+    const input = String(text).replace(/^\uFEFF/, '');
+    const rows = [];
+    let fields = [];
+    let field = '';
+    let quoted = false;
+    let line = 1;
+    let rowLine = 1;
+
+    const endRow = () => {
+        fields.push(field);
+        if (fields.length > 1 || fields[0].trim() !== '') {
+            rows.push({ line: rowLine, fields });
+        }
+        fields = [];
+        field = '';
+    };
+
+    for (let i = 0; i < input.length; i++) {
+        const char = input[i];
+
+        if (quoted) {
+            if (char === '"' && input[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                if (char === '\n') line++;
+                field += char;
+            }
+        } else if (char === '"' && field === '') {
+            quoted = true;
+        } else if (char === ',') {
+            fields.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && input[i + 1] === '\n') i++;
+            endRow();
+            line++;
+            rowLine = line;
+        } else {
+            field += char;
+        }
+    }
+
+    if (quoted) {
+        throw new CsvError(`Unterminated quoted field starting on line ${rowLine}`);
+    }
+    if (field !== '' || fields.length) endRow();
+
+    return rows;
+}
+
+function formatCell(value) {
+    if (value === null || value === undefined) return '';
+    if (typeof value === 'number') return Number.isFinite(value) ? String(value) : '';
+
+    let text = String(value);
+    if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// `rows` is an array of arrays; lines end with \r\n as RFC 4180 asks
+function toCsv(rows) {
+    return rows.map(row => row.map(formatCell).join(',')).join('\r\n') + '\r\n';
+}
+
+module.exports = {
+    CsvError,
+    parseCsv,
+    toCsv
+};
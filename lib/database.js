@@ -0,0 +1,128 @@
+// Database connection
+//
+// createDatabase() opens the SQLite file in WAL mode with foreign keys
+// enforced. It returns the { dbGet, dbAll, dbRun, dbExec } helpers the rest of
+// the code takes, plus withTransaction(work), withConnection(work) and close().
+//
+// There are two connections. Reads (dbGet, dbAll) go to a read-only one and,
+// thanks to WAL, carry on while a write is in progress. Writes (dbRun, dbExec)
+// and transactions go to the other, one at a time, so a write never lands in
+// the middle of someone else's transaction and never has to wait on a lock
+// held elsewhere in this process.
+//
+// withTransaction(work) gives `work` helpers bound to the write connection
+// inside BEGIN ... COMMIT; `work` must use only those. What it returns is
+// returned once committed, and if it throws everything it wrote is rolled
+// back. Calling withTransaction on those helpers joins the open transaction,
+// so code that takes helpers works the same inside a transaction or outside.
+//
+// withConnection(work) hands `work` the write connection to itself outside
+// any transaction, for work that manages its own, such as migrations.
+//
+// Other processes (the command-line scripts, a backup) are waited for up to
+// busyTimeoutMs.
+
+const sqlite3 = require('sqlite3');
+
+const DEFAULT_BUSY_TIMEOUT_MS = 10000;
+
+function helpersFor(ready) {
+    const call = (method, sql, params, pick) => ready.then(connection => new Promise((resolve, reject) => {
+        connection[method](sql, params, function(err, result) {
+            if (err) reject(err);
+            else resolve(pick(this, result));
+        });
+    }));
+
+    return {
+        dbGet: (sql, params = []) => call('get', sql, params, (statement, row) => row),
+        dbAll: (sql, params = []) => call('all', sql, params, (statement, rows) => rows),
+        dbRun: (sql, params = []) => call('run', sql, params,
+                                          statement => ({ changes: statement.changes, lastID: statement.lastID })),
+        dbExec: sql => ready.then(connection => new Promise((resolve, reject) => {
+            connection.exec(sql, err => (err ? reject(err) : resolve()));
+        }))
+    };
+}
+
+// Resolves to the open connection once `pragmas` have run on it
+function connect(filename, mode, { busyTimeoutMs, pragmas }) {
+    return new Promise((resolve, reject) => {
+        const connection = new sqlite3.Database(filename, mode, err => {
+            if (err) return reject(err);
+            connection.configure('busyTimeout', busyTimeoutMs);
+            connection.exec(pragmas, err => {
+                if (err) reject(err);
+                else resolve(connection);
+            });
+        });
+    });
+}
+
+function close(ready) {
+    return ready.then(connection => new Promise((resolve, reject) => {
+        connection.close(err => (err ? reject(err) : resolve()));
+    }));
+}
+
+function createDatabase(filename, { create = true, busyTimeoutMs = DEFAULT_BUSY_TIMEOUT_MS } = {}) {
+    // journal_mode is kept in the file; foreign_keys has to be set on every connection
+    const writer = connect(filename, create ? sqlite3.OPEN_READWRITE | sqlite3.OPEN_CREATE : sqlite3.OPEN_READWRITE, {
+        busyTimeoutMs,
+        pragmas: 'PRAGMA foreign_keys = ON; PRAGMA journal_mode = WAL;'
+    });
+    // Opened once the writer has created the file
+    const reader = writer.then(() => connect(filename, sqlite3.OPEN_READONLY, {
+        busyTimeoutMs,
+        pragmas: 'PRAGMA foreign_keys = ON;'
+    }));
+    const ready = Promise.all([writer, reader]).then(() => undefined);
+    // Until the first caller awaits it, a failed open is reported through `ready`
+    ready.catch(() => {});
+
+    const reads = helpersFor(reader);
+    const writes = helpersFor(writer);
+
+    // Runs `work` once everything queued before it on the write connection is done
+    let queue = Promise.resolve();
+    function exclusive(work) {
+        const result = queue.then(work);
+        queue = result.catch(() => {});
+        return result;
+    }
+
+    function withTransaction(work) {
+        return exclusive(async () => {
+            const tx = { ...writes, withTransaction: inner => inner(tx) };
+
+            // IMMEDIATE takes the write lock now, so what `work` reads cannot change before it writes
+            await tx.dbExec('BEGIN IMMEDIATE');
+            try {
+                const result = await work(tx);
+                await tx.dbExec('COMMIT');
+                return result;
+            } catch (error) {
+                // A failed statement may have ended the transaction already
+                await tx.dbExec('ROLLBACK').catch(() => {});
+                throw error;
+            }
+        });
+    }
+
+    return {
+        dbGet: reads.dbGet,
+        dbAll: reads.dbAll,
+        dbRun: (sql, params) => exclusive(() => writes.dbRun(sql, params)),
+        dbExec: sql => exclusive(() => writes.dbExec(sql)),
+        withTransaction,
+        withConnection: work => exclusive(() => work(writes)),
+        ready,
+        async close() {
+            await queue;
+            await close(reader);
+            await close(writer);
+        }
+    };
+}
+
+module.exports = { createDatabase };
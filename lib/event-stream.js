@@ -0,0 +1,132 @@
+// Server-Sent Events
+//
+// Every published event goes to an explicit list of recipient user ids and is
+// kept in a bounded in-memory history. Event ids look like <stream>-<seq>,
+// where <stream> changes on every server start, so a reconnecting browser's
+// Last-Event-ID replays exactly the events it missed. When that is impossible
+// (the server restarted, or the id fell out of the history) the client gets a
+// single `resync` event telling it to reload whatever it shows.
+//
+// A comment line goes out every heartbeat interval to keep proxies from
+// closing idle connections; connections that can no longer be written to
+// are dropped then.
+
+const DEFAULT_HISTORY_SIZE = 1000;
+const DEFAULT_HEARTBEAT_MS = 25000;
+const RETRY_MS = 5000;
+
+function format(event) {
+    return `id: ${event.id}\ndata: ${JSON.stringify({ type: event.type, data: event.data })}\n\n`;
+}
+
+function createEventStream({ historySize = DEFAULT_HISTORY_SIZE, heartbeatMs = DEFAULT_HEARTBEAT_MS } = {}) {
+    const streamId = Date.now().toString(36);
+    const clients = new Set();
+    const history = [];
+    let sequence = 0;
+
+    function drop(client) {
+        clients.delete(client);
+        if (!client.response.writableEnded) client.response.end();
+    }
+
+    function send(client, chunk) {
+        if (client.response.destroyed || client.response.writableEnded) {
+            drop(client);
+            return;
+        }
+        client.response.write(chunk);
+    }
+
+    // Events this user missed after `lastEventId`, or null when the gap cannot be replayed
+    function missedEvents(userId, lastEventId) {
+        const match = /^([0-9a-z]+)-(\d+)$/.exec(lastEventId || '');
+        if (!match || match[1] !== streamId) return null;
+
+        const lastSeen = Number(match[2]);
+        const oldest = history.length ? history[0].seq : sequence + 1;
+        if (lastSeen > sequence || lastSeen < oldest - 1) return null;
+
+        return history.filter(event => event.seq > lastSeen && event.recipients.has(userId));
+    }
+
+    function connect(req, res, userId) {
+        res.writeHead(200, {
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache',
+            'Connection': 'keep-alive',
+            'X-Accel-Buffering': 'no'
+        });
+        res.write(`retry: ${RETRY_MS}\n\n`);
+
+        const client = { userId, sessionId: req.sessionID || null, response: res };
+        const lastEventId = req.get('Last-Event-ID') || req.query.lastEventId;
+
+        if (lastEventId) {
+            const missed = missedEvents(userId, lastEventId);
+            if (missed) {
+                missed.forEach(event => res.write(format(event)));
+            } else {
+                res.write(format({ id: `${streamId}-${sequence}`, type: 'resync', data: {} }));
+            }
+        }
+
+        // No id, so it does not move the browser's Last-Event-ID
+        res.write(`data: ${JSON.stringify({ type: 'connected', data: {} })}\n\n`);
+
+        clients.add(client);
+        req.on('close', () => drop(client));
+        res.on('error', () => drop(client));
+    }
+
+    function publish(type, data, recipients) {
+        const event = {
+            seq: ++sequence,
+            id: `${streamId}-${sequence}`,
+            type,
+            data,
+            recipients: new Set(recipients.filter(Boolean))
+        };
+
+        history.push(event);
+        if (history.length > historySize) history.shift();
+
+        const chunk = format(event);
+        for (const client of clients) {
+            if (event.recipients.has(client.userId)) send(client, chunk);
+        }
+        return event.id;
+    }
+
+    // Ends a user's open connections, e.g. when their account is deactivated
+    function disconnect(userId) {
+        for (const client of clients) {
+            if (client.userId === userId) drop(client);
+        }
+    }
+
+    // Ends the connections opened by these sign-in sessions, e.g. when one is revoked
+    function disconnectSessions(sessionIds) {
+        const ended = new Set(sessionIds);
+        for (const client of clients) {
+            if (client.sessionId && ended.has(client.sessionId)) drop(client);
+        }
+    }
+
+    const heartbeat = setInterval(() => {
+        for (const client of clients) send(client, ': heartbeat\n\n');
+    }, heartbeatMs);
+    heartbeat.unref();
+
+    return {
+        connect,
+        publish,
+        disconnect,
+        disconnectSessions,
+        get clientCount() {
+            return clients.size;
+        }
+    };
+}
+
+module.exports = { createEventStream };
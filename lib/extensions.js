@@ -0,0 +1,87 @@
+// Per-student deadline adjustments
+//
+//   extension      a new deadline for one student on one assignment
+//   accommodation  extra time for one student across a course, as a percentage
+//                  of each assignment's working window (created_at to deadline)
+//
+// A student's effective deadline is the latest of the assignment deadline and
+// whatever their adjustments allow; a grant never shortens the time available.
+// Every grant carries a reason so it can be audited later.
+
+class ExtensionError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'ExtensionError';
+        this.status = 400;
+    }
+}
+
+const MAX_EXTRA_TIME_PERCENT = 500;
+
+// SQLite CURRENT_TIMESTAMP values are UTC but carry no zone designator
+function parseTimestamp(value) {
+    if (typeof value === 'string' && /^\d{4}-\d{2}-\d{2} \d{2}:\d{2}:\d{2}$/.test(value)) {
+        return new Date(value.replace(' ', 'T') + 'Z');
+    }
+    return new Date(value);
+}
+
+function requireReason(input) {
+    const reason = (input.reason || '').trim();
+    if (!reason) {
+        throw new ExtensionError('A reason is required for every grant');
+    }
+    return reason;
+}
+
+function normalizeExtension(input = {}, assignmentDeadline) {
+    const deadline = new Date(input.deadline);
+    if (!input.deadline || Number.isNaN(deadline.getTime())) {
+        throw new ExtensionError('A valid extended deadline is required');
+    }
+    if (deadline <= new Date(assignmentDeadline)) {
+        throw new ExtensionError('The extended deadline must be after the assignment deadline');
+    }
+
+    return { deadline: deadline.toISOString(), reason: requireReason(input) };
+}
+
+function normalizeAccommodation(input = {}) {
+    const percent = Number(input.extraTimePercent);
+    if (input.extraTimePercent === undefined || input.extraTimePercent === '' || !Number.isFinite(percent) ||
+        percent <= 0 || percent > MAX_EXTRA_TIME_PERCENT) {
+        throw new ExtensionError(`Extra time must be between 0 and ${MAX_EXTRA_TIME_PERCENT}%`);
+    }
+
+    return { extra_time_percent: percent, reason: requireReason(input) };
+}
+
+// `adjustments` holds the student's extension_deadline and accommodation_percent
+// (either may be null). Returns an ISO string, or the original deadline value
+// untouched when nothing applies.
+function effectiveDeadline(assignment, adjustments = {}) {
+    const base = new Date(assignment.deadline);
+    let latest = base;
+
+    if (adjustments.accommodation_percent && assignment.created_at) {
+        const workingTime = base - parseTimestamp(assignment.created_at);
+        if (workingTime > 0) {
+            const accommodated = new Date(base.getTime() + workingTime * adjustments.accommodation_percent / 100);
+            if (accommodated > latest) latest = accommodated;
+        }
+    }
+
+    if (adjustments.extension_deadline) {
+        const extended = new Date(adjustments.extension_deadline);
+        if (extended > latest) latest = extended;
+    }
+
+    return latest === base ? assignment.deadline : latest.toISOString();
+}
+
+module.exports = {
+    ExtensionError,
+    normalizeExtension,
+    normalizeAccommodation,
+    effectiveDeadline
+};
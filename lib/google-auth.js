@@ -0,0 +1,83 @@
+const { OAuth2Client } = require('google-auth-library');
+
+const DEFAULT_CLIENT_ID = '210534715330-hej3jpvufoaiuf6ui4smlst482mpmj4j.apps.googleusercontent.com';
+
+function parseList(value) {
+    return (value || '')
+        .split(',')
+        .map(item => item.trim().toLowerCase())
+        .filter(Boolean);
+}
+
+// Sign-in policy, read from the environment:
+//   GOOGLE_ALLOWED_DOMAINS    domains allowed to sign in at all (empty = any domain)
+//   GOOGLE_PROFESSOR_DOMAINS  domains whose accounts are provisioned as professors
+//   GOOGLE_PROFESSOR_EMAILS   individual addresses provisioned as professors
+//   GOOGLE_STUDENT_EMAILS     individual addresses always provisioned as students
+function loadGooglePolicy(env = process.env) {
+    return {
+        clientId: env.GOOGLE_CLIENT_ID || DEFAULT_CLIENT_ID,
+        allowedDomains: parseList(env.GOOGLE_ALLOWED_DOMAINS),
+        professorDomains: parseList(env.GOOGLE_PROFESSOR_DOMAINS),
+        professorEmails: parseList(env.GOOGLE_PROFESSOR_EMAILS),
+        studentEmails: parseList(env.GOOGLE_STUDENT_EMAILS)
+    };
+}
+
+function emailDomain(email) {
+    const at = email.lastIndexOf('@');
+    return at === -1 ? '' : email.slice(at + 1).toLowerCase();
+}
+
+function isDomainAllowed(email, policy) {
+    if (policy.allowedDomains.length === 0) return true;
+    const domain = emailDomain(email);
+    return policy.allowedDomains.some(allowed => domain === allowed || domain.endsWith('.' + allowed));
+}
+
+// Explicit email lists win over domain rules; everyone else is a student
+function resolveRole(email, policy) {
+    const normalized = email.toLowerCase();
+    if (policy.studentEmails.includes(normalized)) return 'student';
+    if (policy.professorEmails.includes(normalized)) return 'professor';
+    if (policy.professorDomains.includes(emailDomain(normalized))) return 'professor';
+    return 'student';
+}
+
+// A verifier is any async function taking an ID token and resolving to its payload
+// ({ email, email_verified, name, sub }). Swap in a fake one for offline testing.
+function createGoogleTokenVerifier(clientId) {
+    const client = new OAuth2Client(clientId);
+
+    return async (idToken) => {
+        const ticket = await client.verifyIdToken({ idToken, audience: clientId });
+        return ticket.getPayload();
+    };
+}
+
+// A module in place of Google is for offline tests only: whoever controls it
+// can sign in as anyone, so production refuses one
+function loadTokenVerifier(policy, modulePath, env = process.env) {
+    if (modulePath) {
+        if (env.NODE_ENV === 'production') {
+            throw new Error('GOOGLE_TOKEN_VERIFIER cannot be used in production');
+        }
+        return require(modulePath);
+    }
+    return createGoogleTokenVerifier(policy.clientId);
+}
+
+// Only an address Google says it has verified may sign in; a payload that
+// does not say so is refused too
+function isEmailVerified(payload) {
+    return Boolean(payload.email) && payload.email_verified === true;
+}
+
+module.exports = {
+    loadGooglePolicy,
+    isDomainAllowed,
+    resolveRole,
+    createGoogleTokenVerifier,
+    loadTokenVerifier,
+    isEmailVerified
+};
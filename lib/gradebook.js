@@ -0,0 +1,349 @@
+// Course gradebook
+//
+// A students × assignments matrix for one course. Each cell holds what a grader
+// needs at a glance: whether the student handed in, how late, and the grade.
+// A cell with no submission is "open" until the student's own late window
+// closes and "missing" after. Totals add up graded work only, because an
+// assignment has no maximum score until something in it is graded.
+//
+// Grades can be imported from a CSV with one row per grade. Points are raw
+// scores, as in the grading form, so the submission's late penalty is still
+// deducted. A blank feedback or max points cell keeps the current value.
+// Validation never stops at the first problem: every row is checked so the
+// whole file can be fixed in one go.
+
+const extensions = require('./extensions');
+const latePolicy = require('./late-policy');
+const { parseCsv } = require('./csv');
+
+class GradebookError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'GradebookError';
+        this.status = 400;
+    }
+}
+
+const DEFAULT_MAX_POINTS = 100;
+const MAX_IMPORT_ROWS = 5000;
+
+// Header spellings accepted for each import column
+const IMPORT_COLUMNS = {
+    email: ['email', 'studentemail'],
+    assignment: ['assignment', 'assignmenttitle', 'title'],
+    points: ['points', 'score', 'grade'],
+    maxPoints: ['maxpoints', 'max', 'outof'],
+    feedback: ['feedback', 'comment', 'comments']
+};
+
+function round(value) {
+    return Math.round(value * 100) / 100;
+}
+
+function emptyCell(assignment, deadline, now) {
+    const closesAt = latePolicy.lateWindowEnd(assignment, deadline) || new Date(deadline);
+    return {
+        submissionId: null,
+        status: now > closesAt ? 'missing' : 'open',
+        deadline,
+        minutesLate: 0,
+        latePenalty: 0,
+        points: null,
+        rawPoints: null,
+        maxPoints: null,
+        feedback: null
+    };
+}
+
+function submissionCell(submission, deadline) {
+    const graded = submission.points !== null && submission.points !== undefined;
+    return {
+        submissionId: submission.id,
+        status: graded ? 'graded' : submission.status,
+        deadline,
+        submittedAt: submission.submitted_at,
+        minutesLate: submission.minutes_late,
+        latePenalty: submission.late_penalty,
+        points: graded ? submission.points : null,
+        rawPoints: graded ? submission.raw_points : null,
+        maxPoints: graded ? submission.max_points : null,
+        feedback: graded ? submission.feedback : null
+    };
+}
+
+function percent(points, maxPoints) {
+    return maxPoints > 0 ? round(points / maxPoints * 100) : null;
+}
+
+// Rows come straight from the database: assignments, enrolled students,
+// submissions with their grade columns, and the course's extensions and
+// accommodations.
+function buildGradebook({ assignments, students, submissions, extensions: grants = [], accommodations = [], now = new Date() }) {
+    const submissionFor = new Map(submissions.map(s => [`${s.student_id}:${s.assignment_id}`, s]));
+    const extensionFor = new Map(grants.map(x => [`${x.student_id}:${x.assignment_id}`, x.deadline]));
+    const accommodationFor = new Map(accommodations.map(ac => [ac.student_id, ac.extra_time_percent]));
+
+    const columns = assignments.map(assignment => ({
+        id: assignment.id,
+        title: assignment.title,
+        deadline: assignment.deadline,
+        submitted: 0,
+        graded: 0,
+        late: 0,
+        missing: 0,
+        averagePercent: null
+    }));
+    const columnPercents = columns.map(() => []);
+
+    const rows = students.map(student => {
+        const total = { points: 0, maxPoints: 0, percent: null, graded: 0, missing: 0 };
+
+        const cells = assignments.map((assignment, index) => {
+            const key = `${student.id}:${assignment.id}`;
+            const deadline = extensions.effectiveDeadline(assignment, {
+                extension_deadline: extensionFor.get(key) || null,
+                accommodation_percent: accommodationFor.get(student.id) || null
+            });
+            const submission = submissionFor.get(key);
+            const cell = submission ? submissionCell(submission, deadline) : emptyCell(assignment, deadline, now);
+            const column = columns[index];
+
+            if (cell.submissionId) column.submitted++;
+            if (cell.minutesLate > 0) column.late++;
+            if (cell.status === 'missing') {
+                column.missing++;
+                total.missing++;
+            }
+            if (cell.status === 'graded') {
+                column.graded++;
+                total.graded++;
+                total.points += cell.points;
+                total.maxPoints += cell.maxPoints;
+                columnPercents[index].push(percent(cell.points, cell.maxPoints));
+            }
+            return cell;
+        });
+
+        total.points = round(total.points);
+        total.percent = percent(total.points, total.maxPoints);
+
+        return {
+            studentId: student.id,
+            name: student.name,
+            email: student.email,
+            section: student.section_name || null,
+            cells,
+            total
+        };
+    });
+
+    columns.forEach((column, index) => {
+        const percents = columnPercents[index];
+        if (percents.length) {
+            column.averagePercent = round(percents.reduce((sum, value) => sum + value, 0) / percents.length);
+        }
+    });
+
+    return { assignments: columns, students: rows };
+}
+
+function describeCell(cell) {
+    const late = cell.minutesLate > 0 ? `, ${cell.minutesLate} min late` : '';
+    return `${cell.status}${late}`;
+}
+
+// Flattens a gradebook into spreadsheet rows, header first: three columns per
+// assignment (points, max points, status) and the student's totals at the end
+function gradebookTable(gradebook) {
+    const header = ['Student', 'Email', 'Section'];
+    gradebook.assignments.forEach(assignment => {
+        header.push(assignment.title, `${assignment.title} (max)`, `${assignment.title} (status)`);
+    });
+    header.push('Total points', 'Total max', 'Percent');
+
+    const rows = gradebook.students.map(student => {
+        const row = [student.name, student.email, student.section];
+        student.cells.forEach(cell => row.push(cell.points, cell.maxPoints, describeCell(cell)));
+        row.push(student.total.points, student.total.maxPoints, student.total.percent);
+        return row;
+    });
+
+    return [header, ...rows];
+}
+
+function headerKey(value) {
+    const normalized = String(value).toLowerCase().replace(/[^a-z]/g, '');
+    return Object.keys(IMPORT_COLUMNS).find(key => IMPORT_COLUMNS[key].includes(normalized)) || null;
+}
+
+// Returns [{ line, email, assignment, points, maxPoints, feedback }] with the
+// cells still as text; throws only when the file as a whole is unusable
+function parseGradeImport(text) {
+    if (typeof text !== 'string' || !text.trim()) {
+        throw new GradebookError('The import file is empty');
+    }
+
+    const [headerRow, ...rows] = parseCsv(text);
+    if (!headerRow) {
+        throw new GradebookError('The import file is empty');
+    }
+
+    const positions = {};
+    headerRow.fields.forEach((name, index) => {
+        const key = headerKey(name);
+        if (key && positions[key] === undefined) positions[key] = index;
+    });
+
+    const missing = ['email', 'assignment', 'points'].filter(key => positions[key] === undefined);
+    if (missing.length) {
+        throw new GradebookError(`The header row needs these columns: ${missing.join(', ')}`);
+    }
+    if (rows.length > MAX_IMPORT_ROWS) {
+        throw new GradebookError(`An import may have at most ${MAX_IMPORT_ROWS} rows`);
+    }
+
+    return rows.map(({ line, fields }) => {
+        const record = { line };
+        Object.keys(IMPORT_COLUMNS).forEach(key => {
+            record[key] = positions[key] === undefined ? '' : (fields[positions[key]] || '').trim();
+        });
+        return record;
+    });
+}
+
+function parseScore(value, label) {
+    if (value === '') return { error: `${label} is required` };
+    const number = Number(value);
+    if (!Number.isFinite(number)) return { error: `${label} must be a number` };
+    return { value: number };
+}
+
+// Matches each record against the gradebook and works out what would change.
+// Returns { changes, errors, summary }; an import may only be applied when
+// `errors` is empty. With `feedback: false` (a TA the course does not let
+// comment) a row that would change feedback is an error.
+function planGradeImport(records, gradebook, { feedback = true } = {}) {
+    const studentsByEmail = new Map(gradebook.students.map(student => [student.email.toLowerCase(), student]));
+    const assignmentsByTitle = new Map();
+    gradebook.assignments.forEach((assignment, index) => {
+        const title = assignment.title.trim().toLowerCase();
+        const matches = assignmentsByTitle.get(title) || [];
+        matches.push({ assignment, index });
+        assignmentsByTitle.set(title, matches);
+        assignmentsByTitle.set(assignment.id.toLowerCase(), [{ assignment, index }]);
+    });
+
+    const changes = [];
+    const errors = [];
+    const seen = new Map();
+
+    for (const record of records) {
+        const fail = message => errors.push({ line: record.line, email: record.email, assignment: record.assignment, error: message });
+
+        if (!record.email) {
+            fail('Student email is required');
+            continue;
+        }
+        const student = studentsByEmail.get(record.email.toLowerCase());
+        if (!student) {
+            fail('No student with this email is enrolled in the course');
+            continue;
+        }
+
+        if (!record.assignment) {
+            fail('Assignment is required');
+            continue;
+        }
+        const matches = assignmentsByTitle.get(record.assignment.toLowerCase()) || [];
+        if (!matches.length) {
+            fail('No assignment with this title in the course');
+            continue;
+        }
+        if (matches.length > 1) {
+            fail('Several assignments have this title; use the assignment ID instead');
+            continue;
+        }
+
+        const { assignment, index } = matches[0];
+        const key = `${student.studentId}:${assignment.id}`;
+        if (seen.has(key)) {
+            fail(`Duplicate of line ${seen.get(key)}`);
+            continue;
+        }
+        seen.set(key, record.line);
+
+        const cell = student.cells[index];
+        if (!cell.submissionId) {
+            fail('The student has no submission to grade');
+            continue;
+        }
+
+        const points = parseScore(record.points, 'Points');
+        const maxPoints = record.maxPoints === ''
+            ? { value: cell.maxPoints || DEFAULT_MAX_POINTS }
+            : parseScore(record.maxPoints, 'Max points');
+        if (points.error || maxPoints.error) {
+            fail(points.error || maxPoints.error);
+            continue;
+        }
+        if (maxPoints.value <= 0) {
+            fail('Max points must be a positive number');
+            continue;
+        }
+        if (points.value < 0 || points.value > maxPoints.value) {
+            fail('Points must be between 0 and max points');
+            continue;
+        }
+
+        const before = cell.status === 'graded'
+            ? { points: cell.rawPoints, maxPoints: cell.maxPoints, feedback: cell.feedback }
+            : null;
+        const after = {
+            points: points.value,
+            maxPoints: maxPoints.value,
+            feedback: record.feedback || (before ? before.feedback : null)
+        };
+        const sameFeedback = (before && before.feedback || '') === (after.feedback || '');
+        const unchanged = before && before.points === after.points && before.maxPoints === after.maxPoints && sameFeedback;
+        if (!feedback && !sameFeedback) {
+            fail('You are not allowed to write feedback in this course');
+            continue;
+        }
+
+        changes.push({
+            line: record.line,
+            submissionId: cell.submissionId,
+            studentId: student.studentId,
+            studentName: student.name,
+            email: student.email,
+            assignmentId: assignment.id,
+            assignmentTitle: assignment.title,
+            action: before ? (unchanged ? 'unchanged' : 'update') : 'create',
+            before,
+            after,
+            latePenalty: cell.latePenalty,
+            finalPoints: latePolicy.applyPenalty(after.points, cell.latePenalty)
+        });
+    }
+
+    const count = action => changes.filter(change => change.action === action).length;
+    return {
+        changes,
+        errors,
+        summary: {
+            rows: records.length,
+            create: count('create'),
+            update: count('update'),
+            unchanged: count('unchanged'),
+            errors: errors.length
+        }
+    };
+}
+
+module.exports = {
+    GradebookError,
+    buildGradebook,
+    gradebookTable,
+    parseGradeImport,
+    planGradeImport
+};
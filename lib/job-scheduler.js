@@ -0,0 +1,239 @@
+// Persistent job scheduler
+//
+// Jobs live in the scheduled_jobs table, so a restart loses nothing. Every job
+// has a unique key saying what it is for, e.g. "deadline_reminder:<id>:24h";
+// scheduling an existing key moves that job instead of adding a second one,
+// which is how a changed deadline reschedules its reminders. Scheduling a key
+// again with the same time and payload leaves it alone, so a job that already
+// ran is not run twice.
+//
+// One-off jobs run once. Recurring jobs carry an interval and move to their
+// next slot after each run; slots missed while the server was down are caught
+// up with a single run, not one per slot.
+//
+// A job is claimed with a conditional UPDATE before it runs, so it never runs
+// twice at once. Jobs still marked running at startup belonged to a process
+// that died and run again, so handlers must be safe to repeat. A failing
+// one-off job is retried with backoff up to its max_attempts and then left as
+// failed; a recurring job records the error and tries again at its next slot.
+
+const { v4: uuidv4 } = require('uuid');
+
+const DEFAULT_POLL_MS = 10000;
+const DEFAULT_MAX_ATTEMPTS = 5;
+const MIN_RETRY_MS = 30 * 1000;
+const MAX_RETRY_MS = 60 * 60 * 1000;
+
+// The format of SQLite's datetime('now'), so run_at compares correctly as text
+function toSqlTime(value) {
+    return new Date(value).toISOString().slice(0, 19).replace('T', ' ');
+}
+
+function fromSqlTime(value) {
+    return new Date(`${value.replace(' ', 'T')}Z`);
+}
+
+function nextSlot(runAt, intervalSeconds, now = new Date()) {
+    const interval = intervalSeconds * 1000;
+    const previous = fromSqlTime(runAt).getTime();
+    const missed = Math.max(Math.floor((now.getTime() - previous) / interval), 0);
+    return new Date(previous + (missed + 1) * interval);
+}
+
+function createJobScheduler({ dbGet, dbAll, dbRun, pollMs = DEFAULT_POLL_MS }) {
+    const handlers = new Map();
+    let chain = Promise.resolve();
+    let pollQueued = false;
+    let timer = null;
+
+    function define(type, handler) {
+        handlers.set(type, handler);
+    }
+
+    // Creates the job for `key`, or moves an existing one to the new time and payload
+    async function schedule({ key, type, runAt, payload = {}, assignmentId = null, maxAttempts = DEFAULT_MAX_ATTEMPTS }) {
+        await dbRun(`
+            INSERT INTO scheduled_jobs (id, key, type, payload, run_at, assignment_id, max_attempts)
+            VALUES (?, ?, ?, ?, ?, ?, ?)
+            ON CONFLICT(key) DO UPDATE SET
+                type = excluded.type, payload = excluded.payload, run_at = excluded.run_at,
+                assignment_id = excluded.assignment_id, max_attempts = excluded.max_attempts,
+                interval_seconds = NULL, status = 'pending', attempts = 0, last_error = NULL,
+                completed_at = NULL, revision = scheduled_jobs.revision + 1, updated_at = CURRENT_TIMESTAMP
+            WHERE scheduled_jobs.run_at != excluded.run_at OR scheduled_jobs.payload != excluded.payload
+               OR scheduled_jobs.status = 'cancelled'
+        `, [uuidv4(), key, type, JSON.stringify(payload), toSqlTime(runAt), assignmentId, maxAttempts]);
+
+        if (new Date(runAt) <= new Date()) poll();
+    }
+
+    // Registers a recurring job; its next slot survives restarts unless the interval changes
+    async function every({ key, type, intervalMs, firstRunAt = new Date(), payload = {} }) {
+        const intervalSeconds = Math.max(Math.round(intervalMs / 1000), 1);
+        await dbRun(`
+            INSERT INTO scheduled_jobs (id, key, type, payload, run_at, interval_seconds)
+            VALUES (?, ?, ?, ?, ?, ?)
+            ON CONFLICT(key) DO UPDATE SET
+                type = excluded.type, payload = excluded.payload, run_at = excluded.run_at,
+                interval_seconds = excluded.interval_seconds, status = 'pending', attempts = 0,
+                revision = scheduled_jobs.revision + 1, updated_at = CURRENT_TIMESTAMP
+            WHERE scheduled_jobs.interval_seconds IS NOT excluded.interval_seconds
+               OR scheduled_jobs.payload != excluded.payload
+        `, [uuidv4(), key, type, JSON.stringify(payload), toSqlTime(firstRunAt), intervalSeconds]);
+    }
+
+    // Cancels pending one-off jobs for an assignment, optionally of one type only
+    async function cancelForAssignment(assignmentId, type = null) {
+        await dbRun(`
+            UPDATE scheduled_jobs SET status = 'cancelled', revision = revision + 1, updated_at = CURRENT_TIMESTAMP
+            WHERE assignment_id = ? AND status IN ('pending', 'failed') AND interval_seconds IS NULL
+              AND (? IS NULL OR type = ?)
+        `, [assignmentId, type, type]);
+    }
+
+    // Puts a failed or pending job back in line to run now
+    async function retry(jobId) {
+        const result = await dbRun(`
+            UPDATE scheduled_jobs SET status = 'pending', run_at = ?, attempts = 0, last_error = NULL,
+                                      revision = revision + 1, updated_at = CURRENT_TIMESTAMP
+            WHERE id = ? AND status IN ('pending', 'failed')
+        `, [toSqlTime(new Date()), jobId]);
+        if (result.changes) poll();
+        return result.changes > 0;
+    }
+
+    async function cancel(jobId) {
+        const result = await dbRun(`
+            UPDATE scheduled_jobs SET status = 'cancelled', revision = revision + 1, updated_at = CURRENT_TIMESTAMP
+            WHERE id = ? AND status IN ('pending', 'failed') AND interval_seconds IS NULL
+        `, [jobId]);
+        return result.changes > 0;
+    }
+
+    // `scope` is { clause, params } on the job `j` and its assignment `a`
+    function find(jobId, scope) {
+        return dbGet(`
+            SELECT j.* FROM scheduled_jobs j
+            LEFT JOIN assignments a ON j.assignment_id = a.id
+            WHERE j.id = ? AND ${scope.clause}
+        `, [jobId, ...scope.params]);
+    }
+
+    // Failed jobs first, then by run time; each with its assignment's title
+    function list(statuses, scope) {
+        return dbAll(`
+            SELECT j.id, j.key, j.type, j.status, j.payload, j.assignment_id, j.interval_seconds, j.attempts,
+                   j.max_attempts, j.last_error, j.run_at, j.completed_at, j.updated_at, a.title as assignment_title
+            FROM scheduled_jobs j
+            LEFT JOIN assignments a ON j.assignment_id = a.id
+            WHERE j.status IN (${statuses.map(() => '?').join(', ')})
+              AND ${scope.clause}
+            ORDER BY j.status = 'failed' DESC, j.run_at
+            LIMIT 500
+        `, [...statuses, ...scope.params]);
+    }
+
+    // One-off jobs that finished or were cancelled more than 30 days ago
+    function prune() {
+        return dbRun(`
+            DELETE FROM scheduled_jobs
+            WHERE status IN ('complete', 'cancelled') AND interval_seconds IS NULL AND updated_at < datetime('now', '-30 days')
+        `);
+    }
+
+    async function runJob(job) {
+        const claimed = await dbRun(`
+            UPDATE scheduled_jobs SET status = 'running', attempts = attempts + 1, updated_at = CURRENT_TIMESTAMP
+            WHERE id = ? AND status = 'pending' AND revision = ?
+        `, [job.id, job.revision]);
+        if (!claimed.changes) return;
+
+        const attempts = job.attempts + 1;
+        let error = null;
+        try {
+            const handler = handlers.get(job.type);
+            if (!handler) throw new Error(`No handler for job type "${job.type}"`);
+            await handler(JSON.parse(job.payload || '{}'), job);
+        } catch (caught) {
+            error = caught;
+        }
+
+        // A job rescheduled while it ran keeps its new slot
+        const guard = 'WHERE id = ? AND revision = ?';
+        if (job.interval_seconds) {
+            await dbRun(`
+                UPDATE scheduled_jobs SET status = 'pending', attempts = 0, run_at = ?, last_error = ?,
+                                          completed_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+                ${guard}
+            `, [toSqlTime(nextSlot(job.run_at, job.interval_seconds)), error ? error.message : null, job.id, job.revision]);
+        } else if (!error) {
+            await dbRun(`
+                UPDATE scheduled_jobs SET status = 'complete', last_error = NULL,
+                                          completed_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+                ${guard}
+            `, [job.id, job.revision]);
+        } else if (attempts >= job.max_attempts) {
+            await dbRun(`
+                UPDATE scheduled_jobs SET status = 'failed', last_error = ?, updated_at = CURRENT_TIMESTAMP ${guard}
+            `, [error.message, job.id, job.revision]);
+        } else {
+            const retryAt = new Date(Date.now() + Math.min(MIN_RETRY_MS * 2 ** (attempts - 1), MAX_RETRY_MS));
+            await dbRun(`
+                UPDATE scheduled_jobs SET status = 'pending', run_at = ?, last_error = ?, updated_at = CURRENT_TIMESTAMP
+                ${guard}
+            `, [toSqlTime(retryAt), error.message, job.id, job.revision]);
+        }
+
+        if (error) console.error(`Job ${job.type} (${job.key}) failed:`, error.message);
+    }
+
+    async function runDueJobs() {
+        for (;;) {
+            const due = await dbAll(`
+                SELECT * FROM scheduled_jobs WHERE status = 'pending' AND run_at <= ?
+                ORDER BY run_at LIMIT 20
+            `, [toSqlTime(new Date())]);
+            if (!due.length) return;
+
+            for (const job of due) await runJob(job);
+        }
+    }
+
+    // Jobs run one at a time, in run_at order
+    function poll() {
+        if (pollQueued) return;
+        pollQueued = true;
+        chain = chain
+            .then(() => {
+                pollQueued = false;
+                return runDueJobs();
+            })
+            .catch(error => console.error('Scheduler error:', error.message));
+    }
+
+    async function start() {
+        await dbRun("UPDATE scheduled_jobs SET status = 'pending', revision = revision + 1 WHERE status = 'running'");
+        poll();
+        timer = setInterval(poll, pollMs);
+        timer.unref();
+    }
+
+    return {
+        define,
+        schedule,
+        every,
+        cancelForAssignment,
+        retry,
+        cancel,
+        find,
+        list,
+        prune,
+        start
+    };
+}
+
+module.exports = {
+    createJobScheduler,
+    toSqlTime,
+    fromSqlTime
+};
@@ -0,0 +1,144 @@
+// Late-submission policies
+//
+//   hard_close    nothing is accepted after the deadline
+//   grace         accepted until deadline + grace_period_minutes
+//   accept_until  accepted until the fixed late_cutoff timestamp
+//
+// Any accepted late submission is charged late_penalty_percent for every started
+// late_penalty_unit ('day' or 'hour') past the deadline, capped at 100%.
+
+const LATE_POLICIES = ['hard_close', 'grace', 'accept_until'];
+const PENALTY_UNITS = { hour: 60, day: 24 * 60 };
+
+class LatePolicyError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'LatePolicyError';
+        this.status = 400;
+    }
+}
+
+function optionalNumber(value, label) {
+    if (value === undefined || value === null || value === '') return 0;
+    const number = Number(value);
+    if (!Number.isFinite(number) || number < 0) {
+        throw new LatePolicyError(`${label} must be a non-negative number`);
+    }
+    return number;
+}
+
+// Maps request fields onto assignment columns
+function normalizeLatePolicy(input = {}) {
+    const latePolicy = input.latePolicy || 'hard_close';
+    if (!LATE_POLICIES.includes(latePolicy)) {
+        throw new LatePolicyError(`Late policy must be one of: ${LATE_POLICIES.join(', ')}`);
+    }
+
+    const latePenaltyUnit = input.latePenaltyUnit || 'day';
+    if (!PENALTY_UNITS[latePenaltyUnit]) {
+        throw new LatePolicyError('Late penalty unit must be "day" or "hour"');
+    }
+
+    const policy = {
+        late_policy: latePolicy,
+        grace_period_minutes: 0,
+        late_cutoff: null,
+        late_penalty_percent: 0,
+        late_penalty_unit: latePenaltyUnit
+    };
+
+    if (latePolicy === 'hard_close') {
+        return policy;
+    }
+
+    policy.late_penalty_percent = optionalNumber(input.latePenaltyPercent, 'Late penalty');
+    if (policy.late_penalty_percent > 100) {
+        throw new LatePolicyError('Late penalty cannot exceed 100%');
+    }
+
+    if (latePolicy === 'grace') {
+        policy.grace_period_minutes = Math.round(optionalNumber(input.gracePeriodMinutes, 'Grace period'));
+        if (policy.grace_period_minutes === 0) {
+            throw new LatePolicyError('Grace period must be longer than zero minutes');
+        }
+    } else {
+        const cutoff = new Date(input.lateCutoff);
+        if (!input.lateCutoff || Number.isNaN(cutoff.getTime())) {
+            throw new LatePolicyError('A late cutoff date is required');
+        }
+        policy.late_cutoff = cutoff.toISOString();
+    }
+
+    return policy;
+}
+
+function validateLateCutoff(policy, deadline) {
+    if (policy.late_cutoff && new Date(policy.late_cutoff) <= new Date(deadline)) {
+        throw new LatePolicyError('Late cutoff must be after the deadline');
+    }
+}
+
+// When late submissions stop being accepted, or null for a hard close.
+// `deadline` defaults to the assignment's own but may be a per-student one.
+function lateWindowEnd(assignment, deadline = assignment.deadline) {
+    const due = new Date(deadline);
+
+    switch (assignment.late_policy) {
+        case 'grace':
+            return new Date(due.getTime() + (assignment.grace_period_minutes || 0) * 60 * 1000);
+        case 'accept_until': {
+            // A per-student extension may push the deadline past the shared cutoff
+            const cutoff = new Date(assignment.late_cutoff);
+            return cutoff > due ? cutoff : due;
+        }
+        default:
+            return null;
+    }
+}
+
+function penaltyFor(assignment, minutesLate) {
+    if (minutesLate <= 0 || !assignment.late_penalty_percent) return 0;
+    const unitMinutes = PENALTY_UNITS[assignment.late_penalty_unit] || PENALTY_UNITS.day;
+    const units = Math.ceil(minutesLate / unitMinutes);
+    return Math.min(100, units * assignment.late_penalty_percent);
+}
+
+function evaluateSubmission(assignment, submittedAt = new Date(), deadline = assignment.deadline) {
+    const due = new Date(deadline);
+    const at = new Date(submittedAt);
+
+    if (at <= due) {
+        return { accepted: true, late: false, minutesLate: 0, penaltyPercent: 0 };
+    }
+
+    const closesAt = lateWindowEnd(assignment, deadline);
+    const minutesLate = Math.ceil((at - due) / 60000);
+
+    if (!closesAt || at > closesAt) {
+        return { accepted: false, late: true, minutesLate, penaltyPercent: 0, closesAt };
+    }
+
+    return {
+        accepted: true,
+        late: true,
+        minutesLate,
+        penaltyPercent: penaltyFor(assignment, minutesLate),
+        closesAt
+    };
+}
+
+function applyPenalty(points, penaltyPercent) {
+    if (!penaltyPercent) return points;
+    return Math.round(points * (1 - penaltyPercent / 100) * 100) / 100;
+}
+
+module.exports = {
+    LATE_POLICIES,
+    LatePolicyError,
+    normalizeLatePolicy,
+    validateLateCutoff,
+    lateWindowEnd,
+    penaltyFor,
+    evaluateSubmission,
+    applyPenalty
+};
@@ -0,0 +1,202 @@
+// Sign-in throttling and account lockout
+//
+// Failed attempts are counted per scope and key in the auth_throttles table,
+// so counters survive a restart:
+//
+//   ip       the client address, for every endpoint that checks a credential
+//   account  the email address being signed in to, whether or not it exists
+//   email    an address that account emails (reset links, confirmations) are sent to
+//
+// Each scope allows a few free failures inside its window; after that every
+// failure blocks the key for twice as long as the one before, up to the
+// scope's ceiling. An account that keeps failing is locked for lockMinutes.
+// Locks and unlocks go to auth_lockout_events, and a lock ends early when an
+// administrator clears it or the owner resets their password. A success
+// clears the account's counter but never the address's, so one known
+// password cannot be used to reset the count for guessing others.
+//
+//   LOGIN_IP_FREE_ATTEMPTS       failures an address gets before backoff (10)
+//   LOGIN_ACCOUNT_FREE_ATTEMPTS  failures an account gets before backoff (3)
+//   LOGIN_LOCKOUT_ATTEMPTS       failures that lock an account (10)
+//   LOGIN_LOCKOUT_MINUTES        how long a lock lasts (15)
+
+const { v4: uuidv4 } = require('uuid');
+
+const SCOPES = ['ip', 'account', 'email'];
+const MINUTE_MS = 60 * 1000;
+
+function loadThrottlePolicy(env = process.env) {
+    const number = (value, fallback) => (Number(value) > 0 ? Number(value) : fallback);
+    return {
+        ip: {
+            freeAttempts: number(env.LOGIN_IP_FREE_ATTEMPTS, 10),
+            baseMs: 1000,
+            maxMs: 15 * MINUTE_MS,
+            windowMs: 15 * MINUTE_MS
+        },
+        account: {
+            freeAttempts: number(env.LOGIN_ACCOUNT_FREE_ATTEMPTS, 3),
+            baseMs: 1000,
+            maxMs: 5 * MINUTE_MS,
+            windowMs: 60 * MINUTE_MS,
+            lockAttempts: number(env.LOGIN_LOCKOUT_ATTEMPTS, 10),
+            lockMs: number(env.LOGIN_LOCKOUT_MINUTES, 15) * MINUTE_MS
+        },
+        // Account emails are rationed, not locked: a lock here would let anyone
+        // stop an account's owner from recovering it
+        email: {
+            freeAttempts: 3,
+            baseMs: MINUTE_MS,
+            maxMs: 60 * MINUTE_MS,
+            windowMs: 60 * MINUTE_MS
+        }
+    };
+}
+
+// How long a key is blocked after its `failures`th failure, or 0
+function backoffMs(failures, rules) {
+    const over = failures - rules.freeAttempts;
+    if (over <= 0) return 0;
+    return Math.min(rules.baseMs * 2 ** (over - 1), rules.maxMs);
+}
+
+function createLoginThrottle({ dbGet, dbAll, dbRun, policy = loadThrottlePolicy() }) {
+    function rulesFor(scope) {
+        if (!SCOPES.includes(scope)) throw new Error(`Unknown throttle scope ${scope}`);
+        return policy[scope];
+    }
+
+    function recordEvent({ scope, key, event, reason, actorId = null, ip = null }) {
+        return dbRun(`
+            INSERT INTO auth_lockout_events (id, scope, key, user_id, event, reason, actor_id, ip)
+            VALUES (?, ?, ?, (SELECT id FROM users WHERE email = ?), ?, ?, ?, ?)
+        `, [uuidv4(), scope, key, scope === 'ip' ? null : key, event, reason, actorId, ip]);
+    }
+
+    // A lock that has run out is cleared, and its end recorded, the next time the key is looked at
+    async function current(scope, key, now) {
+        const row = await dbGet('SELECT * FROM auth_throttles WHERE scope = ? AND key = ?', [scope, key]);
+        if (row && row.locked_at && row.blocked_until <= now.toISOString()) {
+            await dbRun('DELETE FROM auth_throttles WHERE scope = ? AND key = ? AND locked_at = ?', [scope, key, row.locked_at]);
+            await recordEvent({ scope, key, event: 'unlocked', reason: 'expired' });
+            return null;
+        }
+        return row;
+    }
+
+    // `keys` is [{ scope, key }]. Returns the block with the longest wait as
+    // { scope, key, locked, retryAfterMs }, or null when every key may try.
+    async function check(keys, now = new Date()) {
+        let worst = null;
+        for (const { scope, key } of keys) {
+            rulesFor(scope);
+            const row = await current(scope, key, now);
+            if (!row || !row.blocked_until || row.blocked_until <= now.toISOString()) continue;
+
+            const retryAfterMs = Date.parse(row.blocked_until) - now.getTime();
+            if (!worst || retryAfterMs > worst.retryAfterMs) {
+                worst = { scope, key, locked: Boolean(row.locked_at), retryAfterMs };
+            }
+        }
+        return worst;
+    }
+
+    // Counts a failure against every key; `ip` is only for the event record
+    async function fail(keys, { ip = null } = {}, now = new Date()) {
+        for (const { scope, key } of keys) {
+            const rules = rulesFor(scope);
+            const windowStart = new Date(now.getTime() - rules.windowMs).toISOString();
+            await dbRun(`
+                INSERT INTO auth_throttles (scope, key, failures, first_failure_at, last_failure_at)
+                VALUES (?, ?, 1, ?, ?)
+                ON CONFLICT(scope, key) DO UPDATE SET
+                    failures = CASE WHEN last_failure_at < ? THEN 1 ELSE failures + 1 END,
+                    first_failure_at = CASE WHEN last_failure_at < ? THEN excluded.first_failure_at ELSE first_failure_at END,
+                    last_failure_at = excluded.last_failure_at
+            `, [scope, key, now.toISOString(), now.toISOString(), windowStart, windowStart]);
+
+            const row = await dbGet('SELECT * FROM auth_throttles WHERE scope = ? AND key = ?', [scope, key]);
+            if (row.locked_at) continue;
+
+            if (rules.lockAttempts && row.failures >= rules.lockAttempts) {
+                await dbRun('UPDATE auth_throttles SET locked_at = ?, blocked_until = ? WHERE scope = ? AND key = ?',
+                            [now.toISOString(), new Date(now.getTime() + rules.lockMs).toISOString(), scope, key]);
+                await recordEvent({ scope, key, event: 'locked', reason: `${row.failures} failed attempts`, ip });
+                continue;
+            }
+
+            const wait = backoffMs(row.failures, rules);
+            if (wait) {
+                await dbRun('UPDATE auth_throttles SET blocked_until = ? WHERE scope = ? AND key = ?',
+                            [new Date(now.getTime() + wait).toISOString(), scope, key]);
+            }
+        }
+    }
+
+    // Forgets an account's failures after it signs in
+    async function succeed(keys) {
+        for (const { scope, key } of keys) {
+            if (scope === 'ip') continue;
+            await dbRun('DELETE FROM auth_throttles WHERE scope = ? AND key = ? AND locked_at IS NULL', [scope, key]);
+        }
+    }
+
+    // Ends a block early. Returns false when there was nothing to clear.
+    async function clear(scope, key, { reason, actorId = null } = {}) {
+        rulesFor(scope);
+        const row = await dbGet('SELECT * FROM auth_throttles WHERE scope = ? AND key = ?', [scope, key]);
+        if (!row) return false;
+
+        await dbRun('DELETE FROM auth_throttles WHERE scope = ? AND key = ?', [scope, key]);
+        if (row.locked_at) {
+            await recordEvent({ scope, key, event: 'unlocked', reason, actorId });
+        }
+        return true;
+    }
+
+    // Keys blocked right now, longest wait first
+    function listBlocked(now = new Date()) {
+        return dbAll(`
+            SELECT t.*, u.id as user_id, u.name as user_name
+            FROM auth_throttles t
+            LEFT JOIN users u ON t.scope != 'ip' AND u.email = t.key
+            WHERE t.blocked_until > ?
+            ORDER BY t.blocked_until DESC
+        `, [now.toISOString()]);
+    }
+
+    function listEvents(limit = 50) {
+        return dbAll(`
+            SELECT e.*, u.name as user_name, a.name as actor_name
+            FROM auth_lockout_events e
+            LEFT JOIN users u ON e.user_id = u.id
+            LEFT JOIN users a ON e.actor_id = a.id
+            ORDER BY e.created_at DESC, e.rowid DESC
+            LIMIT ?
+        `, [limit]);
+    }
+
+    // Counters nobody has touched for a day are no longer blocking anything
+    function prune(now = new Date()) {
+        const dayAgo = new Date(now.getTime() - 24 * 60 * MINUTE_MS).toISOString();
+        return dbRun('DELETE FROM auth_throttles WHERE last_failure_at < ? AND (blocked_until IS NULL OR blocked_until < ?)',
+                     [dayAgo, now.toISOString()]);
+    }
+
+    return {
+        check,
+        fail,
+        succeed,
+        clear,
+        listBlocked,
+        listEvents,
+        prune
+    };
+}
+
+module.exports = {
+    SCOPES,
+    loadThrottlePolicy,
+    backoffMs,
+    createLoginThrottle
+};
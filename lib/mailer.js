@@ -0,0 +1,95 @@
+// Outgoing mail
+//
+// MAIL_TRANSPORT picks where messages go:
+//
+//   smtp     a real mail server (SMTP_HOST, SMTP_PORT, SMTP_SECURE, SMTP_USER, SMTP_PASS)
+//   file     one .eml file per message in MAIL_OUTBOX_DIR, for development and tests
+//   console  a one-line summary on stdout (the default outside production)
+//
+// The console transport leaves the body out: reset and verification emails
+// carry links that sign someone in, and logs are read by more people than
+// the recipient. In production MAIL_TRANSPORT has to be set.
+//
+// Every transport exposes the same send({ to, subject, text, html }); callers
+// never need to know which one is configured.
+
+const fs = require('fs');
+const path = require('path');
+const nodemailer = require('nodemailer');
+
+const TRANSPORTS = ['smtp', 'file', 'console'];
+const SEND_TIMEOUT_MS = 30000;
+
+function loadMailConfig(env = process.env) {
+    if (!env.MAIL_TRANSPORT && env.NODE_ENV === 'production') {
+        throw new Error('MAIL_TRANSPORT must be set in production');
+    }
+    const transport = env.MAIL_TRANSPORT || 'console';
+    if (!TRANSPORTS.includes(transport)) {
+        throw new Error(`MAIL_TRANSPORT must be one of: ${TRANSPORTS.join(', ')}`);
+    }
+    if (transport === 'smtp' && !env.SMTP_HOST) {
+        throw new Error('SMTP_HOST is required when MAIL_TRANSPORT=smtp');
+    }
+
+    const port = Number(env.SMTP_PORT) || 587;
+    return {
+        transport,
+        from: env.MAIL_FROM || 'EduSubmit <no-reply@localhost>',
+        appUrl: (env.APP_URL || `http://localhost:${env.PORT || 3000}`).replace(/\/+$/, ''),
+        outboxDir: path.resolve(env.MAIL_OUTBOX_DIR || 'mail-outbox'),
+        smtp: {
+            host: env.SMTP_HOST,
+            port,
+            secure: env.SMTP_SECURE ? env.SMTP_SECURE === 'true' : port === 465,
+            auth: env.SMTP_USER ? { user: env.SMTP_USER, pass: env.SMTP_PASS || '' } : undefined
+        }
+    };
+}
+
+function smtpTransport(config) {
+    const transporter = nodemailer.createTransport({
+        ...config.smtp,
+        connectionTimeout: SEND_TIMEOUT_MS,
+        greetingTimeout: SEND_TIMEOUT_MS,
+        socketTimeout: SEND_TIMEOUT_MS
+    });
+    return message => transporter.sendMail({ from: config.from, ...message });
+}
+
+// Builds the same MIME message SMTP would carry and writes it out instead
+function fileTransport(config) {
+    const transporter = nodemailer.createTransport({ streamTransport: true, buffer: true, newline: 'unix' });
+    return async message => {
+        const info = await transporter.sendMail({ from: config.from, ...message });
+        await fs.promises.mkdir(config.outboxDir, { recursive: true });
+        const name = `${Date.now()}-${info.messageId.replace(/[^a-zA-Z0-9.-]/g, '')}.eml`;
+        await fs.promises.writeFile(path.join(config.outboxDir, name), info.message);
+        return { messageId: info.messageId };
+    };
+}
+
+function consoleTransport(config) {
+    return async message => {
+        console.log(`Mail to ${message.to} from ${config.from}: ${message.subject}`);
+        return { messageId: null };
+    };
+}
+
+function createMailTransport(config) {
+    const send = {
+        smtp: smtpTransport,
+        file: fileTransport,
+        console: consoleTransport
+    }[config.transport](config);
+
+    return {
+        name: config.transport,
+        send: ({ to, subject, text, html }) => send({ to, subject, text, html })
+    };
+}
+
+module.exports = {
+    loadMailConfig,
+    createMailTransport
+};
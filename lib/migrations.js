@@ -0,0 +1,177 @@
+// Schema migrations
+//
+// The schema is built by the numbered files in migrations/, applied in order
+// and recorded in the schema_migrations table. A file is named
+// <version>-<name>.js, e.g. 001-baseline.js, and exports up() and down(),
+// which take the { dbGet, dbAll, dbRun, dbExec } helpers. Each migration runs
+// in one transaction together with its schema_migrations row, so one that
+// fails leaves the database as it was.
+//
+// A migration that has shipped is never edited; a change to the schema is a
+// new file with the next number. Migrations run on the connection they are
+// given, with nothing else using it (see withConnection in database.js). The
+// server refuses to start while any are pending (unless AUTO_MIGRATE=true),
+// and `npm run migrate` applies them:
+//
+//   npm run migrate [-- up [--to <version>]]
+//   npm run migrate -- down [--steps <n> | --to <version>]
+//   npm run migrate -- status
+
+const fs = require('fs');
+const path = require('path');
+
+const MIGRATIONS_DIR = path.join(__dirname, '..', 'migrations');
+const FILE_PATTERN = /^(\d+)-([a-z0-9-]+)\.js$/;
+
+class MigrationError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'MigrationError';
+    }
+}
+
+// [{ version, name, up, down }] in the order they apply
+function loadMigrations(dir = MIGRATIONS_DIR) {
+    const migrations = fs.readdirSync(dir)
+        .filter(file => file.endsWith('.js'))
+        .map(file => {
+            const match = FILE_PATTERN.exec(file);
+            if (!match) {
+                throw new MigrationError(`Migration file ${file} is not named <version>-<name>.js`);
+            }
+            const migration = require(path.join(dir, file));
+            if (typeof migration.up !== 'function' || typeof migration.down !== 'function') {
+                throw new MigrationError(`Migration ${file} must export up() and down()`);
+            }
+            return { version: match[1], name: match[2], up: migration.up, down: migration.down };
+        })
+        .sort((a, b) => Number(a.version) - Number(b.version));
+
+    migrations.forEach((migration, index) => {
+        if (index && Number(migration.version) === Number(migrations[index - 1].version)) {
+            throw new MigrationError(`Two migrations have version ${migration.version}`);
+        }
+    });
+    return migrations;
+}
+
+function createMigrator(helpers, { migrations = loadMigrations() } = {}) {
+    const { dbGet, dbAll, dbRun, dbExec } = helpers;
+
+    function findVersion(version) {
+        const migration = migrations.find(m => Number(m.version) === Number(version));
+        if (!migration) throw new MigrationError(`No migration has version ${version}`);
+        return migration;
+    }
+
+    async function appliedRows() {
+        await dbExec(`
+            CREATE TABLE IF NOT EXISTS schema_migrations (
+                version TEXT PRIMARY KEY,
+                name TEXT NOT NULL,
+                applied_at DATETIME DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+        return dbAll('SELECT version, name, applied_at FROM schema_migrations ORDER BY CAST(version AS INTEGER)');
+    }
+
+    // Every migration with its applied_at (null while pending), plus any the
+    // database has applied that no longer have a file, marked `missing`
+    async function status() {
+        const applied = await appliedRows();
+        const byVersion = new Map(applied.map(row => [row.version, row]));
+        const known = migrations.map(migration => ({
+            version: migration.version,
+            name: migration.name,
+            applied_at: byVersion.has(migration.version) ? byVersion.get(migration.version).applied_at : null,
+            missing: false
+        }));
+        const missing = applied
+            .filter(row => !migrations.some(migration => migration.version === row.version))
+            .map(row => ({ ...row, missing: true }));
+        return [...known, ...missing].sort((a, b) => Number(a.version) - Number(b.version));
+    }
+
+    async function pending() {
+        const applied = new Set((await appliedRows()).map(row => row.version));
+        return migrations.filter(migration => !applied.has(migration.version));
+    }
+
+    // Foreign keys are off while a migration runs, so that rebuilding a table
+    // does not cascade into the tables that refer to it. The setting cannot
+    // change inside a transaction, hence outside it.
+    async function inTransaction(work) {
+        const { foreign_keys: enforced } = await dbGet('PRAGMA foreign_keys');
+        await dbExec('PRAGMA foreign_keys = OFF');
+        try {
+            await dbExec('BEGIN');
+            try {
+                await work();
+                await dbExec('COMMIT');
+            } catch (error) {
+                await dbExec('ROLLBACK');
+                throw error;
+            }
+        } finally {
+            if (enforced) await dbExec('PRAGMA foreign_keys = ON');
+        }
+    }
+
+    // Applies pending migrations up to and including `to` (all by default); returns them
+    async function up({ to = null } = {}) {
+        const limit = to === null ? Infinity : Number(findVersion(to).version);
+        const toApply = (await pending()).filter(migration => Number(migration.version) <= limit);
+
+        for (const migration of toApply) {
+            try {
+                await inTransaction(async () => {
+                    await migration.up(helpers);
+                    await dbRun('INSERT INTO schema_migrations (version, name) VALUES (?, ?)',
+                                [migration.version, migration.name]);
+                });
+            } catch (error) {
+                throw new MigrationError(`Migration ${migration.version}-${migration.name} failed: ${error.message}`);
+            }
+        }
+        return toApply;
+    }
+
+    // Reverts the latest `steps` applied migrations, or every one after `to`; returns them
+    async function down({ steps = 1, to = null } = {}) {
+        const applied = (await appliedRows()).reverse();
+        const limit = to === null ? null : Number(findVersion(to).version);
+        const toRevert = limit === null ? applied.slice(0, steps) : applied.filter(row => Number(row.version) > limit);
+
+        const reverted = [];
+        for (const row of toRevert) {
+            const migration = migrations.find(m => m.version === row.version);
+            if (!migration) {
+                throw new MigrationError(`Migration ${row.version}-${row.name} is applied but its file is missing`);
+            }
+            try {
+                await inTransaction(async () => {
+                    await migration.down(helpers);
+                    await dbRun('DELETE FROM schema_migrations WHERE version = ?', [migration.version]);
+                });
+            } catch (error) {
+                throw new MigrationError(`Reverting ${migration.version}-${migration.name} failed: ${error.message}`);
+            }
+            reverted.push(migration);
+        }
+        return reverted;
+    }
+
+    return {
+        status,
+        pending,
+        up,
+        down
+    };
+}
+
+module.exports = {
+    MIGRATIONS_DIR,
+    MigrationError,
+    loadMigrations,
+    createMigrator
+};
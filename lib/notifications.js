@@ -0,0 +1,278 @@
+// Email notifications
+//
+// Each notification type has one template that yields a subject, a plain-text
+// body and an HTML body from the same content, so both parts always agree.
+// Users opt out per type; a type they have never touched is on. Account
+// emails (ACCOUNT_EMAIL_TYPES) are about the account itself and always go out.
+//
+// Messages are queued in the database and delivered in the background. A
+// failed send is retried with exponential backoff, from one minute up to six
+// hours, and given up on after MAX_SEND_ATTEMPTS.
+
+class NotificationError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'NotificationError';
+        this.status = 400;
+    }
+}
+
+const NOTIFICATION_TYPES = {
+    assignment_published: {
+        role: 'student',
+        label: 'New assignments',
+        description: 'When an assignment is posted in one of your courses'
+    },
+    deadline_approaching: {
+        role: 'student',
+        label: 'Deadline reminders',
+        description: 'A day and an hour before a deadline, if you have not submitted yet'
+    },
+    submission_receipt: {
+        role: 'student',
+        label: 'Submission receipts',
+        description: 'Confirmation each time you hand in work'
+    },
+    grade_released: {
+        role: 'student',
+        label: 'Grades',
+        description: 'When your work is graded or a grade changes'
+    },
+    extension_granted: {
+        role: 'student',
+        label: 'Extensions',
+        description: 'When you are given more time on an assignment'
+    },
+    submission_digest: {
+        role: 'professor',
+        label: 'Submission digest',
+        description: 'A daily summary of new submissions to your assignments'
+    }
+};
+
+const ACCOUNT_EMAIL_TYPES = ['verify_email', 'password_reset', 'password_changed'];
+
+const MAX_SEND_ATTEMPTS = 8;
+const MIN_RETRY_MS = 60 * 1000;
+const MAX_RETRY_MS = 6 * 60 * 60 * 1000;
+
+function typesForRole(role) {
+    return Object.keys(NOTIFICATION_TYPES).filter(type => NOTIFICATION_TYPES[type].role === role);
+}
+
+// `input` maps type to true/false; only the role's own types may be set
+function normalizePreferences(input, role) {
+    if (!input || typeof input !== 'object' || Array.isArray(input)) {
+        throw new NotificationError('Preferences must be an object of notification types');
+    }
+
+    const allowed = typesForRole(role);
+    const preferences = {};
+    for (const [type, enabled] of Object.entries(input)) {
+        if (!allowed.includes(type)) {
+            throw new NotificationError(`Unknown notification type "${type}"`);
+        }
+        if (typeof enabled !== 'boolean') {
+            throw new NotificationError(`The "${type}" preference must be true or false`);
+        }
+        preferences[type] = enabled ? 1 : 0;
+    }
+    return preferences;
+}
+
+function retryDelayMs(attempts) {
+    return Math.min(MIN_RETRY_MS * 2 ** Math.max(attempts - 1, 0), MAX_RETRY_MS);
+}
+
+function escapeHtml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+function formatDate(value) {
+    const date = new Date(value);
+    return Number.isNaN(date.getTime()) ? String(value) : date.toUTCString().replace(/:\d{2} GMT$/, ' UTC');
+}
+
+function courseLabel(data) {
+    return data.courseCode ? ` (${data.courseCode})` : '';
+}
+
+// Each template returns { subject, intro, details: [[label, value]], body, items, link },
+// and optionally `url` for the link (the app itself otherwise) and `footer`
+const PREFERENCES_FOOTER = 'EduSubmit. You can change which emails you get under Notifications.';
+const ACCOUNT_FOOTER = 'EduSubmit. You get this email because it is about your account.';
+
+const TEMPLATES = {
+    assignment_published: data => ({
+        subject: `New assignment: ${data.assignmentTitle}`,
+        intro: `A new assignment has been posted in ${data.courseTitle || 'your course'}${courseLabel(data)}.`,
+        details: [
+            ['Assignment', data.assignmentTitle],
+            ['Deadline', formatDate(data.deadline)]
+        ],
+        body: data.description,
+        link: 'View the assignment'
+    }),
+
+    deadline_approaching: data => ({
+        subject: `Due soon: ${data.assignmentTitle}`,
+        intro: `You have not submitted ${data.assignmentTitle}${courseLabel(data)} yet, and it is due in ` +
+               `${data.hoursLeft > 1 ? `about ${data.hoursLeft} hours` : 'under an hour'}.`,
+        details: [
+            ['Your deadline', formatDate(data.deadline)]
+        ],
+        link: 'Submit your work'
+    }),
+
+    submission_receipt: data => ({
+        subject: `Submission received: ${data.assignmentTitle}`,
+        intro: `We received version ${data.version} of your submission for ${data.assignmentTitle}.`,
+        details: [
+            ['Repository', data.repoLink],
+            ['Ref', data.ref],
+            ['Received', formatDate(data.submittedAt)],
+            ['Status', data.minutesLate ? `Late by ${data.minutesLate} minutes` : 'On time'],
+            ['Late penalty', data.latePenalty ? `${data.latePenalty}%` : null]
+        ],
+        link: 'View your submissions'
+    }),
+
+    grade_released: data => ({
+        subject: `Grade released: ${data.assignmentTitle}`,
+        intro: `Your work on ${data.assignmentTitle} has been graded.`,
+        details: [
+            ['Grade', `${data.points} / ${data.maxPoints}`],
+            ['Late penalty', data.latePenalty ? `${data.latePenalty}%` : null]
+        ],
+        body: data.feedback ? `Feedback:\n${data.feedback}` : null,
+        link: 'View your grade'
+    }),
+
+    extension_granted: data => ({
+        subject: `Extension granted: ${data.assignmentTitle}`,
+        intro: `You have been given more time on ${data.assignmentTitle}${courseLabel(data)}.`,
+        details: [
+            ['New deadline', formatDate(data.deadline)],
+            ['Reason', data.reason]
+        ],
+        link: 'View the assignment'
+    }),
+
+    submission_digest: data => ({
+        subject: `${data.submissions.length} new submission${data.submissions.length === 1 ? '' : 's'} since ${formatDate(data.since)}`,
+        intro: 'These submissions came in to your assignments:',
+        items: data.submissions.map(submission =>
+            `${submission.assignmentTitle}: ${submission.studentName}, version ${submission.version}` +
+            `${submission.status === 'late' ? ' (late)' : ''}, ${formatDate(submission.submittedAt)}`),
+        link: 'Review submissions'
+    }),
+
+    verify_email: data => ({
+        subject: 'Confirm your EduSubmit email address',
+        intro: 'Thanks for registering. Confirm this is your email address to finish setting up your account; ' +
+               `the link below works for ${data.expiresInHours} hours.`,
+        details: [['Course', data.courseName]],
+        body: data.courseName ?
+            'You will be enrolled in the course as soon as you confirm.' :
+            'If you did not register, ignore this email and the account will never be activated.',
+        link: 'Confirm my email address',
+        url: data.verifyUrl,
+        footer: ACCOUNT_FOOTER
+    }),
+
+    password_reset: data => ({
+        subject: 'Reset your EduSubmit password',
+        intro: 'Someone asked to reset the password for your account. If it was you, use the link below to ' +
+               `choose a new one. It works once and expires in ${data.expiresInMinutes} minutes.`,
+        body: 'If you did not ask for this, ignore this email; your password stays as it is.',
+        link: 'Choose a new password',
+        url: data.resetUrl,
+        footer: ACCOUNT_FOOTER
+    }),
+
+    password_changed: data => ({
+        subject: 'Your EduSubmit password was changed',
+        intro: 'The password for your account was just changed, and every other session was signed out.',
+        details: [
+            ['Changed', formatDate(data.changedAt)],
+            ['How', data.method === 'reset' ? 'With a password reset link' : 'From the account settings']
+        ],
+        body: 'If this was not you, reset your password straight away and tell your administrator.',
+        link: 'Sign in',
+        footer: ACCOUNT_FOOTER
+    })
+};
+
+function renderText(recipientName, content, appUrl) {
+    const lines = [`Hi ${recipientName},`, '', content.intro];
+    const details = (content.details || []).filter(([, value]) => value !== null && value !== undefined && value !== '');
+    if (details.length) {
+        lines.push('');
+        details.forEach(([label, value]) => lines.push(`${label}: ${value}`));
+    }
+    if (content.items) {
+        lines.push('');
+        content.items.forEach(item => lines.push(`- ${item}`));
+    }
+    if (content.body) {
+        lines.push('', content.body);
+    }
+    lines.push('', `${content.link}: ${content.url || appUrl}`, '', '--', content.footer || PREFERENCES_FOOTER);
+    return lines.join('\n');
+}
+
+function renderHtml(recipientName, content, appUrl) {
+    const details = (content.details || [])
+        .filter(([, value]) => value !== null && value !== undefined && value !== '')
+        .map(([label, value]) => `<tr><td style="padding:4px 12px 4px 0;color:#666">${escapeHtml(label)}</td>` +
+                                 `<td style="padding:4px 0">${escapeHtml(value)}</td></tr>`)
+        .join('');
+    const items = (content.items || []).map(item => `<li>${escapeHtml(item)}</li>`).join('');
+    const body = content.body
+        ? `<p style="white-space:pre-wrap">${escapeHtml(content.body)}</p>`
+        : '';
+
+    return `<!DOCTYPE html>
+<html>
+<body style="font-family:Arial,Helvetica,sans-serif;font-size:14px;color:#222;line-height:1.5">
+<p>Hi ${escapeHtml(recipientName)},</p>
+<p>${escapeHtml(content.intro)}</p>
+${details ? `<table>${details}</table>` : ''}
+${items ? `<ul>${items}</ul>` : ''}
+${body}
+<p><a href="${escapeHtml(content.url || appUrl)}" style="color:#21808d">${escapeHtml(content.link)}</a></p>
+<p style="color:#888;font-size:12px">${escapeHtml(content.footer || PREFERENCES_FOOTER)}</p>
+</body>
+</html>`;
+}
+
+// Returns { subject, text, html } for one recipient
+function renderEmail(type, data, { recipientName, appUrl }) {
+    const template = TEMPLATES[type];
+    if (!template) {
+        throw new NotificationError(`Unknown notification type "${type}"`);
+    }
+
+    const content = template(data);
+    return {
+        subject: content.subject,
+        text: renderText(recipientName, content, appUrl),
+        html: renderHtml(recipientName, content, appUrl)
+    };
+}
+
+module.exports = {
+    NotificationError,
+    NOTIFICATION_TYPES,
+    ACCOUNT_EMAIL_TYPES,
+    MAX_SEND_ATTEMPTS,
+    typesForRole,
+    normalizePreferences,
+    retryDelayMs,
+    renderEmail
+};
@@ -0,0 +1,140 @@
+// Student self-registration and course invite codes
+//
+// Anyone may register a student account, but it cannot sign in until its
+// owner follows the verification link emailed to them. The link is not stored:
+// it carries the account, the address and when the link was sent, signed with
+// REGISTRATION_SECRET, and it only works while the account is still waiting
+// with that same send time. Registering again with the same address sends a
+// new link and voids the old one.
+//
+//   REGISTRATION_DOMAINS       domains allowed to register (empty = any), e.g. university.edu
+//   REGISTRATION_SECRET        key for signing verification links; required in production
+//   REGISTRATION_VERIFY_HOURS  how long a verification link works (24)
+//
+// A course invite code registers and enrolls a student in one step, or
+// enrolls a student who already has an account. Codes expire, may be limited
+// to a number of uses, and can be revoked by the course's professor.
+
+const crypto = require('crypto');
+const { isDomainAllowed } = require('./google-auth');
+
+const DEFAULT_VERIFY_HOURS = 24;
+const DEFAULT_INVITE_CODE_DAYS = 14;
+const MAX_INVITE_CODE_DAYS = 365;
+const MAX_INVITE_CODE_USES = 10000;
+
+// Upper-case letters and digits that cannot be misread for one another
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const CODE_LENGTH = 8;
+const DEVELOPMENT_SECRET = 'assignment-platform-registration-key';
+
+function loadRegistrationConfig(env = process.env) {
+    // Anyone who knows the key can confirm an address they do not own
+    if (!env.REGISTRATION_SECRET && env.NODE_ENV === 'production') {
+        throw new Error('REGISTRATION_SECRET must be set in production');
+    }
+
+    return {
+        allowedDomains: (env.REGISTRATION_DOMAINS || '')
+            .split(',')
+            .map(domain => domain.trim().toLowerCase().replace(/^@/, ''))
+            .filter(Boolean),
+        secret: env.REGISTRATION_SECRET || DEVELOPMENT_SECRET,
+        verifyHours: Number(env.REGISTRATION_VERIFY_HOURS) || DEFAULT_VERIFY_HOURS
+    };
+}
+
+function isRegistrationAllowed(email, config) {
+    return isDomainAllowed(email, config);
+}
+
+function sign(body, secret) {
+    return crypto.createHmac('sha256', secret).update(body).digest('base64url');
+}
+
+// `claims` is { userId, email, sentAt, inviteCodeId }; returns the token for the link
+function createVerificationToken(claims, config, now = Date.now()) {
+    const body = Buffer.from(JSON.stringify({
+        ...claims,
+        expiresAt: now + config.verifyHours * 60 * 60 * 1000
+    })).toString('base64url');
+    return `${body}.${sign(body, config.secret)}`;
+}
+
+// The claims of a genuine, unexpired token, or null
+function readVerificationToken(token, config, now = Date.now()) {
+    if (typeof token !== 'string') return null;
+    const [body, signature, extra] = token.split('.');
+    if (!body || !signature || extra !== undefined) return null;
+
+    const expected = Buffer.from(sign(body, config.secret));
+    const given = Buffer.from(signature);
+    if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) return null;
+
+    let claims;
+    try {
+        claims = JSON.parse(Buffer.from(body, 'base64url').toString('utf8'));
+    } catch (error) {
+        return null;
+    }
+    if (!claims || typeof claims.expiresAt !== 'number' || claims.expiresAt <= now) return null;
+    return claims;
+}
+
+function verificationUrl(appUrl, token) {
+    return `${appUrl}/?verify=${encodeURIComponent(token)}`;
+}
+
+function generateInviteCode() {
+    let code = '';
+    for (let i = 0; i < CODE_LENGTH; i++) {
+        code += CODE_ALPHABET[crypto.randomInt(CODE_ALPHABET.length)];
+    }
+    return code;
+}
+
+// Codes are read back from slides and handouts, so case, spaces and dashes do not matter
+function normalizeInviteCode(value) {
+    return typeof value === 'string' ? value.toUpperCase().replace(/[\s-]/g, '') : '';
+}
+
+function courseInviteUrl(appUrl, code) {
+    return `${appUrl}/?join=${encodeURIComponent(code)}`;
+}
+
+const INVITE_CODE_PROBLEMS = {
+    missing: 'No course uses that invite code',
+    revoked: 'This invite code has been revoked',
+    expired: 'This invite code has expired',
+    used_up: 'This invite code has been used up'
+};
+
+// 'active', or which of INVITE_CODE_PROBLEMS stops a course_invite_codes row being used
+function inviteCodeStatus(invite, now = new Date().toISOString()) {
+    if (!invite) return 'missing';
+    if (invite.revoked_at) return 'revoked';
+    if (invite.expires_at <= now) return 'expired';
+    if (invite.max_uses !== null && invite.use_count >= invite.max_uses) return 'used_up';
+    return 'active';
+}
+
+// Why an invite code cannot be used, or null
+function inviteCodeProblem(invite, now) {
+    return INVITE_CODE_PROBLEMS[inviteCodeStatus(invite, now)] || null;
+}
+
+module.exports = {
+    DEFAULT_INVITE_CODE_DAYS,
+    MAX_INVITE_CODE_DAYS,
+    MAX_INVITE_CODE_USES,
+    loadRegistrationConfig,
+    isRegistrationAllowed,
+    createVerificationToken,
+    readVerificationToken,
+    verificationUrl,
+    generateInviteCode,
+    normalizeInviteCode,
+    courseInviteUrl,
+    inviteCodeStatus,
+    inviteCodeProblem
+};
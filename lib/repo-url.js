@@ -0,0 +1,252 @@
+// Git repository URL parsing and commit pinning
+//
+// Accepts the HTTPS and SSH forms of GitHub, GitLab, Bitbucket and self-hosted
+// git URLs and reduces them to { provider, host, path, url }, where `path` is
+// owner/repo (GitLab and self-hosted hosts may nest groups: group/sub/repo)
+// and `url` is the canonical https://host/path form that gets stored (plain
+// http is kept for self-hosted servers that only offer it).
+// Browser links that point into a repository (/tree/<ref>, /-/commit/<sha>,
+// /src/<ref>) are accepted and the ref they name is returned as `ref`.
+//
+// The server fetches every submitted repository, so links to this machine or
+// its private network (localhost, loopback, link-local and private addresses)
+// are refused unless the host is in `allowPrivateHosts`. Names that only
+// resolve to such addresses are caught by snapshots.js before it fetches.
+
+const net = require('net');
+
+class RepoUrlError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'RepoUrlError';
+        this.status = 400;
+    }
+}
+
+const PROVIDERS = {
+    'github.com': 'github',
+    'gitlab.com': 'gitlab',
+    'bitbucket.org': 'bitbucket'
+};
+
+// Providers whose repositories are always exactly owner/repo
+const FLAT_PROVIDERS = ['github', 'bitbucket'];
+
+// First path segments on the big hosts that are site pages, not owners
+const RESERVED_OWNERS = {
+    github: ['about', 'apps', 'collections', 'explore', 'features', 'issues', 'login', 'marketplace',
+             'notifications', 'orgs', 'pricing', 'pulls', 'search', 'settings', 'sponsors', 'topics', 'users'],
+    gitlab: ['admin', 'dashboard', 'explore', 'groups', 'help', 'projects', 'search', 'users'],
+    bitbucket: ['account', 'dashboard', 'product', 'repo', 'workspace']
+};
+
+// Hosts under the big providers that serve content but not repositories
+const NON_REPOSITORY_HOSTS = [/^gist\.github\.com$/, /\.github\.io$/, /^raw\.githubusercontent\.com$/,
+                              /^api\.github\.com$/, /^docs\.gitlab\.com$/];
+
+const REF_TYPES = ['branch', 'tag', 'commit'];
+
+// [network, prefix length]: unspecified, private, carrier-grade NAT, loopback, link-local
+const PRIVATE_IPV4_RANGES = [['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8],
+                             ['169.254.0.0', 16], ['172.16.0.0', 12], ['192.168.0.0', 16]];
+
+const SEGMENT = /^[A-Za-z0-9_.-]+$/;
+const HOSTNAME = /^(?=.{1,253}$)([a-z0-9]([a-z0-9-]{0,61}[a-z0-9])?)(\.[a-z0-9]([a-z0-9-]{0,61}[a-z0-9])?)*(:\d{1,5})?$/;
+
+function ipv4ToNumber(address) {
+    return address.split('.').reduce((number, octet) => number * 256 + Number(octet), 0);
+}
+
+// Whether an IP address reaches this machine or a private network
+function isPrivateAddress(address) {
+    if (net.isIPv4(address)) {
+        const number = ipv4ToNumber(address);
+        return PRIVATE_IPV4_RANGES.some(([network, bits]) => {
+            const size = 2 ** (32 - bits);
+            return Math.floor(number / size) === Math.floor(ipv4ToNumber(network) / size);
+        });
+    }
+    if (net.isIPv6(address)) {
+        const normalized = address.toLowerCase();
+        const mapped = normalized.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/);
+        if (mapped) return isPrivateAddress(mapped[1]);
+        // Unspecified, loopback, IPv4-mapped in hex, unique local (fc00::/7) and link-local (fe80::/10)
+        return normalized === '::' || normalized === '::1' || normalized.startsWith('::ffff:') ||
+            /^f[cd]/.test(normalized) || /^fe[89ab]/.test(normalized);
+    }
+    return false;
+}
+
+// Host names and address literals that are private without a DNS lookup
+function isPrivateHost(hostname) {
+    const name = hostname.toLowerCase().replace(/^\[|\]$/g, '').replace(/\.$/, '');
+    return name === 'localhost' || name.endsWith('.localhost') || isPrivateAddress(name);
+}
+
+// Turns `git@host:owner/repo.git` into something URL() understands
+function toUrl(input) {
+    const scp = input.match(/^([A-Za-z0-9._-]+)@([^:/]+):(?!\/)(.+)$/);
+    if (scp) {
+        return new URL(`ssh://${scp[1]}@${scp[2]}/${scp[3]}`);
+    }
+    try {
+        return new URL(input);
+    } catch (error) {
+        throw new RepoUrlError('Repository link is not a valid URL');
+    }
+}
+
+// Splits a browser path into the repository part and an optional ref
+function splitRef(provider, segments) {
+    const markers = provider === 'bitbucket'
+        ? { src: 'branch', branch: 'branch', commits: 'commit' }
+        : { tree: 'branch', blob: 'branch', commit: 'commit', commits: 'branch', releases: 'tag' };
+
+    for (let i = 2; i < segments.length; i++) {
+        let marker = segments[i];
+        let offset = 1;
+        if (marker === '-' && i + 1 < segments.length) {
+            // GitLab puts /-/ before its repository views
+            marker = segments[i + 1];
+            offset = 2;
+        }
+        if (!markers[marker]) continue;
+
+        let refSegments = segments.slice(i + offset);
+        let type = markers[marker];
+        if (marker === 'releases' && refSegments[0] === 'tag') {
+            refSegments = refSegments.slice(1);
+        } else if (marker === 'releases') {
+            return { repoSegments: segments.slice(0, i), ref: null };
+        }
+
+        // Anything after the ref is a file path; refs containing slashes need the ref field
+        const ref = refSegments.length ? decodeURIComponent(refSegments[0]) : null;
+        if (ref && type === 'branch' && /^[0-9a-f]{40}$/i.test(ref)) type = 'commit';
+        return { repoSegments: segments.slice(0, i), ref: ref ? { type, name: ref } : null };
+    }
+
+    return { repoSegments: segments, ref: null };
+}
+
+function parseRepoUrl(input, { allowFileUrls = false, allowPrivateHosts = [] } = {}) {
+    const raw = String(input || '').trim();
+    if (!raw) {
+        throw new RepoUrlError('Repository link is required');
+    }
+
+    const url = toUrl(raw);
+
+    if (url.protocol === 'file:') {
+        if (!allowFileUrls) {
+            throw new RepoUrlError('Local repository paths are not accepted');
+        }
+        const path = decodeURIComponent(url.pathname).replace(/\/+$/, '');
+        if (!path || path === '/') {
+            throw new RepoUrlError('Repository link does not point to a repository');
+        }
+        return { provider: 'file', host: 'file', path, url: `file://${path}`, ref: null };
+    }
+
+    if (!['https:', 'http:', 'ssh:', 'git:'].includes(url.protocol)) {
+        throw new RepoUrlError('Repository links must use https, ssh or git');
+    }
+    if (url.search || url.hash) {
+        throw new RepoUrlError('Repository links cannot contain a query string or fragment');
+    }
+
+    // An SSH port says nothing about where the web UI lives
+    const sshLike = url.protocol === 'ssh:' || url.protocol === 'git:';
+    const host = (sshLike ? url.hostname : url.host).toLowerCase().replace(/^www\./, '');
+    if (NON_REPOSITORY_HOSTS.some(pattern => pattern.test(url.hostname.toLowerCase()))) {
+        throw new RepoUrlError('Repository link does not point to a repository');
+    }
+
+    const hostname = url.hostname.toLowerCase();
+    if (isPrivateHost(hostname) && !allowPrivateHosts.includes(hostname)) {
+        throw new RepoUrlError('Repositories on local or private network hosts are not accepted');
+    }
+
+    const provider = PROVIDERS[host] || 'self-hosted';
+    const segments = url.pathname.split('/').filter(Boolean);
+    const { repoSegments, ref } = splitRef(provider, segments);
+
+    if (repoSegments.length) {
+        repoSegments[repoSegments.length - 1] = repoSegments[repoSegments.length - 1].replace(/\.git$/, '');
+    }
+
+    const tooShort = repoSegments.length < 2;
+    const tooLong = FLAT_PROVIDERS.includes(provider) && repoSegments.length !== 2;
+    if (tooShort || tooLong || !repoSegments.every(segment => SEGMENT.test(segment) && !/^\.+$/.test(segment))) {
+        throw new RepoUrlError('Repository link does not point to a repository');
+    }
+
+    const reserved = RESERVED_OWNERS[provider] || [];
+    if (reserved.includes(repoSegments[0].toLowerCase())) {
+        throw new RepoUrlError('Repository link does not point to a repository');
+    }
+
+    const path = repoSegments.join('/');
+    const scheme = provider === 'self-hosted' && url.protocol === 'http:' ? 'http' : 'https';
+    return { provider, host, path, url: `${scheme}://${host}/${path}`, ref };
+}
+
+// Git ref names, after the rules in git-check-ref-format
+function normalizeRef(type, name) {
+    const ref = String(name || '').trim();
+    if (!ref) return null;
+
+    if (!REF_TYPES.includes(type)) {
+        throw new RepoUrlError(`Ref type must be one of: ${REF_TYPES.join(', ')}`);
+    }
+
+    if (type === 'commit') {
+        if (!/^[0-9a-f]{7,40}$/i.test(ref)) {
+            throw new RepoUrlError('A commit must be a 7 to 40 character hexadecimal SHA');
+        }
+        return { type, name: ref.toLowerCase() };
+    }
+
+    const invalid = ref.length > 255 ||
+        /[\s~^:?*[\\\x00-\x1f\x7f]/.test(ref) ||
+        /\.\.|@\{|\/\/|^[-/.]|[/.]$|\.lock$|\/\./.test(ref) ||
+        ref === '@';
+    if (invalid) {
+        throw new RepoUrlError(`"${ref}" is not a valid ${type} name`);
+    }
+    return { type, name: ref };
+}
+
+// Accepts an array or a comma separated string; an empty list allows any host
+function normalizeAllowedHosts(input) {
+    const hosts = (Array.isArray(input) ? input : String(input || '').split(','))
+        .map(host => String(host).trim().toLowerCase().replace(/^www\./, ''))
+        .filter(Boolean);
+
+    for (const host of hosts) {
+        if (host !== 'file' && !HOSTNAME.test(host)) {
+            throw new RepoUrlError(`"${host}" is not a valid host name`);
+        }
+    }
+    return [...new Set(hosts)];
+}
+
+function parseAllowedHosts(column) {
+    return column ? column.split(',') : [];
+}
+
+function isHostAllowed(repo, allowedHosts) {
+    return allowedHosts.length === 0 || allowedHosts.includes(repo.host);
+}
+
+module.exports = {
+    RepoUrlError,
+    REF_TYPES,
+    isPrivateAddress,
+    isPrivateHost,
+    parseRepoUrl,
+    normalizeRef,
+    normalizeAllowedHosts,
+    parseAllowedHosts,
+    isHostAllowed
+};
@@ -0,0 +1,1685 @@
+// Repository
+//
+// The queries the routes make, behind an async API. createRepository() takes
+// the helpers from createDatabase() (see database.js) and returns them
+// together with:
+//
+//   users           accounts by id or email, creation on first sign-in or by
+//                   registration, passwords, and the administrators' view
+//   accountInvites  links that set an account's first password
+//   passwordResets  links that set a new one
+//   courses         courses, their sections and TA permissions
+//   enrollments     students in courses
+//   courseTas       teaching assistants in courses
+//   inviteCodes     codes that enroll a student in a course
+//   extensions      per-student extensions and per-course accommodations
+//   assignments     assignments with their creator, rubric and course, and
+//                   the per-student deadline adjustments
+//   submissions     hand-ins: the submission row that counts and its versions
+//   grades          grades, rubric scores and the rows of a gradebook
+//   rubrics         rubrics with their criteria and levels
+//   snapshots       archived copies of submitted repositories
+//   autograder      an assignment's test command, limits and test files
+//   autograderRuns  test runs against a snapshot
+//   similarityReports
+//                   similarity reports, their pairs and the starter code
+//                   they leave out
+//   emailOutbox     email waiting to be sent, and what became of it
+//   notificationPreferences
+//                   which emails each user takes, and their digest window
+//   stats           counts for a teacher's dashboard
+//
+// Who may see what stays with the caller, which passes the access rule as a
+// `scope` of { clause, params } on the assignment alias `a` (`c` for courses);
+// submission queries also have the submission as `s`.
+//
+// withTransaction(async tx => ...) runs `work` with a repository bound to the
+// transaction; everything `work` does through `tx` commits or rolls back as
+// one. Methods that write more than one row open a transaction of their own,
+// or join the one they are called in.
+
+const { v4: uuidv4 } = require('uuid');
+const extensions = require('./extensions');
+const latePolicy = require('./late-policy');
+const roles = require('./roles');
+
+const ASSIGNMENT_COLUMNS = `
+    a.*, u.name as creator_name, r.title as rubric_title,
+    c.code as course_code, c.title as course_title
+`;
+
+const ASSIGNMENT_JOINS = `
+    JOIN users u ON a.created_by = u.id
+    LEFT JOIN rubrics r ON a.rubric_id = r.id
+    LEFT JOIN courses c ON a.course_id = c.id
+`;
+
+const ASSIGNMENT_SELECT = `SELECT ${ASSIGNMENT_COLUMNS} FROM assignments a ${ASSIGNMENT_JOINS}`;
+
+// Per-student deadline adjustments. The joins take the student id twice.
+const ADJUSTMENT_COLUMNS = `
+    x.deadline as extension_deadline, x.reason as extension_reason,
+    ac.extra_time_percent as accommodation_percent
+`;
+
+const ADJUSTMENT_JOINS = `
+    LEFT JOIN deadline_extensions x ON x.assignment_id = a.id AND x.student_id = ?
+    LEFT JOIN accommodations ac ON ac.course_id = a.course_id AND ac.student_id = ?
+`;
+
+const STUDENT_ASSIGNMENT_SELECT = `
+    SELECT ${ASSIGNMENT_COLUMNS}, ${ADJUSTMENT_COLUMNS}
+    FROM assignments a ${ASSIGNMENT_JOINS} ${ADJUSTMENT_JOINS}
+`;
+
+const COURSE_SELECT = `
+    SELECT c.*, u.name as owner_name,
+           (SELECT COUNT(*) FROM enrollments e WHERE e.course_id = c.id) as student_count
+    FROM courses c
+    JOIN users u ON c.owner_id = u.id
+`;
+
+const INVITE_CODE_SELECT = `
+    SELECT i.*, c.code as course_code, c.title as course_title
+    FROM course_invite_codes i JOIN courses c ON i.course_id = c.id
+`;
+
+// What submission listings show next to each row: its grade, versions,
+// snapshots and autograder run
+const GRADE_COLUMNS = `
+    g.points, g.raw_points, g.late_penalty as applied_late_penalty, g.max_points, g.feedback,
+    g.graded_at, g.graded_by, gu.name as grader_name
+`;
+
+const GRADE_JOINS = `
+    LEFT JOIN grades g ON g.submission_id = s.id
+    LEFT JOIN users gu ON g.graded_by = gu.id
+`;
+
+const VERSION_COLUMNS = `
+    cv.version as counted_version,
+    (SELECT COUNT(*) FROM submission_versions v WHERE v.submission_id = s.id) as version_count
+`;
+
+const VERSION_JOINS = `
+    LEFT JOIN submission_versions cv ON s.counted_version_id = cv.id
+`;
+
+// Latest snapshot of the counted version, and the latest deadline snapshot
+const SNAPSHOT_COLUMNS = `
+    ss.id as snapshot_id, ss.status as snapshot_status, ss.commit_sha as snapshot_sha,
+    ss.commits_after_deadline as snapshot_commits_after_deadline, ss.error as snapshot_error,
+    ds.id as deadline_snapshot_id, ds.status as deadline_snapshot_status, ds.commit_sha as deadline_snapshot_sha,
+    ds.commits_after_deadline as deadline_commits_after_deadline, ds.error as deadline_snapshot_error
+`;
+
+const SNAPSHOT_JOINS = `
+    LEFT JOIN repo_snapshots ss ON ss.id = (
+        SELECT id FROM repo_snapshots
+        WHERE version_id = s.counted_version_id AND kind = 'submission'
+        ORDER BY created_at DESC, rowid DESC LIMIT 1
+    )
+    LEFT JOIN repo_snapshots ds ON ds.id = (
+        SELECT id FROM repo_snapshots
+        WHERE submission_id = s.id AND kind = 'deadline'
+        ORDER BY created_at DESC, rowid DESC LIMIT 1
+    )
+`;
+
+// A submission with what its student's own deadline is computed from
+const SUBMISSION_DEADLINE_SELECT = `
+    SELECT s.*, a.deadline, a.created_at, a.course_id,
+           x.deadline as extension_deadline, ac.extra_time_percent as accommodation_percent
+    FROM submissions s
+    JOIN assignments a ON s.assignment_id = a.id
+    LEFT JOIN deadline_extensions x ON x.assignment_id = a.id AND x.student_id = s.student_id
+    LEFT JOIN accommodations ac ON ac.course_id = a.course_id AND ac.student_id = s.student_id
+`;
+
+// The latest completed snapshot of the version that counts
+const COUNTED_SNAPSHOT_JOIN = `
+    JOIN repo_snapshots cs ON cs.id = (
+        SELECT id FROM repo_snapshots
+        WHERE version_id = s.counted_version_id AND kind = 'submission' AND status = 'complete'
+        ORDER BY created_at DESC, rowid DESC LIMIT 1
+    )
+`;
+
+// Latest autograder run, with the suggested score when the assignment pre-fills grades
+const AUTOGRADER_COLUMNS = `
+    ar.id as autograder_run_id, ar.status as autograder_status, ar.tests_passed as autograder_passed,
+    ar.tests_failed as autograder_failed, ar.completed_at as autograder_completed_at,
+    CASE WHEN ag.prefill_grade = 1 AND ar.tests_passed + ar.tests_failed > 0
+         THEN ROUND(ag.max_points * ar.tests_passed / (ar.tests_passed + ar.tests_failed), 2) END as autograder_points,
+    ag.max_points as autograder_max_points
+`;
+
+const AUTOGRADER_JOINS = `
+    LEFT JOIN autograder_runs ar ON ar.id = (
+        SELECT id FROM autograder_runs
+        WHERE submission_id = s.id
+        ORDER BY created_at DESC, rowid DESC LIMIT 1
+    )
+    LEFT JOIN autograder_configs ag ON ag.assignment_id = s.assignment_id
+`;
+
+// The assignment fields create() and update() take, by column
+const ASSIGNMENT_FIELDS = [
+    'title', 'description', 'deadline', 'instructions', 'rubric_id', 'course_id', 'late_policy',
+    'grace_period_minutes', 'late_cutoff', 'late_penalty_percent', 'late_penalty_unit', 'allowed_hosts'
+];
+
+// An account as administrators see it. The query takes the current time first.
+const MANAGED_USER_COLUMNS = `
+    u.id, u.email, u.name, u.role, u.student_number, u.created_at, u.deactivated_at,
+    u.password_hash IS NOT NULL as has_password,
+    u.verification_sent_at IS NOT NULL as verification_pending,
+    (SELECT COUNT(*) FROM sessions s
+     WHERE s.user_id = u.id AND s.expires_at > strftime('%Y-%m-%dT%H:%M:%fZ', 'now')) as active_sessions,
+    (SELECT t.blocked_until FROM auth_throttles t
+     WHERE t.scope = 'account' AND t.key = u.email AND t.locked_at IS NOT NULL
+       AND t.blocked_until > strftime('%Y-%m-%dT%H:%M:%fZ', 'now')) as locked_until,
+    EXISTS (SELECT 1 FROM account_invites i WHERE i.user_id = u.id AND i.used_at IS NULL AND i.expires_at > ?) as invite_pending
+`;
+
+function createUsers({ dbGet, dbAll, dbRun, withTransaction }) {
+    function findById(id) {
+        return dbGet('SELECT * FROM users WHERE id = ?', [id]);
+    }
+
+    function findByEmail(email) {
+        return dbGet('SELECT * FROM users WHERE email = ?', [email]);
+    }
+
+    // What the signed-in user sees of their own account
+    function findProfile(id) {
+        return dbGet('SELECT id, email, name, role, created_at FROM users WHERE id = ?', [id]);
+    }
+
+    // What every request checks about the account behind its session
+    function findAccountState(id) {
+        return dbGet('SELECT id, role, deactivated_at, sessions_revoked_at FROM users WHERE id = ?', [id]);
+    }
+
+    // Returns the account for `email`, which a concurrent sign-in for the
+    // same address may have created first
+    async function create({ email, name, role, passwordHash = null }) {
+        await dbRun('INSERT OR IGNORE INTO users (id, email, password_hash, name, role) VALUES (?, ?, ?, ?, ?)',
+                    [uuidv4(), email, passwordHash, name, role]);
+        return findByEmail(email);
+    }
+
+    function findByStudentNumber(studentNumber) {
+        return dbGet('SELECT * FROM users WHERE student_number = ?', [studentNumber]);
+    }
+
+    // Google has verified the address, so a registration waiting on it is
+    // confirmed; its password was never proven to be the owner's
+    function confirmWithGoogle(id) {
+        return dbRun('UPDATE users SET verification_sent_at = NULL, password_hash = NULL WHERE id = ?', [id]);
+    }
+
+    // A new password also confirms the address, as a reset link proves it,
+    // and voids every open reset link
+    function setPassword(id, passwordHash, changedAt) {
+        return withTransaction(async tx => {
+            await tx.dbRun('UPDATE users SET password_hash = ?, sessions_revoked_at = ?, verification_sent_at = NULL WHERE id = ?',
+                           [passwordHash, changedAt, id]);
+            await tx.passwordResets.voidFor(id);
+        });
+    }
+
+    // A student registration waiting for its address to be confirmed.
+    // `userId` is an earlier unconfirmed one being taken over. Returns the id.
+    async function saveRegistration({ userId = null, email, name, passwordHash, sentAt }) {
+        if (userId) {
+            await dbRun('UPDATE users SET name = ?, password_hash = ?, verification_sent_at = ? WHERE id = ?',
+                        [name, passwordHash, sentAt, userId]);
+            return userId;
+        }
+
+        const id = uuidv4();
+        await dbRun(`
+            INSERT INTO users (id, email, password_hash, name, role, verification_sent_at) VALUES (?, ?, ?, ?, 'student', ?)
+        `, [id, email, passwordHash, name, sentAt]);
+        return id;
+    }
+
+    // Claims the confirmation link sent at `sentAt`; false once it has been used
+    async function confirmEmail(id, sentAt) {
+        const result = await dbRun('UPDATE users SET verification_sent_at = NULL WHERE id = ? AND verification_sent_at = ?',
+                                   [id, sentAt]);
+        return result.changes > 0;
+    }
+
+    // Accounts as administrators see them. `q` matches name, email or
+    // student ID; `status` is 'active' or 'deactivated'. Returns { users, total }.
+    async function listManaged({ q = null, role = null, status = null, limit, offset }) {
+        const conditions = [];
+        const params = [];
+        if (q) {
+            const pattern = `%${q.replace(/[\\%_]/g, '\\$&')}%`;
+            conditions.push("(u.name LIKE ? ESCAPE '\\' OR u.email LIKE ? ESCAPE '\\' OR u.student_number LIKE ? ESCAPE '\\')");
+            params.push(pattern, pattern, pattern);
+        }
+        if (role) {
+            conditions.push('u.role = ?');
+            params.push(role);
+        }
+        if (status) {
+            conditions.push(status === 'active' ? 'u.deactivated_at IS NULL' : 'u.deactivated_at IS NOT NULL');
+        }
+        const where = conditions.length ? `WHERE ${conditions.join(' AND ')}` : '';
+
+        const { total } = await dbGet(`SELECT COUNT(*) as total FROM users u ${where}`, params);
+        const users = await dbAll(`
+            SELECT ${MANAGED_USER_COLUMNS} FROM users u ${where}
+            ORDER BY u.deactivated_at IS NOT NULL, u.name COLLATE NOCASE, u.email
+            LIMIT ? OFFSET ?
+        `, [new Date().toISOString(), ...params, limit, offset]);
+        return { users, total };
+    }
+
+    function findManaged(id) {
+        return dbGet(`SELECT ${MANAGED_USER_COLUMNS} FROM users u WHERE u.id = ?`, [new Date().toISOString(), id]);
+    }
+
+    // `fields` is { name, email, role, studentNumber }. With `invite`
+    // ({ tokenHash, expiresAt, createdBy }) the account gets an invite link.
+    // Returns the new id.
+    function createManaged(fields, { passwordHash = null, invite = null }) {
+        return withTransaction(async tx => {
+            const id = uuidv4();
+            await tx.dbRun('INSERT INTO users (id, email, password_hash, name, role, student_number) VALUES (?, ?, ?, ?, ?, ?)',
+                           [id, fields.email, passwordHash, fields.name, fields.role, fields.studentNumber]);
+            if (invite) await tx.accountInvites.create(id, invite);
+            return id;
+        });
+    }
+
+    function update(id, fields) {
+        return dbRun('UPDATE users SET name = ?, email = ?, role = ?, student_number = ? WHERE id = ?',
+                     [fields.name, fields.email, fields.role, fields.studentNumber, id]);
+    }
+
+    function deactivate(id) {
+        return dbRun('UPDATE users SET deactivated_at = CURRENT_TIMESTAMP WHERE id = ?', [id]);
+    }
+
+    function reactivate(id) {
+        return dbRun('UPDATE users SET deactivated_at = NULL WHERE id = ?', [id]);
+    }
+
+    // Replaces the password with `passwordHash` or a new invite link, voiding
+    // every earlier invite and reset link; sessions from before now are revoked
+    function resetCredentials(id, { passwordHash = null, invite = null }) {
+        return withTransaction(async tx => {
+            await tx.dbRun('UPDATE users SET password_hash = ?, sessions_revoked_at = ? WHERE id = ?',
+                           [passwordHash, new Date().toISOString(), id]);
+            await tx.accountInvites.voidFor(id);
+            await tx.passwordResets.voidFor(id);
+            if (invite) await tx.accountInvites.create(id, invite);
+        });
+    }
+
+    // The courses the account owns, is enrolled in and assists, by count
+    function countTies(id) {
+        return dbGet(`
+            SELECT (SELECT COUNT(*) FROM courses WHERE owner_id = ?) as owned,
+                   (SELECT COUNT(*) FROM enrollments WHERE student_id = ?) as enrolled,
+                   (SELECT COUNT(*) FROM course_tas WHERE user_id = ?) as assisted
+        `, [id, id, id]);
+    }
+
+    return {
+        findById, findByEmail, findProfile, findAccountState, findByStudentNumber, create,
+        confirmWithGoogle, setPassword, saveRegistration, confirmEmail,
+        listManaged, findManaged, createManaged, update, deactivate, reactivate, resetCredentials, countTies
+    };
+}
+
+// Links that let an account set its first password. The link carries the
+// token, the database only its hash.
+function createAccountInvites({ dbGet, dbRun, withTransaction }) {
+    // Unused and unexpired, for an active account, with its email and name
+    function findOpen(tokenHash) {
+        return dbGet(`
+            SELECT i.*, u.email, u.name FROM account_invites i
+            JOIN users u ON i.user_id = u.id
+            WHERE i.token_hash = ? AND i.used_at IS NULL AND i.expires_at > ? AND u.deactivated_at IS NULL
+        `, [tokenHash, new Date().toISOString()]);
+    }
+
+    function create(userId, { tokenHash, expiresAt, createdBy }) {
+        return dbRun('INSERT INTO account_invites (id, user_id, token_hash, created_by, expires_at) VALUES (?, ?, ?, ?, ?)',
+                     [uuidv4(), userId, tokenHash, createdBy, expiresAt]);
+    }
+
+    function voidFor(userId) {
+        return dbRun('UPDATE account_invites SET used_at = CURRENT_TIMESTAMP WHERE user_id = ? AND used_at IS NULL', [userId]);
+    }
+
+    // Uses the invite to set the account's password; false if it was used first
+    function redeem(invite, passwordHash) {
+        return withTransaction(async tx => {
+            const claimed = await tx.dbRun('UPDATE account_invites SET used_at = CURRENT_TIMESTAMP WHERE id = ? AND used_at IS NULL',
+                                           [invite.id]);
+            if (!claimed.changes) return false;
+
+            await tx.dbRun('UPDATE users SET password_hash = ? WHERE id = ?', [passwordHash, invite.user_id]);
+            return true;
+        });
+    }
+
+    return { findOpen, create, voidFor, redeem };
+}
+
+// Password reset links, kept like account invites
+function createPasswordResets({ dbGet, dbRun, withTransaction }) {
+    function findOpen(tokenHash) {
+        return dbGet(`
+            SELECT r.*, u.email, u.name FROM password_resets r
+            JOIN users u ON r.user_id = u.id
+            WHERE r.token_hash = ? AND r.used_at IS NULL AND r.expires_at > ? AND u.deactivated_at IS NULL
+        `, [tokenHash, new Date().toISOString()]);
+    }
+
+    // A new link voids the ones before it
+    function create(userId, { tokenHash, expiresAt }) {
+        return withTransaction(async tx => {
+            await tx.passwordResets.voidFor(userId);
+            await tx.dbRun('INSERT INTO password_resets (id, user_id, token_hash, expires_at) VALUES (?, ?, ?, ?)',
+                           [uuidv4(), userId, tokenHash, expiresAt]);
+        });
+    }
+
+    function voidFor(userId) {
+        return dbRun('UPDATE password_resets SET used_at = ? WHERE user_id = ? AND used_at IS NULL',
+                     [new Date().toISOString(), userId]);
+    }
+
+    // Uses the link to set a new password (see users.setPassword); false if
+    // it was used first
+    function redeem(reset, passwordHash, changedAt) {
+        return withTransaction(async tx => {
+            const claimed = await tx.dbRun('UPDATE password_resets SET used_at = ? WHERE id = ? AND used_at IS NULL',
+                                           [changedAt, reset.id]);
+            if (!claimed.changes) return false;
+
+            await tx.users.setPassword(reset.user_id, passwordHash, changedAt);
+            return true;
+        });
+    }
+
+    // Links that expired before `before`, used or not
+    function prune(before) {
+        return dbRun('DELETE FROM password_resets WHERE expires_at < ?', [before]);
+    }
+
+    return { findOpen, create, voidFor, redeem, prune };
+}
+
+function createAssignments({ dbGet, dbAll, dbRun }) {
+    // Newest first. With `studentId`, each row also has that student's
+    // extension and accommodation.
+    function list({ scope, studentId = null, courseId = null }) {
+        let query = `${studentId ? STUDENT_ASSIGNMENT_SELECT : ASSIGNMENT_SELECT} WHERE ${scope.clause}`;
+        const params = studentId ? [studentId, studentId, ...scope.params] : [...scope.params];
+
+        if (courseId) {
+            query += ' AND a.course_id = ?';
+            params.push(courseId);
+        }
+        return dbAll(`${query} ORDER BY a.created_at DESC`, params);
+    }
+
+    // The bare row, or with `scope` only if the rule admits it
+    function find(id, scope = null) {
+        if (!scope) return dbGet('SELECT * FROM assignments a WHERE a.id = ?', [id]);
+        return dbGet(`SELECT * FROM assignments a WHERE a.id = ? AND ${scope.clause}`, [id, ...scope.params]);
+    }
+
+    // With creator, rubric and course names, as the assignment list has it
+    function findDetails(id) {
+        return dbGet(`${ASSIGNMENT_SELECT} WHERE a.id = ?`, [id]);
+    }
+
+    // With the student's deadline adjustments
+    function findForStudent(id, studentId, scope) {
+        return dbGet(`
+            SELECT a.*, ${ADJUSTMENT_COLUMNS} FROM assignments a ${ADJUSTMENT_JOINS}
+            WHERE a.id = ? AND ${scope.clause}
+        `, [studentId, studentId, id, ...scope.params]);
+    }
+
+    // `fields` by column name (see ASSIGNMENT_FIELDS); returns findDetails()
+    async function create(fields, createdBy) {
+        const id = uuidv4();
+        const columns = ASSIGNMENT_FIELDS.filter(column => column in fields);
+        await dbRun(`
+            INSERT INTO assignments (id, created_by, ${columns.join(', ')})
+            VALUES (?, ?, ${columns.map(() => '?').join(', ')})
+        `, [id, createdBy, ...columns.map(column => fields[column])]);
+        return findDetails(id);
+    }
+
+    // Changes only the columns in `fields`. Returns whether `scope` admitted
+    // the assignment.
+    async function update(id, fields, scope) {
+        const columns = ASSIGNMENT_FIELDS.filter(column => column in fields);
+        const result = await dbRun(`
+            UPDATE assignments AS a SET ${columns.map(column => `${column} = ?`).join(', ')}
+            WHERE a.id = ? AND ${scope.clause}
+        `, [...columns.map(column => fields[column]), id, ...scope.params]);
+        return result.changes > 0;
+    }
+
+    // Submissions, grades and everything else hanging off the assignment go with it
+    async function remove(id) {
+        const result = await dbRun('DELETE FROM assignments WHERE id = ?', [id]);
+        return result.changes > 0;
+    }
+
+    // Every assignment that belongs to a course
+    function listInCourses() {
+        return dbAll('SELECT * FROM assignments WHERE course_id IS NOT NULL');
+    }
+
+    // The course's assignments (or just `assignmentId`), each with the
+    // student's submission id, if any, and deadline adjustments
+    function listStudentDeadlines(courseId, studentId, assignmentId = null) {
+        let query = `
+            SELECT a.*, s.id as submission_id, ${ADJUSTMENT_COLUMNS}
+            FROM assignments a
+            LEFT JOIN submissions s ON s.assignment_id = a.id AND s.student_id = ?
+            ${ADJUSTMENT_JOINS}
+            WHERE a.course_id = ?
+        `;
+        const params = [studentId, studentId, studentId, courseId];
+
+        if (assignmentId) {
+            query += ' AND a.id = ?';
+            params.push(assignmentId);
+        }
+        return dbAll(query, params);
+    }
+
+    // The enrolled students (or just `studentId`) who have not handed in,
+    // each with the course code and their deadline adjustments
+    function listUnsubmitted(assignmentId, studentId = null) {
+        return dbAll(`
+            SELECT a.id, a.title, a.deadline, a.created_at, c.code as course_code, e.student_id,
+                   x.deadline as extension_deadline, ac.extra_time_percent as accommodation_percent
+            FROM assignments a
+            JOIN courses c ON a.course_id = c.id
+            JOIN enrollments e ON e.course_id = a.course_id
+            LEFT JOIN deadline_extensions x ON x.assignment_id = a.id AND x.student_id = e.student_id
+            LEFT JOIN accommodations ac ON ac.course_id = a.course_id AND ac.student_id = e.student_id
+            WHERE a.id = ? AND (? IS NULL OR e.student_id = ?)
+              AND NOT EXISTS (SELECT 1 FROM submissions s WHERE s.assignment_id = a.id AND s.student_id = e.student_id)
+        `, [assignmentId, studentId, studentId]);
+    }
+
+    return {
+        list, find, findDetails, findForStudent, create, update, remove, listInCourses, listStudentDeadlines,
+        listUnsubmitted
+    };
+}
+
+function createSubmissions({ dbGet, dbAll, dbRun, withTransaction }) {
+    // With the assignment's rubric and course, or with `scope` only if the
+    // rule admits it. `flags` ({ name: scope }) adds a column per name that
+    // says whether that rule admits it too.
+    function find(id, scope = null, flags = {}) {
+        const names = Object.keys(flags);
+        const columns = names.map(name => `, ${flags[name].clause} as ${name}`).join('');
+        const params = names.flatMap(name => flags[name].params);
+
+        return dbGet(`
+            SELECT s.*, a.rubric_id, a.course_id${columns}
+            FROM submissions s
+            JOIN assignments a ON s.assignment_id = a.id
+            WHERE s.id = ?${scope ? ` AND ${scope.clause}` : ''}
+        `, [...params, id, ...(scope ? scope.params : [])]);
+    }
+
+    // With the student, assignment and grade, as graders see it
+    function findGraded(id) {
+        return dbGet(`
+            SELECT s.*, u.name as student_name, u.email as student_email, a.title as assignment_title,
+                   a.rubric_id, ${GRADE_COLUMNS}
+            FROM submissions s
+            JOIN users u ON s.student_id = u.id
+            JOIN assignments a ON s.assignment_id = a.id
+            ${GRADE_JOINS}
+            WHERE s.id = ?
+        `, [id]);
+    }
+
+    // Newest first, with the student, grade, versions, snapshots and
+    // autograder run of each
+    function listForStaff(scope, { courseId = null } = {}) {
+        let query = `
+            SELECT s.*, u.name as student_name, u.email as student_email, a.title as assignment_title,
+                   a.rubric_id, a.course_id, ${GRADE_COLUMNS}, ${VERSION_COLUMNS}, ${SNAPSHOT_COLUMNS},
+                   ${AUTOGRADER_COLUMNS}
+            FROM submissions s
+            JOIN users u ON s.student_id = u.id
+            JOIN assignments a ON s.assignment_id = a.id
+            ${GRADE_JOINS}
+            ${VERSION_JOINS}
+            ${SNAPSHOT_JOINS}
+            ${AUTOGRADER_JOINS}
+            WHERE ${scope.clause}
+        `;
+        const params = [...scope.params];
+
+        if (courseId) {
+            query += ' AND a.course_id = ?';
+            params.push(courseId);
+        }
+        return dbAll(`${query} ORDER BY s.submitted_at DESC`, params);
+    }
+
+    // A student's own submissions; snapshots are for staff
+    function listForStudent(studentId, { courseId = null } = {}) {
+        let query = `
+            SELECT s.*, a.title as assignment_title, a.rubric_id, a.course_id, ${GRADE_COLUMNS}, ${VERSION_COLUMNS},
+                   ${AUTOGRADER_COLUMNS}
+            FROM submissions s
+            JOIN assignments a ON s.assignment_id = a.id
+            ${GRADE_JOINS}
+            ${VERSION_JOINS}
+            ${AUTOGRADER_JOINS}
+            WHERE s.student_id = ?
+        `;
+        const params = [studentId];
+
+        if (courseId) {
+            query += ' AND a.course_id = ?';
+            params.push(courseId);
+        }
+        return dbAll(`${query} ORDER BY s.submitted_at DESC`, params);
+    }
+
+    // With the student's name and the assignment's title, course and creator
+    function findOverview(id) {
+        return dbGet(`
+            SELECT s.id, s.assignment_id, s.student_id, s.status, u.name as student_name,
+                   a.title as assignment_title, a.course_id, a.created_by
+            FROM submissions s
+            JOIN users u ON s.student_id = u.id
+            JOIN assignments a ON s.assignment_id = a.id
+            WHERE s.id = ?
+        `, [id]);
+    }
+
+    // Just the ids of every submission to the assignment
+    function listIds(assignmentId) {
+        return dbAll('SELECT id FROM submissions WHERE assignment_id = ?', [assignmentId]);
+    }
+
+    // Newest first; `counted` marks the one that counts
+    async function listVersions(submission) {
+        const versions = await dbAll(`
+            SELECT v.*, v.id = ? as counted
+            FROM submission_versions v
+            WHERE v.submission_id = ?
+            ORDER BY v.version DESC
+        `, [submission.counted_version_id, submission.id]);
+        versions.forEach(version => { version.counted = Boolean(version.counted); });
+        return versions;
+    }
+
+    function findVersion(submissionId, versionId) {
+        return dbGet('SELECT * FROM submission_versions WHERE id = ? AND submission_id = ?', [versionId, submissionId]);
+    }
+
+    // A version with its student, assignment title and UTC hand-in time, as a receipt shows it
+    function findReceipt(versionId) {
+        return dbGet(`
+            SELECT v.*, s.student_id, a.title as assignment_title,
+                   strftime('%Y-%m-%dT%H:%M:%SZ', v.submitted_at) as submitted_at_utc
+            FROM submission_versions v
+            JOIN submissions s ON v.submission_id = s.id
+            JOIN assignments a ON s.assignment_id = a.id
+            WHERE v.id = ?
+        `, [versionId]);
+    }
+
+    // Versions handed in after `since` up to `until` (SQLite datetimes), with
+    // the assignment title and student name, by assignment
+    function listVersionsBetween(since, until, scope) {
+        return dbAll(`
+            SELECT v.version, v.status, strftime('%Y-%m-%dT%H:%M:%SZ', v.submitted_at) as submitted_at_utc,
+                   a.title as assignment_title, u.name as student_name
+            FROM submission_versions v
+            JOIN submissions s ON v.submission_id = s.id
+            JOIN assignments a ON s.assignment_id = a.id
+            JOIN users u ON s.student_id = u.id
+            WHERE v.submitted_at > ? AND v.submitted_at <= ? AND ${scope.clause}
+            ORDER BY a.title, v.submitted_at
+        `, [since, until, ...scope.params]);
+    }
+
+    // Keeps a hand-in as the next version of the student's submission and
+    // makes it the one that counts. `evaluation` is what late-policy.js made
+    // of it. Returns { submissionId, versionId, version }.
+    function record({ assignmentId, studentId, repo, ref, status, evaluation, ip = null, userAgent = null }) {
+        return withTransaction(async tx => {
+            await tx.dbRun(`
+                INSERT INTO submissions (id, assignment_id, student_id, repo_link, status, minutes_late, late_penalty,
+                                         repo_host, repo_path, repo_ref_type, repo_ref)
+                VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+                ON CONFLICT(assignment_id, student_id)
+                DO UPDATE SET repo_link = excluded.repo_link, submitted_at = CURRENT_TIMESTAMP, status = excluded.status,
+                              minutes_late = excluded.minutes_late, late_penalty = excluded.late_penalty,
+                              repo_host = excluded.repo_host, repo_path = excluded.repo_path,
+                              repo_ref_type = excluded.repo_ref_type, repo_ref = excluded.repo_ref
+            `, [uuidv4(), assignmentId, studentId, repo.url, status,
+                evaluation.minutesLate, evaluation.penaltyPercent,
+                repo.host, repo.path, ref ? ref.type : null, ref ? ref.name : null]);
+
+            const submission = await tx.dbGet('SELECT id, submitted_at FROM submissions WHERE assignment_id = ? AND student_id = ?',
+                                              [assignmentId, studentId]);
+            const { latest } = await tx.dbGet('SELECT MAX(version) as latest FROM submission_versions WHERE submission_id = ?',
+                                              [submission.id]);
+            const version = (latest || 0) + 1;
+            const versionId = uuidv4();
+
+            await tx.dbRun(`
+                INSERT INTO submission_versions (id, submission_id, version, repo_link, submitted_at, status,
+                                                 minutes_late, late_penalty, repo_host, repo_path, repo_ref_type, repo_ref,
+                                                 ip_address, user_agent)
+                VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+            `, [versionId, submission.id, version, repo.url, submission.submitted_at, status,
+                evaluation.minutesLate, evaluation.penaltyPercent, repo.host, repo.path,
+                ref ? ref.type : null, ref ? ref.name : null, ip, userAgent]);
+            await tx.dbRun('UPDATE submissions SET counted_version_id = ? WHERE id = ?', [versionId, submission.id]);
+            // A grade already given now stands for this version, with its lateness
+            await tx.submissions.reapplyLatePenalty(submission.id, evaluation.penaltyPercent);
+
+            return { submissionId: submission.id, versionId, version };
+        });
+    }
+
+    // Keeps an existing grade in step with a changed late penalty
+    async function reapplyLatePenalty(submissionId, penaltyPercent) {
+        const grade = await dbGet('SELECT raw_points FROM grades WHERE submission_id = ?', [submissionId]);
+        if (grade && grade.raw_points !== null) {
+            await dbRun('UPDATE grades SET points = ?, late_penalty = ? WHERE submission_id = ?',
+                        [latePolicy.applyPenalty(grade.raw_points, penaltyPercent), penaltyPercent, submissionId]);
+        }
+    }
+
+    // Makes an earlier version the one that counts, with its link, time and
+    // lateness; a grade already given stays
+    function countVersion(submissionId, version) {
+        return dbRun(`
+            UPDATE submissions SET repo_link = ?, submitted_at = ?, counted_version_id = ?,
+                                   minutes_late = ?, late_penalty = ?,
+                                   repo_host = ?, repo_path = ?, repo_ref_type = ?, repo_ref = ?,
+                                   status = CASE WHEN status = 'graded' THEN 'graded' ELSE ? END
+            WHERE id = ?
+        `, [version.repo_link, version.submitted_at, version.id, version.minutes_late, version.late_penalty,
+            version.repo_host, version.repo_path, version.repo_ref_type, version.repo_ref,
+            version.status, submissionId]);
+    }
+
+    // A changed deadline, late policy, extension or accommodation can move
+    // submissions already made into or out of the late window, so their
+    // lateness and any grade already given are recomputed. `filter` picks the
+    // submissions by assignment, student and course; any it leaves out match.
+    function reevaluateLateness({ assignmentId = null, studentId = null, courseId = null }) {
+        const conditions = ['1 = 1'];
+        const params = [];
+        for (const [column, value] of [['a.id', assignmentId], ['s.student_id', studentId], ['a.course_id', courseId]]) {
+            if (value) {
+                conditions.push(`${column} = ?`);
+                params.push(value);
+            }
+        }
+
+        return withTransaction(async tx => {
+            const rows = await tx.dbAll(`
+                SELECT a.*, s.id as submission_id, s.status as submission_status,
+                       strftime('%Y-%m-%dT%H:%M:%SZ', s.submitted_at) as submitted_at_utc, ${ADJUSTMENT_COLUMNS}
+                FROM submissions s
+                JOIN assignments a ON s.assignment_id = a.id
+                LEFT JOIN deadline_extensions x ON x.assignment_id = a.id AND x.student_id = s.student_id
+                LEFT JOIN accommodations ac ON ac.course_id = a.course_id AND ac.student_id = s.student_id
+                WHERE ${conditions.join(' AND ')}
+            `, params);
+
+            for (const row of rows) {
+                const deadline = extensions.effectiveDeadline(row, row);
+                const evaluation = latePolicy.evaluateSubmission(row, row.submitted_at_utc, deadline);
+                // A submission that was accepted stays accepted, even past a window that has since closed
+                const penaltyPercent = evaluation.accepted
+                    ? evaluation.penaltyPercent
+                    : latePolicy.penaltyFor(row, evaluation.minutesLate);
+
+                const status = row.submission_status === 'graded' ? 'graded' : (evaluation.late ? 'late' : 'submitted');
+                await tx.dbRun('UPDATE submissions SET status = ?, minutes_late = ?, late_penalty = ? WHERE id = ?',
+                               [status, evaluation.minutesLate, penaltyPercent, row.submission_id]);
+                await tx.submissions.reapplyLatePenalty(row.submission_id, penaltyPercent);
+            }
+        });
+    }
+
+    return {
+        find, findGraded, findOverview, listForStaff, listForStudent, listIds, listVersions, findVersion,
+        findReceipt, listVersionsBetween,
+        record, countVersion, reapplyLatePenalty, reevaluateLateness
+    };
+}
+
+function createCourses({ dbGet, dbAll, dbRun, withTransaction }) {
+    // The bare row, or with `scope` only if the rule admits it
+    function find(id, scope = null) {
+        if (!scope) return dbGet('SELECT * FROM courses c WHERE c.id = ?', [id]);
+        return dbGet(`SELECT * FROM courses c WHERE c.id = ? AND ${scope.clause}`, [id, ...scope.params]);
+    }
+
+    // By code, with the owner's name and student count
+    function listOwned(ownerId) {
+        return dbAll(`${COURSE_SELECT} WHERE c.owner_id = ? ORDER BY c.code`, [ownerId]);
+    }
+
+    function listAssisted(userId) {
+        return dbAll(`${COURSE_SELECT} JOIN course_tas t ON t.course_id = c.id WHERE t.user_id = ? ORDER BY c.code`, [userId]);
+    }
+
+    // With the owner's name and the student's section and enrollment time
+    function listEnrolled(studentId) {
+        return dbAll(`
+            SELECT c.*, u.name as owner_name, e.section_id, e.enrolled_at
+            FROM courses c
+            JOIN users u ON c.owner_id = u.id
+            JOIN enrollments e ON e.course_id = c.id
+            WHERE e.student_id = ?
+            ORDER BY c.code
+        `, [studentId]);
+    }
+
+    // Returns the new course's id
+    function create({ code, title, description, ownerId }, sectionNames = []) {
+        return withTransaction(async tx => {
+            const id = uuidv4();
+            await tx.dbRun('INSERT INTO courses (id, code, title, description, owner_id) VALUES (?, ?, ?, ?, ?)',
+                           [id, code, title, description, ownerId]);
+            for (const name of new Set(sectionNames)) {
+                await tx.courses.addSection(id, name);
+            }
+            return id;
+        });
+    }
+
+    // Returns whether `scope` admitted the course
+    async function update(id, { code, title, description }, scope) {
+        const result = await dbRun(`UPDATE courses AS c SET code = ?, title = ?, description = ? WHERE c.id = ? AND ${scope.clause}`,
+                                   [code, title, description, id, ...scope.params]);
+        return result.changes > 0;
+    }
+
+    // `permissions` is { permission: boolean } for every TA permission
+    function setTaPermissions(id, permissions) {
+        const names = Object.keys(permissions);
+        return dbRun(`UPDATE courses SET ${names.map(name => `${roles.taPermissionColumn(name)} = ?`).join(', ')} WHERE id = ?`,
+                     [...names.map(name => Number(permissions[name])), id]);
+    }
+
+    // The sections of every course in `courseIds`, by name
+    function listSections(courseIds) {
+        if (courseIds.length === 0) return Promise.resolve([]);
+        return dbAll(`SELECT * FROM course_sections WHERE course_id IN (${courseIds.map(() => '?').join(', ')}) ORDER BY name`,
+                     courseIds);
+    }
+
+    function findSection(id, courseId) {
+        return dbGet('SELECT * FROM course_sections WHERE id = ? AND course_id = ?', [id, courseId]);
+    }
+
+    // Returns the new section
+    async function addSection(courseId, name) {
+        const id = uuidv4();
+        await dbRun('INSERT INTO course_sections (id, course_id, name) VALUES (?, ?, ?)', [id, courseId, name]);
+        return dbGet('SELECT * FROM course_sections WHERE id = ?', [id]);
+    }
+
+    return {
+        find, listOwned, listAssisted, listEnrolled, create, update, setTaPermissions,
+        listSections, findSection, addSection
+    };
+}
+
+function createEnrollments({ dbGet, dbAll, dbRun }) {
+    function find(courseId, studentId) {
+        return dbGet('SELECT * FROM enrollments WHERE course_id = ? AND student_id = ?', [courseId, studentId]);
+    }
+
+    // With each student's name, email, student ID and section name
+    function list(courseId) {
+        return dbAll(`
+            SELECT e.*, u.name as student_name, u.email as student_email, u.student_number, cs.name as section_name
+            FROM enrollments e
+            JOIN users u ON e.student_id = u.id
+            LEFT JOIN course_sections cs ON e.section_id = cs.id
+            WHERE e.course_id = ?
+            ORDER BY u.name
+        `, [courseId]);
+    }
+
+    // A student already enrolled moves to `sectionId`
+    function enroll(courseId, studentId, sectionId = null) {
+        return dbRun(`
+            INSERT INTO enrollments (course_id, student_id, section_id) VALUES (?, ?, ?)
+            ON CONFLICT(course_id, student_id) DO UPDATE SET section_id = excluded.section_id
+        `, [courseId, studentId, sectionId]);
+    }
+
+    async function remove(courseId, studentId) {
+        const result = await dbRun('DELETE FROM enrollments WHERE course_id = ? AND student_id = ?', [courseId, studentId]);
+        return result.changes > 0;
+    }
+
+    return { find, list, enroll, remove };
+}
+
+function createCourseTas({ dbAll, dbRun }) {
+    // With each TA's name, email and whether the account is deactivated
+    function list(courseId) {
+        return dbAll(`
+            SELECT t.user_id, t.added_at, u.name, u.email, u.deactivated_at
+            FROM course_tas t
+            JOIN users u ON t.user_id = u.id
+            WHERE t.course_id = ?
+            ORDER BY u.name
+        `, [courseId]);
+    }
+
+    // False if the user already assists the course
+    async function add(courseId, userId, addedBy) {
+        const result = await dbRun('INSERT OR IGNORE INTO course_tas (course_id, user_id, added_by) VALUES (?, ?, ?)',
+                                   [courseId, userId, addedBy]);
+        return result.changes > 0;
+    }
+
+    async function remove(courseId, userId) {
+        const result = await dbRun('DELETE FROM course_tas WHERE course_id = ? AND user_id = ?', [courseId, userId]);
+        return result.changes > 0;
+    }
+
+    return { list, add, remove };
+}
+
+// Codes students use to enroll in a course, with the course's code and title
+function createInviteCodes({ dbGet, dbAll, dbRun, withTransaction }) {
+    // `code` as registration.normalizeInviteCode() leaves it
+    function findByCode(code) {
+        return dbGet(`${INVITE_CODE_SELECT} WHERE i.code = ?`, [code]);
+    }
+
+    function find(id) {
+        return dbGet(`${INVITE_CODE_SELECT} WHERE i.id = ?`, [id]);
+    }
+
+    // Enrolls the student in the code's course and section and counts the use
+    function recordUse(invite, studentId) {
+        return withTransaction(async tx => {
+            await tx.dbRun('UPDATE course_invite_codes SET use_count = use_count + 1 WHERE id = ?', [invite.id]);
+            await tx.dbRun('INSERT OR IGNORE INTO course_invite_redemptions (code_id, user_id) VALUES (?, ?)', [invite.id, studentId]);
+            await tx.dbRun('INSERT INTO enrollments (course_id, student_id, section_id) VALUES (?, ?, ?)',
+                           [invite.course_id, studentId, invite.section_id]);
+        });
+    }
+
+    // Newest first, with section and creator names; revoked codes included
+    function list(courseId) {
+        return dbAll(`
+            SELECT i.*, cs.name as section_name, u.name as created_by_name
+            FROM course_invite_codes i
+            LEFT JOIN course_sections cs ON i.section_id = cs.id
+            LEFT JOIN users u ON i.created_by = u.id
+            WHERE i.course_id = ?
+            ORDER BY i.created_at DESC
+        `, [courseId]);
+    }
+
+    // Fails with SQLITE_CONSTRAINT if `code` is taken. Returns the new id.
+    async function create({ courseId, code, sectionId = null, createdBy, expiresAt, maxUses = null }) {
+        const id = uuidv4();
+        await dbRun(`
+            INSERT INTO course_invite_codes (id, course_id, code, section_id, created_by, expires_at, max_uses)
+            VALUES (?, ?, ?, ?, ?, ?, ?)
+        `, [id, courseId, code, sectionId, createdBy, expiresAt, maxUses]);
+        return id;
+    }
+
+    function findInCourse(id, courseId) {
+        return dbGet('SELECT * FROM course_invite_codes WHERE id = ? AND course_id = ?', [id, courseId]);
+    }
+
+    function revoke(id) {
+        return dbRun('UPDATE course_invite_codes SET revoked_at = ? WHERE id = ?', [new Date().toISOString(), id]);
+    }
+
+    return { findByCode, find, recordUse, list, create, findInCourse, revoke };
+}
+
+// Extra time for one student: an extension on one assignment, or an
+// accommodation on every assignment of a course. Granting or revoking either
+// re-evaluates the lateness of what the student already handed in.
+function createExtensions({ dbGet, dbAll, dbRun, withTransaction }) {
+    // With the student's name and email and the grantor's name
+    function list(assignmentId) {
+        return dbAll(`
+            SELECT x.*, u.name as student_name, u.email as student_email, gu.name as granted_by_name
+            FROM deadline_extensions x
+            JOIN users u ON x.student_id = u.id
+            JOIN users gu ON x.granted_by = gu.id
+            WHERE x.assignment_id = ?
+            ORDER BY u.name
+        `, [assignmentId]);
+    }
+
+    function find(assignmentId, studentId) {
+        return dbGet('SELECT * FROM deadline_extensions WHERE assignment_id = ? AND student_id = ?', [assignmentId, studentId]);
+    }
+
+    // With the assignment title and course code
+    function findDetails(assignmentId, studentId) {
+        return dbGet(`
+            SELECT x.*, a.title as assignment_title, c.code as course_code FROM deadline_extensions x
+            JOIN assignments a ON x.assignment_id = a.id
+            LEFT JOIN courses c ON a.course_id = c.id
+            WHERE x.assignment_id = ? AND x.student_id = ?
+        `, [assignmentId, studentId]);
+    }
+
+    // Grants or replaces the student's extension; `grant` is { deadline, reason }
+    function grant(assignmentId, studentId, { deadline, reason }, grantedBy) {
+        return withTransaction(async tx => {
+            await tx.dbRun(`
+                INSERT INTO deadline_extensions (id, assignment_id, student_id, deadline, reason, granted_by)
+                VALUES (?, ?, ?, ?, ?, ?)
+                ON CONFLICT(assignment_id, student_id)
+                DO UPDATE SET deadline = excluded.deadline, reason = excluded.reason,
+                              granted_by = excluded.granted_by, granted_at = CURRENT_TIMESTAMP
+            `, [uuidv4(), assignmentId, studentId, deadline, reason, grantedBy]);
+            await tx.submissions.reevaluateLateness({ assignmentId, studentId });
+        });
+    }
+
+    // False if there was none
+    function revoke(assignmentId, studentId) {
+        return withTransaction(async tx => {
+            const result = await tx.dbRun('DELETE FROM deadline_extensions WHERE assignment_id = ? AND student_id = ?',
+                                          [assignmentId, studentId]);
+            if (result.changes === 0) return false;
+
+            await tx.submissions.reevaluateLateness({ assignmentId, studentId });
+            return true;
+        });
+    }
+
+    function listAccommodations(courseId) {
+        return dbAll(`
+            SELECT ac.*, u.name as student_name, u.email as student_email, gu.name as granted_by_name
+            FROM accommodations ac
+            JOIN users u ON ac.student_id = u.id
+            JOIN users gu ON ac.granted_by = gu.id
+            WHERE ac.course_id = ?
+            ORDER BY u.name
+        `, [courseId]);
+    }
+
+    function findAccommodation(courseId, studentId) {
+        return dbGet('SELECT * FROM accommodations WHERE course_id = ? AND student_id = ?', [courseId, studentId]);
+    }
+
+    // `grant` is { extra_time_percent, reason }
+    function grantAccommodation(courseId, studentId, { extra_time_percent, reason }, grantedBy) {
+        return withTransaction(async tx => {
+            await tx.dbRun(`
+                INSERT INTO accommodations (id, course_id, student_id, extra_time_percent, reason, granted_by)
+                VALUES (?, ?, ?, ?, ?, ?)
+                ON CONFLICT(course_id, student_id)
+                DO UPDATE SET extra_time_percent = excluded.extra_time_percent, reason = excluded.reason,
+                              granted_by = excluded.granted_by, granted_at = CURRENT_TIMESTAMP
+            `, [uuidv4(), courseId, studentId, extra_time_percent, reason, grantedBy]);
+            await tx.submissions.reevaluateLateness({ studentId, courseId });
+        });
+    }
+
+    function revokeAccommodation(courseId, studentId) {
+        return withTransaction(async tx => {
+            const result = await tx.dbRun('DELETE FROM accommodations WHERE course_id = ? AND student_id = ?',
+                                          [courseId, studentId]);
+            if (result.changes === 0) return false;
+
+            await tx.submissions.reevaluateLateness({ studentId, courseId });
+            return true;
+        });
+    }
+
+    return {
+        list, find, findDetails, grant, revoke,
+        listAccommodations, findAccommodation, grantAccommodation, revokeAccommodation
+    };
+}
+
+function createGrades({ dbGet, dbAll, withTransaction }) {
+    function find(submissionId) {
+        return dbGet('SELECT * FROM grades WHERE submission_id = ?', [submissionId]);
+    }
+
+    // `points` is the raw score; the submission's late penalty, read in the
+    // same transaction, is deducted here. The submission becomes graded.
+    function save(submissionId, { points, maxPoints, feedback, gradedBy }) {
+        return withTransaction(async tx => {
+            const submission = await tx.dbGet('SELECT late_penalty FROM submissions WHERE id = ?', [submissionId]);
+            const penalty = submission ? submission.late_penalty : 0;
+
+            await tx.dbRun(`
+                INSERT INTO grades (id, submission_id, points, raw_points, late_penalty, max_points, feedback, graded_by)
+                VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+                ON CONFLICT(submission_id)
+                DO UPDATE SET points = excluded.points, raw_points = excluded.raw_points,
+                              late_penalty = excluded.late_penalty, max_points = excluded.max_points,
+                              feedback = excluded.feedback, graded_by = excluded.graded_by,
+                              graded_at = CURRENT_TIMESTAMP
+            `, [uuidv4(), submissionId, latePolicy.applyPenalty(points, penalty), points, penalty,
+                maxPoints, feedback || null, gradedBy]);
+            await tx.dbRun("UPDATE submissions SET status = 'graded' WHERE id = ?", [submissionId]);
+        });
+    }
+
+    function listRubricScores(submissionId) {
+        return dbAll('SELECT criterion_id, points, comment FROM rubric_scores WHERE submission_id = ?', [submissionId]);
+    }
+
+    // Replaces the rubric scores ({ criterionId, points, comment }) and saves
+    // `grade` as save() does
+    function saveRubricScores(submissionId, scores, grade) {
+        return withTransaction(async tx => {
+            await tx.dbRun('DELETE FROM rubric_scores WHERE submission_id = ?', [submissionId]);
+            for (const score of scores) {
+                await tx.dbRun('INSERT INTO rubric_scores (submission_id, criterion_id, points, comment) VALUES (?, ?, ?, ?)',
+                               [submissionId, score.criterionId, score.points, score.comment]);
+            }
+            await tx.grades.save(submissionId, grade);
+        });
+    }
+
+    // The rows gradebook.buildGradebook() takes for a course
+    async function listForCourse(courseId) {
+        const [assignments, students, submissions, grants, accommodations] = await Promise.all([
+            dbAll('SELECT * FROM assignments WHERE course_id = ? ORDER BY deadline, title', [courseId]),
+            dbAll(`
+                SELECT u.id, u.name, u.email, cs.name as section_name
+                FROM enrollments e
+                JOIN users u ON e.student_id = u.id
+                LEFT JOIN course_sections cs ON e.section_id = cs.id
+                WHERE e.course_id = ?
+                ORDER BY u.name
+            `, [courseId]),
+            dbAll(`
+                SELECT s.id, s.assignment_id, s.student_id, s.status, s.submitted_at, s.minutes_late, s.late_penalty,
+                       ${GRADE_COLUMNS}
+                FROM submissions s
+                JOIN assignments a ON s.assignment_id = a.id
+                ${GRADE_JOINS}
+                WHERE a.course_id = ?
+            `, [courseId]),
+            dbAll(`
+                SELECT x.assignment_id, x.student_id, x.deadline FROM deadline_extensions x
+                JOIN assignments a ON x.assignment_id = a.id
+                WHERE a.course_id = ?
+            `, [courseId]),
+            dbAll('SELECT student_id, extra_time_percent FROM accommodations WHERE course_id = ?', [courseId])
+        ]);
+        return { assignments, students, submissions, extensions: grants, accommodations };
+    }
+
+    return { find, save, listRubricScores, saveRubricScores, listForCourse };
+}
+
+function createRubrics({ dbGet, dbAll, withTransaction }) {
+    // With its criteria in order, each with its levels from the most points down
+    async function find(id) {
+        const rubric = await dbGet('SELECT * FROM rubrics WHERE id = ?', [id]);
+        if (!rubric) return null;
+
+        const criteria = await dbAll('SELECT * FROM rubric_criteria WHERE rubric_id = ? ORDER BY position', [id]);
+        const levels = await dbAll(`
+            SELECT l.* FROM rubric_levels l
+            JOIN rubric_criteria c ON l.criterion_id = c.id
+            WHERE c.rubric_id = ?
+            ORDER BY l.points DESC
+        `, [id]);
+
+        rubric.criteria = criteria.map(criterion => ({
+            ...criterion,
+            levels: levels.filter(level => level.criterion_id === criterion.id)
+        }));
+        return rubric;
+    }
+
+    // Just the id, if `createdBy` made it
+    function findOwned(id, createdBy) {
+        return dbGet('SELECT id FROM rubrics WHERE id = ? AND created_by = ?', [id, createdBy]);
+    }
+
+    // Newest first, each as find() has it
+    async function listOwned(createdBy) {
+        const rows = await dbAll('SELECT id FROM rubrics WHERE created_by = ? ORDER BY created_at DESC', [createdBy]);
+        return Promise.all(rows.map(row => find(row.id)));
+    }
+
+    // `rubric` as rubrics.normalizeRubric() returns it; returns the new id
+    function create(rubric, createdBy) {
+        return withTransaction(async tx => {
+            const id = uuidv4();
+            await tx.dbRun('INSERT INTO rubrics (id, title, description, created_by) VALUES (?, ?, ?, ?)',
+                           [id, rubric.title, rubric.description, createdBy]);
+
+            for (const [position, criterion] of rubric.criteria.entries()) {
+                const criterionId = uuidv4();
+                await tx.dbRun('INSERT INTO rubric_criteria (id, rubric_id, name, description, weight, position) VALUES (?, ?, ?, ?, ?, ?)',
+                               [criterionId, id, criterion.name, criterion.description, criterion.weight, position]);
+
+                for (const level of criterion.levels) {
+                    await tx.dbRun('INSERT INTO rubric_levels (id, criterion_id, label, points, descriptor) VALUES (?, ?, ?, ?, ?)',
+                                   [uuidv4(), criterionId, level.label, level.points, level.descriptor]);
+                }
+            }
+            return id;
+        });
+    }
+
+    async function countUses(id) {
+        const { count } = await dbGet('SELECT COUNT(*) as count FROM assignments WHERE rubric_id = ?', [id]);
+        return count;
+    }
+
+    // With its criteria, levels and every score given against them
+    function remove(id) {
+        return withTransaction(async tx => {
+            await tx.dbRun('DELETE FROM rubric_scores WHERE criterion_id IN (SELECT id FROM rubric_criteria WHERE rubric_id = ?)', [id]);
+            await tx.dbRun('DELETE FROM rubric_levels WHERE criterion_id IN (SELECT id FROM rubric_criteria WHERE rubric_id = ?)', [id]);
+            await tx.dbRun('DELETE FROM rubric_criteria WHERE rubric_id = ?', [id]);
+            await tx.dbRun('DELETE FROM rubrics WHERE id = ?', [id]);
+        });
+    }
+
+    return { find, findOwned, listOwned, create, countUses, remove };
+}
+
+function createSnapshots({ dbGet, dbAll, dbRun }) {
+    // Queues a snapshot of the counted version, pinned to the student's own
+    // deadline; returns the new id, or null when there is no such submission
+    async function create(submissionId, kind) {
+        const submission = await dbGet(`${SUBMISSION_DEADLINE_SELECT} WHERE s.id = ?`, [submissionId]);
+        if (!submission) return null;
+
+        const id = uuidv4();
+        await dbRun(`
+            INSERT INTO repo_snapshots (id, submission_id, version_id, kind, repo_url, ref_type, ref, deadline)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+        `, [id, submission.id, submission.counted_version_id, kind, submission.repo_link,
+            submission.repo_ref_type, submission.repo_ref, extensions.effectiveDeadline(submission, submission)]);
+        return id;
+    }
+
+    // Marks a pending snapshot running and returns it; null when it is not pending
+    async function start(id) {
+        const snapshot = await dbGet("SELECT * FROM repo_snapshots WHERE id = ? AND status = 'pending'", [id]);
+        if (!snapshot) return null;
+
+        await dbRun("UPDATE repo_snapshots SET status = 'running' WHERE id = ?", [id]);
+        return snapshot;
+    }
+
+    // `result` as snapshots.takeSnapshot() returns it
+    function complete(id, result) {
+        return dbRun(`
+            UPDATE repo_snapshots SET status = 'complete', commit_sha = ?, committed_at = ?, commits_after_deadline = ?,
+                                      archive_path = ?, error = NULL, completed_at = CURRENT_TIMESTAMP
+            WHERE id = ?
+        `, [result.commitSha, result.committedAt, result.commitsAfterDeadline, result.archivePath, id]);
+    }
+
+    function fail(id, message) {
+        return dbRun(`
+            UPDATE repo_snapshots SET status = 'failed', error = ?, completed_at = CURRENT_TIMESTAMP WHERE id = ?
+        `, [message, id]);
+    }
+
+    function requeueRunning() {
+        return dbRun("UPDATE repo_snapshots SET status = 'pending' WHERE status = 'running'");
+    }
+
+    function listPending() {
+        return dbAll("SELECT id FROM repo_snapshots WHERE status = 'pending' ORDER BY created_at");
+    }
+
+    // A completed snapshot, only if `scope` admits its submission
+    function findArchive(id, scope) {
+        return dbGet(`
+            SELECT r.* FROM repo_snapshots r
+            JOIN submissions s ON r.submission_id = s.id
+            JOIN assignments a ON s.assignment_id = a.id
+            WHERE r.id = ? AND r.status = 'complete' AND ${scope.clause}
+        `, [id, ...scope.params]);
+    }
+
+    // The latest completed snapshot of the counted version
+    function findCounted(submissionId) {
+        return dbGet(`SELECT cs.id FROM submissions s ${COUNTED_SNAPSHOT_JOIN} WHERE s.id = ?`, [submissionId]);
+    }
+
+    // Each submission to the assignment that has a counted snapshot, with its archive
+    function listCounted(assignmentId) {
+        return dbAll(`SELECT s.id, cs.archive_path FROM submissions s ${COUNTED_SNAPSHOT_JOIN} WHERE s.assignment_id = ?`,
+                     [assignmentId]);
+    }
+
+    // The submission with the columns extensions.effectiveDeadline() reads
+    function findDeadline(submissionId) {
+        return dbGet(`${SUBMISSION_DEADLINE_SELECT} WHERE s.id = ?`, [submissionId]);
+    }
+
+    async function hasDeadlineSnapshot(submissionId) {
+        return Boolean(await dbGet("SELECT 1 FROM repo_snapshots WHERE submission_id = ? AND kind = 'deadline'", [submissionId]));
+    }
+
+    // Submissions whose deadline snapshot was never queued
+    function listWithoutDeadlineSnapshot() {
+        return dbAll(`
+            SELECT s.id FROM submissions s
+            WHERE NOT EXISTS (SELECT 1 FROM repo_snapshots r WHERE r.submission_id = s.id AND r.kind = 'deadline')
+        `);
+    }
+
+    return {
+        create, start, complete, fail, requeueRunning, listPending, findArchive, findCounted, listCounted,
+        findDeadline, hasDeadlineSnapshot, listWithoutDeadlineSnapshot
+    };
+}
+
+function createAutograder({ dbGet, dbAll, dbRun, withTransaction }) {
+    // The assignment's command and limits with its test files, or null
+    async function find(assignmentId) {
+        const config = await dbGet('SELECT * FROM autograder_configs WHERE assignment_id = ?', [assignmentId]);
+        if (!config) return null;
+        config.prefill_grade = Boolean(config.prefill_grade);
+        config.files = await dbAll('SELECT id, path, content FROM autograder_files WHERE assignment_id = ? ORDER BY path',
+                                   [assignmentId]);
+        return config;
+    }
+
+    // `settings` as autograder.normalizeAutograderSettings() returns it; the
+    // files replace the whole set
+    function save(assignmentId, settings, updatedBy) {
+        return withTransaction(async tx => {
+            await tx.dbRun(`
+                INSERT INTO autograder_configs (assignment_id, command, timeout_seconds, memory_mb, prefill_grade, max_points, updated_by)
+                VALUES (?, ?, ?, ?, ?, ?, ?)
+                ON CONFLICT(assignment_id)
+                DO UPDATE SET command = excluded.command, timeout_seconds = excluded.timeout_seconds,
+                              memory_mb = excluded.memory_mb, prefill_grade = excluded.prefill_grade,
+                              max_points = excluded.max_points, updated_by = excluded.updated_by,
+                              updated_at = CURRENT_TIMESTAMP
+            `, [assignmentId, settings.command, settings.timeout_seconds, settings.memory_mb,
+                settings.prefill_grade, settings.max_points, updatedBy]);
+            await tx.dbRun('DELETE FROM autograder_files WHERE assignment_id = ?', [assignmentId]);
+            for (const file of settings.files) {
+                await tx.dbRun('INSERT INTO autograder_files (id, assignment_id, path, content) VALUES (?, ?, ?, ?)',
+                               [uuidv4(), assignmentId, file.path, file.content]);
+            }
+        });
+    }
+
+    // With its test files; false when the assignment had no autograder
+    function remove(assignmentId) {
+        return withTransaction(async tx => {
+            await tx.dbRun('DELETE FROM autograder_files WHERE assignment_id = ?', [assignmentId]);
+            const result = await tx.dbRun('DELETE FROM autograder_configs WHERE assignment_id = ?', [assignmentId]);
+            return result.changes > 0;
+        });
+    }
+
+    return { find, save, remove };
+}
+
+function createAutograderRuns({ dbGet, dbAll, dbRun }) {
+    // Queues a run against the snapshot; returns the new id, or null when the
+    // assignment has no autograder
+    async function create(submissionId, snapshotId) {
+        const configured = await dbGet(`
+            SELECT 1 FROM submissions s JOIN autograder_configs ag ON ag.assignment_id = s.assignment_id
+            WHERE s.id = ?
+        `, [submissionId]);
+        if (!configured) return null;
+
+        const id = uuidv4();
+        await dbRun('INSERT INTO autograder_runs (id, submission_id, snapshot_id) VALUES (?, ?, ?)',
+                    [id, submissionId, snapshotId]);
+        return id;
+    }
+
+    // Marks a queued run running and returns it with its snapshot's archive and
+    // its assignment; null when it is not queued
+    async function start(id) {
+        const run = await dbGet(`
+            SELECT r.*, ss.archive_path, s.assignment_id FROM autograder_runs r
+            JOIN repo_snapshots ss ON r.snapshot_id = ss.id
+            JOIN submissions s ON r.submission_id = s.id
+            WHERE r.id = ? AND r.status = 'queued'
+        `, [id]);
+        if (!run) return null;
+
+        await dbRun("UPDATE autograder_runs SET status = 'running' WHERE id = ?", [id]);
+        return run;
+    }
+
+    // `result` as autograder.runAutograder() returns it
+    function complete(id, result) {
+        return dbRun(`
+            UPDATE autograder_runs SET status = ?, tests_passed = ?, tests_failed = ?, exit_code = ?, log = ?,
+                                       duration_ms = ?, completed_at = CURRENT_TIMESTAMP
+            WHERE id = ?
+        `, [result.status, result.passed, result.failed, result.exitCode, result.log, result.durationMs, id]);
+    }
+
+    function fail(id, message) {
+        return dbRun(`
+            UPDATE autograder_runs SET status = 'error', log = ?, completed_at = CURRENT_TIMESTAMP WHERE id = ?
+        `, [message, id]);
+    }
+
+    function requeueRunning() {
+        return dbRun("UPDATE autograder_runs SET status = 'queued' WHERE status = 'running'");
+    }
+
+    function listQueued() {
+        return dbAll("SELECT id FROM autograder_runs WHERE status = 'queued' ORDER BY created_at");
+    }
+
+    // With its log and the commit it ran against
+    function findLatest(submissionId) {
+        return dbGet(`
+            SELECT r.id, r.status, r.tests_passed, r.tests_failed, r.exit_code, r.log, r.duration_ms,
+                   r.created_at, r.completed_at, ss.commit_sha
+            FROM autograder_runs r
+            JOIN repo_snapshots ss ON r.snapshot_id = ss.id
+            WHERE r.submission_id = ?
+            ORDER BY r.created_at DESC, r.rowid DESC LIMIT 1
+        `, [submissionId]);
+    }
+
+    return { create, start, complete, fail, requeueRunning, listQueued, findLatest };
+}
+
+function createSimilarityReports({ dbGet, dbAll, dbRun, withTransaction }) {
+    // Returns the new id
+    async function create(assignmentId, requestedBy) {
+        const id = uuidv4();
+        await dbRun('INSERT INTO similarity_reports (id, assignment_id, requested_by) VALUES (?, ?, ?)',
+                    [id, assignmentId, requestedBy]);
+        return id;
+    }
+
+    // Marks a pending report running and returns it; null when it is not pending
+    async function start(id) {
+        const report = await dbGet("SELECT * FROM similarity_reports WHERE id = ? AND status = 'pending'", [id]);
+        if (!report) return null;
+
+        await dbRun("UPDATE similarity_reports SET status = 'running' WHERE id = ?", [id]);
+        return report;
+    }
+
+    // `pairs` as similarity.compareSubmissions() returns them
+    function complete(id, { pairs, submissionCount, skippedCount, commonFingerprints }) {
+        return withTransaction(async tx => {
+            for (const pair of pairs) {
+                await tx.dbRun(`
+                    INSERT INTO similarity_pairs (id, report_id, submission_a, submission_b, score, percent_a, percent_b,
+                                                  shared_fingerprints, regions)
+                    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+                `, [uuidv4(), id, pair.a, pair.b, pair.score, pair.percentA, pair.percentB, pair.shared,
+                    JSON.stringify(pair.regions)]);
+            }
+            await tx.dbRun(`
+                UPDATE similarity_reports SET status = 'complete', submission_count = ?, skipped_count = ?,
+                                              common_fingerprints = ?, completed_at = CURRENT_TIMESTAMP
+                WHERE id = ?
+            `, [submissionCount, skippedCount, commonFingerprints, id]);
+        });
+    }
+
+    function fail(id, message) {
+        return dbRun(`
+            UPDATE similarity_reports SET status = 'failed', error = ?, completed_at = CURRENT_TIMESTAMP WHERE id = ?
+        `, [message, id]);
+    }
+
+    function requeueRunning() {
+        return dbRun("UPDATE similarity_reports SET status = 'pending' WHERE status = 'running'");
+    }
+
+    function listPending() {
+        return dbAll("SELECT id FROM similarity_reports WHERE status = 'pending' ORDER BY created_at");
+    }
+
+    // The assignment's latest report with its pairs, highest score first, or null
+    async function findLatest(assignmentId) {
+        const report = await dbGet(`
+            SELECT r.*, u.name as requested_by_name FROM similarity_reports r
+            LEFT JOIN users u ON r.requested_by = u.id
+            WHERE r.assignment_id = ?
+            ORDER BY r.created_at DESC, r.rowid DESC LIMIT 1
+        `, [assignmentId]);
+        if (!report) return null;
+
+        report.pairs = await dbAll(`
+            SELECT p.id, p.submission_a, p.submission_b, p.score, p.percent_a, p.percent_b, p.shared_fingerprints,
+                   ua.name as student_a_name, ub.name as student_b_name
+            FROM similarity_pairs p
+            JOIN submissions sa ON p.submission_a = sa.id
+            JOIN submissions sb ON p.submission_b = sb.id
+            JOIN users ua ON sa.student_id = ua.id
+            JOIN users ub ON sb.student_id = ub.id
+            WHERE p.report_id = ?
+            ORDER BY p.score DESC, p.shared_fingerprints DESC
+        `, [report.id]);
+        return report;
+    }
+
+    // With its matching regions, only if `scope` admits the report's assignment
+    async function findPair(id, scope) {
+        const pair = await dbGet(`
+            SELECT p.*, ua.name as student_a_name, ub.name as student_b_name FROM similarity_pairs p
+            JOIN similarity_reports r ON p.report_id = r.id
+            JOIN assignments a ON r.assignment_id = a.id
+            JOIN submissions sa ON p.submission_a = sa.id
+            JOIN submissions sb ON p.submission_b = sb.id
+            JOIN users ua ON sa.student_id = ua.id
+            JOIN users ub ON sb.student_id = ub.id
+            WHERE p.id = ? AND ${scope.clause}
+        `, [id, ...scope.params]);
+        if (!pair) return null;
+
+        pair.regions = JSON.parse(pair.regions);
+        return pair;
+    }
+
+    function listStarterFiles(assignmentId) {
+        return dbAll('SELECT path, content FROM similarity_starter_files WHERE assignment_id = ? ORDER BY path',
+                     [assignmentId]);
+    }
+
+    // `files` replace the whole set
+    function saveStarterFiles(assignmentId, files) {
+        return withTransaction(async tx => {
+            await tx.dbRun('DELETE FROM similarity_starter_files WHERE assignment_id = ?', [assignmentId]);
+            for (const file of files) {
+                await tx.dbRun('INSERT INTO similarity_starter_files (id, assignment_id, path, content) VALUES (?, ?, ?, ?)',
+                               [uuidv4(), assignmentId, file.path, file.content]);
+            }
+        });
+    }
+
+    return {
+        create, start, complete, fail, requeueRunning, listPending, findLatest, findPair,
+        listStarterFiles, saveStarterFiles
+    };
+}
+
+function createEmailOutbox({ dbAll, dbRun }) {
+    // `message` is { userId, type, dedupeKey, to, subject, text, html }.
+    // Returns false when a message with the same dedupeKey was queued before.
+    async function add({ userId, type, dedupeKey = null, to, subject, text, html }) {
+        const result = await dbRun(`
+            INSERT OR IGNORE INTO email_outbox (id, user_id, type, dedupe_key, to_address, subject, text_body, html_body)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+        `, [uuidv4(), userId, type, dedupeKey, to, subject, text, html]);
+        return result.changes > 0;
+    }
+
+    // Pending messages whose next attempt is due, oldest first
+    function listDue(limit = 50) {
+        return dbAll(`
+            SELECT * FROM email_outbox WHERE status = 'pending' AND next_attempt_at <= datetime('now')
+            ORDER BY created_at LIMIT ?
+        `, [limit]);
+    }
+
+    function markSending(id) {
+        return dbRun("UPDATE email_outbox SET status = 'sending' WHERE id = ?", [id]);
+    }
+
+    // `clearBody` empties the text and HTML once they are no longer needed
+    function markSent(id, attempts, { clearBody = false } = {}) {
+        return dbRun(`
+            UPDATE email_outbox SET status = 'sent', attempts = ?, last_error = NULL, sent_at = CURRENT_TIMESTAMP
+                                    ${clearBody ? ", text_body = '', html_body = ''" : ''}
+            WHERE id = ?
+        `, [attempts, id]);
+    }
+
+    // Tries again after `retryIn` (a SQLite modifier such as '+30 seconds'), or
+    // marks the message failed when `gaveUp`
+    function recordFailure(id, { attempts, error, retryIn, gaveUp }) {
+        return dbRun(`
+            UPDATE email_outbox SET status = ?, attempts = ?, last_error = ?, next_attempt_at = datetime('now', ?)
+            WHERE id = ?
+        `, [gaveUp ? 'failed' : 'pending', attempts, error, retryIn, id]);
+    }
+
+    function requeueSending() {
+        return dbRun("UPDATE email_outbox SET status = 'pending' WHERE status = 'sending'");
+    }
+
+    return { add, listDue, markSending, markSent, recordFailure, requeueSending };
+}
+
+function createNotificationPreferences({ dbGet, dbAll, dbRun }) {
+    // The saved row; a user without one gets every notification
+    function find(userId) {
+        return dbGet('SELECT * FROM notification_preferences WHERE user_id = ?', [userId]);
+    }
+
+    // `preferences` is { type: 0|1 }; types left out keep their setting
+    async function save(userId, preferences) {
+        const types = Object.keys(preferences);
+        if (!types.length) return;
+
+        await dbRun(`
+            INSERT INTO notification_preferences (user_id, ${types.join(', ')})
+            VALUES (?, ${types.map(() => '?').join(', ')})
+            ON CONFLICT(user_id) DO UPDATE SET ${types.map(type => `${type} = excluded.${type}`).join(', ')},
+                                               updated_at = CURRENT_TIMESTAMP
+        `, [userId, ...types.map(type => preferences[type])]);
+    }
+
+    // The user's name and email, and `enabled`: 0 when they opted out of
+    // `type`, which must be a column of notification_preferences
+    function findRecipient(userId, type) {
+        return dbGet(`
+            SELECT u.name, u.email, p.${type} as enabled FROM users u
+            LEFT JOIN notification_preferences p ON p.user_id = u.id
+            WHERE u.id = ?
+        `, [userId]);
+    }
+
+    // Professors who take the submission digest, each with the window the
+    // next one covers: `since` the last one (or `firstHours` ago) `until` now
+    function listDigestsDue(firstHours) {
+        return dbAll(`
+            SELECT u.id, COALESCE(p.digest_sent_at, datetime('now', ?)) as since, datetime('now') as until
+            FROM users u
+            LEFT JOIN notification_preferences p ON p.user_id = u.id
+            WHERE u.role = 'professor' AND COALESCE(p.submission_digest, 1) = 1
+        `, [`-${firstHours} hours`]);
+    }
+
+    function markDigestSent(userId, sentAt) {
+        return dbRun(`
+            INSERT INTO notification_preferences (user_id, digest_sent_at) VALUES (?, ?)
+            ON CONFLICT(user_id) DO UPDATE SET digest_sent_at = excluded.digest_sent_at
+        `, [userId, sentAt]);
+    }
+
+    return { find, save, findRecipient, listDigestsDue, markDigestSent };
+}
+
+function createStats({ dbGet }) {
+    // Students enrolled in the courses `courseScope` admits, and the
+    // assignments `assignmentScope` admits with the submissions to them
+    function totals(assignmentScope, courseScope) {
+        return dbGet(`
+            SELECT
+                (SELECT COUNT(DISTINCT e.student_id) FROM enrollments e
+                 JOIN courses c ON e.course_id = c.id WHERE ${courseScope.clause}) as totalUsers,
+                (SELECT COUNT(*) FROM assignments a WHERE ${assignmentScope.clause}) as totalAssignments,
+                (SELECT COUNT(*) FROM submissions s
+                 JOIN assignments a ON s.assignment_id = a.id WHERE ${assignmentScope.clause}) as totalSubmissions
+        `, [...courseScope.params, ...assignmentScope.params, ...assignmentScope.params]);
+    }
+
+    return { totals };
+}
+
+// `db` is { dbGet, dbAll, dbRun, dbExec, withTransaction }
+function createRepository(db) {
+    const { dbGet, dbAll, dbRun, dbExec } = db;
+    const withTransaction = work => db.withTransaction(tx => work(createRepository(tx)));
+    const helpers = { dbGet, dbAll, dbRun, dbExec, withTransaction };
+
+    return {
+        ...helpers,
+        users: createUsers(helpers),
+        accountInvites: createAccountInvites(helpers),
+        passwordResets: createPasswordResets(helpers),
+        courses: createCourses(helpers),
+        enrollments: createEnrollments(helpers),
+        courseTas: createCourseTas(helpers),
+        inviteCodes: createInviteCodes(helpers),
+        extensions: createExtensions(helpers),
+        assignments: createAssignments(helpers),
+        submissions: createSubmissions(helpers),
+        grades: createGrades(helpers),
+        rubrics: createRubrics(helpers),
+        snapshots: createSnapshots(helpers),
+        autograder: createAutograder(helpers),
+        autograderRuns: createAutograderRuns(helpers),
+        similarityReports: createSimilarityReports(helpers),
+        emailOutbox: createEmailOutbox(helpers),
+        notificationPreferences: createNotificationPreferences(helpers),
+        stats: createStats(helpers)
+    };
+}
+
+module.exports = { createRepository };
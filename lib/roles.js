@@ -0,0 +1,70 @@
+// Site-wide roles and what each may do
+//
+// Routes name either roles ('professor') or permissions ('manage_users') when
+// they check access; permissions keep the check readable where several roles
+// share an ability. An administrator manages accounts but does not teach, so
+// course work stays with professors.
+//
+// A teaching assistant account does nothing on its own. A professor adds it to
+// a course, and the course's TA permissions decide what it may do there; every
+// TA of a course has the same ones.
+
+const ROLES = ['student', 'ta', 'professor', 'admin'];
+
+const ROLE_PERMISSIONS = {
+    student: [],
+    ta: [],
+    professor: [],
+    admin: ['manage_users']
+};
+
+// Per-course TA permissions and their defaults. Each is a 0/1 column named
+// ta_<permission> on courses.
+const TA_PERMISSIONS = {
+    view_submissions: true,
+    grade_submissions: true,
+    comment: true,
+    grant_extensions: false
+};
+
+const PERMISSIONS = [...new Set(Object.values(ROLE_PERMISSIONS).flat())];
+
+function isRole(value) {
+    return ROLES.includes(value);
+}
+
+function hasPermission(role, permission) {
+    return (ROLE_PERMISSIONS[role] || []).includes(permission);
+}
+
+// True when `role` is one of `allowed` or holds one of the permissions in it
+function isAllowed(role, allowed) {
+    return allowed.some(entry => entry === role || hasPermission(role, entry));
+}
+
+function taPermissionColumn(permission) {
+    if (!Object.prototype.hasOwnProperty.call(TA_PERMISSIONS, permission)) {
+        throw new Error(`Unknown TA permission ${permission}`);
+    }
+    return `ta_${permission}`;
+}
+
+// { permission: true|false } from a courses row
+function taPermissionsOf(course) {
+    const permissions = {};
+    Object.keys(TA_PERMISSIONS).forEach(permission => {
+        permissions[permission] = Boolean(course[taPermissionColumn(permission)]);
+    });
+    return permissions;
+}
+
+module.exports = {
+    ROLES,
+    PERMISSIONS,
+    TA_PERMISSIONS,
+    isRole,
+    hasPermission,
+    isAllowed,
+    taPermissionColumn,
+    taPermissionsOf
+};
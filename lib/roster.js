@@ -0,0 +1,268 @@
+// Roster import
+//
+// Creates student accounts from a CSV with name, email and student ID (and
+// optionally a section) and enrolls every row in one course. Rows that cannot
+// be used are reported, never guessed at, and do not stop the rest:
+//
+//   created           a new account, enrolled, with fresh credentials
+//   enrolled          an existing student newly enrolled or moved to a section
+//   already_enrolled  already in the course; at most a missing student ID is filled in
+//   skipped           a repeat of an earlier row in the same file
+//   error             the row was not applied; `message` says why
+//
+// New accounts get either an invite link or a temporary password (see
+// credentials.js). Credentials appear only in the result of the import that
+// created them.
+//
+// The import takes the { dbGet, dbAll, dbRun, withTransaction } helpers (see
+// database.js) so the server and the command line (scripts/import-roster.js)
+// run exactly the same code.
+
+const bcrypt = require('bcrypt');
+const { v4: uuidv4 } = require('uuid');
+const credentials = require('./credentials');
+const { parseCsv } = require('./csv');
+
+class RosterError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'RosterError';
+        this.status = 400;
+    }
+}
+
+const MAX_ROSTER_ROWS = 2000;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Header spellings accepted for each roster column
+const ROSTER_COLUMNS = {
+    name: ['name', 'fullname', 'studentname'],
+    email: ['email', 'emailaddress', 'studentemail'],
+    studentNumber: ['studentid', 'studentnumber', 'sid', 'id'],
+    section: ['section', 'sectionname']
+};
+
+function headerKey(value) {
+    const normalized = String(value).toLowerCase().replace(/[^a-z]/g, '');
+    return Object.keys(ROSTER_COLUMNS).find(key => ROSTER_COLUMNS[key].includes(normalized)) || null;
+}
+
+// Returns [{ line, name, email, studentNumber, section }]; throws only when
+// the file as a whole is unusable
+function parseRoster(text) {
+    if (typeof text !== 'string' || !text.trim()) {
+        throw new RosterError('The roster file is empty');
+    }
+
+    const [headerRow, ...rows] = parseCsv(text);
+    const positions = {};
+    headerRow.fields.forEach((name, index) => {
+        const key = headerKey(name);
+        if (key && positions[key] === undefined) positions[key] = index;
+    });
+
+    const missing = ['name', 'email', 'studentNumber'].filter(key => positions[key] === undefined);
+    if (missing.length) {
+        const labels = { name: 'name', email: 'email', studentNumber: 'student ID' };
+        throw new RosterError(`The header row needs these columns: ${missing.map(key => labels[key]).join(', ')}`);
+    }
+    if (rows.length > MAX_ROSTER_ROWS) {
+        throw new RosterError(`A roster may have at most ${MAX_ROSTER_ROWS} rows`);
+    }
+
+    return rows.map(({ line, fields }) => {
+        const record = { line };
+        Object.keys(ROSTER_COLUMNS).forEach(key => {
+            record[key] = positions[key] === undefined ? '' : (fields[positions[key]] || '').trim();
+        });
+        record.email = record.email.toLowerCase();
+        return record;
+    });
+}
+
+function normalizeMode(mode) {
+    const value = mode || 'invite';
+    if (!credentials.CREDENTIAL_MODES.includes(value)) {
+        throw new RosterError(`Credentials must be one of: ${credentials.CREDENTIAL_MODES.join(', ')}`);
+    }
+    return value;
+}
+
+// Works out what each record would do, without writing anything
+async function planRoster(db, courseId, records) {
+    const sections = await db.dbAll('SELECT id, name FROM course_sections WHERE course_id = ?', [courseId]);
+    const sectionByName = new Map(sections.map(section => [section.name.toLowerCase(), section]));
+    const seenEmails = new Map();
+    const seenNumbers = new Map();
+
+    const results = [];
+    for (const record of records) {
+        const result = {
+            line: record.line,
+            name: record.name,
+            email: record.email,
+            studentNumber: record.studentNumber,
+            section: record.section,
+            status: 'error',
+            message: null,
+            userId: null,
+            sectionId: null
+        };
+        results.push(result);
+        const fail = message => { result.message = message; };
+
+        if (!record.name) {
+            fail('Name is required');
+            continue;
+        }
+        if (!EMAIL_PATTERN.test(record.email)) {
+            fail(record.email ? 'Email address is not valid' : 'Email is required');
+            continue;
+        }
+        if (!record.studentNumber) {
+            fail('Student ID is required');
+            continue;
+        }
+        if (seenEmails.has(record.email)) {
+            result.status = 'skipped';
+            result.message = `Duplicate of line ${seenEmails.get(record.email)}`;
+            continue;
+        }
+        if (seenNumbers.has(record.studentNumber)) {
+            fail(`Student ID is also used on line ${seenNumbers.get(record.studentNumber)}`);
+            continue;
+        }
+        seenEmails.set(record.email, record.line);
+        seenNumbers.set(record.studentNumber, record.line);
+
+        if (record.section) {
+            const section = sectionByName.get(record.section.toLowerCase());
+            if (!section) {
+                fail(`No section named "${record.section}" in this course`);
+                continue;
+            }
+            result.sectionId = section.id;
+            result.section = section.name;
+        }
+
+        const user = await db.dbGet('SELECT id, role, student_number FROM users WHERE email = ?', [record.email]);
+        const numberOwner = await db.dbGet('SELECT id, email FROM users WHERE student_number = ?', [record.studentNumber]);
+        if (numberOwner && (!user || numberOwner.id !== user.id)) {
+            fail(`Student ID already belongs to ${numberOwner.email}`);
+            continue;
+        }
+
+        if (!user) {
+            result.status = 'created';
+            continue;
+        }
+        if (user.role !== 'student') {
+            fail('An account with this email exists but is not a student account');
+            continue;
+        }
+        if (user.student_number && user.student_number !== record.studentNumber) {
+            fail(`The existing account has student ID ${user.student_number}`);
+            continue;
+        }
+
+        result.userId = user.id;
+        result.setStudentNumber = !user.student_number;
+        const enrollment = await db.dbGet('SELECT section_id FROM enrollments WHERE course_id = ? AND student_id = ?',
+                                          [courseId, user.id]);
+        if (!enrollment) {
+            result.status = 'enrolled';
+        } else if (result.sectionId && enrollment.section_id !== result.sectionId) {
+            result.status = 'enrolled';
+            result.message = `Moved to ${result.section}`;
+        } else {
+            result.status = 'already_enrolled';
+            if (result.setStudentNumber) result.message = 'Student ID recorded';
+        }
+    }
+    return results;
+}
+
+function summarize(results) {
+    const summary = { rows: results.length, created: 0, enrolled: 0, already_enrolled: 0, skipped: 0, error: 0 };
+    results.forEach(result => { summary[result.status]++; });
+    return summary;
+}
+
+// Returns { results, summary }. With dryRun nothing is written and no
+// credentials are made; otherwise every usable row is applied in one
+// transaction.
+async function importRoster(db, { courseId, csv, mode, appUrl, createdBy, dryRun = false, inviteDays = credentials.DEFAULT_INVITE_DAYS }) {
+    const credentialMode = normalizeMode(mode);
+    const records = parseRoster(csv);
+    const results = await planRoster(db, courseId, records);
+
+    const toCreate = results.filter(result => result.status === 'created');
+    if (!dryRun) {
+        // Hashing is slow, so it happens before the transaction opens
+        for (const result of toCreate) {
+            result.userId = uuidv4();
+            if (credentialMode === 'password') {
+                result.temporaryPassword = credentials.generateTemporaryPassword();
+                result.passwordHash = await bcrypt.hash(result.temporaryPassword, 10);
+            } else {
+                const { token, tokenHash } = credentials.createToken();
+                result.inviteUrl = credentials.inviteUrl(appUrl, token);
+                result.tokenHash = tokenHash;
+            }
+        }
+
+        const expiresAt = credentials.inviteExpiry(inviteDays);
+        await db.withTransaction(async tx => {
+            for (const result of results) {
+                if (result.status === 'created') {
+                    await tx.dbRun('INSERT INTO users (id, email, password_hash, name, role, student_number) VALUES (?, ?, ?, ?, ?, ?)',
+                                   [result.userId, result.email, result.passwordHash || null, result.name, 'student', result.studentNumber]);
+                    if (result.tokenHash) {
+                        await tx.dbRun('INSERT INTO account_invites (id, user_id, token_hash, created_by, expires_at) VALUES (?, ?, ?, ?, ?)',
+                                       [uuidv4(), result.userId, result.tokenHash, createdBy, expiresAt]);
+                    }
+                } else if (result.setStudentNumber) {
+                    await tx.dbRun('UPDATE users SET student_number = ? WHERE id = ?', [result.studentNumber, result.userId]);
+                }
+
+                if (result.status === 'created' || result.status === 'enrolled') {
+                    await tx.dbRun(`
+                        INSERT INTO enrollments (course_id, student_id, section_id) VALUES (?, ?, ?)
+                        ON CONFLICT(course_id, student_id) DO UPDATE SET section_id = COALESCE(excluded.section_id, section_id)
+                    `, [courseId, result.userId, result.sectionId]);
+                }
+            }
+        });
+    }
+
+    return {
+        results: results.map(result => ({
+            line: result.line,
+            name: result.name,
+            email: result.email,
+            studentNumber: result.studentNumber,
+            section: result.section || null,
+            status: result.status,
+            message: result.message,
+            userId: result.userId,
+            inviteUrl: result.inviteUrl || null,
+            temporaryPassword: result.temporaryPassword || null
+        })),
+        summary: summarize(results)
+    };
+}
+
+// Spreadsheet rows for the downloadable per-row report, header first
+function rosterReport(results) {
+    const header = ['Line', 'Name', 'Email', 'Student ID', 'Section', 'Result', 'Message', 'Invite link', 'Temporary password'];
+    return [header, ...results.map(result => [
+        result.line, result.name, result.email, result.studentNumber, result.section,
+        result.status, result.message, result.inviteUrl, result.temporaryPassword
+    ])];
+}
+
+module.exports = {
+    RosterError,
+    importRoster,
+    rosterReport
+};
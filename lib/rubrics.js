@@ -0,0 +1,137 @@
+// Rubric validation and scoring
+//
+// A rubric is a list of criteria. Each criterion has a relative weight and a set
+// of point bands (levels) with descriptors. A criterion's score is expressed in
+// band points; the weighted total is scaled so that the maximum equals the sum
+// of the weights (weights of 40/30/20/10 give a rubric out of 100).
+
+class RubricValidationError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'RubricValidationError';
+        this.status = 400;
+    }
+}
+
+function toNumber(value, label) {
+    const number = Number(value);
+    if (value === undefined || value === null || value === '' || !Number.isFinite(number)) {
+        throw new RubricValidationError(`${label} must be a number`);
+    }
+    return number;
+}
+
+function normalizeRubric(input) {
+    if (!input || typeof input !== 'object') {
+        throw new RubricValidationError('Rubric is required');
+    }
+
+    const title = (input.title || '').trim();
+    if (!title) {
+        throw new RubricValidationError('Rubric title is required');
+    }
+
+    if (!Array.isArray(input.criteria) || input.criteria.length === 0) {
+        throw new RubricValidationError('A rubric needs at least one criterion');
+    }
+
+    const criteria = input.criteria.map((criterion, index) => {
+        const name = (criterion.name || '').trim();
+        if (!name) {
+            throw new RubricValidationError(`Criterion ${index + 1} needs a name`);
+        }
+
+        const weight = toNumber(criterion.weight, `Weight of "${name}"`);
+        if (weight <= 0) {
+            throw new RubricValidationError(`Weight of "${name}" must be positive`);
+        }
+
+        if (!Array.isArray(criterion.levels) || criterion.levels.length === 0) {
+            throw new RubricValidationError(`Criterion "${name}" needs at least one point band`);
+        }
+
+        const levels = criterion.levels.map(level => {
+            const points = toNumber(level.points, `Band points in "${name}"`);
+            if (points < 0) {
+                throw new RubricValidationError(`Band points in "${name}" cannot be negative`);
+            }
+            return {
+                label: (level.label || '').trim() || `${points} points`,
+                points,
+                descriptor: (level.descriptor || '').trim()
+            };
+        }).sort((a, b) => b.points - a.points);
+
+        if (levels[0].points <= 0) {
+            throw new RubricValidationError(`Criterion "${name}" needs a band worth more than 0 points`);
+        }
+
+        return {
+            name,
+            description: (criterion.description || '').trim(),
+            weight,
+            levels
+        };
+    });
+
+    return {
+        title,
+        description: (input.description || '').trim(),
+        criteria
+    };
+}
+
+function criterionMaxPoints(criterion) {
+    return Math.max(...criterion.levels.map(level => level.points));
+}
+
+function round(value) {
+    return Math.round(value * 100) / 100;
+}
+
+// Computes the weighted total for a set of criterion scores.
+// `scores` is [{ criterionId, points, comment }]; every criterion must be scored.
+function scoreRubric(rubric, scores) {
+    if (!Array.isArray(scores)) {
+        throw new RubricValidationError('Criterion scores are required');
+    }
+
+    const byCriterion = new Map(scores.map(score => [score.criterionId, score]));
+    let total = 0;
+    let maxPoints = 0;
+
+    const criteria = rubric.criteria.map(criterion => {
+        const score = byCriterion.get(criterion.id);
+        if (!score) {
+            throw new RubricValidationError(`Criterion "${criterion.name}" has not been scored`);
+        }
+
+        const max = criterionMaxPoints(criterion);
+        const points = toNumber(score.points, `Score for "${criterion.name}"`);
+        if (points < 0 || points > max) {
+            throw new RubricValidationError(`Score for "${criterion.name}" must be between 0 and ${max}`);
+        }
+
+        total += (points / max) * criterion.weight;
+        maxPoints += criterion.weight;
+
+        return {
+            criterionId: criterion.id,
+            points,
+            comment: (score.comment || '').trim() || null
+        };
+    });
+
+    return {
+        points: round(total),
+        maxPoints: round(maxPoints),
+        criteria
+    };
+}
+
+module.exports = {
+    RubricValidationError,
+    normalizeRubric,
+    criterionMaxPoints,
+    scoreRubric
+};
@@ -0,0 +1,201 @@
+// Sign-in sessions
+//
+// Sessions live in the sessions table, so a restart signs nobody out. Each row
+// keeps the session's data as express-session serializes it, plus what a
+// person needs to recognize it in their list of sessions: the address and
+// browser it last came from and when it was last used. The session id is the
+// cookie's secret, so the list identifies rows by a separate random `id`.
+//
+// Cookie and secret settings come from the environment:
+//
+//   SESSION_SECRET           key for signing the cookie; required in production.
+//                            Comma-separated keys sign with the first and accept all,
+//                            so a key can be rotated without signing everyone out
+//   SESSION_COOKIE_NAME      cookie name (connect.sid)
+//   SESSION_COOKIE_SECURE    true, false or auto, which marks the cookie secure on
+//                            HTTPS requests only (auto); see TRUST_PROXY behind a proxy
+//   SESSION_SAMESITE         lax, strict or none (lax); none needs a secure cookie
+//   SESSION_MAX_AGE_HOURS    how long an unused session lasts (24)
+
+const crypto = require('crypto');
+const session = require('express-session');
+
+const DEFAULT_MAX_AGE_HOURS = 24;
+const SAME_SITE_POLICIES = ['lax', 'strict', 'none'];
+const DEVELOPMENT_SECRET = 'assignment-platform-secret-key';
+
+// The last sighting is written at most this often, not on every request
+const LAST_SEEN_RESOLUTION_MS = 60 * 1000;
+
+function loadSessionConfig(env = process.env) {
+    const secrets = (env.SESSION_SECRET || '').split(',').map(secret => secret.trim()).filter(Boolean);
+    if (!secrets.length) {
+        if (env.NODE_ENV === 'production') {
+            throw new Error('SESSION_SECRET must be set in production');
+        }
+        secrets.push(DEVELOPMENT_SECRET);
+    }
+
+    const secureSetting = (env.SESSION_COOKIE_SECURE || 'auto').toLowerCase();
+    if (!['true', 'false', 'auto'].includes(secureSetting)) {
+        throw new Error('SESSION_COOKIE_SECURE must be true, false or auto');
+    }
+    const sameSite = (env.SESSION_SAMESITE || 'lax').toLowerCase();
+    if (!SAME_SITE_POLICIES.includes(sameSite)) {
+        throw new Error(`SESSION_SAMESITE must be one of: ${SAME_SITE_POLICIES.join(', ')}`);
+    }
+    // Browsers drop SameSite=None cookies that are not also Secure
+    if (sameSite === 'none' && secureSetting !== 'true') {
+        throw new Error('SESSION_SAMESITE=none needs SESSION_COOKIE_SECURE=true');
+    }
+
+    return {
+        name: env.SESSION_COOKIE_NAME || 'connect.sid',
+        secret: secrets,
+        maxAgeMs: (Number(env.SESSION_MAX_AGE_HOURS) || DEFAULT_MAX_AGE_HOURS) * 60 * 60 * 1000,
+        cookie: {
+            httpOnly: true,
+            secure: secureSetting === 'auto' ? 'auto' : secureSetting === 'true',
+            sameSite
+        }
+    };
+}
+
+// The options express-session takes, with `store` as the session store
+function sessionOptions(config, store) {
+    return {
+        name: config.name,
+        secret: config.secret,
+        store,
+        resave: false,
+        saveUninitialized: false,
+        cookie: { ...config.cookie, maxAge: config.maxAgeMs }
+    };
+}
+
+// "Firefox on Windows" and the like, for the list of sessions
+function describeDevice(userAgent) {
+    const agent = userAgent || '';
+    const browsers = [
+        ['Edge', /Edg(e|A|iOS)?\//],
+        ['Opera', /OPR\//],
+        ['Firefox', /Firefox\/|FxiOS\//],
+        ['Chrome', /Chrome\/|CriOS\//],
+        ['Safari', /Safari\//],
+        ['curl', /^curl\//]
+    ];
+    const systems = [
+        ['iOS', /iPhone|iPad|iPod/],
+        ['Android', /Android/],
+        ['Windows', /Windows/],
+        ['macOS', /Mac OS X|Macintosh/],
+        ['ChromeOS', /CrOS/],
+        ['Linux', /Linux/]
+    ];
+    const browser = (browsers.find(([, pattern]) => pattern.test(agent)) || [])[0];
+    const system = (systems.find(([, pattern]) => pattern.test(agent)) || [])[0];
+
+    if (browser && system) return `${browser} on ${system}`;
+    return browser || system || 'Unknown device';
+}
+
+function expiryOf(sess, maxAgeMs) {
+    const expires = sess.cookie && sess.cookie.expires;
+    return new Date(expires ? new Date(expires).getTime() : Date.now() + maxAgeMs).toISOString();
+}
+
+// Keeps express-session's sessions in SQLite through the { dbGet, dbAll, dbRun } helpers
+class SqliteSessionStore extends session.Store {
+    constructor({ dbGet, dbAll, dbRun, maxAgeMs = DEFAULT_MAX_AGE_HOURS * 60 * 60 * 1000 }) {
+        super();
+        this.db = { dbGet, dbAll, dbRun };
+        this.maxAgeMs = maxAgeMs;
+    }
+
+    // A loaded session is marked `persisted`, so set() knows it already has a row
+    get(sid, callback) {
+        this.db.dbGet('SELECT sess FROM sessions WHERE sid = ? AND expires_at > ?', [sid, new Date().toISOString()])
+            .then(row => callback(null, row ? { ...JSON.parse(row.sess), persisted: true } : null), callback);
+    }
+
+    // Only a session that was never stored gets a row. One that was stored is
+    // only updated, so a request still running when its session is revoked
+    // cannot write it back.
+    set(sid, sess, callback = () => {}) {
+        const now = new Date().toISOString();
+        const { persisted, ...data } = JSON.parse(JSON.stringify(sess));
+        const written = persisted ?
+            this.db.dbRun(`
+                UPDATE sessions SET user_id = ?, sess = ?, ip = ?, user_agent = ?, last_seen_at = ?, expires_at = ?
+                WHERE sid = ?
+            `, [data.userId || null, JSON.stringify(data), data.ip || null, data.userAgent || null, now,
+                expiryOf(sess, this.maxAgeMs), sid]) :
+            this.db.dbRun(`
+                INSERT INTO sessions (sid, id, user_id, sess, ip, user_agent, created_at, last_seen_at, expires_at)
+                VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+            `, [sid, crypto.randomUUID(), data.userId || null, JSON.stringify(data), data.ip || null,
+                data.userAgent || null, now, now, expiryOf(sess, this.maxAgeMs)])
+                .then(() => {
+                    sess.persisted = true;
+                });
+        written.then(() => callback(null), callback);
+    }
+
+    // Called on requests that leave the session unchanged; never brings back a revoked session
+    touch(sid, sess, callback = () => {}) {
+        const now = Date.now();
+        this.db.dbRun(`
+            UPDATE sessions SET expires_at = ?, last_seen_at = ?
+            WHERE sid = ? AND (last_seen_at IS NULL OR last_seen_at < ?)
+        `, [expiryOf(sess, this.maxAgeMs), new Date(now).toISOString(), sid,
+            new Date(now - LAST_SEEN_RESOLUTION_MS).toISOString()])
+            .then(() => callback(null), callback);
+    }
+
+    destroy(sid, callback = () => {}) {
+        this.db.dbRun('DELETE FROM sessions WHERE sid = ?', [sid]).then(() => callback(null), callback);
+    }
+
+    clear(callback = () => {}) {
+        this.db.dbRun('DELETE FROM sessions').then(() => callback(null), callback);
+    }
+
+    length(callback) {
+        this.db.dbGet('SELECT COUNT(*) as count FROM sessions WHERE expires_at > ?', [new Date().toISOString()])
+            .then(row => callback(null, row.count), callback);
+    }
+
+    // A user's unexpired sessions, most recently used first, as
+    // { id, sid, device, ip, created_at, last_seen_at, expires_at }
+    async listForUser(userId) {
+        const rows = await this.db.dbAll(`
+            SELECT sid, id, ip, user_agent, created_at, last_seen_at, expires_at FROM sessions
+            WHERE user_id = ? AND expires_at > ?
+            ORDER BY last_seen_at DESC
+        `, [userId, new Date().toISOString()]);
+        return rows.map(row => ({ ...row, device: describeDevice(row.user_agent) }));
+    }
+
+    // Ends a user's sessions, all but `exceptSid` if given. Returns the ended session ids.
+    async destroyForUser(userId, { exceptSid = null, id = null } = {}) {
+        const rows = await this.db.dbAll(`
+            SELECT sid FROM sessions
+            WHERE user_id = ? AND sid IS NOT ? AND (? IS NULL OR id = ?)
+        `, [userId, exceptSid, id, id]);
+        for (const { sid } of rows) {
+            await this.db.dbRun('DELETE FROM sessions WHERE sid = ?', [sid]);
+        }
+        return rows.map(row => row.sid);
+    }
+
+    prune(now = new Date()) {
+        return this.db.dbRun('DELETE FROM sessions WHERE expires_at < ?', [now.toISOString()]);
+    }
+}
+
+module.exports = {
+    loadSessionConfig,
+    sessionOptions,
+    describeDevice,
+    SqliteSessionStore
+};
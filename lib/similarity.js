@@ -0,0 +1,387 @@
+// Source similarity
+//
+// Compares the submissions of one assignment with winnowing (Schleimer,
+// Wilkerson and Aiken, "Winnowing: Local Algorithms for Document
+// Fingerprinting"). Source files are reduced to a token stream in which
+// identifiers, strings and numbers are replaced by placeholders, so renaming
+// variables or reformatting does not hide a copy. Hashes of every k-token run
+// are winnowed down to one fingerprint per window, and two submissions are
+// compared by the fingerprints they share.
+//
+// Fingerprints that also occur in the starter code say nothing about copying
+// and are ignored, as are those shared by nearly every submission: more than
+// SIMILARITY_COMMON_PERCENT of them (80) and more than four. A group copying
+// one solution stays well under that, so its shared code still counts. The
+// report says how many fingerprints were ignored as common.
+
+const { execFile } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+class SimilarityError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'SimilarityError';
+        this.status = 400;
+    }
+}
+
+const SOURCE_EXTENSIONS = new Set([
+    '.c', '.cc', '.cpp', '.cs', '.css', '.go', '.h', '.hpp', '.html', '.java', '.js', '.jsx', '.kt',
+    '.m', '.php', '.py', '.rb', '.rs', '.scala', '.sh', '.sql', '.swift', '.ts', '.tsx', '.vue'
+]);
+const IGNORED_DIRECTORIES = new Set([
+    '.git', '.idea', '.vscode', '__pycache__', 'bin', 'build', 'coverage', 'dist', 'node_modules',
+    'obj', 'target', 'vendor', 'venv'
+]);
+
+const MAX_FILE_BYTES = 256 * 1024;
+const MAX_SUBMISSION_BYTES = 4 * 1024 * 1024;
+
+const KGRAM = 12;
+const WINDOW = 8;
+const DEFAULT_COMMON_PERCENT = 80;
+const MIN_COMMON_HOLDERS = 4;
+
+function loadSimilarityConfig(env = process.env) {
+    const commonPercent = env.SIMILARITY_COMMON_PERCENT === undefined || env.SIMILARITY_COMMON_PERCENT === ''
+        ? DEFAULT_COMMON_PERCENT
+        : Number(env.SIMILARITY_COMMON_PERCENT);
+    if (!Number.isFinite(commonPercent) || commonPercent <= 0 || commonPercent > 100) {
+        throw new Error('SIMILARITY_COMMON_PERCENT must be a number above 0 and at most 100');
+    }
+    return { commonPercent };
+}
+
+// Words kept as themselves; every other identifier becomes a placeholder
+const KEYWORDS = new Set([
+    'abstract', 'and', 'as', 'async', 'await', 'break', 'case', 'catch', 'class', 'const', 'continue',
+    'def', 'default', 'del', 'do', 'elif', 'else', 'enum', 'except', 'export', 'extends', 'false',
+    'final', 'finally', 'fn', 'for', 'from', 'func', 'function', 'if', 'implements', 'import', 'in',
+    'instanceof', 'interface', 'is', 'lambda', 'let', 'match', 'new', 'nil', 'none', 'not', 'null',
+    'or', 'package', 'pass', 'private', 'protected', 'public', 'raise', 'return', 'self', 'static',
+    'struct', 'super', 'switch', 'this', 'throw', 'throws', 'true', 'try', 'typeof', 'var', 'void',
+    'while', 'with', 'yield'
+]);
+
+const TOKEN = new RegExp([
+    '(\\/\\/[^\\n]*|#[^\\n]*)',                           // 1 line comment
+    '(\\/\\*[\\s\\S]*?\\*\\/)',                           // 2 block comment
+    '("""[\\s\\S]*?"""|\'\'\'[\\s\\S]*?\'\'\')',          // 3 docstring
+    '("(?:\\\\.|[^"\\\\\\n])*"|\'(?:\\\\.|[^\'\\\\\\n])*\'|`(?:\\\\.|[^`\\\\])*`)', // 4 string
+    '(\\d[\\w.]*)',                                       // 5 number
+    '([A-Za-z_$][\\w$]*)',                                // 6 word
+    '(\\n)',                                              // 7 newline
+    '([^\\s\\w])'                                         // 8 punctuation
+].join('|'), 'g');
+
+// Returns [{ text, line }]; comments and whitespace are dropped
+function tokenize(source) {
+    const tokens = [];
+    let line = 1;
+    let match;
+
+    TOKEN.lastIndex = 0;
+    while ((match = TOKEN.exec(source)) !== null) {
+        const [lexeme, lineComment, blockComment, docstring, string, number, word, newline] = match;
+        let text = null;
+
+        if (newline) {
+            line++;
+            continue;
+        } else if (string || docstring) {
+            text = 'S';
+        } else if (number) {
+            text = 'N';
+        } else if (word) {
+            text = KEYWORDS.has(word.toLowerCase()) ? word.toLowerCase() : 'V';
+        } else if (!lineComment && !blockComment) {
+            text = lexeme;
+        }
+
+        if (text) tokens.push({ text, line });
+        line += (lexeme.match(/\n/g) || []).length - (newline ? 1 : 0);
+    }
+    return tokens;
+}
+
+// 32-bit FNV-1a over the k-gram's token texts
+function hashKgram(tokens, start) {
+    let hash = 0x811c9dc5;
+    for (let i = start; i < start + KGRAM; i++) {
+        const text = tokens[i].text;
+        for (let c = 0; c < text.length; c++) {
+            hash ^= text.charCodeAt(c);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        hash ^= 0x20;
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+}
+
+// Winnowing: the rightmost minimum hash of each window, recorded once per position
+function fingerprint(tokens) {
+    if (tokens.length < KGRAM) return [];
+
+    const hashes = [];
+    for (let i = 0; i + KGRAM <= tokens.length; i++) {
+        hashes.push(hashKgram(tokens, i));
+    }
+
+    const fingerprints = [];
+    let previous = -1;
+    const windowSize = Math.min(WINDOW, hashes.length);
+    for (let start = 0; start + windowSize <= hashes.length; start++) {
+        let min = start;
+        for (let i = start; i < start + windowSize; i++) {
+            if (hashes[i] <= hashes[min]) min = i;
+        }
+        if (min !== previous) {
+            fingerprints.push({
+                hash: hashes[min],
+                startLine: tokens[min].line,
+                endLine: tokens[min + KGRAM - 1].line
+            });
+            previous = min;
+        }
+    }
+    return fingerprints;
+}
+
+function isSourceFile(relativePath) {
+    return SOURCE_EXTENSIONS.has(path.extname(relativePath).toLowerCase()) &&
+        !relativePath.split('/').some(part => IGNORED_DIRECTORIES.has(part)) &&
+        !/\.min\.(js|css)$/.test(relativePath);
+}
+
+async function walk(directory, root = directory, files = []) {
+    for (const entry of await fs.promises.readdir(directory, { withFileTypes: true })) {
+        const full = path.join(directory, entry.name);
+        if (entry.isDirectory()) {
+            if (!IGNORED_DIRECTORIES.has(entry.name)) await walk(full, root, files);
+        } else if (entry.isFile()) {
+            files.push(path.relative(root, full).split(path.sep).join('/'));
+        }
+    }
+    return files;
+}
+
+// Unpacks a snapshot tarball and returns its source files as [{ path, content }]
+async function readSnapshotSources(archivePath, workDir = os.tmpdir()) {
+    await fs.promises.mkdir(workDir, { recursive: true });
+    const directory = await fs.promises.mkdtemp(path.join(workDir, 'similarity-'));
+
+    try {
+        await new Promise((resolve, reject) => {
+            execFile('tar', ['-xzf', archivePath, '-C', directory], { timeout: 60000 }, (err, stdout, stderr) => {
+                if (err) return reject(new Error(`Could not unpack snapshot: ${(stderr || err.message).trim()}`));
+                resolve();
+            });
+        });
+
+        const sources = [];
+        let total = 0;
+        for (const relativePath of (await walk(directory)).sort()) {
+            if (!isSourceFile(relativePath)) continue;
+            const stats = await fs.promises.stat(path.join(directory, relativePath));
+            if (stats.size > MAX_FILE_BYTES || total + stats.size > MAX_SUBMISSION_BYTES) continue;
+            total += stats.size;
+            sources.push({ path: relativePath, content: await fs.promises.readFile(path.join(directory, relativePath), 'utf8') });
+        }
+        return sources;
+    } finally {
+        await fs.promises.rm(directory, { recursive: true, force: true });
+    }
+}
+
+// Starter code uploaded by the professor: [{ path, content }]
+function normalizeStarterFiles(input) {
+    if (!Array.isArray(input)) {
+        throw new SimilarityError('Starter files must be a list');
+    }
+
+    const files = input.map(file => {
+        const filePath = String((file && file.path) || '').trim().replace(/\\/g, '/');
+        const content = String((file && file.content) || '');
+        if (!filePath || filePath.length > 200) {
+            throw new SimilarityError('Every starter file needs a path of at most 200 characters');
+        }
+        if (Buffer.byteLength(content) > MAX_FILE_BYTES) {
+            throw new SimilarityError(`Starter file "${filePath}" is larger than ${MAX_FILE_BYTES / 1024} KB`);
+        }
+        return { path: filePath, content };
+    });
+
+    if (new Set(files.map(file => file.path)).size !== files.length) {
+        throw new SimilarityError('Starter file paths must be unique');
+    }
+    return files;
+}
+
+// `sources` is [{ path, content }]; returns { files, hashes } with hashes deduplicated
+function buildDocument(sources) {
+    const files = sources.map(source => ({
+        path: source.path,
+        lines: source.content.split('\n'),
+        fingerprints: fingerprint(tokenize(source.content))
+    }));
+    const hashes = new Set();
+    files.forEach(file => file.fingerprints.forEach(print => hashes.add(print.hash)));
+    return { files, hashes };
+}
+
+// Joins the fingerprint hits of one file pair into line ranges on both sides
+function mergeRegions(hits) {
+    hits.sort((x, y) => x.a.startLine - y.a.startLine || x.b.startLine - y.b.startLine);
+
+    const regions = [];
+    for (const hit of hits) {
+        const last = regions[regions.length - 1];
+        if (last && hit.a.startLine <= last.endA + 2 && hit.b.startLine <= last.endB + 2 && hit.b.endLine >= last.startB - 2) {
+            last.endA = Math.max(last.endA, hit.a.endLine);
+            last.startB = Math.min(last.startB, hit.b.startLine);
+            last.endB = Math.max(last.endB, hit.b.endLine);
+            last.fingerprints++;
+        } else {
+            regions.push({
+                startA: hit.a.startLine, endA: hit.a.endLine,
+                startB: hit.b.startLine, endB: hit.b.endLine,
+                fingerprints: 1
+            });
+        }
+    }
+    return regions;
+}
+
+const MAX_REGIONS = 25;
+const MAX_REGION_LINES = 80;
+
+function excerpt(lines, start, end) {
+    return lines.slice(start - 1, Math.min(end, start + MAX_REGION_LINES - 1)).join('\n');
+}
+
+// Matching regions between two documents, largest first, with the code on each side
+function matchRegions(docA, docB, shared) {
+    const positionsB = new Map();
+    for (const file of docB.files) {
+        for (const print of file.fingerprints) {
+            if (!shared.has(print.hash)) continue;
+            if (!positionsB.has(print.hash)) positionsB.set(print.hash, []);
+            positionsB.get(print.hash).push({ file, print });
+        }
+    }
+
+    const hitsByFilePair = new Map();
+    for (const fileA of docA.files) {
+        for (const print of fileA.fingerprints) {
+            for (const { file: fileB, print: printB } of positionsB.get(print.hash) || []) {
+                const key = `${fileA.path}\0${fileB.path}`;
+                if (!hitsByFilePair.has(key)) hitsByFilePair.set(key, { fileA, fileB, hits: [] });
+                hitsByFilePair.get(key).hits.push({ a: print, b: printB });
+            }
+        }
+    }
+
+    const regions = [];
+    for (const { fileA, fileB, hits } of hitsByFilePair.values()) {
+        for (const region of mergeRegions(hits)) {
+            regions.push({
+                fileA: fileA.path, startA: region.startA, endA: region.endA, codeA: excerpt(fileA.lines, region.startA, region.endA),
+                fileB: fileB.path, startB: region.startB, endB: region.endB, codeB: excerpt(fileB.lines, region.startB, region.endB),
+                fingerprints: region.fingerprints
+            });
+        }
+    }
+
+    return regions
+        .sort((x, y) => y.fingerprints - x.fingerprints || (y.endA - y.startA) - (x.endA - x.startA))
+        .slice(0, MAX_REGIONS);
+}
+
+// `submissions` is [{ id, sources }], `starterSources` is [{ path, content }].
+// Returns { pairs, commonFingerprints }: the pairs sharing at least one
+// fingerprint, most similar first, as [{ a, b, score, percentA, percentB,
+// shared, regions }] where score is the share of the smaller submission's
+// fingerprints that also appear in the other; and how many fingerprints were
+// ignored for being shared by more than `commonPercent` of the submissions.
+function compareSubmissions(submissions, starterSources = [],
+                            { maxPairs = 100, commonPercent = DEFAULT_COMMON_PERCENT } = {}) {
+    const starter = buildDocument(starterSources).hashes;
+    const documents = submissions.map(submission => {
+        const document = buildDocument(submission.sources);
+        starter.forEach(hash => document.hashes.delete(hash));
+        return { id: submission.id, ...document };
+    });
+
+    // Boilerplate everyone writes the same way is not evidence
+    const holders = new Map();
+    documents.forEach((document, index) => {
+        document.hashes.forEach(hash => {
+            if (!holders.has(hash)) holders.set(hash, []);
+            holders.get(hash).push(index);
+        });
+    });
+    const commonLimit = Math.max(MIN_COMMON_HOLDERS, Math.floor(documents.length * commonPercent / 100));
+
+    const sharedByPair = new Map();
+    let commonFingerprints = 0;
+    for (const [hash, indexes] of holders) {
+        if (indexes.length < 2) continue;
+        if (indexes.length > commonLimit) {
+            documents.forEach(document => document.hashes.delete(hash));
+            commonFingerprints++;
+            continue;
+        }
+        for (let i = 0; i < indexes.length; i++) {
+            for (let j = i + 1; j < indexes.length; j++) {
+                const key = `${indexes[i]},${indexes[j]}`;
+                if (!sharedByPair.has(key)) sharedByPair.set(key, new Set());
+                sharedByPair.get(key).add(hash);
+            }
+        }
+    }
+
+    const pairs = [];
+    for (const [key, shared] of sharedByPair) {
+        const [i, j] = key.split(',').map(Number);
+        const sizeA = documents[i].hashes.size;
+        const sizeB = documents[j].hashes.size;
+        if (!sizeA || !sizeB) continue;
+        pairs.push({
+            i, j, shared,
+            score: shared.size / Math.min(sizeA, sizeB),
+            percentA: shared.size / sizeA,
+            percentB: shared.size / sizeB
+        });
+    }
+
+    const ranked = pairs
+        .sort((x, y) => y.score - x.score || y.shared.size - x.shared.size)
+        .slice(0, maxPairs)
+        .map(pair => ({
+            a: documents[pair.i].id,
+            b: documents[pair.j].id,
+            score: round(pair.score),
+            percentA: round(pair.percentA),
+            percentB: round(pair.percentB),
+            shared: pair.shared.size,
+            regions: matchRegions(documents[pair.i], documents[pair.j], pair.shared)
+        }));
+    return { pairs: ranked, commonFingerprints };
+}
+
+function round(fraction) {
+    return Math.round(fraction * 1000) / 10;
+}
+
+module.exports = {
+    SimilarityError,
+    loadSimilarityConfig,
+    normalizeStarterFiles,
+    tokenize,
+    fingerprint,
+    readSnapshotSources,
+    compareSubmissions
+};
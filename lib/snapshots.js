@@ -0,0 +1,158 @@
+// Repository snapshots
+//
+// A stored repo link can keep changing after the deadline, so the server takes
+// its own copy: each repository is mirrored under <archiveDir>/mirrors, the
+// pinned ref (or HEAD) is resolved to a commit, and that tree is written to
+// <archiveDir>/<submissionId>/<kind>-<sha>.tar.gz. Commits whose committer
+// date falls after the deadline are counted so graders can see them.
+//
+// Everything shells out to the git binary with prompts disabled and a timeout,
+// so an unreachable or private repository fails instead of hanging.
+//
+// Before fetching, the repository's host is looked up and refused if any of
+// its addresses is local or private (see repo-url.js), unless it is listed in
+// PRIVATE_REPO_HOSTS, e.g. an on-campus GitLab. Git is not allowed to follow
+// redirects, which could lead it somewhere the lookup never saw.
+
+const { execFile } = require('child_process');
+const crypto = require('crypto');
+const dns = require('dns');
+const fs = require('fs');
+const path = require('path');
+const { isPrivateAddress, isPrivateHost } = require('./repo-url');
+
+class SnapshotError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'SnapshotError';
+    }
+}
+
+const DEFAULT_TIMEOUT_MS = 120000;
+
+function loadSnapshotConfig(env = process.env) {
+    return {
+        archiveDir: path.resolve(env.SNAPSHOT_ARCHIVE_DIR || './archive'),
+        timeoutMs: Number(env.SNAPSHOT_TIMEOUT_MS) || DEFAULT_TIMEOUT_MS,
+        allowFileUrls: env.ALLOW_FILE_REPO_URLS === 'true',
+        privateHosts: (env.PRIVATE_REPO_HOSTS || '').split(',').map(host => host.trim().toLowerCase()).filter(Boolean)
+    };
+}
+
+// Refuses a repository whose host is, or resolves to, a local or private address
+async function checkRemoteHost(url, { privateHosts = [] }) {
+    const { protocol, hostname } = new URL(url);
+    if (protocol === 'file:') return;
+
+    const name = hostname.toLowerCase();
+    if (privateHosts.includes(name)) return;
+
+    const refused = new SnapshotError(`${name} is on a local or private network`);
+    if (isPrivateHost(name)) throw refused;
+
+    let addresses;
+    try {
+        addresses = await dns.promises.lookup(name.replace(/^\[|\]$/g, ''), { all: true });
+    } catch (error) {
+        throw new SnapshotError(`Could not resolve ${name}`);
+    }
+    if (addresses.some(entry => isPrivateAddress(entry.address))) throw refused;
+}
+
+function git(args, { cwd, timeoutMs, allowFileUrls }) {
+    const env = {
+        ...process.env,
+        GIT_TERMINAL_PROMPT: '0',
+        GIT_SSH_COMMAND: 'ssh -o BatchMode=yes',
+        GIT_ALLOW_PROTOCOL: allowFileUrls ? 'https:http:ssh:git:file' : 'https:http:ssh:git'
+    };
+
+    return new Promise((resolve, reject) => {
+        const execOptions = { cwd, env, timeout: timeoutMs, maxBuffer: 10 * 1024 * 1024 };
+        execFile('git', ['-c', 'http.followRedirects=false', ...args], execOptions, (err, stdout, stderr) => {
+            if (err) {
+                const reason = err.killed ? `timed out after ${timeoutMs} ms` : (stderr || err.message).trim();
+                return reject(new SnapshotError(`git ${args[0]} failed: ${reason.split('\n').pop()}`));
+            }
+            resolve(stdout.trim());
+        });
+    });
+}
+
+// One bare mirror per repository URL, refreshed on every snapshot
+async function updateMirror(url, options) {
+    const mirrorsDir = path.join(options.archiveDir, 'mirrors');
+    const name = crypto.createHash('sha256').update(url).digest('hex').slice(0, 32);
+    const mirror = path.join(mirrorsDir, `${name}.git`);
+
+    await checkRemoteHost(url, options);
+    await fs.promises.mkdir(mirrorsDir, { recursive: true });
+
+    if (fs.existsSync(path.join(mirror, 'HEAD'))) {
+        await git(['fetch', '--prune', '--tags', '--force', 'origin'], { ...options, cwd: mirror });
+    } else {
+        await fs.promises.rm(mirror, { recursive: true, force: true });
+        await git(['clone', '--mirror', '--quiet', '--', url, mirror], options);
+    }
+    return mirror;
+}
+
+function revisionFor(refType, ref) {
+    switch (refType) {
+        case 'branch':
+            return `refs/heads/${ref}^{commit}`;
+        case 'tag':
+            return `refs/tags/${ref}^{commit}`;
+        case 'commit':
+            return `${ref}^{commit}`;
+        default:
+            return 'HEAD^{commit}';
+    }
+}
+
+// Takes one snapshot. `target` is { url, refType, ref, deadline, submissionId, kind }.
+async function takeSnapshot(target, config) {
+    const options = {
+        archiveDir: config.archiveDir,
+        timeoutMs: config.timeoutMs,
+        allowFileUrls: config.allowFileUrls,
+        privateHosts: config.privateHosts
+    };
+
+    const mirror = await updateMirror(target.url, options);
+    const run = args => git(args, { ...options, cwd: mirror });
+
+    let commitSha;
+    try {
+        commitSha = await run(['rev-parse', '--verify', '--quiet', revisionFor(target.refType, target.ref)]);
+    } catch (error) {
+        throw new SnapshotError(target.ref
+            ? `${target.refType} "${target.ref}" was not found in the repository`
+            : 'The repository has no commits');
+    }
+
+    const committedAt = await run(['show', '-s', '--format=%cI', commitSha]);
+
+    let commitsAfterDeadline = 0;
+    if (target.deadline) {
+        const since = new Date(target.deadline).toISOString();
+        const late = await run(['rev-list', `--since=${since}`, commitSha]);
+        commitsAfterDeadline = late ? late.split('\n').length : 0;
+    }
+
+    const directory = path.join(options.archiveDir, target.submissionId);
+    await fs.promises.mkdir(directory, { recursive: true });
+    const archivePath = path.join(directory, `${target.kind}-${commitSha}.tar.gz`);
+    if (!fs.existsSync(archivePath)) {
+        await run(['archive', '--format=tar.gz', `--output=${archivePath}`, commitSha]);
+    }
+
+    return { commitSha, committedAt, commitsAfterDeadline, archivePath };
+}
+
+module.exports = {
+    SnapshotError,
+    loadSnapshotConfig,
+    checkRemoteHost,
+    takeSnapshot
+};
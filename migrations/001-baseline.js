@@ -0,0 +1,611 @@
+// Baseline: the whole schema as it stood when migrations were introduced.
+//
+// Databases made before then (by the server's own start-up code or by the old
+// scripts/init-database.js) already have most of these tables. CREATE TABLE IF
+// NOT EXISTS leaves those as they are, so such a database keeps its original
+// table definitions; it only gains the tables, columns and indexes it lacks,
+// and its submissions from before versioning become their first version.
+
+const { v4: uuidv4 } = require('uuid');
+
+const TABLES_SQL = `
+    -- Users table
+    CREATE TABLE IF NOT EXISTS users (
+        id TEXT PRIMARY KEY,
+        email TEXT UNIQUE NOT NULL,
+        password_hash TEXT,
+        name TEXT NOT NULL,
+        role TEXT NOT NULL CHECK (role IN ('student', 'ta', 'professor', 'admin')),
+        student_number TEXT UNIQUE,
+        deactivated_at DATETIME,
+        sessions_revoked_at DATETIME,
+        -- Set while a self-registered account waits for its email to be confirmed
+        verification_sent_at DATETIME,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    );
+
+    -- Invite links for accounts created by a roster import or an administrator; only a hash of the token is kept
+    CREATE TABLE IF NOT EXISTS account_invites (
+        id TEXT PRIMARY KEY,
+        user_id TEXT NOT NULL,
+        token_hash TEXT UNIQUE NOT NULL,
+        created_by TEXT,
+        expires_at DATETIME NOT NULL,
+        used_at DATETIME,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE,
+        FOREIGN KEY (created_by) REFERENCES users (id) ON DELETE SET NULL
+    );
+
+    -- Sign-in sessions, stored by lib/sessions.js; sid is the cookie's session id
+    CREATE TABLE IF NOT EXISTS sessions (
+        sid TEXT PRIMARY KEY,
+        id TEXT UNIQUE NOT NULL,
+        user_id TEXT,
+        sess TEXT NOT NULL,
+        ip TEXT,
+        user_agent TEXT,
+        created_at DATETIME,
+        last_seen_at DATETIME,
+        expires_at DATETIME NOT NULL,
+        FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
+    );
+
+    -- Failed sign-in counters per client address, account or email address (see lib/login-throttle.js)
+    CREATE TABLE IF NOT EXISTS auth_throttles (
+        scope TEXT NOT NULL CHECK (scope IN ('ip', 'account', 'email')),
+        key TEXT NOT NULL,
+        failures INTEGER NOT NULL DEFAULT 0,
+        first_failure_at DATETIME,
+        last_failure_at DATETIME,
+        blocked_until DATETIME,
+        locked_at DATETIME,
+        PRIMARY KEY (scope, key)
+    );
+
+    -- Account locks and unlocks, kept as a record
+    CREATE TABLE IF NOT EXISTS auth_lockout_events (
+        id TEXT PRIMARY KEY,
+        scope TEXT NOT NULL,
+        key TEXT NOT NULL,
+        user_id TEXT,
+        event TEXT NOT NULL CHECK (event IN ('locked', 'unlocked')),
+        reason TEXT,
+        actor_id TEXT,
+        ip TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE SET NULL,
+        FOREIGN KEY (actor_id) REFERENCES users (id) ON DELETE SET NULL
+    );
+
+    -- Emailed forgotten-password links; single use, and only a hash of the token is kept
+    CREATE TABLE IF NOT EXISTS password_resets (
+        id TEXT PRIMARY KEY,
+        user_id TEXT NOT NULL,
+        token_hash TEXT UNIQUE NOT NULL,
+        expires_at DATETIME NOT NULL,
+        used_at DATETIME,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
+    );
+
+    -- Assignments table
+    CREATE TABLE IF NOT EXISTS assignments (
+        id TEXT PRIMARY KEY,
+        title TEXT NOT NULL,
+        description TEXT,
+        deadline DATETIME NOT NULL,
+        instructions TEXT,
+        created_by TEXT NOT NULL,
+        rubric_id TEXT,
+        course_id TEXT,
+        late_policy TEXT NOT NULL DEFAULT 'hard_close' CHECK (late_policy IN ('hard_close', 'grace', 'accept_until')),
+        grace_period_minutes INTEGER NOT NULL DEFAULT 0,
+        late_cutoff DATETIME,
+        late_penalty_percent REAL NOT NULL DEFAULT 0 CHECK (late_penalty_percent BETWEEN 0 AND 100),
+        late_penalty_unit TEXT NOT NULL DEFAULT 'day' CHECK (late_penalty_unit IN ('day', 'hour')),
+        allowed_hosts TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (created_by) REFERENCES users (id) ON DELETE CASCADE,
+        FOREIGN KEY (rubric_id) REFERENCES rubrics (id) ON DELETE SET NULL,
+        FOREIGN KEY (course_id) REFERENCES courses (id) ON DELETE CASCADE
+    );
+
+    -- Submissions table
+    CREATE TABLE IF NOT EXISTS submissions (
+        id TEXT PRIMARY KEY,
+        assignment_id TEXT NOT NULL,
+        student_id TEXT NOT NULL,
+        repo_link TEXT NOT NULL,
+        submitted_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        status TEXT DEFAULT 'submitted' CHECK (status IN ('submitted', 'late', 'graded')),
+        minutes_late INTEGER NOT NULL DEFAULT 0,
+        late_penalty REAL NOT NULL DEFAULT 0,
+        repo_host TEXT,
+        repo_path TEXT,
+        repo_ref_type TEXT CHECK (repo_ref_type IN ('branch', 'tag', 'commit')),
+        repo_ref TEXT,
+        counted_version_id TEXT,
+        FOREIGN KEY (assignment_id) REFERENCES assignments (id) ON DELETE CASCADE,
+        FOREIGN KEY (student_id) REFERENCES users (id) ON DELETE CASCADE,
+        UNIQUE(assignment_id, student_id)
+    );
+
+    -- Every hand-in, kept as an immutable version of its submission
+    CREATE TABLE IF NOT EXISTS submission_versions (
+        id TEXT PRIMARY KEY,
+        submission_id TEXT NOT NULL,
+        version INTEGER NOT NULL CHECK (version > 0),
+        repo_link TEXT NOT NULL,
+        submitted_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        status TEXT NOT NULL CHECK (status IN ('submitted', 'late')),
+        minutes_late INTEGER NOT NULL DEFAULT 0,
+        late_penalty REAL NOT NULL DEFAULT 0,
+        repo_host TEXT,
+        repo_path TEXT,
+        repo_ref_type TEXT CHECK (repo_ref_type IN ('branch', 'tag', 'commit')),
+        repo_ref TEXT,
+        ip_address TEXT,
+        user_agent TEXT,
+        FOREIGN KEY (submission_id) REFERENCES submissions (id) ON DELETE CASCADE,
+        UNIQUE(submission_id, version)
+    );
+
+    CREATE TRIGGER IF NOT EXISTS submission_versions_immutable
+    BEFORE UPDATE ON submission_versions
+    BEGIN
+        SELECT RAISE(ABORT, 'submission versions are immutable');
+    END;
+
+    -- Server-side copies of submitted repositories, at hand-in and at the deadline
+    CREATE TABLE IF NOT EXISTS repo_snapshots (
+        id TEXT PRIMARY KEY,
+        submission_id TEXT NOT NULL,
+        version_id TEXT,
+        kind TEXT NOT NULL CHECK (kind IN ('submission', 'deadline')),
+        status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'running', 'complete', 'failed')),
+        repo_url TEXT NOT NULL,
+        ref_type TEXT,
+        ref TEXT,
+        deadline DATETIME,
+        commit_sha TEXT,
+        committed_at DATETIME,
+        commits_after_deadline INTEGER,
+        archive_path TEXT,
+        error TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        completed_at DATETIME,
+        FOREIGN KEY (submission_id) REFERENCES submissions (id) ON DELETE CASCADE,
+        FOREIGN KEY (version_id) REFERENCES submission_versions (id) ON DELETE SET NULL
+    );
+
+    -- Autograder: test command and files per assignment, and one row per run
+    CREATE TABLE IF NOT EXISTS autograder_configs (
+        assignment_id TEXT PRIMARY KEY,
+        command TEXT NOT NULL,
+        timeout_seconds INTEGER NOT NULL DEFAULT 60 CHECK (timeout_seconds BETWEEN 1 AND 600),
+        memory_mb INTEGER NOT NULL DEFAULT 512 CHECK (memory_mb BETWEEN 64 AND 4096),
+        prefill_grade INTEGER NOT NULL DEFAULT 0 CHECK (prefill_grade IN (0, 1)),
+        max_points REAL NOT NULL DEFAULT 100 CHECK (max_points > 0),
+        updated_by TEXT,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (assignment_id) REFERENCES assignments (id) ON DELETE CASCADE,
+        FOREIGN KEY (updated_by) REFERENCES users (id)
+    );
+
+    CREATE TABLE IF NOT EXISTS autograder_files (
+        id TEXT PRIMARY KEY,
+        assignment_id TEXT NOT NULL,
+        path TEXT NOT NULL,
+        content TEXT NOT NULL,
+        FOREIGN KEY (assignment_id) REFERENCES assignments (id) ON DELETE CASCADE,
+        UNIQUE(assignment_id, path)
+    );
+
+    CREATE TABLE IF NOT EXISTS autograder_runs (
+        id TEXT PRIMARY KEY,
+        submission_id TEXT NOT NULL,
+        snapshot_id TEXT NOT NULL,
+        status TEXT NOT NULL DEFAULT 'queued' CHECK (status IN ('queued', 'running', 'passed', 'failed', 'error')),
+        tests_passed INTEGER,
+        tests_failed INTEGER,
+        exit_code INTEGER,
+        log TEXT,
+        duration_ms INTEGER,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        completed_at DATETIME,
+        FOREIGN KEY (submission_id) REFERENCES submissions (id) ON DELETE CASCADE,
+        FOREIGN KEY (snapshot_id) REFERENCES repo_snapshots (id) ON DELETE CASCADE
+    );
+
+    -- Similarity reports: starter code to ignore, and ranked pairs per report
+    CREATE TABLE IF NOT EXISTS similarity_starter_files (
+        id TEXT PRIMARY KEY,
+        assignment_id TEXT NOT NULL,
+        path TEXT NOT NULL,
+        content TEXT NOT NULL,
+        FOREIGN KEY (assignment_id) REFERENCES assignments (id) ON DELETE CASCADE,
+        UNIQUE(assignment_id, path)
+    );
+
+    CREATE TABLE IF NOT EXISTS similarity_reports (
+        id TEXT PRIMARY KEY,
+        assignment_id TEXT NOT NULL,
+        status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'running', 'complete', 'failed')),
+        submission_count INTEGER,
+        skipped_count INTEGER,
+        error TEXT,
+        requested_by TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        completed_at DATETIME,
+        FOREIGN KEY (assignment_id) REFERENCES assignments (id) ON DELETE CASCADE,
+        FOREIGN KEY (requested_by) REFERENCES users (id)
+    );
+
+    CREATE TABLE IF NOT EXISTS similarity_pairs (
+        id TEXT PRIMARY KEY,
+        report_id TEXT NOT NULL,
+        submission_a TEXT NOT NULL,
+        submission_b TEXT NOT NULL,
+        score REAL NOT NULL CHECK (score BETWEEN 0 AND 100),
+        percent_a REAL NOT NULL,
+        percent_b REAL NOT NULL,
+        shared_fingerprints INTEGER NOT NULL,
+        regions TEXT NOT NULL,
+        FOREIGN KEY (report_id) REFERENCES similarity_reports (id) ON DELETE CASCADE,
+        FOREIGN KEY (submission_a) REFERENCES submissions (id) ON DELETE CASCADE,
+        FOREIGN KEY (submission_b) REFERENCES submissions (id) ON DELETE CASCADE
+    );
+
+    -- Grades table
+    CREATE TABLE IF NOT EXISTS grades (
+        id TEXT PRIMARY KEY,
+        submission_id TEXT UNIQUE NOT NULL,
+        points REAL NOT NULL CHECK (points >= 0),
+        raw_points REAL,
+        late_penalty REAL NOT NULL DEFAULT 0,
+        max_points REAL NOT NULL DEFAULT 100 CHECK (max_points > 0),
+        feedback TEXT,
+        graded_by TEXT NOT NULL,
+        graded_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (submission_id) REFERENCES submissions (id) ON DELETE CASCADE,
+        FOREIGN KEY (graded_by) REFERENCES users (id)
+    );
+
+    -- Courses owned by a professor, split into sections; ta_* say what the course's TAs may do
+    CREATE TABLE IF NOT EXISTS courses (
+        id TEXT PRIMARY KEY,
+        code TEXT NOT NULL,
+        title TEXT NOT NULL,
+        description TEXT,
+        owner_id TEXT NOT NULL,
+        ta_view_submissions INTEGER NOT NULL DEFAULT 1 CHECK (ta_view_submissions IN (0, 1)),
+        ta_grade_submissions INTEGER NOT NULL DEFAULT 1 CHECK (ta_grade_submissions IN (0, 1)),
+        ta_comment INTEGER NOT NULL DEFAULT 1 CHECK (ta_comment IN (0, 1)),
+        ta_grant_extensions INTEGER NOT NULL DEFAULT 0 CHECK (ta_grant_extensions IN (0, 1)),
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (owner_id) REFERENCES users (id) ON DELETE CASCADE,
+        UNIQUE(owner_id, code)
+    );
+
+    CREATE TABLE IF NOT EXISTS course_sections (
+        id TEXT PRIMARY KEY,
+        course_id TEXT NOT NULL,
+        name TEXT NOT NULL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (course_id) REFERENCES courses (id) ON DELETE CASCADE,
+        UNIQUE(course_id, name)
+    );
+
+    -- Teaching assistants of a course
+    CREATE TABLE IF NOT EXISTS course_tas (
+        course_id TEXT NOT NULL,
+        user_id TEXT NOT NULL,
+        added_by TEXT,
+        added_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (course_id, user_id),
+        FOREIGN KEY (course_id) REFERENCES courses (id) ON DELETE CASCADE,
+        FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE,
+        FOREIGN KEY (added_by) REFERENCES users (id) ON DELETE SET NULL
+    );
+
+    -- Codes that register and enroll students; max_uses NULL means no limit
+    CREATE TABLE IF NOT EXISTS course_invite_codes (
+        id TEXT PRIMARY KEY,
+        course_id TEXT NOT NULL,
+        code TEXT UNIQUE NOT NULL,
+        section_id TEXT,
+        created_by TEXT,
+        expires_at DATETIME NOT NULL,
+        max_uses INTEGER CHECK (max_uses IS NULL OR max_uses > 0),
+        use_count INTEGER NOT NULL DEFAULT 0,
+        revoked_at DATETIME,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (course_id) REFERENCES courses (id) ON DELETE CASCADE,
+        FOREIGN KEY (section_id) REFERENCES course_sections (id) ON DELETE SET NULL,
+        FOREIGN KEY (created_by) REFERENCES users (id) ON DELETE SET NULL
+    );
+
+    CREATE TABLE IF NOT EXISTS course_invite_redemptions (
+        code_id TEXT NOT NULL,
+        user_id TEXT NOT NULL,
+        redeemed_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (code_id, user_id),
+        FOREIGN KEY (code_id) REFERENCES course_invite_codes (id) ON DELETE CASCADE,
+        FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
+    );
+
+    -- Student enrollment, optionally in one section of the course
+    CREATE TABLE IF NOT EXISTS enrollments (
+        course_id TEXT NOT NULL,
+        student_id TEXT NOT NULL,
+        section_id TEXT,
+        enrolled_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (course_id, student_id),
+        FOREIGN KEY (course_id) REFERENCES courses (id) ON DELETE CASCADE,
+        FOREIGN KEY (student_id) REFERENCES users (id) ON DELETE CASCADE,
+        FOREIGN KEY (section_id) REFERENCES course_sections (id) ON DELETE SET NULL
+    );
+
+    -- Per-student deadline extensions on a single assignment
+    CREATE TABLE IF NOT EXISTS deadline_extensions (
+        id TEXT PRIMARY KEY,
+        assignment_id TEXT NOT NULL,
+        student_id TEXT NOT NULL,
+        deadline DATETIME NOT NULL,
+        reason TEXT NOT NULL CHECK (length(trim(reason)) > 0),
+        granted_by TEXT NOT NULL,
+        granted_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (assignment_id) REFERENCES assignments (id) ON DELETE CASCADE,
+        FOREIGN KEY (student_id) REFERENCES users (id) ON DELETE CASCADE,
+        FOREIGN KEY (granted_by) REFERENCES users (id),
+        UNIQUE(assignment_id, student_id)
+    );
+
+    -- Extra-time accommodations for a student across a whole course
+    CREATE TABLE IF NOT EXISTS accommodations (
+        id TEXT PRIMARY KEY,
+        course_id TEXT NOT NULL,
+        student_id TEXT NOT NULL,
+        extra_time_percent REAL NOT NULL CHECK (extra_time_percent > 0),
+        reason TEXT NOT NULL CHECK (length(trim(reason)) > 0),
+        granted_by TEXT NOT NULL,
+        granted_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (course_id) REFERENCES courses (id) ON DELETE CASCADE,
+        FOREIGN KEY (student_id) REFERENCES users (id) ON DELETE CASCADE,
+        FOREIGN KEY (granted_by) REFERENCES users (id),
+        UNIQUE(course_id, student_id)
+    );
+
+    -- Email notifications: per-user opt-outs and the outgoing mail queue
+    CREATE TABLE IF NOT EXISTS notification_preferences (
+        user_id TEXT PRIMARY KEY,
+        assignment_published INTEGER NOT NULL DEFAULT 1 CHECK (assignment_published IN (0, 1)),
+        deadline_approaching INTEGER NOT NULL DEFAULT 1 CHECK (deadline_approaching IN (0, 1)),
+        submission_receipt INTEGER NOT NULL DEFAULT 1 CHECK (submission_receipt IN (0, 1)),
+        grade_released INTEGER NOT NULL DEFAULT 1 CHECK (grade_released IN (0, 1)),
+        extension_granted INTEGER NOT NULL DEFAULT 1 CHECK (extension_granted IN (0, 1)),
+        submission_digest INTEGER NOT NULL DEFAULT 1 CHECK (submission_digest IN (0, 1)),
+        digest_sent_at DATETIME,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
+    );
+
+    CREATE TABLE IF NOT EXISTS email_outbox (
+        id TEXT PRIMARY KEY,
+        user_id TEXT NOT NULL,
+        type TEXT NOT NULL,
+        dedupe_key TEXT UNIQUE,
+        to_address TEXT NOT NULL,
+        subject TEXT NOT NULL,
+        text_body TEXT NOT NULL,
+        html_body TEXT NOT NULL,
+        status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'sending', 'sent', 'failed')),
+        attempts INTEGER NOT NULL DEFAULT 0,
+        next_attempt_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        last_error TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        sent_at DATETIME,
+        FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
+    );
+
+    -- Background jobs; key names what a job is for, so rescheduling moves it instead of adding another
+    CREATE TABLE IF NOT EXISTS scheduled_jobs (
+        id TEXT PRIMARY KEY,
+        key TEXT NOT NULL UNIQUE,
+        type TEXT NOT NULL,
+        payload TEXT NOT NULL DEFAULT '{}',
+        assignment_id TEXT,
+        run_at DATETIME NOT NULL,
+        interval_seconds INTEGER CHECK (interval_seconds IS NULL OR interval_seconds > 0),
+        status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'running', 'complete', 'failed', 'cancelled')),
+        attempts INTEGER NOT NULL DEFAULT 0,
+        max_attempts INTEGER NOT NULL DEFAULT 5 CHECK (max_attempts > 0),
+        last_error TEXT,
+        revision INTEGER NOT NULL DEFAULT 0,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        completed_at DATETIME,
+        FOREIGN KEY (assignment_id) REFERENCES assignments (id) ON DELETE CASCADE
+    );
+
+    -- Rubrics: reusable grading criteria with weighted point bands
+    CREATE TABLE IF NOT EXISTS rubrics (
+        id TEXT PRIMARY KEY,
+        title TEXT NOT NULL,
+        description TEXT,
+        created_by TEXT NOT NULL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (created_by) REFERENCES users (id) ON DELETE CASCADE
+    );
+
+    CREATE TABLE IF NOT EXISTS rubric_criteria (
+        id TEXT PRIMARY KEY,
+        rubric_id TEXT NOT NULL,
+        name TEXT NOT NULL,
+        description TEXT,
+        weight REAL NOT NULL CHECK (weight > 0),
+        position INTEGER NOT NULL,
+        FOREIGN KEY (rubric_id) REFERENCES rubrics (id) ON DELETE CASCADE
+    );
+
+    CREATE TABLE IF NOT EXISTS rubric_levels (
+        id TEXT PRIMARY KEY,
+        criterion_id TEXT NOT NULL,
+        label TEXT NOT NULL,
+        points REAL NOT NULL CHECK (points >= 0),
+        descriptor TEXT,
+        FOREIGN KEY (criterion_id) REFERENCES rubric_criteria (id) ON DELETE CASCADE
+    );
+
+    CREATE TABLE IF NOT EXISTS rubric_scores (
+        submission_id TEXT NOT NULL,
+        criterion_id TEXT NOT NULL,
+        points REAL NOT NULL CHECK (points >= 0),
+        comment TEXT,
+        PRIMARY KEY (submission_id, criterion_id),
+        FOREIGN KEY (submission_id) REFERENCES submissions (id) ON DELETE CASCADE,
+        FOREIGN KEY (criterion_id) REFERENCES rubric_criteria (id) ON DELETE CASCADE
+    );
+`;
+
+// Indexes may be on upgraded columns, so they are created once the columns exist
+const INDEXES_SQL = `
+    CREATE INDEX IF NOT EXISTS idx_users_email ON users(email);
+    CREATE INDEX IF NOT EXISTS idx_users_role ON users(role);
+    CREATE UNIQUE INDEX IF NOT EXISTS idx_users_student_number ON users(student_number);
+    CREATE INDEX IF NOT EXISTS idx_account_invites_user_id ON account_invites(user_id);
+    CREATE INDEX IF NOT EXISTS idx_password_resets_user_id ON password_resets(user_id);
+    CREATE INDEX IF NOT EXISTS idx_auth_lockout_events_created_at ON auth_lockout_events(created_at);
+    CREATE INDEX IF NOT EXISTS idx_sessions_user_id ON sessions(user_id);
+    CREATE INDEX IF NOT EXISTS idx_sessions_expires_at ON sessions(expires_at);
+    CREATE INDEX IF NOT EXISTS idx_assignments_created_by ON assignments(created_by);
+    CREATE INDEX IF NOT EXISTS idx_assignments_deadline ON assignments(deadline);
+    CREATE INDEX IF NOT EXISTS idx_assignments_course_id ON assignments(course_id);
+    CREATE INDEX IF NOT EXISTS idx_courses_owner_id ON courses(owner_id);
+    CREATE INDEX IF NOT EXISTS idx_enrollments_student_id ON enrollments(student_id);
+    CREATE INDEX IF NOT EXISTS idx_course_tas_user_id ON course_tas(user_id);
+    CREATE INDEX IF NOT EXISTS idx_course_invite_codes_course_id ON course_invite_codes(course_id);
+    CREATE INDEX IF NOT EXISTS idx_submissions_assignment_id ON submissions(assignment_id);
+    CREATE INDEX IF NOT EXISTS idx_submissions_student_id ON submissions(student_id);
+    CREATE INDEX IF NOT EXISTS idx_submissions_submitted_at ON submissions(submitted_at);
+    CREATE INDEX IF NOT EXISTS idx_submission_versions_submission_id ON submission_versions(submission_id);
+    CREATE INDEX IF NOT EXISTS idx_repo_snapshots_submission_id ON repo_snapshots(submission_id);
+    CREATE INDEX IF NOT EXISTS idx_autograder_runs_submission_id ON autograder_runs(submission_id);
+    CREATE INDEX IF NOT EXISTS idx_similarity_reports_assignment_id ON similarity_reports(assignment_id);
+    CREATE INDEX IF NOT EXISTS idx_similarity_pairs_report_id ON similarity_pairs(report_id);
+    CREATE INDEX IF NOT EXISTS idx_rubric_criteria_rubric_id ON rubric_criteria(rubric_id);
+    CREATE INDEX IF NOT EXISTS idx_rubric_levels_criterion_id ON rubric_levels(criterion_id);
+    CREATE INDEX IF NOT EXISTS idx_deadline_extensions_student_id ON deadline_extensions(student_id);
+    CREATE INDEX IF NOT EXISTS idx_accommodations_student_id ON accommodations(student_id);
+    CREATE INDEX IF NOT EXISTS idx_email_outbox_status ON email_outbox(status, next_attempt_at);
+    CREATE INDEX IF NOT EXISTS idx_scheduled_jobs_due ON scheduled_jobs(status, run_at);
+    CREATE INDEX IF NOT EXISTS idx_scheduled_jobs_assignment_id ON scheduled_jobs(assignment_id);
+`;
+
+// Columns added after a table was first created, which older databases lack
+const COLUMN_UPGRADES = [
+    ['users', 'student_number', 'TEXT'],
+    ['users', 'deactivated_at', 'DATETIME'],
+    ['users', 'sessions_revoked_at', 'DATETIME'],
+    ['users', 'verification_sent_at', 'DATETIME'],
+    ['courses', 'ta_view_submissions', 'INTEGER NOT NULL DEFAULT 1'],
+    ['courses', 'ta_grade_submissions', 'INTEGER NOT NULL DEFAULT 1'],
+    ['courses', 'ta_comment', 'INTEGER NOT NULL DEFAULT 1'],
+    ['courses', 'ta_grant_extensions', 'INTEGER NOT NULL DEFAULT 0'],
+    ['assignments', 'rubric_id', 'TEXT REFERENCES rubrics (id)'],
+    ['assignments', 'course_id', 'TEXT REFERENCES courses (id)'],
+    ['assignments', 'late_policy', "TEXT NOT NULL DEFAULT 'hard_close'"],
+    ['assignments', 'grace_period_minutes', 'INTEGER NOT NULL DEFAULT 0'],
+    ['assignments', 'late_cutoff', 'DATETIME'],
+    ['assignments', 'late_penalty_percent', 'REAL NOT NULL DEFAULT 0'],
+    ['assignments', 'late_penalty_unit', "TEXT NOT NULL DEFAULT 'day'"],
+    ['assignments', 'allowed_hosts', 'TEXT'],
+    ['submissions', 'minutes_late', 'INTEGER NOT NULL DEFAULT 0'],
+    ['submissions', 'late_penalty', 'REAL NOT NULL DEFAULT 0'],
+    ['submissions', 'counted_version_id', 'TEXT'],
+    ['submissions', 'repo_host', 'TEXT'],
+    ['submissions', 'repo_path', 'TEXT'],
+    ['submissions', 'repo_ref_type', 'TEXT'],
+    ['submissions', 'repo_ref', 'TEXT'],
+    ['submission_versions', 'repo_host', 'TEXT'],
+    ['submission_versions', 'repo_path', 'TEXT'],
+    ['submission_versions', 'repo_ref_type', 'TEXT'],
+    ['submission_versions', 'repo_ref', 'TEXT'],
+    ['grades', 'raw_points', 'REAL'],
+    ['grades', 'late_penalty', 'REAL NOT NULL DEFAULT 0']
+];
+
+// Dropped children first
+const TABLES = [
+    'rubric_scores',
+    'rubric_levels',
+    'rubric_criteria',
+    'rubrics',
+    'scheduled_jobs',
+    'email_outbox',
+    'notification_preferences',
+    'accommodations',
+    'deadline_extensions',
+    'enrollments',
+    'course_invite_redemptions',
+    'course_invite_codes',
+    'course_tas',
+    'course_sections',
+    'courses',
+    'grades',
+    'similarity_pairs',
+    'similarity_reports',
+    'similarity_starter_files',
+    'autograder_runs',
+    'autograder_files',
+    'autograder_configs',
+    'repo_snapshots',
+    'submission_versions',
+    'submissions',
+    'assignments',
+    'password_resets',
+    'auth_lockout_events',
+    'auth_throttles',
+    'sessions',
+    'account_invites',
+    'users'
+];
+
+async function upgradeColumns({ dbAll, dbRun }) {
+    for (const [table, column, definition] of COLUMN_UPGRADES) {
+        const columns = await dbAll(`PRAGMA table_info(${table})`);
+        if (!columns.some(existing => existing.name === column)) {
+            await dbRun(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+        }
+    }
+}
+
+// Submissions made before versioning existed become their own first version
+async function backfillSubmissionVersions({ dbAll, dbRun }) {
+    const unversioned = await dbAll('SELECT * FROM submissions WHERE counted_version_id IS NULL');
+    for (const submission of unversioned) {
+        const versionId = uuidv4();
+        await dbRun(`
+            INSERT INTO submission_versions (id, submission_id, version, repo_link, submitted_at, status, minutes_late, late_penalty,
+                                             repo_host, repo_path, repo_ref_type, repo_ref)
+            VALUES (?, ?, 1, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `, [versionId, submission.id, submission.repo_link, submission.submitted_at,
+            submission.status === 'late' ? 'late' : 'submitted', submission.minutes_late, submission.late_penalty,
+            submission.repo_host, submission.repo_path, submission.repo_ref_type, submission.repo_ref]);
+        await dbRun('UPDATE submissions SET counted_version_id = ? WHERE id = ?', [versionId, submission.id]);
+    }
+}
+
+module.exports = {
+    async up(helpers) {
+        await helpers.dbExec(TABLES_SQL);
+        await upgradeColumns(helpers);
+        await helpers.dbExec(INDEXES_SQL);
+        await backfillSubmissionVersions(helpers);
+    },
+
+    async down({ dbExec }) {
+        await dbExec(TABLES.map(table => `DROP TABLE IF EXISTS ${table};`).join('\n'));
+    }
+};
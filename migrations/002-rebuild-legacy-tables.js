@@ -0,0 +1,100 @@
+// Rebuilds tables that databases from before migrations kept in their old form.
+//
+// The baseline leaves existing tables as they are, so an older database can
+// lack the CHECK constraints and ON DELETE actions of 001-baseline.js: a
+// submission there does not go with its assignment. That went unnoticed while
+// SQLite ignored foreign keys; now that they are enforced, such a delete
+// fails. Each table whose definition differs from the baseline is recreated
+// from it and its rows copied across, the way SQLite's documentation
+// describes for changes ALTER TABLE cannot make.
+//
+// Foreign keys were not enforced before, so rows can point at rows that are
+// long gone. Those are settled as their ON DELETE action would have settled
+// them at the time: deleted, or the reference cleared.
+//
+// A database created from the baseline matches it already and is left alone.
+// There is nothing to undo; down() keeps the rebuilt tables.
+
+const { TABLES_SQL, INDEXES_SQL } = require('../lib/baseline-schema');
+
+const TABLE_PATTERN = /CREATE TABLE IF NOT EXISTS (\w+) (\([\s\S]*?\n {4}\));/g;
+
+// Comments, spacing, quoting and case do not change what a definition means
+function normalize(sql) {
+    return sql
+        .replace(/--[^\n]*/g, '')
+        .replace(/\bIF NOT EXISTS\b/gi, '')
+        .replace(/"/g, '')
+        .replace(/\s+/g, ' ')
+        .replace(/\s*([(),])\s*/g, '$1')
+        .trim()
+        .toLowerCase();
+}
+
+// { table: body } for every table in the baseline
+function baselineTables() {
+    const tables = {};
+    for (const [, table, body] of TABLES_SQL.matchAll(TABLE_PATTERN)) {
+        tables[table] = body;
+    }
+    return tables;
+}
+
+async function rebuildTable({ dbAll, dbExec }, table, body) {
+    const scratch = `${table}__rebuild`;
+    await dbExec(`CREATE TABLE ${scratch} ${body}`);
+
+    const wanted = new Set((await dbAll(`PRAGMA table_info(${scratch})`)).map(column => column.name));
+    const columns = (await dbAll(`PRAGMA table_info(${table})`))
+        .map(column => column.name)
+        .filter(name => wanted.has(name))
+        .join(', ');
+
+    await dbExec(`
+        INSERT INTO ${scratch} (${columns}) SELECT ${columns} FROM ${table};
+        DROP TABLE ${table};
+        ALTER TABLE ${scratch} RENAME TO ${table};
+    `);
+}
+
+// Deleting a row can orphan rows that point at it, so this repeats until none are left
+async function settleOrphans({ dbAll, dbRun }) {
+    for (;;) {
+        const orphans = await dbAll('PRAGMA foreign_key_check');
+        if (!orphans.length) return;
+
+        for (const orphan of orphans) {
+            const key = (await dbAll(`PRAGMA foreign_key_list(${orphan.table})`))
+                .filter(reference => reference.id === orphan.fkid);
+            const action = key[0].on_delete;
+            if (action === 'CASCADE') {
+                await dbRun(`DELETE FROM ${orphan.table} WHERE rowid = ?`, [orphan.rowid]);
+            } else if (action === 'SET NULL') {
+                const assignments = key.map(reference => `${reference.from} = NULL`).join(', ');
+                await dbRun(`UPDATE ${orphan.table} SET ${assignments} WHERE rowid = ?`, [orphan.rowid]);
+            } else {
+                throw new Error(`${orphan.table} row ${orphan.rowid} refers to a missing ${orphan.parent} row`);
+            }
+        }
+    }
+}
+
+module.exports = {
+    async up(helpers) {
+        const { dbAll, dbExec } = helpers;
+        const stored = new Map((await dbAll("SELECT name, sql FROM sqlite_master WHERE type = 'table'"))
+            .map(row => [row.name, row.sql]));
+
+        for (const [table, body] of Object.entries(baselineTables())) {
+            if (normalize(stored.get(table)) !== normalize(`CREATE TABLE ${table} ${body}`)) {
+                await rebuildTable(helpers, table, body);
+            }
+        }
+
+        // Dropping a table drops its indexes
+        await dbExec(INDEXES_SQL);
+        await settleOrphans(helpers);
+    },
+
+    async down() {}
+};
@@ -0,0 +1,12 @@
+// Similarity reports record how many fingerprints they ignored for being
+// shared by nearly every submission (see lib/similarity.js).
+
+module.exports = {
+    async up({ dbExec }) {
+        await dbExec('ALTER TABLE similarity_reports ADD COLUMN common_fingerprints INTEGER');
+    },
+
+    async down({ dbExec }) {
+        await dbExec('ALTER TABLE similarity_reports DROP COLUMN common_fingerprints');
+    }
+};
@@ -1,1440 +1,4985 @@
-// Full-Stack Database Simulation System
-class DatabaseEngine {
-    constructor() {
-        this.tables = {
-            users: [],
-            assignments: [],
-            submissions: [],
-            sessions: []
-        };
-        this.indexes = new Map();
-        this.eventListeners = [];
-        this.initializeDatabase();
-    }
-
-    // Database initialization with sample data
-    initializeDatabase() {
-        // Initialize users table with encrypted passwords
-        this.tables.users = [
-            {
-                id: 'prof1',
-                email: 'prof.smith@university.edu',
-                password_hash: this.hashPassword('password123'),
-                name: 'Dr. Sarah Smith',
-                role: 'professor',
-                created_at: '2025-01-15T09:00:00.000Z'
-            },
-            {
-                id: 'stud1',
-                email: 'john.doe@university.edu',
-                password_hash: this.hashPassword('password123'),
-                name: 'John Doe',
-                role: 'student',
-                created_at: '2025-01-20T10:30:00.000Z'
-            },
-            {
-                id: 'stud2',
-                email: 'jane.smith@university.edu',
-                password_hash: this.hashPassword('password123'),
-                name: 'Jane Smith',
-                role: 'student',
-                created_at: '2025-01-22T14:15:00.000Z'
-            }
-        ];
-
-        // Initialize assignments table
-        this.tables.assignments = [
-            {
-                id: 'assign1',
-                title: 'Web Development Project',
-                description: 'Create a responsive website using HTML, CSS, and JavaScript. Include at least 3 pages and implement modern design principles.',
-                deadline: '2025-09-15T23:59:59.000Z',
-                instructions: 'Submit your GitHub repository link containing the complete project code.',
-                created_by: 'prof1',
-                created_at: '2025-08-20T10:00:00.000Z'
-            },
-            {
-                id: 'assign2',
-                title: 'Database Design Assignment',
-                description: 'Design and implement a normalized database schema for a library management system.',
-                deadline: '2025-09-20T23:59:59.000Z',
-                instructions: 'Include ER diagram, SQL scripts, and documentation in your repository.',
-                created_by: 'prof1',
-                created_at: '2025-08-22T14:30:00.000Z'
-            }
-        ];
-
-        // Initialize submissions table
-        this.tables.submissions = [
-            {
-                id: 'sub1',
-                assignment_id: 'assign1',
-                student_id: 'stud1',
-                repo_link: 'https://github.com/johndoe/web-dev-project',
-                submitted_at: '2025-08-25T16:30:00.000Z',
-                status: 'submitted'
-            }
-        ];
+// API Errors
+class APIError extends Error {
+    constructor(message, status = 0, data = null) {
+        super(message);
+        this.name = 'APIError';
+        this.status = status;
+        this.data = data;
+    }
+}
 
-        this.createIndexes();
-        this.triggerEvent('database_initialized');
+class ValidationError extends APIError {
+    constructor(message, status = 400, data = null) {
+        super(message, status, data);
+        this.name = 'ValidationError';
     }
+}
 
-    // Simulate bcrypt password hashing
-    hashPassword(password) {
-        // Simulated hash - in real app would use actual bcrypt
-        return `$2b$10$${btoa(password + 'salt').replace(/[^a-zA-Z0-9]/g, '').substring(0, 50)}`;
+class AuthenticationError extends APIError {
+    constructor(message = 'Authentication required', status = 401, data = null) {
+        super(message, status, data);
+        this.name = 'AuthenticationError';
     }
+}
 
-    verifyPassword(password, hash) {
-        return this.hashPassword(password) === hash;
+class PermissionError extends APIError {
+    constructor(message = 'Insufficient permissions', status = 403, data = null) {
+        super(message, status, data);
+        this.name = 'PermissionError';
     }
+}
 
-    // Create database indexes for performance
-    createIndexes() {
-        this.indexes.set('users_email', new Map());
-        this.indexes.set('assignments_created_by', new Map());
-        this.indexes.set('submissions_assignment_id', new Map());
-        this.indexes.set('submissions_student_id', new Map());
+class NotFoundError extends APIError {
+    constructor(message = 'Not found', status = 404, data = null) {
+        super(message, status, data);
+        this.name = 'NotFoundError';
+    }
+}
 
-        // Build indexes
-        this.tables.users.forEach(user => {
-            this.indexes.get('users_email').set(user.email, user);
-        });
+class NetworkError extends APIError {
+    constructor(message = 'Unable to reach the server') {
+        super(message, 0, null);
+        this.name = 'NetworkError';
+    }
+}
 
-        this.tables.assignments.forEach(assignment => {
-            if (!this.indexes.get('assignments_created_by').has(assignment.created_by)) {
-                this.indexes.get('assignments_created_by').set(assignment.created_by, []);
-            }
-            this.indexes.get('assignments_created_by').get(assignment.created_by).push(assignment);
-        });
+// HTTP client for the Express API
+class APIService {
+    constructor(baseUrl = '/api') {
+        this.baseUrl = baseUrl;
+        this.onUnauthorized = null;
+    }
 
-        this.tables.submissions.forEach(submission => {
-            if (!this.indexes.get('submissions_assignment_id').has(submission.assignment_id)) {
-                this.indexes.get('submissions_assignment_id').set(submission.assignment_id, []);
-            }
-            this.indexes.get('submissions_assignment_id').get(submission.assignment_id).push(submission);
+    async request(method, path, body) {
+        const options = {
+            method,
+            credentials: 'include',
+            headers: { 'Accept': 'application/json' }
+        };
 
-            if (!this.indexes.get('submissions_student_id').has(submission.student_id)) {
-                this.indexes.get('submissions_student_id').set(submission.student_id, []);
-            }
-            this.indexes.get('submissions_student_id').get(submission.student_id).push(submission);
-        });
-    }
+        if (body !== undefined) {
+            options.headers['Content-Type'] = 'application/json';
+            options.body = JSON.stringify(body);
+        }
 
-    // Database query methods with prepared statement simulation
-    query(sql, params = []) {
-        // Simulate SQL execution time
-        const startTime = Date.now();
-        
+        let response;
         try {
-            let result = this.executeQuery(sql, params);
-            const executionTime = Date.now() - startTime;
-            
-            this.triggerEvent('query_executed', {
-                sql,
-                params,
-                executionTime,
-                rowCount: Array.isArray(result) ? result.length : (result ? 1 : 0)
-            });
-            
-            return result;
+            response = await fetch(this.baseUrl + path, options);
         } catch (error) {
-            this.triggerEvent('query_error', { sql, params, error: error.message });
-            throw error;
+            throw new NetworkError();
         }
-    }
 
-    executeQuery(sql, params) {
-        sql = sql.toLowerCase().trim();
-        
-        if (sql.startsWith('select')) {
-            return this.executeSelect(sql, params);
-        } else if (sql.startsWith('insert')) {
-            return this.executeInsert(sql, params);
-        } else if (sql.startsWith('update')) {
-            return this.executeUpdate(sql, params);
-        } else if (sql.startsWith('delete')) {
-            return this.executeDelete(sql, params);
-        } else {
-            throw new Error('Unsupported SQL operation');
+        let data = null;
+        const contentType = response.headers.get('Content-Type') || '';
+        if (contentType.includes('application/json')) {
+            data = await response.json().catch(() => null);
         }
-    }
 
-    executeSelect(sql, params) {
-        // Simple SQL parser for demonstration
-        if (sql.includes('from users')) {
-            if (sql.includes('where email = ?')) {
-                return this.indexes.get('users_email').get(params[0]);
-            }
-            return this.tables.users;
-        } else if (sql.includes('from assignments')) {
-            if (sql.includes('where created_by = ?')) {
-                return this.indexes.get('assignments_created_by').get(params[0]) || [];
-            }
-            return this.tables.assignments;
-        } else if (sql.includes('from submissions')) {
-            if (sql.includes('where student_id = ?')) {
-                return this.indexes.get('submissions_student_id').get(params[0]) || [];
-            } else if (sql.includes('where assignment_id = ?')) {
-                return this.indexes.get('submissions_assignment_id').get(params[0]) || [];
-            }
-            return this.tables.submissions;
+        if (response.ok) {
+            return data;
         }
-        return [];
-    }
 
-    executeInsert(sql, params) {
-        const id = 'id_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
-        
-        if (sql.includes('into assignments')) {
-            const assignment = {
-                id,
-                title: params[0],
-                description: params[1],
-                deadline: params[2],
-                instructions: params[3],
-                created_by: params[4],
-                created_at: new Date().toISOString()
-            };
-            this.tables.assignments.push(assignment);
-            this.updateIndexes('assignments', assignment);
-            this.triggerEvent('assignment_created', assignment);
-            return assignment;
-        } else if (sql.includes('into submissions')) {
-            const submission = {
-                id,
-                assignment_id: params[0],
-                student_id: params[1],
-                repo_link: params[2],
-                submitted_at: new Date().toISOString(),
-                status: 'submitted'
-            };
-            this.tables.submissions.push(submission);
-            this.updateIndexes('submissions', submission);
-            this.triggerEvent('submission_created', submission);
-            return submission;
-        }
-        throw new Error('Invalid INSERT query');
-    }
-
-    executeUpdate(sql, params) {
-        // Simple update implementation
-        if (sql.includes('submissions set')) {
-            const submission = this.tables.submissions.find(s => 
-                s.assignment_id === params[1] && s.student_id === params[2]
-            );
-            if (submission) {
-                submission.repo_link = params[0];
-                submission.submitted_at = new Date().toISOString();
-                this.triggerEvent('submission_updated', submission);
-                return submission;
-            }
+        const message = (data && data.error) || response.statusText || 'Request failed';
+        const error = this.createError(response.status, message, data);
+
+        // Only a lost session signs the user out; a 403 refuses one action, and the
+        // caller shows its message where the action was taken
+        if (error instanceof AuthenticationError &&
+            !path.startsWith('/auth/login') && !path.startsWith('/auth/google') && typeof this.onUnauthorized === 'function') {
+            this.onUnauthorized(error);
         }
-        return null;
+
+        throw error;
     }
 
-    executeDelete(sql, params) {
-        // Simple delete implementation
-        if (sql.includes('from assignments where id = ?')) {
-            const index = this.tables.assignments.findIndex(a => a.id === params[0]);
-            if (index !== -1) {
-                const deleted = this.tables.assignments.splice(index, 1)[0];
-                this.triggerEvent('assignment_deleted', deleted);
-                return deleted;
-            }
+    createError(status, message, data) {
+        switch (status) {
+            case 400:
+            case 409:
+            case 422:
+                return new ValidationError(message, status, data);
+            case 401:
+                return new AuthenticationError(message, status, data);
+            case 403:
+                return new PermissionError(message, status, data);
+            case 404:
+                return new NotFoundError(message, status, data);
+            default:
+                return new APIError(message, status, data);
         }
-        return null;
     }
 
-    updateIndexes(table, record) {
-        if (table === 'assignments') {
-            if (!this.indexes.get('assignments_created_by').has(record.created_by)) {
-                this.indexes.get('assignments_created_by').set(record.created_by, []);
-            }
-            this.indexes.get('assignments_created_by').get(record.created_by).push(record);
-        } else if (table === 'submissions') {
-            if (!this.indexes.get('submissions_assignment_id').has(record.assignment_id)) {
-                this.indexes.get('submissions_assignment_id').set(record.assignment_id, []);
-            }
-            this.indexes.get('submissions_assignment_id').get(record.assignment_id).push(record);
+    get(path) {
+        return this.request('GET', path);
+    }
 
-            if (!this.indexes.get('submissions_student_id').has(record.student_id)) {
-                this.indexes.get('submissions_student_id').set(record.student_id, []);
-            }
-            this.indexes.get('submissions_student_id').get(record.student_id).push(record);
-        }
+    post(path, body = {}) {
+        return this.request('POST', path, body);
     }
 
-    // Event system for real-time updates
-    addEventListener(event, callback) {
-        this.eventListeners.push({ event, callback });
+    put(path, body = {}) {
+        return this.request('PUT', path, body);
     }
 
-    triggerEvent(event, data = null) {
-        this.eventListeners.forEach(listener => {
-            if (listener.event === event) {
-                setTimeout(() => listener.callback(data), 0);
-            }
-        });
+    delete(path) {
+        return this.request('DELETE', path);
     }
 
-    // Database statistics
-    getStats() {
-        return {
-            totalUsers: this.tables.users.length,
-            totalAssignments: this.tables.assignments.length,
-            totalSubmissions: this.tables.submissions.length,
-            activeSessions: this.tables.sessions.length,
-            indexCount: this.indexes.size
-        };
+    // Authentication endpoints
+    async login(email, password) {
+        return await this.post('/auth/login', { email, password });
     }
-}
 
-// API Layer Simulation
-class APIService {
-    constructor(database) {
-        this.db = database;
-        this.currentSession = null;
-        this.setupEventListeners();
+    async loginWithGoogle(token) {
+        return await this.post('/auth/google', { token });
     }
 
-    setupEventListeners() {
-        this.db.addEventListener('assignment_created', (assignment) => {
-            this.broadcastUpdate('assignment_created', assignment);
-        });
+    async logout() {
+        return await this.post('/auth/logout');
+    }
 
-        this.db.addEventListener('submission_created', (submission) => {
-            this.broadcastUpdate('submission_created', submission);
-        });
+    async getInvite(token) {
+        const { invite } = await this.get(`/auth/invites/${encodeURIComponent(token)}`);
+        return invite;
     }
 
-    // Authentication endpoints
-    async login(email, password) {
-        return new Promise((resolve, reject) => {
-            setTimeout(() => {
-                try {
-                    const user = this.db.query('SELECT * FROM users WHERE email = ?', [email]);
-                    
-                    if (user && this.db.verifyPassword(password, user.password_hash)) {
-                        this.currentSession = {
-                            id: 'session_' + Date.now(),
-                            userId: user.id,
-                            user: user,
-                            createdAt: new Date().toISOString()
-                        };
-                        resolve({ user: { ...user, password_hash: undefined }, session: this.currentSession });
-                    } else {
-                        reject(new Error('Invalid credentials'));
-                    }
-                } catch (error) {
-                    reject(error);
-                }
-            }, 300 + Math.random() * 500); // Simulate network latency
-        });
+    async acceptInvite(token, password) {
+        return await this.post(`/auth/invites/${encodeURIComponent(token)}`, { password });
     }
 
-    async logout() {
-        return new Promise((resolve) => {
-            setTimeout(() => {
-                this.currentSession = null;
-                resolve({ success: true });
-            }, 200);
-        });
+    async requestPasswordReset(email) {
+        return await this.post('/auth/password/forgot', { email });
     }
 
-    // Assignment endpoints
-    async getAssignments() {
-        return new Promise((resolve) => {
-            setTimeout(() => {
-                if (this.currentSession?.user.role === 'professor') {
-                    const assignments = this.db.query('SELECT * FROM assignments WHERE created_by = ?', 
-                        [this.currentSession.userId]);
-                    resolve(assignments);
-                } else {
-                    const assignments = this.db.query('SELECT * FROM assignments');
-                    resolve(assignments);
-                }
-            }, 150 + Math.random() * 200);
-        });
+    async getRegistrationSettings() {
+        return await this.get('/auth/registration');
     }
 
-    async createAssignment(assignmentData) {
-        return new Promise((resolve, reject) => {
-            setTimeout(() => {
-                try {
-                    if (!this.currentSession || this.currentSession.user.role !== 'professor') {
-                        reject(new Error('Unauthorized'));
-                        return;
-                    }
+    async getCourseInvite(code) {
+        const { invite } = await this.get(`/course-invites/${encodeURIComponent(code)}`);
+        return invite;
+    }
 
-                    const assignment = this.db.query(
-                        'INSERT INTO assignments (title, description, deadline, instructions, created_by) VALUES (?, ?, ?, ?, ?)',
-                        [
-                            assignmentData.title,
-                            assignmentData.description,
-                            assignmentData.deadline,
-                            assignmentData.instructions,
-                            this.currentSession.userId
-                        ]
-                    );
-                    resolve(assignment);
-                } catch (error) {
-                    reject(error);
-                }
-            }, 200 + Math.random() * 300);
-        });
+    async register(registrationData) {
+        return await this.post('/auth/register', registrationData);
     }
 
-    // Submission endpoints
-    async getSubmissions() {
-        return new Promise((resolve) => {
-            setTimeout(() => {
-                let submissions;
-                if (this.currentSession?.user.role === 'professor') {
-                    submissions = this.db.query('SELECT * FROM submissions');
-                } else {
-                    submissions = this.db.query('SELECT * FROM submissions WHERE student_id = ?', 
-                        [this.currentSession.userId]);
-                }
-                resolve(submissions);
-            }, 100 + Math.random() * 200);
-        });
+    async verifyEmail(token) {
+        return await this.post('/auth/verify', { token });
     }
 
-    async createSubmission(submissionData) {
-        return new Promise((resolve, reject) => {
-            setTimeout(() => {
-                try {
-                    if (!this.currentSession || this.currentSession.user.role !== 'student') {
-                        reject(new Error('Unauthorized'));
-                        return;
-                    }
+    async getPasswordReset(token) {
+        const { reset } = await this.get(`/auth/password/reset/${encodeURIComponent(token)}`);
+        return reset;
+    }
 
-                    // Check if submission already exists
-                    const existing = this.db.tables.submissions.find(s => 
-                        s.assignment_id === submissionData.assignmentId && 
-                        s.student_id === this.currentSession.userId
-                    );
-
-                    if (existing) {
-                        // Update existing submission
-                        const updated = this.db.query(
-                            'UPDATE submissions SET repo_link = ? WHERE assignment_id = ? AND student_id = ?',
-                            [submissionData.repoLink, submissionData.assignmentId, this.currentSession.userId]
-                        );
-                        resolve(updated || existing);
-                    } else {
-                        // Create new submission
-                        const submission = this.db.query(
-                            'INSERT INTO submissions (assignment_id, student_id, repo_link) VALUES (?, ?, ?)',
-                            [submissionData.assignmentId, this.currentSession.userId, submissionData.repoLink]
-                        );
-                        resolve(submission);
-                    }
-                } catch (error) {
-                    reject(error);
-                }
-            }, 250 + Math.random() * 400);
-        });
+    async resetPassword(token, password) {
+        return await this.post(`/auth/password/reset/${encodeURIComponent(token)}`, { password });
     }
 
-    // Real-time updates simulation
-    broadcastUpdate(type, data) {
-        // Simulate Server-Sent Events
-        setTimeout(() => {
-            window.dispatchEvent(new CustomEvent('realtime_update', {
-                detail: { type, data }
-            }));
-        }, 100);
+    async changePassword(currentPassword, newPassword) {
+        return await this.post('/auth/password/change', { currentPassword, newPassword });
     }
 
-    // Analytics endpoint
-    async getAnalytics() {
-        return new Promise((resolve) => {
-            setTimeout(() => {
-                const stats = this.db.getStats();
-                const submissions = this.db.query('SELECT * FROM submissions');
-                
-                // Generate submission timeline data
-                const timelineData = this.generateSubmissionTimeline(submissions);
-                
-                resolve({
-                    stats,
-                    submissionTimeline: timelineData,
-                    performanceMetrics: {
-                        queryPerformance: 92,
-                        connectionPool: 78,
-                        indexUsage: 85
-                    }
-                });
-            }, 200);
-        });
+    async getSessions() {
+        return await this.get('/auth/sessions');
     }
 
-    generateSubmissionTimeline(submissions) {
-        const timeline = {};
-        submissions.forEach(sub => {
-            const date = new Date(sub.submitted_at).toDateString();
-            timeline[date] = (timeline[date] || 0) + 1;
-        });
-        
-        // Fill in missing dates with zeros
-        const dates = Object.keys(timeline).sort();
-        const labels = [];
-        const data = [];
-        
-        for (let i = 0; i < 7; i++) {
-            const date = new Date();
-            date.setDate(date.getDate() - i);
-            const dateStr = date.toDateString();
-            labels.unshift(date.toLocaleDateString('en-US', { month: 'short', day: 'numeric' }));
-            data.unshift(timeline[dateStr] || Math.floor(Math.random() * 5));
-        }
-        
-        return { labels, data };
+    async endSession(sessionId) {
+        return await this.delete(`/auth/sessions/${encodeURIComponent(sessionId)}`);
     }
-}
 
-// Application State Management
-class AppState {
-    constructor() {
-        this.db = new DatabaseEngine();
-        this.api = new APIService(this.db);
-        this.currentUser = null;
-        this.currentRole = null;
-        this.realTimeChart = null;
-        this.setupRealTimeUpdates();
+    async endOtherSessions() {
+        return await this.delete('/auth/sessions');
     }
 
-    setupRealTimeUpdates() {
-        window.addEventListener('realtime_update', (event) => {
-            const { type, data } = event.detail;
-            this.handleRealTimeUpdate(type, data);
-        });
+    async getCurrentUser() {
+        const { user } = await this.get('/auth/user');
+        return user;
     }
 
-    handleRealTimeUpdate(type, data) {
-        showRealTimeToast(type, data);
-        
-        // Update UI based on current page
-        if (this.currentRole === 'professor') {
-            if (type === 'submission_created' || type === 'submission_updated') {
-                refreshProfessorTab('submissions');
-            } else if (type === 'assignment_created') {
-                refreshProfessorTab('assignments');
-            }
-        } else if (this.currentRole === 'student') {
-            if (type === 'assignment_created') {
-                refreshStudentTab('available');
-            }
-        }
-        
-        // Update charts if visible
-        if (this.realTimeChart && type === 'submission_created') {
-            this.updateChart();
-        }
+    courseQuery(courseId) {
+        return courseId ? `?courseId=${encodeURIComponent(courseId)}` : '';
     }
 
-    async updateChart() {
-        try {
-            const analytics = await this.api.getAnalytics();
-            if (this.realTimeChart) {
-                this.realTimeChart.data.datasets[0].data = analytics.submissionTimeline.data;
-                this.realTimeChart.update('none');
-            }
-        } catch (error) {
-            console.error('Failed to update chart:', error);
-        }
+    // Course endpoints
+    async getCourses() {
+        const { courses } = await this.get('/courses');
+        return courses;
     }
 
-    async login(email, password) {
-        try {
-            const result = await this.api.login(email, password);
-            this.currentUser = result.user;
-            this.currentRole = result.user.role;
-            return result;
-        } catch (error) {
-            throw error;
-        }
+    async createCourse(courseData) {
+        const { course } = await this.post('/courses', courseData);
+        return course;
     }
 
-    async logout() {
-        try {
-            await this.api.logout();
-            this.currentUser = null;
-            this.currentRole = null;
-            if (this.realTimeChart) {
-                this.realTimeChart.destroy();
-                this.realTimeChart = null;
-            }
-        } catch (error) {
-            throw error;
-        }
+    async getEnrollments(courseId) {
+        const { enrollments } = await this.get(`/courses/${encodeURIComponent(courseId)}/enrollments`);
+        return enrollments;
     }
 
-    async getAssignments() {
-        return await this.api.getAssignments();
+    async enrollStudent(courseId, enrollmentData) {
+        return await this.post(`/courses/${encodeURIComponent(courseId)}/enrollments`, enrollmentData);
     }
 
-    async createAssignment(data) {
-        return await this.api.createAssignment(data);
+    async unenrollStudent(courseId, studentId) {
+        return await this.delete(`/courses/${encodeURIComponent(courseId)}/enrollments/${encodeURIComponent(studentId)}`);
     }
 
-    async getSubmissions() {
-        return await this.api.getSubmissions();
+    async getAccommodations(courseId) {
+        const { accommodations } = await this.get(`/courses/${encodeURIComponent(courseId)}/accommodations`);
+        return accommodations;
     }
 
-    async createSubmission(data) {
-        return await this.api.createSubmission(data);
+    async grantAccommodation(courseId, accommodationData) {
+        const { accommodation } = await this.post(`/courses/${encodeURIComponent(courseId)}/accommodations`, accommodationData);
+        return accommodation;
     }
 
-    async getAnalytics() {
-        return await this.api.getAnalytics();
+    async revokeAccommodation(courseId, studentId) {
+        return await this.delete(`/courses/${encodeURIComponent(courseId)}/accommodations/${encodeURIComponent(studentId)}`);
     }
-}
 
-// Initialize application
-const appState = new AppState();
+    async importRoster(courseId, rosterData) {
+        return await this.post(`/courses/${encodeURIComponent(courseId)}/roster`, rosterData);
+    }
 
-// DOM Elements
-const pages = {
-    landing: document.getElementById('landing-page'),
-    professorLogin: document.getElementById('professor-login-page'),
-    studentLogin: document.getElementById('student-login-page'),
-    professorDashboard: document.getElementById('professor-dashboard'),
-    studentDashboard: document.getElementById('student-dashboard')
-};
+    async getCourseTas(courseId) {
+        return await this.get(`/courses/${encodeURIComponent(courseId)}/tas`);
+    }
 
-// Navigation functions
-function showPage(pageId) {
-    Object.values(pages).forEach(page => {
-        if (page) page.classList.remove('active');
-    });
-    if (pages[pageId]) {
-        pages[pageId].classList.add('active');
+    async addCourseTa(courseId, email) {
+        return await this.post(`/courses/${encodeURIComponent(courseId)}/tas`, { email });
     }
-}
 
-function showLoading(text = 'Processing request...') {
-    const overlay = document.getElementById('loading-overlay');
-    const loadingText = document.getElementById('loading-text');
-    if (loadingText) loadingText.textContent = text;
-    overlay.classList.remove('hidden');
-}
+    async removeCourseTa(courseId, userId) {
+        return await this.delete(`/courses/${encodeURIComponent(courseId)}/tas/${encodeURIComponent(userId)}`);
+    }
 
-function hideLoading() {
-    document.getElementById('loading-overlay').classList.add('hidden');
-}
+    async updateTaPermissions(courseId, permissions) {
+        const result = await this.put(`/courses/${encodeURIComponent(courseId)}/ta-permissions`, { permissions });
+        return result.permissions;
+    }
 
-// Enhanced notification system
-function showNotification(message, type = 'info') {
-    const container = document.getElementById('notification-container');
-    const notification = document.createElement('div');
-    notification.className = `notification ${type}`;
-    notification.textContent = message;
-    
-    container.appendChild(notification);
-    
-    setTimeout(() => {
-        if (notification.parentNode) {
-            notification.style.animation = 'slideOut 0.3s ease-in';
-            setTimeout(() => {
-                if (notification.parentNode) {
-                    notification.parentNode.removeChild(notification);
-                }
-            }, 300);
-        }
-    }, 5000);
-    
-    notification.addEventListener('click', () => {
-        if (notification.parentNode) {
-            notification.parentNode.removeChild(notification);
-        }
-    });
-}
+    async getInviteCodes(courseId) {
+        const { codes } = await this.get(`/courses/${encodeURIComponent(courseId)}/invite-codes`);
+        return codes;
+    }
 
-function showRealTimeToast(type, data) {
-    const toast = document.getElementById('realtime-toast');
-    const toastText = document.getElementById('toast-text');
-    
-    let message = '';
-    switch(type) {
-        case 'submission_created':
-            message = 'New submission received';
-            break;
-        case 'assignment_created':
-            message = 'New assignment posted';
-            break;
-        default:
-            message = 'Database updated';
+    async createInviteCode(courseId, options) {
+        return await this.post(`/courses/${encodeURIComponent(courseId)}/invite-codes`, options);
     }
-    
-    toastText.textContent = message;
-    toast.classList.remove('hidden');
-    
-    setTimeout(() => {
-        toast.classList.add('hidden');
-    }, 3000);
-}
 
-// Utility functions
-function formatDate(dateString) {
-    const date = new Date(dateString);
-    return date.toLocaleDateString() + ' ' + date.toLocaleTimeString([], {hour: '2-digit', minute:'2-digit'});
-}
+    async revokeInviteCode(courseId, codeId) {
+        return await this.delete(`/courses/${encodeURIComponent(courseId)}/invite-codes/${encodeURIComponent(codeId)}`);
+    }
 
-function formatDeadline(dateString) {
-    const date = new Date(dateString);
-    const now = new Date();
-    const diffTime = date - now;
-    const diffDays = Math.ceil(diffTime / (1000 * 60 * 60 * 24));
-    
-    if (diffDays < 0) return 'Overdue';
-    if (diffDays === 0) return 'Due today';
-    if (diffDays === 1) return 'Due tomorrow';
-    return `Due in ${diffDays} days`;
-}
+    async redeemInviteCode(code) {
+        return await this.post('/course-invites/redeem', { code });
+    }
 
-function isOverdue(deadline) {
-    return new Date() > new Date(deadline);
-}
+    // Gradebook endpoints
+    async getGradebook(courseId) {
+        const { gradebook } = await this.get(`/courses/${encodeURIComponent(courseId)}/gradebook`);
+        return gradebook;
+    }
 
-function showButtonSpinner(button, show = true) {
-    const text = button.querySelector('.btn-text');
-    const spinner = button.querySelector('.btn-spinner');
-    
-    if (show) {
-        button.disabled = true;
-        if (text) text.style.opacity = '0.7';
-        if (spinner) spinner.classList.remove('hidden');
-    } else {
-        button.disabled = false;
-        if (text) text.style.opacity = '1';
-        if (spinner) spinner.classList.add('hidden');
+    gradebookExportUrl(courseId, format) {
+        return `${this.baseUrl}/courses/${encodeURIComponent(courseId)}/gradebook?format=${encodeURIComponent(format)}`;
     }
-}
 
-// Global navigation functions that can be called from HTML
-window.navigateToProfessorLogin = function() {
-    showPage('professorLogin');
-};
+    async importGrades(courseId, csv, apply = false) {
+        return await this.post(`/courses/${encodeURIComponent(courseId)}/gradebook/import`, { csv, apply });
+    }
 
-window.navigateToStudentLogin = function() {
-    showPage('studentLogin');
-};
+    // Assignment endpoints
+    async getAssignments(courseId) {
+        const { assignments } = await this.get('/assignments' + this.courseQuery(courseId));
+        return assignments;
+    }
 
-window.navigateToLanding = function() {
-    showPage('landing');
-};
+    async createAssignment(assignmentData) {
+        const { assignment } = await this.post('/assignments', assignmentData);
+        return assignment;
+    }
 
-// Initialize the application when DOM is loaded
-document.addEventListener('DOMContentLoaded', async () => {
-    console.log('DOM loaded, initializing application...');
-    
-    // Initialize database stats
-    await updateDatabaseStats();
-    
-    // Set default minimum date for assignment deadline
-    const now = new Date();
-    now.setMinutes(now.getMinutes() - now.getTimezoneOffset());
-    const deadlineInput = document.getElementById('assignment-deadline');
-    if (deadlineInput) {
-        deadlineInput.min = now.toISOString().slice(0, 16);
+    async updateAssignment(assignmentId, assignmentData) {
+        return await this.put(`/assignments/${encodeURIComponent(assignmentId)}`, assignmentData);
     }
-    
-    showPage('landing');
-    
-    // Landing page event listeners - Fixed navigation
-    const professorCard = document.getElementById('professor-role');
-    const studentCard = document.getElementById('student-role');
-    
-    // Add click handlers to both the card and the button
-    if (professorCard) {
-        professorCard.addEventListener('click', (e) => {
-            e.preventDefault();
-            console.log('Professor card clicked');
-            showPage('professorLogin');
-        });
-        
-        // Also handle button clicks specifically
-        const professorBtn = professorCard.querySelector('.btn');
-        if (professorBtn) {
-            professorBtn.addEventListener('click', (e) => {
-                e.preventDefault();
-                e.stopPropagation();
-                console.log('Professor button clicked');
-                showPage('professorLogin');
-            });
-        }
+
+    async deleteAssignment(assignmentId) {
+        return await this.delete(`/assignments/${encodeURIComponent(assignmentId)}`);
     }
-    
-    if (studentCard) {
-        studentCard.addEventListener('click', (e) => {
-            e.preventDefault();
-            console.log('Student card clicked');
-            showPage('studentLogin');
-        });
-        
-        // Also handle button clicks specifically
-        const studentBtn = studentCard.querySelector('.btn');
-        if (studentBtn) {
-            studentBtn.addEventListener('click', (e) => {
-                e.preventDefault();
-                e.stopPropagation();
-                console.log('Student button clicked');
-                showPage('studentLogin');
-            });
-        }
+
+    async getExtensions(assignmentId) {
+        const { extensions } = await this.get(`/assignments/${encodeURIComponent(assignmentId)}/extensions`);
+        return extensions;
     }
 
-    // Back buttons
-    const backToProfLanding = document.getElementById('back-to-landing-prof');
-    const backToStudentLanding = document.getElementById('back-to-landing-student');
-    
-    if (backToProfLanding) {
-        backToProfLanding.addEventListener('click', (e) => {
-            e.preventDefault();
-            showPage('landing');
-        });
+    async grantExtension(assignmentId, extensionData) {
+        const { extension } = await this.post(`/assignments/${encodeURIComponent(assignmentId)}/extensions`, extensionData);
+        return extension;
     }
-    
-    if (backToStudentLanding) {
-        backToStudentLanding.addEventListener('click', (e) => {
-            e.preventDefault();
-            showPage('landing');
-        });
+
+    async revokeExtension(assignmentId, studentId) {
+        return await this.delete(`/assignments/${encodeURIComponent(assignmentId)}/extensions/${encodeURIComponent(studentId)}`);
     }
 
-    // Login forms
-    setupLoginForms();
-    setupProfessorDashboard();
-    setupStudentDashboard();
-    setupModalHandlers();
-    
-    console.log('EduSubmit Full-Stack Application Initialized');
-    // showNotification('Database connection established', 'success');
-});
+    async getAutograder(assignmentId) {
+        const { autograder } = await this.get(`/assignments/${encodeURIComponent(assignmentId)}/autograder`);
+        return autograder;
+    }
 
-function setupLoginForms() {
-    // Professor login
-    const professorLoginForm = document.getElementById('professor-login-form');
-    if (professorLoginForm) {
-        professorLoginForm.addEventListener('submit', async (e) => {
-            e.preventDefault();
-            const button = e.target.querySelector('button[type="submit"]');
-            showButtonSpinner(button, true);
-            showLoading('Authenticating with database...');
-            
-            const email = document.getElementById('prof-email').value;
-            const password = document.getElementById('prof-password').value;
-            const errorDiv = document.getElementById('prof-login-error');
-            
-            try {
-                const result = await appState.login(email, password);
-                document.getElementById('prof-name-display').textContent = result.user.name;
-                showPage('professorDashboard');
-                await loadProfessorDashboard();
-                showNotification(`Welcome back, ${result.user.name}!`, 'success');
-            } catch (error) {
-                errorDiv.textContent = error.message;
-                errorDiv.classList.add('show');
-                showNotification('Authentication failed', 'error');
-            } finally {
-                hideLoading();
-                showButtonSpinner(button, false);
-            }
-        });
+    async saveAutograder(assignmentId, autograderData) {
+        const { autograder } = await this.put(`/assignments/${encodeURIComponent(assignmentId)}/autograder`, autograderData);
+        return autograder;
     }
 
-    // Student login
-    const studentLoginForm = document.getElementById('student-login-form');
-    if (studentLoginForm) {
-        studentLoginForm.addEventListener('submit', async (e) => {
-            e.preventDefault();
-            const button = e.target.querySelector('button[type="submit"]');
-            showButtonSpinner(button, true);
-            showLoading('Verifying student credentials...');
-            
-            const email = document.getElementById('student-email').value;
-            const password = document.getElementById('student-password').value;
-            const errorDiv = document.getElementById('student-login-error');
-            
-            try {
-                const result = await appState.login(email, password);
-                document.getElementById('student-name-display').textContent = result.user.name;
-                showPage('studentDashboard');
-                await loadStudentDashboard();
-                showNotification(`Welcome, ${result.user.name}!`, 'success');
-            } catch (error) {
-                errorDiv.textContent = error.message;
-                errorDiv.classList.add('show');
-                showNotification('Authentication failed', 'error');
-            } finally {
-                hideLoading();
-                showButtonSpinner(button, false);
-            }
-        });
+    async removeAutograder(assignmentId) {
+        return await this.delete(`/assignments/${encodeURIComponent(assignmentId)}/autograder`);
     }
-}
 
-function setupProfessorDashboard() {
-    // Tab switching
-    initTabSwitching('professor-dashboard');
-    
-    // Logout
-    const profLogout = document.getElementById('prof-logout');
-    if (profLogout) {
-        profLogout.addEventListener('click', async () => {
-            await appState.logout();
-            showPage('landing');
-            showNotification('Logged out successfully', 'info');
-        });
+    async runAutograderForAssignment(assignmentId) {
+        return await this.post(`/assignments/${encodeURIComponent(assignmentId)}/autograder/run`);
     }
 
-    // Assignment creation
-    const createForm = document.getElementById('create-assignment-form');
-    if (createForm) {
-        createForm.addEventListener('submit', async (e) => {
-            e.preventDefault();
-            const button = e.target.querySelector('button[type="submit"]');
-            showButtonSpinner(button, true);
-            showLoading('Saving to database...');
-            
-            try {
-                const formData = {
-                    title: document.getElementById('assignment-title').value,
-                    description: document.getElementById('assignment-description').value,
-                    instructions: document.getElementById('assignment-instructions').value,
-                    deadline: document.getElementById('assignment-deadline').value
-                };
-                
-                await appState.createAssignment(formData);
-                createForm.reset();
-                showNotification('Assignment created successfully!', 'success');
-                
-                // Switch to assignments tab
-                const assignmentsTab = document.querySelector('.tab-btn[data-tab="assignments"]');
-                if (assignmentsTab) assignmentsTab.click();
-                
-            } catch (error) {
-                showNotification('Failed to create assignment', 'error');
-            } finally {
-                hideLoading();
-                showButtonSpinner(button, false);
-            }
-        });
+    async getSimilarityReport(assignmentId) {
+        const { report } = await this.get(`/assignments/${encodeURIComponent(assignmentId)}/similarity`);
+        return report;
     }
 
-    // Other button handlers
-    const resetBtn = document.getElementById('reset-form');
-    if (resetBtn) {
-        resetBtn.addEventListener('click', () => {
-            document.getElementById('create-assignment-form').reset();
-        });
+    async requestSimilarityReport(assignmentId) {
+        return await this.post(`/assignments/${encodeURIComponent(assignmentId)}/similarity`);
     }
 
-    const newAssignmentBtn = document.getElementById('new-assignment-btn');
-    if (newAssignmentBtn) {
-        newAssignmentBtn.addEventListener('click', () => {
-            const createTab = document.querySelector('.tab-btn[data-tab="create"]');
-            if (createTab) createTab.click();
-        });
+    async getSimilarityPair(pairId) {
+        const { pair } = await this.get(`/similarity/pairs/${encodeURIComponent(pairId)}`);
+        return pair;
     }
 
-    const syncDbBtn = document.getElementById('sync-db');
-    if (syncDbBtn) {
-        syncDbBtn.addEventListener('click', async () => {
-            showLoading('Synchronizing database...');
-            await new Promise(resolve => setTimeout(resolve, 1000));
-            hideLoading();
-            showNotification('Database synchronized', 'success');
-            await updateDatabaseStats();
-        });
+    async getStarterFiles(assignmentId) {
+        const { files } = await this.get(`/assignments/${encodeURIComponent(assignmentId)}/similarity/starter`);
+        return files;
     }
-}
 
-function setupStudentDashboard() {
-    initTabSwitching('student-dashboard');
-    
-    const studentLogout = document.getElementById('student-logout');
-    if (studentLogout) {
-        studentLogout.addEventListener('click', async () => {
-            await appState.logout();
-            showPage('landing');
-            showNotification('Logged out successfully', 'info');
-        });
+    async saveStarterFiles(assignmentId, files) {
+        return await this.put(`/assignments/${encodeURIComponent(assignmentId)}/similarity/starter`, { files });
     }
-}
 
-function setupModalHandlers() {
-    const submissionForm = document.getElementById('submission-form');
-    if (submissionForm) {
-        submissionForm.addEventListener('submit', async (e) => {
-            e.preventDefault();
-            const button = e.target.querySelector('button[type="submit"]');
-            showButtonSpinner(button, true);
-            showLoading('Submitting to database...');
-            
-            const assignmentId = document.getElementById('modal-assignment-id').value;
-            const repoLink = document.getElementById('repo-link').value;
-            
-            try {
-                // URL validation
-                new URL(repoLink);
-                if (!repoLink.includes('github.com')) {
-                    throw new Error('Please provide a GitHub repository URL');
-                }
-                
-                await appState.createSubmission({
-                    assignmentId,
-                    repoLink
-                });
-                
-                closeSubmissionModal();
-                showNotification('Assignment submitted successfully!', 'success');
-                
-                // Refresh student tabs
-                refreshStudentTab('available');
-                refreshStudentTab('my-submissions');
-                
+    // Submission endpoints
+    async getSubmissions(courseId) {
+        const { submissions } = await this.get('/submissions' + this.courseQuery(courseId));
+        return submissions;
+    }
+
+    async createSubmission(submissionData) {
+        return await this.post('/submissions', submissionData);
+    }
+
+    async getSubmissionVersions(submissionId) {
+        const { versions } = await this.get(`/submissions/${encodeURIComponent(submissionId)}/versions`);
+        return versions;
+    }
+
+    async selectSubmissionVersion(submissionId, versionId) {
+        return await this.put(`/submissions/${encodeURIComponent(submissionId)}/version`, { versionId });
+    }
+
+    async requestSnapshot(submissionId, kind) {
+        return await this.post(`/submissions/${encodeURIComponent(submissionId)}/snapshot`, { kind });
+    }
+
+    streamUrl() {
+        return `${this.baseUrl}/submissions/stream`;
+    }
+
+    snapshotArchiveUrl(snapshotId) {
+        return `${this.baseUrl}/snapshots/${encodeURIComponent(snapshotId)}/archive`;
+    }
+
+    async rerunAutograder(submissionId) {
+        return await this.post(`/submissions/${encodeURIComponent(submissionId)}/autograde`);
+    }
+
+    async getAutograderRun(submissionId) {
+        const { run } = await this.get(`/submissions/${encodeURIComponent(submissionId)}/autograder`);
+        return run;
+    }
+
+    async gradeSubmission(submissionId, gradeData) {
+        const { submission } = await this.put(`/submissions/${encodeURIComponent(submissionId)}/grade`, gradeData);
+        return submission;
+    }
+
+    async getSubmissionRubric(submissionId) {
+        return await this.get(`/submissions/${encodeURIComponent(submissionId)}/rubric`);
+    }
+
+    async scoreRubric(submissionId, scoreData) {
+        const { submission } = await this.put(`/submissions/${encodeURIComponent(submissionId)}/rubric`, scoreData);
+        return submission;
+    }
+
+    // Rubric endpoints
+    async getRubrics() {
+        const { rubrics } = await this.get('/rubrics');
+        return rubrics;
+    }
+
+    async createRubric(rubricData) {
+        const { rubric } = await this.post('/rubrics', rubricData);
+        return rubric;
+    }
+
+    async deleteRubric(rubricId) {
+        return await this.delete(`/rubrics/${encodeURIComponent(rubricId)}`);
+    }
+
+    // Notification preference endpoints
+    async getNotificationPreferences() {
+        const { preferences } = await this.get('/notifications/preferences');
+        return preferences;
+    }
+
+    async saveNotificationPreferences(preferences) {
+        return await this.put('/notifications/preferences', { preferences });
+    }
+
+    // Scheduled job endpoints
+    async getJobs(status = '') {
+        const { jobs } = await this.get(`/jobs${status ? `?status=${encodeURIComponent(status)}` : ''}`);
+        return jobs;
+    }
+
+    async retryJob(jobId) {
+        return await this.post(`/jobs/${encodeURIComponent(jobId)}/retry`, {});
+    }
+
+    async cancelJob(jobId) {
+        return await this.delete(`/jobs/${encodeURIComponent(jobId)}`);
+    }
+
+    // User management endpoints (administrators)
+    async getAdminUsers(filters = {}) {
+        const params = new URLSearchParams();
+        Object.entries(filters).forEach(([key, value]) => {
+            if (value !== '' && value !== null && value !== undefined) params.set(key, value);
+        });
+        return await this.get(`/admin/users?${params}`);
+    }
+
+    async createUser(userData) {
+        return await this.post('/admin/users', userData);
+    }
+
+    async updateUser(userId, userData) {
+        return await this.put(`/admin/users/${encodeURIComponent(userId)}`, userData);
+    }
+
+    async deactivateUser(userId) {
+        return await this.post(`/admin/users/${encodeURIComponent(userId)}/deactivate`);
+    }
+
+    async reactivateUser(userId) {
+        return await this.post(`/admin/users/${encodeURIComponent(userId)}/reactivate`);
+    }
+
+    async resetUserPassword(userId, credentials) {
+        return await this.post(`/admin/users/${encodeURIComponent(userId)}/password-reset`, { credentials });
+    }
+
+    async getUserSessions(userId) {
+        return await this.get(`/admin/users/${encodeURIComponent(userId)}/sessions`);
+    }
+
+    async endUserSession(userId, sessionId) {
+        return await this.delete(`/admin/users/${encodeURIComponent(userId)}/sessions/${encodeURIComponent(sessionId)}`);
+    }
+
+    async endUserSessions(userId) {
+        return await this.delete(`/admin/users/${encodeURIComponent(userId)}/sessions`);
+    }
+
+    async getLockouts() {
+        return await this.get('/admin/lockouts');
+    }
+
+    async clearLockout(scope, key) {
+        return await this.delete(`/admin/lockouts/${encodeURIComponent(scope)}/${encodeURIComponent(key)}`);
+    }
+
+    // Statistics endpoint
+    async getStats() {
+        const { stats } = await this.get('/stats');
+        return stats;
+    }
+}
+
+// Application State Management
+class AppState {
+    constructor() {
+        this.api = new APIService();
+        this.api.onUnauthorized = (error) => this.handleUnauthorized(error);
+        this.currentUser = null;
+        this.currentRole = null;
+        this.assignments = [];
+        this.submissions = [];
+        this.rubrics = [];
+        this.courses = [];
+        this.currentCourseId = '';
+        this.submissionAssignmentId = '';
+        this.adminUsers = [];
+        this.adminUserOffset = 0;
+        this.realTimeChart = null;
+        this.eventSource = null;
+    }
+
+    // The browser reconnects on its own and sends Last-Event-ID, so missed events are replayed
+    connectRealTimeUpdates() {
+        this.disconnectRealTimeUpdates();
+        if (typeof EventSource === 'undefined') return;
+
+        this.eventSource = new EventSource(this.api.streamUrl(), { withCredentials: true });
+        this.eventSource.onmessage = (event) => {
+            try {
+                const { type, data } = JSON.parse(event.data);
+                this.handleRealTimeUpdate(type, data);
             } catch (error) {
-                if (error.message.includes('GitHub')) {
-                    showNotification(error.message, 'error');
-                } else {
-                    showNotification('Please enter a valid GitHub repository URL', 'error');
+                console.error('Malformed real-time event:', error);
+            }
+        };
+    }
+
+    disconnectRealTimeUpdates() {
+        if (this.eventSource) {
+            this.eventSource.close();
+            this.eventSource = null;
+        }
+    }
+
+    handleRealTimeUpdate(type, data) {
+        if (type === 'connected') return;
+
+        const isAssignmentEvent = type.startsWith('assignment_');
+        const isSubmissionEvent = type.startsWith('submission_') || type === 'grade_updated';
+
+        if (type !== 'resync' && !(this.currentUser && data.actorId === this.currentUser.id)) {
+            showRealTimeToast(type, data);
+        }
+
+        // Only the visible tab is reloaded; the others load fresh when opened
+        if (isCourseStaff()) {
+            const tab = activeTab('professor-dashboard');
+            if (type === 'resync' || (isAssignmentEvent && tab === 'assignments') ||
+                (isSubmissionEvent && ['assignments', 'submissions'].includes(tab))) {
+                refreshProfessorTab(tab);
+            }
+        } else if (this.currentRole === 'student') {
+            const tab = activeTab('student-dashboard');
+            if (type === 'resync' || (isAssignmentEvent && tab === 'available') ||
+                (isSubmissionEvent && ['available', 'my-submissions'].includes(tab))) {
+                refreshStudentTab(tab);
+            }
+        }
+        
+        // Update charts if visible
+        if (this.realTimeChart && type === 'submission_created') {
+            this.updateChart();
+        }
+    }
+
+    handleUnauthorized(error) {
+        if (!this.currentUser) return;
+
+        const role = this.currentRole;
+        this.clearSession();
+        showPage(role === 'student' ? 'studentLogin' : 'professorLogin');
+        showNotification(error.message === 'Authentication required' ?
+            'Your session has expired. Please sign in again.' : error.message, 'error');
+    }
+
+    clearSession() {
+        this.currentUser = null;
+        this.currentRole = null;
+        this.assignments = [];
+        this.submissions = [];
+        this.rubrics = [];
+        this.courses = [];
+        this.currentCourseId = '';
+        this.submissionAssignmentId = '';
+        this.adminUsers = [];
+        this.adminUserOffset = 0;
+        this.disconnectRealTimeUpdates();
+        if (this.realTimeChart) {
+            this.realTimeChart.destroy();
+            this.realTimeChart = null;
+        }
+    }
+
+    async updateChart() {
+        try {
+            const analytics = await this.getAnalytics();
+            if (this.realTimeChart) {
+                this.realTimeChart.data.datasets[0].data = analytics.submissionTimeline.data;
+                this.realTimeChart.update('none');
+            }
+        } catch (error) {
+            console.error('Failed to update chart:', error);
+        }
+    }
+
+    setUser(user) {
+        this.currentUser = user;
+        this.currentRole = user ? user.role : null;
+    }
+
+    async restoreSession() {
+        try {
+            const user = await this.api.getCurrentUser();
+            this.setUser(user);
+            return user;
+        } catch (error) {
+            if (!(error instanceof AuthenticationError) && !(error instanceof NotFoundError)) {
+                console.error('Failed to restore session:', error);
+            }
+            return null;
+        }
+    }
+
+    async login(email, password) {
+        const result = await this.api.login(email, password);
+        this.setUser(result.user);
+        return result;
+    }
+
+    async loginWithGoogle(token) {
+        const result = await this.api.loginWithGoogle(token);
+        this.setUser(result.user);
+        return result;
+    }
+
+    async getInvite(token) {
+        return await this.api.getInvite(token);
+    }
+
+    async acceptInvite(token, password) {
+        const result = await this.api.acceptInvite(token, password);
+        this.setUser(result.user);
+        return result;
+    }
+
+    async requestPasswordReset(email) {
+        return await this.api.requestPasswordReset(email);
+    }
+
+    async getRegistrationSettings() {
+        return await this.api.getRegistrationSettings();
+    }
+
+    async getCourseInvite(code) {
+        return await this.api.getCourseInvite(code);
+    }
+
+    async register(registrationData) {
+        return await this.api.register(registrationData);
+    }
+
+    async verifyEmail(token) {
+        const result = await this.api.verifyEmail(token);
+        this.setUser(result.user);
+        return result;
+    }
+
+    async getPasswordReset(token) {
+        return await this.api.getPasswordReset(token);
+    }
+
+    async resetPassword(token, password) {
+        const result = await this.api.resetPassword(token, password);
+        this.setUser(result.user);
+        return result;
+    }
+
+    async changePassword(currentPassword, newPassword) {
+        return await this.api.changePassword(currentPassword, newPassword);
+    }
+
+    // `userId` names another account (administrators only); without it, the caller's own sessions
+    async getSessions(userId = null) {
+        const { sessions } = userId ? await this.api.getUserSessions(userId) : await this.api.getSessions();
+        return sessions;
+    }
+
+    async endSession(sessionId, userId = null) {
+        if (userId) return await this.api.endUserSession(userId, sessionId);
+
+        const result = await this.api.endSession(sessionId);
+        if (result.signedOut) this.clearSession();
+        return result;
+    }
+
+    async endAllSessions(userId = null) {
+        return userId ? await this.api.endUserSessions(userId) : await this.api.endOtherSessions();
+    }
+
+    async logout() {
+        try {
+            await this.api.logout();
+        } finally {
+            this.clearSession();
+        }
+    }
+
+    async getCourses() {
+        this.courses = await this.api.getCourses();
+        if (!this.courses.some(course => course.id === this.currentCourseId)) {
+            this.currentCourseId = '';
+        }
+        return this.courses;
+    }
+
+    async createCourse(data) {
+        return await this.api.createCourse(data);
+    }
+
+    async getEnrollments(courseId) {
+        return await this.api.getEnrollments(courseId);
+    }
+
+    async enrollStudent(courseId, data) {
+        return await this.api.enrollStudent(courseId, data);
+    }
+
+    async unenrollStudent(courseId, studentId) {
+        return await this.api.unenrollStudent(courseId, studentId);
+    }
+
+    async getAccommodations(courseId) {
+        return await this.api.getAccommodations(courseId);
+    }
+
+    async grantAccommodation(courseId, data) {
+        return await this.api.grantAccommodation(courseId, data);
+    }
+
+    async revokeAccommodation(courseId, studentId) {
+        return await this.api.revokeAccommodation(courseId, studentId);
+    }
+
+    async importRoster(courseId, data) {
+        return await this.api.importRoster(courseId, data);
+    }
+
+    async getCourseTas(courseId) {
+        return await this.api.getCourseTas(courseId);
+    }
+
+    async addCourseTa(courseId, email) {
+        return await this.api.addCourseTa(courseId, email);
+    }
+
+    async removeCourseTa(courseId, userId) {
+        return await this.api.removeCourseTa(courseId, userId);
+    }
+
+    async updateTaPermissions(courseId, permissions) {
+        return await this.api.updateTaPermissions(courseId, permissions);
+    }
+
+    async getInviteCodes(courseId) {
+        return await this.api.getInviteCodes(courseId);
+    }
+
+    async createInviteCode(courseId, options) {
+        return await this.api.createInviteCode(courseId, options);
+    }
+
+    async revokeInviteCode(courseId, codeId) {
+        return await this.api.revokeInviteCode(courseId, codeId);
+    }
+
+    async redeemInviteCode(code) {
+        return await this.api.redeemInviteCode(code);
+    }
+
+    async getGradebook(courseId) {
+        return await this.api.getGradebook(courseId);
+    }
+
+    async importGrades(courseId, csv, apply) {
+        return await this.api.importGrades(courseId, csv, apply);
+    }
+
+    async getAssignments() {
+        this.assignments = await this.api.getAssignments(this.currentCourseId);
+        return this.assignments;
+    }
+
+    async createAssignment(data) {
+        return await this.api.createAssignment(data);
+    }
+
+    async getExtensions(assignmentId) {
+        return await this.api.getExtensions(assignmentId);
+    }
+
+    async grantExtension(assignmentId, data) {
+        return await this.api.grantExtension(assignmentId, data);
+    }
+
+    async revokeExtension(assignmentId, studentId) {
+        return await this.api.revokeExtension(assignmentId, studentId);
+    }
+
+    async getAutograder(assignmentId) {
+        return await this.api.getAutograder(assignmentId);
+    }
+
+    async saveAutograder(assignmentId, data) {
+        return await this.api.saveAutograder(assignmentId, data);
+    }
+
+    async removeAutograder(assignmentId) {
+        return await this.api.removeAutograder(assignmentId);
+    }
+
+    async runAutograderForAssignment(assignmentId) {
+        return await this.api.runAutograderForAssignment(assignmentId);
+    }
+
+    async getSimilarityReport(assignmentId) {
+        return await this.api.getSimilarityReport(assignmentId);
+    }
+
+    async requestSimilarityReport(assignmentId) {
+        return await this.api.requestSimilarityReport(assignmentId);
+    }
+
+    async getSimilarityPair(pairId) {
+        return await this.api.getSimilarityPair(pairId);
+    }
+
+    async getStarterFiles(assignmentId) {
+        return await this.api.getStarterFiles(assignmentId);
+    }
+
+    async saveStarterFiles(assignmentId, files) {
+        return await this.api.saveStarterFiles(assignmentId, files);
+    }
+
+    async getSubmissions() {
+        this.submissions = await this.api.getSubmissions(this.currentCourseId);
+        return this.submissions;
+    }
+
+    async createSubmission(data) {
+        return await this.api.createSubmission(data);
+    }
+
+    async getSubmissionVersions(submissionId) {
+        return await this.api.getSubmissionVersions(submissionId);
+    }
+
+    async selectSubmissionVersion(submissionId, versionId) {
+        return await this.api.selectSubmissionVersion(submissionId, versionId);
+    }
+
+    async requestSnapshot(submissionId, kind) {
+        return await this.api.requestSnapshot(submissionId, kind);
+    }
+
+    async rerunAutograder(submissionId) {
+        return await this.api.rerunAutograder(submissionId);
+    }
+
+    async getAutograderRun(submissionId) {
+        return await this.api.getAutograderRun(submissionId);
+    }
+
+    async gradeSubmission(submissionId, data) {
+        return await this.api.gradeSubmission(submissionId, data);
+    }
+
+    async getSubmissionRubric(submissionId) {
+        return await this.api.getSubmissionRubric(submissionId);
+    }
+
+    async scoreRubric(submissionId, data) {
+        return await this.api.scoreRubric(submissionId, data);
+    }
+
+    async getRubrics() {
+        this.rubrics = await this.api.getRubrics();
+        return this.rubrics;
+    }
+
+    async createRubric(data) {
+        return await this.api.createRubric(data);
+    }
+
+    async deleteRubric(rubricId) {
+        return await this.api.deleteRubric(rubricId);
+    }
+
+    async getStats() {
+        return await this.api.getStats();
+    }
+
+    async getNotificationPreferences() {
+        return await this.api.getNotificationPreferences();
+    }
+
+    async getJobs(status) {
+        return await this.api.getJobs(status);
+    }
+
+    async retryJob(jobId) {
+        return await this.api.retryJob(jobId);
+    }
+
+    async cancelJob(jobId) {
+        return await this.api.cancelJob(jobId);
+    }
+
+    async saveNotificationPreferences(preferences) {
+        return await this.api.saveNotificationPreferences(preferences);
+    }
+
+    async getAdminUsers(filters) {
+        const result = await this.api.getAdminUsers(filters);
+        this.adminUsers = result.users;
+        return result;
+    }
+
+    async createUser(data) {
+        return await this.api.createUser(data);
+    }
+
+    async updateUser(userId, data) {
+        return await this.api.updateUser(userId, data);
+    }
+
+    async deactivateUser(userId) {
+        return await this.api.deactivateUser(userId);
+    }
+
+    async reactivateUser(userId) {
+        return await this.api.reactivateUser(userId);
+    }
+
+    async resetUserPassword(userId, credentials) {
+        return await this.api.resetUserPassword(userId, credentials);
+    }
+
+    async getLockouts() {
+        return await this.api.getLockouts();
+    }
+
+    async clearLockout(scope, key) {
+        return await this.api.clearLockout(scope, key);
+    }
+
+    async getAnalytics() {
+        const [stats, submissions] = await Promise.all([this.getStats(), this.getSubmissions()]);
+        return {
+            stats,
+            submissionTimeline: generateSubmissionTimeline(submissions)
+        };
+    }
+}
+
+function generateSubmissionTimeline(submissions) {
+    const timeline = {};
+    submissions.forEach(sub => {
+        const date = parseTimestamp(sub.submitted_at).toDateString();
+        timeline[date] = (timeline[date] || 0) + 1;
+    });
+
+    const labels = [];
+    const data = [];
+
+    for (let i = 0; i < 7; i++) {
+        const date = new Date();
+        date.setDate(date.getDate() - i);
+        labels.unshift(date.toLocaleDateString('en-US', { month: 'short', day: 'numeric' }));
+        data.unshift(timeline[date.toDateString()] || 0);
+    }
+
+    return { labels, data };
+}
+
+// Initialize application
+const appState = new AppState();
+
+// DOM Elements
+const pages = {
+    landing: document.getElementById('landing-page'),
+    professorLogin: document.getElementById('professor-login-page'),
+    studentLogin: document.getElementById('student-login-page'),
+    professorDashboard: document.getElementById('professor-dashboard'),
+    studentDashboard: document.getElementById('student-dashboard'),
+    adminDashboard: document.getElementById('admin-dashboard')
+};
+
+// Navigation functions
+function showPage(pageId) {
+    Object.values(pages).forEach(page => {
+        if (page) page.classList.remove('active');
+    });
+    if (pages[pageId]) {
+        pages[pageId].classList.add('active');
+    }
+}
+
+function showLoading(text = 'Processing request...') {
+    const overlay = document.getElementById('loading-overlay');
+    const loadingText = document.getElementById('loading-text');
+    if (loadingText) loadingText.textContent = text;
+    overlay.classList.remove('hidden');
+}
+
+function hideLoading() {
+    document.getElementById('loading-overlay').classList.add('hidden');
+}
+
+// Enhanced notification system
+function showNotification(message, type = 'info') {
+    const container = document.getElementById('notification-container');
+    const notification = document.createElement('div');
+    notification.className = `notification ${type}`;
+    notification.textContent = message;
+    
+    container.appendChild(notification);
+    
+    setTimeout(() => {
+        if (notification.parentNode) {
+            notification.style.animation = 'slideOut 0.3s ease-in';
+            setTimeout(() => {
+                if (notification.parentNode) {
+                    notification.parentNode.removeChild(notification);
+                }
+            }, 300);
+        }
+    }, 5000);
+    
+    notification.addEventListener('click', () => {
+        if (notification.parentNode) {
+            notification.parentNode.removeChild(notification);
+        }
+    });
+}
+
+function showRealTimeToast(type, data) {
+    const toast = document.getElementById('realtime-toast');
+    const toastText = document.getElementById('toast-text');
+    
+    if (!toast || !toastText) return;
+    
+    let message = '';
+    switch(type) {
+        case 'submission_created':
+            message = `New submission from ${data.studentName}`;
+            break;
+        case 'submission_updated':
+            message = `Submission updated: ${data.assignmentTitle}`;
+            break;
+        case 'grade_updated':
+            message = `Grade posted: ${data.assignmentTitle}`;
+            break;
+        case 'assignment_created':
+            message = `New assignment posted: ${data.title}`;
+            break;
+        case 'assignment_updated':
+            message = `Assignment updated: ${data.title}`;
+            break;
+        case 'assignment_deleted':
+            message = `Assignment removed: ${data.title}`;
+            break;
+        case 'assignment_closed':
+            message = `Submissions closed: ${data.title}`;
+            break;
+        default:
+            message = 'Database updated';
+    }
+    
+    toastText.textContent = message;
+    toast.classList.remove('hidden');
+    
+    setTimeout(() => {
+        toast.classList.add('hidden');
+    }, 3000);
+}
+
+// Utility functions
+
+// SQLite CURRENT_TIMESTAMP values are UTC but carry no zone designator
+function parseTimestamp(value) {
+    if (typeof value === 'string' && /^\d{4}-\d{2}-\d{2} \d{2}:\d{2}:\d{2}$/.test(value)) {
+        return new Date(value.replace(' ', 'T') + 'Z');
+    }
+    return new Date(value);
+}
+
+function escapeHtml(value) {
+    return String(value === null || value === undefined ? '' : value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+function formatDate(dateString) {
+    if (!dateString) return 'Unknown';
+    const date = parseTimestamp(dateString);
+    return date.toLocaleDateString() + ' ' + date.toLocaleTimeString([], {hour: '2-digit', minute:'2-digit'});
+}
+
+function formatDeadline(dateString) {
+    const date = parseTimestamp(dateString);
+    const now = new Date();
+    const diffTime = date - now;
+    const diffDays = Math.ceil(diffTime / (1000 * 60 * 60 * 24));
+    
+    if (diffDays < 0) return 'Overdue';
+    if (diffDays === 0) return 'Due today';
+    if (diffDays === 1) return 'Due tomorrow';
+    return `Due in ${diffDays} days`;
+}
+
+function statusClass(status) {
+    switch (status) {
+        case 'graded':
+            return 'status--success';
+        case 'late':
+            return 'status--warning';
+        default:
+            return 'status--info';
+    }
+}
+
+function formatGrade(submission) {
+    if (submission.points === null || submission.points === undefined) return 'Not graded';
+    const grade = `${submission.points} / ${submission.max_points}`;
+    if (!submission.applied_late_penalty) return grade;
+    return `${grade} (${submission.raw_points} − ${submission.applied_late_penalty}% late)`;
+}
+
+function isOverdue(deadline) {
+    return new Date() > parseTimestamp(deadline);
+}
+
+// A student's own deadline after extensions and accommodations
+function studentDeadline(assignment) {
+    return assignment.effective_deadline || assignment.deadline;
+}
+
+function hasAdjustedDeadline(assignment) {
+    return studentDeadline(assignment) !== assignment.deadline;
+}
+
+// Mirrors lib/late-policy.js so cards can show the late window without a round trip
+function lateWindowEnd(assignment, deadline = assignment.deadline) {
+    const due = parseTimestamp(deadline);
+
+    switch (assignment.late_policy) {
+        case 'grace':
+            return new Date(due.getTime() + (assignment.grace_period_minutes || 0) * 60 * 1000);
+        case 'accept_until': {
+            const cutoff = parseTimestamp(assignment.late_cutoff);
+            return cutoff > due ? cutoff : due;
+        }
+        default:
+            return null;
+    }
+}
+
+function describeLatePolicy(assignment, deadline = assignment.deadline) {
+    const closesAt = lateWindowEnd(assignment, deadline);
+    if (!closesAt) return 'No late submissions';
+
+    const penalty = assignment.late_penalty_percent
+        ? `${assignment.late_penalty_percent}% off per ${assignment.late_penalty_unit} late`
+        : 'no penalty';
+    return `Late until ${formatDate(closesAt.toISOString())} (${penalty})`;
+}
+
+function formatRepoRef(item) {
+    if (!item.repo_ref) return '';
+    const ref = item.repo_ref_type === 'commit' ? item.repo_ref.slice(0, 12) : item.repo_ref;
+    return `${item.repo_ref_type} ${ref}`;
+}
+
+function renderRepoRef(item) {
+    if (!item.repo_ref) return '';
+    return `<small class="repo-ref" title="${escapeHtml(item.repo_ref)}">${escapeHtml(formatRepoRef(item))}</small>`;
+}
+
+// One line per snapshot kind: the captured commit, or why there is none yet
+function renderSnapshot(submission, kind) {
+    const prefix = kind === 'deadline' ? 'deadline_' : '';
+    const id = submission[`${prefix}snapshot_id`];
+    const label = kind === 'deadline' ? 'At deadline' : 'At hand-in';
+
+    if (!id) {
+        return kind === 'deadline' ? '' : `<small class="snapshot-line">${label}: not taken</small>`;
+    }
+
+    const status = submission[`${prefix}snapshot_status`];
+    const retry = coursePermits(submission.course_id, 'grade_submissions') ? `
+        <button class="btn btn--outline btn--sm" onclick="retrySnapshot('${escapeHtml(submission.id)}', '${kind}')">Retry</button>
+    ` : '';
+
+    if (status === 'failed') {
+        return `
+            <small class="snapshot-line snapshot-line--failed" title="${escapeHtml(submission[`${prefix}snapshot_error`])}">
+                ${label}: failed ${retry}
+            </small>
+        `;
+    }
+    if (status !== 'complete') {
+        return `<small class="snapshot-line">${label}: ${escapeHtml(status)}…</small>`;
+    }
+
+    const sha = submission[`${prefix}snapshot_sha`];
+    const lateCommits = kind === 'deadline'
+        ? submission.deadline_commits_after_deadline
+        : submission.snapshot_commits_after_deadline;
+
+    return `
+        <small class="snapshot-line">
+            ${label}:
+            <a href="${escapeHtml(appState.api.snapshotArchiveUrl(id))}" title="${escapeHtml(sha)}"><code>${escapeHtml(sha.slice(0, 7))}</code></a>
+            ${lateCommits > 0 ? `
+                <span class="snapshot-flag">${lateCommits} commit${lateCommits === 1 ? '' : 's'} after deadline</span>
+            ` : ''}
+        </small>
+    `;
+}
+
+async function retrySnapshot(submissionId, kind) {
+    try {
+        await appState.requestSnapshot(submissionId, kind);
+        showNotification('Snapshot queued', 'success');
+        await loadAllSubmissions();
+    } catch (error) {
+        showNotification(`Failed to queue snapshot: ${error.message}`, 'error');
+    }
+}
+
+// Latest autograder result: pass/fail counts, or the run's state
+function renderAutograder(submission) {
+    if (!submission.autograder_run_id) {
+        return submission.autograder_max_points ? '<small class="autograder-line">Not run yet</small>' : '';
+    }
+
+    const status = submission.autograder_status;
+    const total = (submission.autograder_passed || 0) + (submission.autograder_failed || 0);
+    let summary;
+    if (status === 'queued' || status === 'running') {
+        summary = `${status}…`;
+    } else if (submission.autograder_passed !== null && submission.autograder_passed !== undefined) {
+        summary = `${submission.autograder_passed}/${total} tests passed`;
+    } else {
+        summary = status === 'error' ? 'could not run' : status;
+    }
+
+    return `<small class="autograder-line autograder-line--${escapeHtml(status)}">${escapeHtml(summary)}</small>`;
+}
+
+async function rerunAutograder(submissionId) {
+    try {
+        await appState.rerunAutograder(submissionId);
+        showNotification('Autograder run queued', 'success');
+        await loadAllSubmissions();
+    } catch (error) {
+        showNotification(`Failed to queue autograder run: ${error.message}`, 'error');
+    }
+}
+
+const JOB_LABELS = {
+    deadline_reminder: 'Deadline reminder',
+    assignment_close: 'Close submissions',
+    deadline_snapshot: 'Deadline snapshot',
+    mail_delivery: 'Mail delivery',
+    submission_digest: 'Submission digest',
+    database_backup: 'Database backup',
+    prune_jobs: 'Job cleanup',
+    prune_password_resets: 'Reset link cleanup',
+    prune_auth_throttles: 'Sign-in counter cleanup',
+    prune_sessions: 'Expired session cleanup'
+};
+
+function describeJob(job) {
+    const label = JOB_LABELS[job.type] || job.type;
+    if (job.type === 'deadline_reminder') {
+        return `${label}, ${job.payload.hours} h before${job.payload.studentId ? ' (one student)' : ''}`;
+    }
+    if (job.interval_seconds) {
+        const hours = job.interval_seconds / 3600;
+        return `${label}, every ${hours >= 1 ? `${hours} h` : `${Math.round(job.interval_seconds / 60)} min`}`;
+    }
+    return label;
+}
+
+function jobStatusClass(status) {
+    switch (status) {
+        case 'failed':
+            return 'status--error';
+        case 'running':
+            return 'status--warning';
+        case 'complete':
+            return 'status--success';
+        default:
+            return 'status--info';
+    }
+}
+
+// Professors manage their assignments' jobs from a tab, administrators the site-wide ones
+function jobElements() {
+    const admin = appState.currentUser && appState.currentUser.role === 'admin';
+    return {
+        filter: document.getElementById(admin ? 'admin-job-status-filter' : 'job-status-filter'),
+        tbody: document.getElementById(admin ? 'admin-jobs-body' : 'jobs-table-body')
+    };
+}
+
+async function loadJobs() {
+    showLoading('Loading scheduled jobs...');
+
+    try {
+        const { filter, tbody } = jobElements();
+        const jobs = await appState.getJobs(filter.value);
+
+        if (!jobs.length) {
+            tbody.innerHTML = `
+                <tr>
+                    <td colspan="6" style="text-align: center; padding: 2rem; color: var(--color-text-secondary);">
+                        No jobs with this status
+                    </td>
+                </tr>
+            `;
+            return;
+        }
+
+        tbody.innerHTML = jobs.map(job => `
+            <tr>
+                <td>${escapeHtml(describeJob(job))}</td>
+                <td>${escapeHtml(job.assignment_title || (job.assignment_id ? 'Deleted assignment' : 'Site-wide'))}</td>
+                <td>${formatDate(job.run_at)}</td>
+                <td>
+                    <span class="status ${jobStatusClass(job.status)}">${escapeHtml(job.status)}</span>
+                    ${job.last_error ? `<small class="late-note">${escapeHtml(job.last_error)}</small>` : ''}
+                </td>
+                <td>${job.interval_seconds ? '—' : `${job.attempts} / ${job.max_attempts}`}</td>
+                <td>
+                    ${['pending', 'failed'].includes(job.status) ? `
+                        <button class="btn btn--outline btn--sm" onclick="retryJob('${escapeHtml(job.id)}')">Run Now</button>
+                    ` : ''}
+                    ${['pending', 'failed'].includes(job.status) && !job.interval_seconds ? `
+                        <button class="btn btn--outline btn--sm" onclick="cancelJob('${escapeHtml(job.id)}')">Cancel</button>
+                    ` : ''}
+                </td>
+            </tr>
+        `).join('');
+    } catch (error) {
+        showNotification(`Failed to load jobs: ${error.message}`, 'error');
+    } finally {
+        hideLoading();
+    }
+}
+
+async function retryJob(jobId) {
+    try {
+        await appState.retryJob(jobId);
+        showNotification('Job queued to run now', 'success');
+        await loadJobs();
+    } catch (error) {
+        showNotification(`Failed to run job: ${error.message}`, 'error');
+    }
+}
+
+async function cancelJob(jobId) {
+    if (!confirm('Cancel this job? It will not run unless its assignment is rescheduled.')) return;
+
+    try {
+        await appState.cancelJob(jobId);
+        showNotification('Job cancelled', 'success');
+        await loadJobs();
+    } catch (error) {
+        showNotification(`Failed to cancel job: ${error.message}`, 'error');
+    }
+}
+
+function formatMinutesLate(minutes) {
+    if (minutes < 60) return `${minutes} min late`;
+    if (minutes < 24 * 60) return `${Math.round(minutes / 60)} h late`;
+    return `${Math.round(minutes / (24 * 60))} d late`;
+}
+
+function updateLatePolicyFields() {
+    const select = document.getElementById('assignment-late-policy');
+    if (!select) return;
+
+    document.querySelectorAll('.late-policy-field').forEach(field => {
+        const policies = field.dataset.policy.split(' ');
+        field.classList.toggle('hidden', !policies.includes(select.value));
+    });
+}
+
+function readLatePolicyFields() {
+    const latePolicy = document.getElementById('assignment-late-policy').value;
+    const cutoff = document.getElementById('assignment-late-cutoff').value;
+
+    return {
+        latePolicy,
+        gracePeriodMinutes: Math.round(Number(document.getElementById('assignment-grace-hours').value || 0) * 60),
+        lateCutoff: cutoff ? new Date(cutoff).toISOString() : null,
+        latePenaltyPercent: document.getElementById('assignment-late-penalty').value,
+        latePenaltyUnit: document.getElementById('assignment-late-penalty-unit').value
+    };
+}
+
+function showButtonSpinner(button, show = true) {
+    const text = button.querySelector('.btn-text');
+    const spinner = button.querySelector('.btn-spinner');
+    
+    if (show) {
+        button.disabled = true;
+        if (text) text.style.opacity = '0.7';
+        if (spinner) spinner.classList.remove('hidden');
+    } else {
+        button.disabled = false;
+        if (text) text.style.opacity = '1';
+        if (spinner) spinner.classList.add('hidden');
+    }
+}
+
+// Global navigation functions that can be called from HTML
+window.navigateToProfessorLogin = function() {
+    showPage('professorLogin');
+};
+
+window.navigateToStudentLogin = function() {
+    showPage('studentLogin');
+};
+
+window.navigateToLanding = function() {
+    showPage('landing');
+};
+
+// Google Identity Services callback (see g_id_onload in index.html)
+window.handleCredentialResponse = async function(response) {
+    showLoading('Verifying Google account...');
+
+    try {
+        const result = await appState.loginWithGoogle(response.credential);
+        await enterDashboard(result.user);
+        showNotification(`Welcome, ${result.user.name}!`, 'success');
+    } catch (error) {
+        const errorDiv = document.getElementById(
+            pages.professorLogin.classList.contains('active') ? 'prof-login-error' : 'student-login-error'
+        );
+        if (errorDiv) {
+            errorDiv.textContent = error.message;
+            errorDiv.classList.add('show');
+        }
+        showNotification('Google sign-in failed', 'error');
+    } finally {
+        hideLoading();
+    }
+};
+
+// Initialize the application when DOM is loaded
+document.addEventListener('DOMContentLoaded', async () => {
+    console.log('DOM loaded, initializing application...');
+    
+    // Set default minimum date for assignment deadline
+    const now = new Date();
+    now.setMinutes(now.getMinutes() - now.getTimezoneOffset());
+    const deadlineInput = document.getElementById('assignment-deadline');
+    if (deadlineInput) {
+        deadlineInput.min = now.toISOString().slice(0, 16);
+    }
+    
+    showPage('landing');
+    
+    // Landing page event listeners - Fixed navigation
+    const professorCard = document.getElementById('professor-role');
+    const studentCard = document.getElementById('student-role');
+    
+    // Add click handlers to both the card and the button
+    if (professorCard) {
+        professorCard.addEventListener('click', (e) => {
+            e.preventDefault();
+            console.log('Professor card clicked');
+            showPage('professorLogin');
+        });
+        
+        // Also handle button clicks specifically
+        const professorBtn = professorCard.querySelector('.btn');
+        if (professorBtn) {
+            professorBtn.addEventListener('click', (e) => {
+                e.preventDefault();
+                e.stopPropagation();
+                console.log('Professor button clicked');
+                showPage('professorLogin');
+            });
+        }
+    }
+    
+    if (studentCard) {
+        studentCard.addEventListener('click', (e) => {
+            e.preventDefault();
+            console.log('Student card clicked');
+            showPage('studentLogin');
+        });
+        
+        // Also handle button clicks specifically
+        const studentBtn = studentCard.querySelector('.btn');
+        if (studentBtn) {
+            studentBtn.addEventListener('click', (e) => {
+                e.preventDefault();
+                e.stopPropagation();
+                console.log('Student button clicked');
+                showPage('studentLogin');
+            });
+        }
+    }
+
+    // Back buttons
+    const backToProfLanding = document.getElementById('back-to-landing-prof');
+    const backToStudentLanding = document.getElementById('back-to-landing-student');
+    
+    if (backToProfLanding) {
+        backToProfLanding.addEventListener('click', (e) => {
+            e.preventDefault();
+            showPage('landing');
+        });
+    }
+    
+    if (backToStudentLanding) {
+        backToStudentLanding.addEventListener('click', (e) => {
+            e.preventDefault();
+            showPage('landing');
+        });
+    }
+
+    // Login forms
+    setupLoginForms();
+    setupProfessorDashboard();
+    setupStudentDashboard();
+    setupAdminDashboard();
+    setupModalHandlers();
+
+    // An invite link from a roster import opens the set-password form instead,
+    // and so does an emailed reset link
+    const params = new URLSearchParams(window.location.search);
+    const inviteToken = params.get('invite');
+    if (inviteToken) {
+        await openInviteModal(inviteToken);
+        return;
+    }
+    const resetToken = params.get('reset');
+    if (resetToken) {
+        await openSetPasswordModal(resetToken);
+        return;
+    }
+    const verifyToken = params.get('verify');
+    if (verifyToken) {
+        await verifyEmailFromLink(verifyToken);
+        return;
+    }
+
+    // Resume an existing server session after a page reload
+    const user = await appState.restoreSession();
+    if (user) {
+        await enterDashboard(user);
+    }
+
+    // A course invite link enrolls a signed-in student, or starts a registration
+    const joinCode = params.get('join');
+    if (joinCode) {
+        window.history.replaceState(null, '', window.location.pathname);
+        if (user && user.role === 'student') {
+            await joinCourseWithCode(joinCode);
+        } else if (!user) {
+            await openRegisterModal(joinCode);
+        }
+    }
+    
+    console.log('EduSubmit Full-Stack Application Initialized');
+    // showNotification('Database connection established', 'success');
+});
+
+function setupLoginForms() {
+    // Professor login
+    const professorLoginForm = document.getElementById('professor-login-form');
+    if (professorLoginForm) {
+        professorLoginForm.addEventListener('submit', async (e) => {
+            e.preventDefault();
+            const button = e.target.querySelector('button[type="submit"]');
+            showButtonSpinner(button, true);
+            showLoading('Authenticating with database...');
+            
+            const email = document.getElementById('prof-email').value;
+            const password = document.getElementById('prof-password').value;
+            const errorDiv = document.getElementById('prof-login-error');
+            
+            try {
+                const result = await appState.login(email, password);
+                // Teaching assistants and administrators share the staff sign-in page
+                if (!['professor', 'ta', 'admin'].includes(result.user.role)) {
+                    await appState.logout();
+                    throw new PermissionError('This account is not a professor, teaching assistant or administrator account');
+                }
+                await enterDashboard(result.user);
+                showNotification(`Welcome back, ${result.user.name}!`, 'success');
+            } catch (error) {
+                errorDiv.textContent = error.message;
+                errorDiv.classList.add('show');
+                showNotification('Authentication failed', 'error');
+            } finally {
+                hideLoading();
+                showButtonSpinner(button, false);
+            }
+        });
+    }
+
+    // Student login
+    const studentLoginForm = document.getElementById('student-login-form');
+    if (studentLoginForm) {
+        studentLoginForm.addEventListener('submit', async (e) => {
+            e.preventDefault();
+            const button = e.target.querySelector('button[type="submit"]');
+            showButtonSpinner(button, true);
+            showLoading('Verifying student credentials...');
+            
+            const email = document.getElementById('student-email').value;
+            const password = document.getElementById('student-password').value;
+            const errorDiv = document.getElementById('student-login-error');
+            
+            try {
+                const result = await appState.login(email, password);
+                if (result.user.role !== 'student') {
+                    await appState.logout();
+                    throw new PermissionError('This account is not a student account');
+                }
+                await enterDashboard(result.user);
+                showNotification(`Welcome, ${result.user.name}!`, 'success');
+            } catch (error) {
+                errorDiv.textContent = error.message;
+                errorDiv.classList.add('show');
+                showNotification('Authentication failed', 'error');
+            } finally {
+                hideLoading();
+                showButtonSpinner(button, false);
+            }
+        });
+    }
+
+    document.querySelectorAll('.register-link').forEach(link => {
+        link.addEventListener('click', (e) => {
+            // The landing page link sits inside the student card
+            e.stopPropagation();
+            openRegisterModal();
+        });
+    });
+
+    document.querySelectorAll('.forgot-password-link').forEach(link => {
+        link.addEventListener('click', () => {
+            openForgotPasswordModal(document.getElementById(link.dataset.emailInput).value);
+        });
+    });
+}
+
+async function enterDashboard(user) {
+    if (user.role === 'admin') {
+        document.getElementById('admin-name-display').textContent = user.name;
+        showPage('adminDashboard');
+        await loadAdminDashboard();
+        return;
+    }
+
+    appState.connectRealTimeUpdates();
+    if (user.role === 'professor' || user.role === 'ta') {
+        // Teaching assistants get the same dashboard without the professor-only parts
+        const dashboard = document.getElementById('professor-dashboard');
+        dashboard.classList.toggle('restricted', user.role === 'ta');
+        if (dashboard.querySelector('.tab-btn.active.professor-only')) {
+            selectTab('professor-dashboard', 'assignments');
+        }
+        document.getElementById('prof-name-display').textContent = user.name;
+        showPage('professorDashboard');
+        await loadProfessorDashboard();
+    } else {
+        document.getElementById('student-name-display').textContent = user.name;
+        showPage('studentDashboard');
+        await loadStudentDashboard();
+    }
+}
+
+function setupProfessorDashboard() {
+    // Tab switching
+    initTabSwitching('professor-dashboard');
+    
+    const profNotifications = document.getElementById('prof-notifications');
+    if (profNotifications) profNotifications.addEventListener('click', openNotificationsModal);
+
+    // Logout
+    const profLogout = document.getElementById('prof-logout');
+    if (profLogout) {
+        profLogout.addEventListener('click', async () => {
+            try {
+                await appState.logout();
+                showNotification('Logged out successfully', 'info');
+            } catch (error) {
+                showNotification(error.message, 'error');
+            }
+            showPage('landing');
+        });
+    }
+
+    // Assignment creation
+    const createForm = document.getElementById('create-assignment-form');
+    if (createForm) {
+        createForm.addEventListener('submit', async (e) => {
+            e.preventDefault();
+            const button = e.target.querySelector('button[type="submit"]');
+            showButtonSpinner(button, true);
+            showLoading('Saving to database...');
+            
+            try {
+                const formData = {
+                    courseId: document.getElementById('assignment-course').value,
+                    title: document.getElementById('assignment-title').value,
+                    description: document.getElementById('assignment-description').value,
+                    instructions: document.getElementById('assignment-instructions').value,
+                    // datetime-local has no zone; send an absolute instant
+                    deadline: new Date(document.getElementById('assignment-deadline').value).toISOString(),
+                    rubricId: document.getElementById('assignment-rubric').value || null,
+                    allowedHosts: document.getElementById('assignment-allowed-hosts').value,
+                    ...readLatePolicyFields()
+                };
+                
+                await appState.createAssignment(formData);
+                createForm.reset();
+                document.getElementById('assignment-course').value = formData.courseId;
+                updateLatePolicyFields();
+                showNotification('Assignment created successfully!', 'success');
+                
+                // Switch to assignments tab
+                const assignmentsTab = document.querySelector('.tab-btn[data-tab="assignments"]');
+                if (assignmentsTab) assignmentsTab.click();
+                
+            } catch (error) {
+                showNotification(`Failed to create assignment: ${error.message}`, 'error');
+            } finally {
+                hideLoading();
+                showButtonSpinner(button, false);
+            }
+        });
+    }
+
+    // Other button handlers
+    const resetBtn = document.getElementById('reset-form');
+    if (resetBtn) {
+        resetBtn.addEventListener('click', () => {
+            document.getElementById('create-assignment-form').reset();
+            document.getElementById('assignment-course').value = appState.currentCourseId;
+            updateLatePolicyFields();
+        });
+    }
+
+    const latePolicySelect = document.getElementById('assignment-late-policy');
+    if (latePolicySelect) {
+        latePolicySelect.addEventListener('change', updateLatePolicyFields);
+    }
+
+    // Course management
+    const courseForm = document.getElementById('create-course-form');
+    if (courseForm) {
+        courseForm.addEventListener('submit', async (e) => {
+            e.preventDefault();
+            const button = e.target.querySelector('button[type="submit"]');
+            showButtonSpinner(button, true);
+
+            try {
+                const course = await appState.createCourse({
+                    code: document.getElementById('course-code').value,
+                    title: document.getElementById('course-title').value,
+                    sections: document.getElementById('course-sections').value.split(',')
+                });
+                courseForm.reset();
+                showNotification(`Course ${course.code} created`, 'success');
+                await loadCourses();
+                await loadCourseManagement();
+            } catch (error) {
+                showNotification(`Failed to create course: ${error.message}`, 'error');
+            } finally {
+                showButtonSpinner(button, false);
+            }
+        });
+    }
+
+    const coursesList = document.getElementById('courses-list');
+    if (coursesList) {
+        coursesList.addEventListener('submit', async (e) => {
+            if (!e.target.classList.contains('enroll-form')) return;
+            e.preventDefault();
+
+            const form = e.target;
+            if (form.classList.contains('ta-form')) {
+                try {
+                    await appState.addCourseTa(form.dataset.courseId, form.elements.email.value);
+                    showNotification('Teaching assistant added', 'success');
+                    await loadCourseManagement();
+                } catch (error) {
+                    showNotification(`Failed to add teaching assistant: ${error.message}`, 'error');
+                }
+                return;
+            }
+
+            if (form.classList.contains('invite-code-form')) {
+                try {
+                    const { code } = await appState.createInviteCode(form.dataset.courseId, {
+                        expiresInDays: Number(form.elements.expiresInDays.value),
+                        maxUses: form.elements.maxUses.value ? Number(form.elements.maxUses.value) : null,
+                        sectionId: form.elements.sectionId.value || null
+                    });
+                    showNotification(`Invite code ${code.code} created`, 'success');
+                    await loadCourseManagement();
+                } catch (error) {
+                    showNotification(`Failed to create invite code: ${error.message}`, 'error');
+                }
+                return;
+            }
+
+            if (form.classList.contains('accommodation-form')) {
+                try {
+                    await appState.grantAccommodation(form.dataset.courseId, {
+                        studentId: form.elements.studentId.value,
+                        extraTimePercent: form.elements.extraTimePercent.value,
+                        reason: form.elements.reason.value
+                    });
+                    showNotification('Accommodation granted', 'success');
+                    await loadCourseManagement();
+                } catch (error) {
+                    showNotification(`Failed to grant accommodation: ${error.message}`, 'error');
+                }
+                return;
+            }
+
+            try {
+                await appState.enrollStudent(form.dataset.courseId, {
+                    email: form.elements.email.value,
+                    sectionId: form.elements.sectionId.value || null
+                });
+                showNotification('Student enrolled', 'success');
+                await loadCourses();
+                await loadCourseManagement();
+            } catch (error) {
+                showNotification(`Failed to enroll student: ${error.message}`, 'error');
+            }
+        });
+
+        coursesList.addEventListener('change', (e) => {
+            if (e.target.closest('.ta-permissions')) saveTaPermission(e.target);
+        });
+    }
+
+    setupCourseSwitcher('prof-course-switcher');
+
+    const newAssignmentBtn = document.getElementById('new-assignment-btn');
+    if (newAssignmentBtn) {
+        newAssignmentBtn.addEventListener('click', () => {
+            const createTab = document.querySelector('.tab-btn[data-tab="create"]');
+            if (createTab) createTab.click();
+        });
+    }
+
+    // Rubric builder
+    const rubricForm = document.getElementById('create-rubric-form');
+    if (rubricForm) {
+        addRubricCriterionRow();
+
+        document.getElementById('add-criterion').addEventListener('click', () => addRubricCriterionRow());
+
+        document.getElementById('rubric-criteria').addEventListener('click', (e) => {
+            if (!e.target.classList.contains('remove-criterion')) return;
+            const rows = document.querySelectorAll('#rubric-criteria .rubric-criterion');
+            if (rows.length > 1) {
+                e.target.closest('.rubric-criterion').remove();
+            }
+        });
+
+        rubricForm.addEventListener('submit', async (e) => {
+            e.preventDefault();
+            const button = e.target.querySelector('button[type="submit"]');
+            showButtonSpinner(button, true);
+
+            try {
+                const rubric = await appState.createRubric(readRubricForm());
+                rubricForm.reset();
+                document.getElementById('rubric-criteria').innerHTML = '';
+                addRubricCriterionRow();
+                await loadRubrics();
+                document.getElementById('assignment-rubric').value = rubric.id;
+                showNotification(`Rubric "${rubric.title}" saved`, 'success');
+            } catch (error) {
+                showNotification(`Failed to save rubric: ${error.message}`, 'error');
+            } finally {
+                showButtonSpinner(button, false);
+            }
+        });
+    }
+
+    // Inline grading in the submissions table
+    const submissionsBody = document.getElementById('submissions-table-body');
+    if (submissionsBody) {
+        submissionsBody.addEventListener('submit', async (e) => {
+            if (!e.target.classList.contains('grade-form')) return;
+            e.preventDefault();
+
+            const form = e.target;
+            const button = form.querySelector('button[type="submit"]');
+            button.disabled = true;
+
+            try {
+                await appState.gradeSubmission(form.dataset.submissionId, {
+                    points: form.elements.points.value,
+                    maxPoints: form.elements.maxPoints.value,
+                    feedback: form.elements.feedback.value
+                });
+                showNotification('Grade saved', 'success');
+                await loadAllSubmissions();
+            } catch (error) {
+                showNotification(`Failed to save grade: ${error.message}`, 'error');
+                button.disabled = false;
+            }
+        });
+    }
+
+    const syncDbBtn = document.getElementById('sync-db');
+    if (syncDbBtn) {
+        syncDbBtn.addEventListener('click', async () => {
+            await updateDatabaseStats();
+            await refreshProfessorTab('assignments');
+            showNotification('Database synchronized', 'success');
+        });
+    }
+}
+
+function setupStudentDashboard() {
+    initTabSwitching('student-dashboard');
+    setupCourseSwitcher('student-course-switcher');
+
+    const studentJoinCourse = document.getElementById('student-join-course');
+    if (studentJoinCourse) studentJoinCourse.addEventListener('click', openJoinCourseModal);
+
+    const studentNotifications = document.getElementById('student-notifications');
+    if (studentNotifications) studentNotifications.addEventListener('click', openNotificationsModal);
+    
+    const studentLogout = document.getElementById('student-logout');
+    if (studentLogout) {
+        studentLogout.addEventListener('click', async () => {
+            try {
+                await appState.logout();
+                showNotification('Logged out successfully', 'info');
+            } catch (error) {
+                showNotification(error.message, 'error');
+            }
+            showPage('landing');
+        });
+    }
+}
+
+function setupAdminDashboard() {
+    const adminLogout = document.getElementById('admin-logout');
+    if (adminLogout) {
+        adminLogout.addEventListener('click', async () => {
+            try {
+                await appState.logout();
+                showNotification('Logged out successfully', 'info');
+            } catch (error) {
+                showNotification(error.message, 'error');
+            }
+            showPage('landing');
+        });
+    }
+
+    const adminJobStatusFilter = document.getElementById('admin-job-status-filter');
+    if (adminJobStatusFilter) adminJobStatusFilter.addEventListener('change', loadJobs);
+
+    const newUserBtn = document.getElementById('admin-new-user');
+    if (newUserBtn) newUserBtn.addEventListener('click', () => openUserModal());
+
+    // Filters apply as they change; typing waits for a pause
+    const filters = document.getElementById('admin-user-filters');
+    if (filters) {
+        let searchTimer = null;
+        const reload = () => {
+            appState.adminUserOffset = 0;
+            loadAdminUsers();
+        };
+        filters.addEventListener('submit', (e) => {
+            e.preventDefault();
+            reload();
+        });
+        document.getElementById('admin-user-search').addEventListener('input', () => {
+            clearTimeout(searchTimer);
+            searchTimer = setTimeout(reload, 300);
+        });
+        document.getElementById('admin-user-role').addEventListener('change', reload);
+        document.getElementById('admin-user-status').addEventListener('change', reload);
+    }
+
+    const prevBtn = document.getElementById('admin-users-prev');
+    const nextBtn = document.getElementById('admin-users-next');
+    if (prevBtn) {
+        prevBtn.addEventListener('click', () => {
+            appState.adminUserOffset = Math.max(appState.adminUserOffset - ADMIN_USER_PAGE_SIZE, 0);
+            loadAdminUsers();
+        });
+    }
+    if (nextBtn) {
+        nextBtn.addEventListener('click', () => {
+            appState.adminUserOffset += ADMIN_USER_PAGE_SIZE;
+            loadAdminUsers();
+        });
+    }
+}
+
+function setupModalHandlers() {
+    const submissionForm = document.getElementById('submission-form');
+    if (submissionForm) {
+        submissionForm.addEventListener('submit', async (e) => {
+            e.preventDefault();
+            const button = e.target.querySelector('button[type="submit"]');
+            showButtonSpinner(button, true);
+            showLoading('Submitting to database...');
+            
+            const assignmentId = document.getElementById('modal-assignment-id').value;
+            const repoLink = document.getElementById('repo-link').value;
+            
+            try {
+                // The server parses and normalizes the link
+                const result = await appState.createSubmission({
+                    assignmentId,
+                    repoLink,
+                    refType: document.getElementById('repo-ref-type').value,
+                    ref: document.getElementById('repo-ref').value
+                });
+                
+                closeSubmissionModal();
+                if (result.status === 'late') {
+                    showNotification(`Submitted late (${formatMinutesLate(result.minutesLate)}, ${result.latePenalty}% penalty)`, 'warning');
+                } else {
+                    showNotification('Assignment submitted successfully!', 'success');
+                }
+                
+                // Refresh student tabs
+                refreshStudentTab('available');
+                refreshStudentTab('my-submissions');
+                
+            } catch (error) {
+                showNotification(error.message, 'error');
+            } finally {
+                hideLoading();
+                showButtonSpinner(button, false);
+            }
+        });
+    }
+
+    const rubricScoreForm = document.getElementById('rubric-score-form');
+    if (rubricScoreForm) {
+        // Picking a band fills in its points; the grader may still adjust them
+        rubricScoreForm.addEventListener('change', (e) => {
+            if (!e.target.classList.contains('rubric-level-select')) return;
+            const row = e.target.closest('.rubric-criterion');
+            if (e.target.value !== '') {
+                row.querySelector('input[name="points"]').value = e.target.value;
+            }
+        });
+
+        rubricScoreForm.addEventListener('submit', async (e) => {
+            e.preventDefault();
+            const button = e.target.querySelector('button[type="submit"]');
+            showButtonSpinner(button, true);
+
+            const submissionId = document.getElementById('rubric-submission-id').value;
+            const scores = Array.from(rubricScoreForm.querySelectorAll('.rubric-criterion')).map(row => ({
+                criterionId: row.dataset.criterionId,
+                points: row.querySelector('input[name="points"]').value,
+                comment: row.querySelector('input[name="comment"]').value
+            }));
+
+            try {
+                const submission = await appState.scoreRubric(submissionId, {
+                    scores,
+                    feedback: document.getElementById('rubric-feedback').value
+                });
+                closeRubricModal();
+                showNotification(`Rubric saved: ${formatGrade(submission)}`, 'success');
+                await loadAllSubmissions();
+            } catch (error) {
+                showNotification(`Failed to save rubric scores: ${error.message}`, 'error');
+            } finally {
+                showButtonSpinner(button, false);
+            }
+        });
+    }
+
+    const extensionForm = document.getElementById('extension-form');
+    if (extensionForm) {
+        extensionForm.addEventListener('submit', async (e) => {
+            e.preventDefault();
+            const button = e.target.querySelector('button[type="submit"]');
+            showButtonSpinner(button, true);
+
+            const assignmentId = document.getElementById('extension-assignment-id').value;
+            const deadline = document.getElementById('extension-deadline').value;
+
+            try {
+                await appState.grantExtension(assignmentId, {
+                    studentId: document.getElementById('extension-student').value,
+                    deadline: deadline ? new Date(deadline).toISOString() : null,
+                    reason: document.getElementById('extension-reason').value
+                });
+                extensionForm.reset();
+                showNotification('Extension granted', 'success');
+                await openExtensionModal(assignmentId);
+            } catch (error) {
+                showNotification(`Failed to grant extension: ${error.message}`, 'error');
+            } finally {
+                showButtonSpinner(button, false);
+            }
+        });
+    }
+
+    const autograderForm = document.getElementById('autograder-form');
+    if (autograderForm) {
+        autograderForm.addEventListener('submit', async (e) => {
+            e.preventDefault();
+            const button = e.target.querySelector('button[type="submit"]');
+            showButtonSpinner(button, true);
+
+            const assignmentId = document.getElementById('autograder-assignment-id').value;
+
+            try {
+                await appState.saveAutograder(assignmentId, {
+                    command: document.getElementById('autograder-command').value,
+                    timeoutSeconds: document.getElementById('autograder-timeout').value,
+                    memoryMb: document.getElementById('autograder-memory').value,
+                    maxPoints: document.getElementById('autograder-max-points').value,
+                    prefillGrade: document.getElementById('autograder-prefill').checked,
+                    files: autograderFileList.files
+                });
+                showNotification('Autograder saved', 'success');
+                await openAutograderModal(assignmentId);
+            } catch (error) {
+                showNotification(`Failed to save autograder: ${error.message}`, 'error');
+            } finally {
+                showButtonSpinner(button, false);
+            }
+        });
+
+        autograderFileList = new FileListEditor('autograder-files', 'autograder-file-input',
+            'No test files; the command runs against the repository as submitted.');
+
+        document.getElementById('autograder-remove').addEventListener('click', async () => {
+            if (!confirm('Remove the autograder from this assignment? Past results are kept.')) return;
+
+            const assignmentId = document.getElementById('autograder-assignment-id').value;
+            try {
+                await appState.removeAutograder(assignmentId);
+                showNotification('Autograder removed', 'success');
+                closeAutograderModal();
+            } catch (error) {
+                showNotification(`Failed to remove autograder: ${error.message}`, 'error');
+            }
+        });
+
+        document.getElementById('autograder-run-all').addEventListener('click', async () => {
+            const assignmentId = document.getElementById('autograder-assignment-id').value;
+            try {
+                const { message } = await appState.runAutograderForAssignment(assignmentId);
+                showNotification(message, 'success');
+            } catch (error) {
+                showNotification(`Failed to queue autograder runs: ${error.message}`, 'error');
+            }
+        });
+    }
+
+    const jobStatusFilter = document.getElementById('job-status-filter');
+    if (jobStatusFilter) jobStatusFilter.addEventListener('change', loadJobs);
+
+    const gradebookImportForm = document.getElementById('gradebook-import-form');
+    if (gradebookImportForm) {
+        gradebookImportForm.addEventListener('submit', previewGradeImport);
+        document.getElementById('gradebook-import-file').addEventListener('change', () => {
+            document.getElementById('gradebook-import-preview').innerHTML = '';
+        });
+        document.getElementById('gradebook-export-csv').addEventListener('click', () => exportGradebook('csv'));
+        document.getElementById('gradebook-export-xlsx').addEventListener('click', () => exportGradebook('xlsx'));
+    }
+
+    const assignmentFilter = document.getElementById('assignment-filter');
+    if (assignmentFilter) {
+        assignmentFilter.addEventListener('change', async () => {
+            appState.submissionAssignmentId = assignmentFilter.value;
+            await loadAllSubmissions();
+        });
+
+        document.getElementById('similarity-report-btn').addEventListener('click', () => {
+            if (assignmentFilter.value) openSimilarityModal(assignmentFilter.value);
+        });
+    }
+
+    const starterForm = document.getElementById('starter-files-form');
+    if (starterForm) {
+        starterFileList = new FileListEditor('starter-files', 'starter-file-input', 'No starter code uploaded.');
+
+        starterForm.addEventListener('submit', async (e) => {
+            e.preventDefault();
+            const button = e.target.querySelector('button[type="submit"]');
+            showButtonSpinner(button, true);
+
+            try {
+                const { message } = await appState.saveStarterFiles(
+                    document.getElementById('similarity-assignment-id').value,
+                    starterFileList.files
+                );
+                showNotification(`${message}; run a new report to apply it`, 'success');
+            } catch (error) {
+                showNotification(`Failed to save starter code: ${error.message}`, 'error');
+            } finally {
+                showButtonSpinner(button, false);
+            }
+        });
+
+        document.getElementById('similarity-run').addEventListener('click', async () => {
+            const assignmentId = document.getElementById('similarity-assignment-id').value;
+            try {
+                await appState.requestSimilarityReport(assignmentId);
+                showNotification('Similarity report queued', 'success');
+                await loadSimilarityReport(assignmentId);
+            } catch (error) {
+                showNotification(`Failed to queue similarity report: ${error.message}`, 'error');
+            }
+        });
+
+        document.getElementById('similarity-refresh').addEventListener('click', () => {
+            loadSimilarityReport(document.getElementById('similarity-assignment-id').value);
+        });
+    }
+
+    const notificationsForm = document.getElementById('notifications-form');
+    if (notificationsForm) {
+        notificationsForm.addEventListener('submit', async (e) => {
+            e.preventDefault();
+            const button = e.target.querySelector('button[type="submit"]');
+            showButtonSpinner(button, true);
+
+            const preferences = {};
+            notificationsForm.querySelectorAll('input[type="checkbox"]').forEach(input => {
+                preferences[input.value] = input.checked;
+            });
+
+            try {
+                await appState.saveNotificationPreferences(preferences);
+                showNotification('Notification preferences saved', 'success');
+                closeNotificationsModal();
+            } catch (error) {
+                showNotification(`Failed to save preferences: ${error.message}`, 'error');
+            } finally {
+                showButtonSpinner(button, false);
+            }
+        });
+    }
+
+    const rosterForm = document.getElementById('roster-form');
+    if (rosterForm) {
+        rosterForm.addEventListener('submit', (e) => {
+            e.preventDefault();
+            submitRoster(false);
+        });
+        document.getElementById('roster-import-btn').addEventListener('click', () => submitRoster(true));
+        document.getElementById('roster-file').addEventListener('change', () => {
+            document.getElementById('roster-results').innerHTML = '';
+        });
+    }
+
+    const inviteForm = document.getElementById('invite-form');
+    if (inviteForm) inviteForm.addEventListener('submit', acceptInvite);
+
+    const registerForm = document.getElementById('register-form');
+    if (registerForm) {
+        registerForm.addEventListener('submit', register);
+        document.getElementById('register-code').addEventListener('change', e => previewInviteCode(e.target.value));
+    }
+
+    const joinCourseForm = document.getElementById('join-course-form');
+    if (joinCourseForm) joinCourseForm.addEventListener('submit', joinCourse);
+
+    const forgotPasswordForm = document.getElementById('forgot-password-form');
+    if (forgotPasswordForm) forgotPasswordForm.addEventListener('submit', requestPasswordReset);
+
+    const setPasswordForm = document.getElementById('set-password-form');
+    if (setPasswordForm) setPasswordForm.addEventListener('submit', resetPassword);
+
+    const changePasswordForm = document.getElementById('change-password-form');
+    if (changePasswordForm) changePasswordForm.addEventListener('submit', changePassword);
+    document.querySelectorAll('.change-password-btn').forEach(button => {
+        button.addEventListener('click', openChangePasswordModal);
+    });
+    document.querySelectorAll('.sessions-btn').forEach(button => {
+        button.addEventListener('click', () => openSessionsModal());
+    });
+
+    const endAllSessionsBtn = document.getElementById('sessions-end-all');
+    if (endAllSessionsBtn) endAllSessionsBtn.addEventListener('click', endAllSessions);
+
+    const userForm = document.getElementById('user-form');
+    if (userForm) {
+        userForm.addEventListener('submit', saveUser);
+        document.getElementById('user-role').addEventListener('change', updateUserFormFields);
+    }
+
+    const passwordResetForm = document.getElementById('password-reset-form');
+    if (passwordResetForm) passwordResetForm.addEventListener('submit', resetUserPassword);
+
+    // Modal close handlers
+    const closeBtn = document.getElementById('close-submission-modal');
+    const cancelBtn = document.getElementById('cancel-submission');
+    
+    if (closeBtn) closeBtn.addEventListener('click', closeSubmissionModal);
+    if (cancelBtn) cancelBtn.addEventListener('click', closeSubmissionModal);
+
+    const closeRubricBtn = document.getElementById('close-rubric-modal');
+    const cancelRubricBtn = document.getElementById('cancel-rubric');
+
+    if (closeRubricBtn) closeRubricBtn.addEventListener('click', closeRubricModal);
+    if (cancelRubricBtn) cancelRubricBtn.addEventListener('click', closeRubricModal);
+
+    const closeExtensionBtn = document.getElementById('close-extension-modal');
+    if (closeExtensionBtn) closeExtensionBtn.addEventListener('click', closeExtensionModal);
+
+    const closeVersionBtn = document.getElementById('close-version-modal');
+    if (closeVersionBtn) closeVersionBtn.addEventListener('click', closeVersionModal);
+
+    const closeAutograderBtn = document.getElementById('close-autograder-modal');
+    if (closeAutograderBtn) closeAutograderBtn.addEventListener('click', closeAutograderModal);
+
+    const closeSimilarityBtn = document.getElementById('close-similarity-modal');
+    if (closeSimilarityBtn) closeSimilarityBtn.addEventListener('click', closeSimilarityModal);
+
+    const closeNotificationsBtn = document.getElementById('close-notifications-modal');
+    if (closeNotificationsBtn) closeNotificationsBtn.addEventListener('click', closeNotificationsModal);
+
+    const closeRosterBtn = document.getElementById('close-roster-modal');
+    if (closeRosterBtn) closeRosterBtn.addEventListener('click', closeRosterModal);
+
+    const closeInviteBtn = document.getElementById('close-invite-modal');
+    if (closeInviteBtn) closeInviteBtn.addEventListener('click', closeInviteModal);
+
+    const closeRegisterBtn = document.getElementById('close-register-modal');
+    if (closeRegisterBtn) closeRegisterBtn.addEventListener('click', closeRegisterModal);
+
+    const closeJoinCourseBtn = document.getElementById('close-join-course-modal');
+    if (closeJoinCourseBtn) closeJoinCourseBtn.addEventListener('click', closeJoinCourseModal);
+
+    const closeForgotPasswordBtn = document.getElementById('close-forgot-password-modal');
+    if (closeForgotPasswordBtn) closeForgotPasswordBtn.addEventListener('click', closeForgotPasswordModal);
+
+    const closeSetPasswordBtn = document.getElementById('close-set-password-modal');
+    if (closeSetPasswordBtn) closeSetPasswordBtn.addEventListener('click', closeSetPasswordModal);
+
+    const closeChangePasswordBtn = document.getElementById('close-change-password-modal');
+    if (closeChangePasswordBtn) closeChangePasswordBtn.addEventListener('click', closeChangePasswordModal);
+
+    const closeSessionsBtn = document.getElementById('close-sessions-modal');
+    if (closeSessionsBtn) closeSessionsBtn.addEventListener('click', closeSessionsModal);
+
+    const closeUserBtn = document.getElementById('close-user-modal');
+    if (closeUserBtn) closeUserBtn.addEventListener('click', closeUserModal);
+
+    const closePasswordResetBtn = document.getElementById('close-password-reset-modal');
+    if (closePasswordResetBtn) closePasswordResetBtn.addEventListener('click', closePasswordResetModal);
+    
+    document.addEventListener('click', (e) => {
+        if (e.target.classList.contains('modal-overlay')) {
+            closeSubmissionModal();
+            closeRubricModal();
+            closeExtensionModal();
+            closeVersionModal();
+            closeAutograderModal();
+            closeSimilarityModal();
+            closeNotificationsModal();
+            closeRosterModal();
+            closeInviteModal();
+            closeRegisterModal();
+            closeJoinCourseModal();
+            closeForgotPasswordModal();
+            closeSetPasswordModal();
+            closeChangePasswordModal();
+            closeSessionsModal();
+            closeUserModal();
+            closePasswordResetModal();
+        }
+    });
+}
+
+// Tab switching functionality
+function activeTab(dashboardId) {
+    const button = document.querySelector(`#${dashboardId} .tab-btn.active`);
+    return button ? button.getAttribute('data-tab') : null;
+}
+
+// Marks a tab as the open one without loading it
+function selectTab(dashboardId, tabId) {
+    const container = document.getElementById(dashboardId);
+    container.querySelectorAll('.tab-btn').forEach(btn => {
+        btn.classList.toggle('active', btn.getAttribute('data-tab') === tabId);
+    });
+    container.querySelectorAll('.tab-content').forEach(content => {
+        content.classList.toggle('active', content.id === `${tabId}-tab`);
+    });
+}
+
+function initTabSwitching(dashboardId) {
+    const container = document.getElementById(dashboardId);
+    if (!container) return;
+    
+    const tabBtns = container.querySelectorAll('.tab-btn');
+    const tabContents = container.querySelectorAll('.tab-content');
+    
+    tabBtns.forEach(btn => {
+        btn.addEventListener('click', async () => {
+            const tabId = btn.getAttribute('data-tab');
+            
+            // Update active states
+            tabBtns.forEach(b => b.classList.remove('active'));
+            btn.classList.add('active');
+            
+            tabContents.forEach(content => content.classList.remove('active'));
+            const targetContent = document.getElementById(tabId + '-tab');
+            if (targetContent) {
+                targetContent.classList.add('active');
+            }
+            
+            // Load content
+            if (isCourseStaff()) {
+                await refreshProfessorTab(tabId);
+            } else if (appState.currentRole === 'student') {
+                await refreshStudentTab(tabId);
+            }
+        });
+    });
+}
+
+// Course switcher shared by both dashboards
+function setupCourseSwitcher(selectId) {
+    const select = document.getElementById(selectId);
+    if (!select) return;
+
+    select.addEventListener('change', async () => {
+        appState.currentCourseId = select.value;
+
+        const dashboard = select.closest('.page');
+        const activeTab = dashboard.querySelector('.tab-btn.active');
+        const tabId = activeTab ? activeTab.getAttribute('data-tab') : null;
+
+        if (isCourseStaff()) {
+            const courseSelect = document.getElementById('assignment-course');
+            if (courseSelect && select.value) courseSelect.value = select.value;
+            await refreshProfessorTab(tabId || 'assignments');
+        } else {
+            await refreshStudentTab(tabId || 'available');
+        }
+    });
+}
+
+async function loadCourses() {
+    const courses = await appState.getCourses();
+    const options = courses.map(course => `
+        <option value="${escapeHtml(course.id)}">${escapeHtml(course.code)} — ${escapeHtml(course.title)}</option>
+    `).join('');
+
+    ['prof-course-switcher', 'student-course-switcher'].forEach(id => {
+        const select = document.getElementById(id);
+        if (!select) return;
+        select.innerHTML = '<option value="">All courses</option>' + options;
+        select.value = appState.currentCourseId;
+    });
+
+    const courseSelect = document.getElementById('assignment-course');
+    if (courseSelect) {
+        const selected = courseSelect.value || appState.currentCourseId;
+        courseSelect.innerHTML = '<option value="">Select a course</option>' + options;
+        courseSelect.value = courses.some(course => course.id === selected) ? selected : '';
+    }
+
+    return courses;
+}
+
+// Professors and teaching assistants share the professor dashboard
+function isCourseStaff() {
+    return appState.currentRole === 'professor' || appState.currentRole === 'ta';
+}
+
+// A professor may do everything in their own courses; a TA what the course allows
+function coursePermits(courseId, permission) {
+    if (appState.currentRole === 'professor') return true;
+    const course = appState.courses.find(c => c.id === courseId);
+    return Boolean(course && course.ta_permissions && course.ta_permissions[permission]);
+}
+
+// Professor dashboard functions
+async function loadProfessorDashboard() {
+    await updateDatabaseStats();
+    await loadCourses();
+    await refreshProfessorTab('assignments');
+}
+
+async function loadCourseManagement() {
+    const container = document.getElementById('courses-list');
+    if (!container) return;
+
+    const courses = appState.courses;
+    if (courses.length === 0) {
+        container.innerHTML = `
+            <div style="text-align: center; padding: 2rem; color: var(--color-text-secondary);">
+                <p>No courses yet. Create one to start posting assignments.</p>
+            </div>
+        `;
+        return;
+    }
+
+    const [rosters, accommodations, staff, inviteCodes] = await Promise.all([
+        Promise.all(courses.map(course => appState.getEnrollments(course.id))),
+        Promise.all(courses.map(course => appState.getAccommodations(course.id))),
+        Promise.all(courses.map(course => appState.getCourseTas(course.id))),
+        Promise.all(courses.map(course => appState.getInviteCodes(course.id)))
+    ]);
+
+    container.innerHTML = courses.map((course, index) => `
+        <div class="submission-card">
+            <div class="submission-header">
+                <h3 class="submission-title">${escapeHtml(course.code)} — ${escapeHtml(course.title)}</h3>
+                <span class="status status--info">${course.student_count} students</span>
+            </div>
+            <div class="submission-info">
+                <div>
+                    <strong>Sections:</strong>
+                    ${course.sections.length ? course.sections.map(section => escapeHtml(section.name)).join(', ') : 'None'}
+                </div>
+                <div>
+                    <strong>Course ID:</strong> <code>${escapeHtml(course.id)}</code>
+                </div>
+            </div>
+            <div class="course-roster">
+                ${rosters[index].length ? `
+                    <table class="database-table">
+                        <thead>
+                            <tr>
+                                <th>Student</th>
+                                <th>Email</th>
+                                <th>Student ID</th>
+                                <th>Section</th>
+                                <th>Extra Time</th>
+                                <th></th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            ${rosters[index].map(enrollment => {
+                                const accommodation = accommodations[index].find(a => a.student_id === enrollment.student_id);
+                                return `
+                                <tr>
+                                    <td>${escapeHtml(enrollment.student_name)}</td>
+                                    <td>${escapeHtml(enrollment.student_email)}</td>
+                                    <td>${escapeHtml(enrollment.student_number || '—')}</td>
+                                    <td>${escapeHtml(enrollment.section_name || '—')}</td>
+                                    <td>
+                                        ${accommodation ? `
+                                            +${accommodation.extra_time_percent}%
+                                            <small class="grant-reason">${escapeHtml(accommodation.reason)}</small>
+                                            <button class="btn btn--outline btn--sm"
+                                                    onclick="revokeAccommodation('${escapeHtml(course.id)}', '${escapeHtml(enrollment.student_id)}')">
+                                                Revoke
+                                            </button>
+                                        ` : '—'}
+                                    </td>
+                                    <td>
+                                        <button class="btn btn--outline btn--sm"
+                                                onclick="unenrollStudent('${escapeHtml(course.id)}', '${escapeHtml(enrollment.student_id)}')">
+                                            Remove
+                                        </button>
+                                    </td>
+                                </tr>
+                            `;
+                            }).join('')}
+                        </tbody>
+                    </table>
+                ` : '<p style="color: var(--color-text-secondary);">No students enrolled.</p>'}
+                <form class="enroll-form" data-course-id="${escapeHtml(course.id)}">
+                    <input type="email" name="email" class="form-control" placeholder="student@university.edu" required>
+                    <select name="sectionId" class="form-control">
+                        <option value="">No section</option>
+                        ${course.sections.map(section => `
+                            <option value="${escapeHtml(section.id)}">${escapeHtml(section.name)}</option>
+                        `).join('')}
+                    </select>
+                    <button type="submit" class="btn btn--primary btn--sm">Enroll</button>
+                    <button type="button" class="btn btn--outline btn--sm"
+                            onclick="openRosterModal('${escapeHtml(course.id)}')">Import Roster</button>
+                </form>
+                ${rosters[index].length ? `
+                    <form class="enroll-form accommodation-form" data-course-id="${escapeHtml(course.id)}">
+                        <select name="studentId" class="form-control" required>
+                            ${rosters[index].map(enrollment => `
+                                <option value="${escapeHtml(enrollment.student_id)}">${escapeHtml(enrollment.student_name)}</option>
+                            `).join('')}
+                        </select>
+                        <input type="number" name="extraTimePercent" class="form-control" min="1" max="500" step="any"
+                               placeholder="% extra time" required>
+                        <input type="text" name="reason" class="form-control" placeholder="Reason" required>
+                        <button type="submit" class="btn btn--secondary btn--sm">Grant Extra Time</button>
+                    </form>
+                ` : ''}
+            </div>
+            ${renderCourseTas(course, staff[index])}
+            ${renderInviteCodes(course, inviteCodes[index])}
+        </div>
+    `).join('');
+}
+
+const TA_PERMISSION_LABELS = {
+    view_submissions: 'View submissions',
+    grade_submissions: 'Grade submissions',
+    comment: 'Write feedback',
+    grant_extensions: 'Grant extensions'
+};
+
+function renderCourseTas(course, { tas, permissions }) {
+    return `
+        <div class="course-tas">
+            <strong>Teaching assistants:</strong>
+            ${tas.length ? `
+                <ul class="course-ta-list">
+                    ${tas.map(ta => `
+                        <li>
+                            ${escapeHtml(ta.name)} <small>${escapeHtml(ta.email)}${ta.deactivated_at ? ' — deactivated' : ''}</small>
+                            <button class="btn btn--outline btn--sm"
+                                    onclick="removeCourseTa('${escapeHtml(course.id)}', '${escapeHtml(ta.user_id)}')">
+                                Remove
+                            </button>
+                        </li>
+                    `).join('')}
+                </ul>
+            ` : '<span style="color: var(--color-text-secondary);">None</span>'}
+            <form class="enroll-form ta-form" data-course-id="${escapeHtml(course.id)}">
+                <input type="email" name="email" class="form-control" placeholder="ta@university.edu" required>
+                <button type="submit" class="btn btn--primary btn--sm">Add TA</button>
+            </form>
+            <div class="ta-permissions" data-course-id="${escapeHtml(course.id)}">
+                <span>TAs may:</span>
+                ${Object.keys(TA_PERMISSION_LABELS).map(permission => `
+                    <label>
+                        <input type="checkbox" name="${permission}" ${permissions[permission] ? 'checked' : ''}>
+                        ${TA_PERMISSION_LABELS[permission]}
+                    </label>
+                `).join('')}
+            </div>
+        </div>
+    `;
+}
+
+async function removeCourseTa(courseId, userId) {
+    if (!confirm('Remove this teaching assistant from the course?')) return;
+
+    try {
+        await appState.removeCourseTa(courseId, userId);
+        showNotification('Teaching assistant removed', 'success');
+        await loadCourseManagement();
+    } catch (error) {
+        showNotification(`Failed to remove teaching assistant: ${error.message}`, 'error');
+    }
+}
+
+async function saveTaPermission(checkbox) {
+    const courseId = checkbox.closest('.ta-permissions').dataset.courseId;
+
+    try {
+        await appState.updateTaPermissions(courseId, { [checkbox.name]: checkbox.checked });
+        showNotification('TA permissions updated', 'success');
+    } catch (error) {
+        checkbox.checked = !checkbox.checked;
+        showNotification(`Failed to update TA permissions: ${error.message}`, 'error');
+    }
+}
+
+// Students register and enroll, or just enroll, with a code or its link
+const INVITE_CODE_STATUS_LABELS = {
+    active: 'Active',
+    revoked: 'Revoked',
+    expired: 'Expired',
+    used_up: 'Used up'
+};
+
+function renderInviteCodes(course, codes) {
+    return `
+        <div class="course-invite-codes">
+            <strong>Invite codes:</strong>
+            ${codes.length ? `
+                <table class="database-table">
+                    <thead>
+                        <tr>
+                            <th>Code</th>
+                            <th>Section</th>
+                            <th>Uses</th>
+                            <th>Expires</th>
+                            <th>Status</th>
+                            <th></th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${codes.map(code => `
+                            <tr>
+                                <td><code>${escapeHtml(code.code)}</code></td>
+                                <td>${escapeHtml(code.section_name || '—')}</td>
+                                <td>${code.use_count}${code.max_uses === null ? '' : ` / ${code.max_uses}`}</td>
+                                <td>${formatDate(code.expires_at)}</td>
+                                <td>
+                                    <span class="status ${code.status === 'active' ? 'status--success' : 'status--warning'}">
+                                        ${INVITE_CODE_STATUS_LABELS[code.status]}
+                                    </span>
+                                </td>
+                                <td>
+                                    ${code.status === 'active' ? `
+                                        <button class="btn btn--outline btn--sm"
+                                                onclick="copyInviteLink('${escapeHtml(code.url)}')">Copy Link</button>
+                                        <button class="btn btn--outline btn--sm"
+                                                onclick="revokeInviteCode('${escapeHtml(course.id)}', '${escapeHtml(code.id)}')">Revoke</button>
+                                    ` : ''}
+                                </td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            ` : '<span style="color: var(--color-text-secondary);">None</span>'}
+            <form class="enroll-form invite-code-form" data-course-id="${escapeHtml(course.id)}">
+                <label>Expires in
+                    <input type="number" name="expiresInDays" class="form-control" min="1" max="365" value="14" required> days
+                </label>
+                <input type="number" name="maxUses" class="form-control" min="1" placeholder="Use limit (none)">
+                <select name="sectionId" class="form-control">
+                    <option value="">No section</option>
+                    ${course.sections.map(section => `
+                        <option value="${escapeHtml(section.id)}">${escapeHtml(section.name)}</option>
+                    `).join('')}
+                </select>
+                <button type="submit" class="btn btn--primary btn--sm">New Invite Code</button>
+            </form>
+        </div>
+    `;
+}
+
+async function copyInviteLink(url) {
+    try {
+        await navigator.clipboard.writeText(url);
+        showNotification('Invite link copied', 'success');
+    } catch (error) {
+        prompt('Copy the invite link:', url);
+    }
+}
+
+async function revokeInviteCode(courseId, codeId) {
+    if (!confirm('Revoke this invite code? Students who already joined stay enrolled.')) return;
+
+    try {
+        await appState.revokeInviteCode(courseId, codeId);
+        showNotification('Invite code revoked', 'success');
+        await loadCourseManagement();
+    } catch (error) {
+        showNotification(`Failed to revoke invite code: ${error.message}`, 'error');
+    }
+}
+
+async function unenrollStudent(courseId, studentId) {
+    if (!confirm('Remove this student from the course?')) return;
+
+    try {
+        await appState.unenrollStudent(courseId, studentId);
+        showNotification('Student removed from course', 'success');
+        await loadCourses();
+        await loadCourseManagement();
+    } catch (error) {
+        showNotification(`Failed to remove student: ${error.message}`, 'error');
+    }
+}
+
+async function revokeAccommodation(courseId, studentId) {
+    if (!confirm('Revoke this extra-time accommodation?')) return;
+
+    try {
+        await appState.revokeAccommodation(courseId, studentId);
+        showNotification('Accommodation revoked', 'success');
+        await loadCourseManagement();
+    } catch (error) {
+        showNotification(`Failed to revoke accommodation: ${error.message}`, 'error');
+    }
+}
+
+// Gradebook
+function renderGradebookCell(cell) {
+    const late = cell.minutesLate > 0 ? `<small class="late-note">${formatMinutesLate(cell.minutesLate)}</small>` : '';
+    switch (cell.status) {
+        case 'graded':
+            return `<strong>${cell.points} / ${cell.maxPoints}</strong>${late}`;
+        case 'missing':
+            return '<span class="status status--error">missing</span>';
+        case 'open':
+            return '<span class="gradebook-open">—</span>';
+        default:
+            return `<span class="status ${statusClass(cell.status)}">${escapeHtml(cell.status)}</span>${late}`;
+    }
+}
+
+async function loadGradebook() {
+    const courseId = appState.currentCourseId;
+    const head = document.getElementById('gradebook-table-head');
+    const tbody = document.getElementById('gradebook-table-body');
+    const summary = document.getElementById('gradebook-summary');
+
+    ['gradebook-export-csv', 'gradebook-export-xlsx', 'gradebook-preview-btn'].forEach(id => {
+        document.getElementById(id).disabled = !courseId;
+    });
+    document.getElementById('gradebook-import-preview').innerHTML = '';
+    document.getElementById('gradebook-import-form').classList.toggle('hidden', !coursePermits(courseId, 'grade_submissions'));
+
+    if (!courseId || !coursePermits(courseId, 'view_submissions')) {
+        summary.textContent = courseId
+            ? 'Teaching assistants cannot see grades in this course.'
+            : 'Pick a course in the course switcher to see its gradebook.';
+        head.innerHTML = '';
+        tbody.innerHTML = '';
+        return;
+    }
+
+    showLoading('Loading gradebook...');
+
+    try {
+        const gradebook = await appState.getGradebook(courseId);
+        const graded = gradebook.students.reduce((sum, student) => sum + student.total.graded, 0);
+        summary.textContent = `${gradebook.students.length} students, ${gradebook.assignments.length} assignments, ${graded} grades`;
+
+        head.innerHTML = `
+            <tr>
+                <th>Student</th>
+                ${gradebook.assignments.map(assignment => `
+                    <th>${escapeHtml(assignment.title)}<br><small>Due ${formatDate(assignment.deadline)}</small></th>
+                `).join('')}
+                <th>Total</th>
+            </tr>
+        `;
+
+        if (!gradebook.students.length) {
+            tbody.innerHTML = `
+                <tr>
+                    <td colspan="${gradebook.assignments.length + 2}" style="text-align: center; padding: 2rem; color: var(--color-text-secondary);">
+                        No students enrolled in this course
+                    </td>
+                </tr>
+            `;
+            return;
+        }
+
+        tbody.innerHTML = gradebook.students.map(student => `
+            <tr>
+                <td>
+                    <strong>${escapeHtml(student.name)}</strong><br>
+                    <small>${escapeHtml(student.email)}${student.section ? ` · ${escapeHtml(student.section)}` : ''}</small>
+                </td>
+                ${student.cells.map(cell => `<td>${renderGradebookCell(cell)}</td>`).join('')}
+                <td>
+                    <strong>${student.total.points} / ${student.total.maxPoints}</strong>
+                    ${student.total.percent !== null ? `<small>${student.total.percent}%</small>` : ''}
+                    ${student.total.missing ? `<small class="late-note">${student.total.missing} missing</small>` : ''}
+                </td>
+            </tr>
+        `).join('') + `
+            <tr class="gradebook-totals">
+                <td><strong>Class</strong></td>
+                ${gradebook.assignments.map(assignment => `
+                    <td>
+                        ${assignment.averagePercent !== null ? `<strong>${assignment.averagePercent}%</strong> avg<br>` : ''}
+                        <small>${assignment.submitted} submitted, ${assignment.graded} graded${assignment.missing ? `, ${assignment.missing} missing` : ''}</small>
+                    </td>
+                `).join('')}
+                <td></td>
+            </tr>
+        `;
+    } catch (error) {
+        showNotification(`Failed to load gradebook: ${error.message}`, 'error');
+    } finally {
+        hideLoading();
+    }
+}
+
+function exportGradebook(format) {
+    if (!appState.currentCourseId) return;
+    window.location.href = appState.api.gradebookExportUrl(appState.currentCourseId, format);
+}
+
+function describeGradeChange(change) {
+    const after = `${change.after.points} / ${change.after.maxPoints}`;
+    const penalty = change.latePenalty ? ` → ${change.finalPoints} after ${change.latePenalty}% late` : '';
+    if (!change.before) return `${after}${penalty}`;
+    return `${change.before.points} / ${change.before.maxPoints} → ${after}${penalty}`;
+}
+
+function renderGradeImportPreview(plan) {
+    const { summary } = plan;
+    const changed = summary.create + summary.update;
+    const errorRows = plan.errors.map(row => `
+        <tr>
+            <td>${row.line}</td>
+            <td>${escapeHtml(row.email)}</td>
+            <td>${escapeHtml(row.assignment)}</td>
+            <td colspan="2"><span class="status status--error">error</span> ${escapeHtml(row.error)}</td>
+        </tr>
+    `);
+    const changeRows = plan.changes.map(change => `
+        <tr>
+            <td>${change.line}</td>
+            <td>${escapeHtml(change.studentName)}</td>
+            <td>${escapeHtml(change.assignmentTitle)}</td>
+            <td><span class="status ${change.action === 'unchanged' ? 'status--info' : 'status--success'}">${change.action}</span></td>
+            <td>
+                ${escapeHtml(describeGradeChange(change))}
+                ${change.after.feedback && (!change.before || change.before.feedback !== change.after.feedback)
+                    ? `<small>Feedback: ${escapeHtml(change.after.feedback)}</small>` : ''}
+            </td>
+        </tr>
+    `);
+
+    return `
+        <p class="similarity-status">
+            ${summary.rows} rows: ${summary.create} new, ${summary.update} changed, ${summary.unchanged} unchanged,
+            ${summary.errors} with errors
+        </p>
+        <div class="database-table-wrapper">
+            <table class="database-table">
+                <thead>
+                    <tr><th>Line</th><th>Student</th><th>Assignment</th><th>Result</th><th>Grade</th></tr>
+                </thead>
+                <tbody>${errorRows.concat(changeRows).join('')}</tbody>
+            </table>
+        </div>
+        <div class="form-actions">
+            <button type="button" class="btn btn--primary" id="gradebook-apply-btn"
+                    ${plan.errors.length || !changed ? 'disabled' : ''}>
+                <span class="btn-text">Apply ${changed} grade${changed === 1 ? '' : 's'}</span>
+                <span class="btn-spinner hidden"></span>
+            </button>
+            ${plan.errors.length ? '<small class="late-note">Fix the rows with errors and preview again</small>' : ''}
+        </div>
+    `;
+}
+
+async function previewGradeImport(event) {
+    event.preventDefault();
+    const file = document.getElementById('gradebook-import-file').files[0];
+    const preview = document.getElementById('gradebook-import-preview');
+    const button = document.getElementById('gradebook-preview-btn');
+
+    if (!file) {
+        showNotification('Choose a CSV file to import', 'error');
+        return;
+    }
+
+    showButtonSpinner(button, true);
+    try {
+        const csv = await readTextFile(file);
+        const plan = await appState.importGrades(appState.currentCourseId, csv);
+        preview.innerHTML = renderGradeImportPreview(plan);
+
+        const applyButton = document.getElementById('gradebook-apply-btn');
+        applyButton.addEventListener('click', () => applyGradeImport(csv, applyButton));
+    } catch (error) {
+        preview.innerHTML = '';
+        showNotification(`Failed to read import: ${error.message}`, 'error');
+    } finally {
+        showButtonSpinner(button, false);
+    }
+}
+
+async function applyGradeImport(csv, button) {
+    showButtonSpinner(button, true);
+    try {
+        const { message } = await appState.importGrades(appState.currentCourseId, csv, true);
+        showNotification(message, 'success');
+        document.getElementById('gradebook-import-form').reset();
+        await loadGradebook();
+    } catch (error) {
+        showButtonSpinner(button, false);
+        showNotification(`Failed to import grades: ${error.message}`, 'error');
+    }
+}
+
+async function refreshProfessorTab(tabId) {
+    try {
+        switch(tabId) {
+            case 'assignments':
+                await loadProfessorAssignments();
+                break;
+            case 'submissions':
+                await loadAllSubmissions();
+                break;
+            case 'gradebook':
+                await loadGradebook();
+                break;
+            case 'create':
+                await loadCourses();
+                await loadRubrics();
+                break;
+            case 'courses':
+                await loadCourses();
+                await loadCourseManagement();
+                break;
+            case 'jobs':
+                await loadJobs();
+                break;
+            case 'analytics':
+                await loadAnalytics();
+                break;
+        }
+    } catch (error) {
+        console.error('Failed to refresh tab:', error);
+        if (error instanceof PermissionError) {
+            showNotification(error.message, 'error');
+        } else if (!(error instanceof AuthenticationError)) {
+            showNotification('Failed to load data', 'error');
+        }
+    }
+}
+
+async function loadProfessorAssignments() {
+    showLoading('Loading assignments from database...');
+    
+    try {
+        const [assignments, submissions] = await Promise.all([
+            appState.getAssignments(),
+            appState.getSubmissions()
+        ]);
+        const container = document.getElementById('assignments-list');
+        
+        if (!assignments || assignments.length === 0) {
+            container.innerHTML = `
+                <div style="text-align: center; padding: 2rem; color: var(--color-text-secondary);">
+                    <p>No assignments found in database.</p>
+                    <button class="btn btn--primary professor-only" onclick="switchToCreateTab()">Create First Assignment</button>
+                </div>
+            `;
+        } else {
+            container.innerHTML = assignments.map(assignment => {
+                const overdue = isOverdue(assignment.deadline);
+                const submissionCount = submissions.filter(sub => sub.assignment_id === assignment.id).length;
+                
+                return `
+                    <div class="assignment-card">
+                        <div class="assignment-header">
+                            <h3 class="assignment-title">${escapeHtml(assignment.title)}</h3>
+                            <span class="assignment-status ${overdue ? 'closed' : 'open'}">
+                                ${overdue ? 'Closed' : 'Open'}
+                            </span>
+                        </div>
+                        <p class="assignment-description">${escapeHtml(assignment.description)}</p>
+                        <div class="assignment-meta">
+                            <span>Created: ${formatDate(assignment.created_at)}</span>
+                            <span>Deadline: ${formatDate(assignment.deadline)}</span>
+                        </div>
+                        <div class="assignment-meta">
+                            <span>Course: ${escapeHtml(assignment.course_code || 'None')}</span>
+                            <span>Submissions: ${submissionCount}</span>
+                        </div>
+                        <div class="assignment-actions">
+                            ${coursePermits(assignment.course_id, 'view_submissions') ? `
+                                <button class="btn btn--secondary btn--sm" onclick="viewSubmissions('${escapeHtml(assignment.id)}')">
+                                    View Submissions
+                                </button>
+                            ` : ''}
+                            ${assignment.course_id && coursePermits(assignment.course_id, 'grant_extensions') ? `
+                                <button class="btn btn--outline btn--sm" onclick="openExtensionModal('${escapeHtml(assignment.id)}')">
+                                    Extensions
+                                </button>
+                            ` : ''}
+                            <button class="btn btn--outline btn--sm professor-only" onclick="openAutograderModal('${escapeHtml(assignment.id)}')">
+                                Autograder
+                            </button>
+                        </div>
+                    </div>
+                `;
+            }).join('');
+        }
+    } finally {
+        hideLoading();
+    }
+}
+
+async function loadAllSubmissions() {
+    showLoading('Querying submission database...');
+    
+    try {
+        const [allSubmissions, assignments] = await Promise.all([
+            appState.getSubmissions(),
+            appState.getAssignments()
+        ]);
+        const tbody = document.getElementById('submissions-table-body');
+
+        // Narrowed to one assignment from its card, or with the filter
+        const filter = document.getElementById('assignment-filter');
+        const assignmentId = assignments.some(a => a.id === appState.submissionAssignmentId)
+            ? appState.submissionAssignmentId
+            : '';
+        filter.innerHTML = '<option value="">All Assignments</option>' + assignments.map(assignment => `
+            <option value="${escapeHtml(assignment.id)}">${escapeHtml(assignment.title)}</option>
+        `).join('');
+        filter.value = assignmentId;
+        document.getElementById('similarity-report-btn').disabled = !assignmentId;
+
+        const submissions = assignmentId
+            ? allSubmissions.filter(submission => submission.assignment_id === assignmentId)
+            : allSubmissions;
+        
+        if (!submissions || submissions.length === 0) {
+            tbody.innerHTML = `
+                <tr>
+                    <td colspan="10" style="text-align: center; padding: 2rem; color: var(--color-text-secondary);">
+                        No submissions in database
+                    </td>
+                </tr>
+            `;
+        } else {
+            tbody.innerHTML = submissions.map(submission => {
+                const canGrade = coursePermits(submission.course_id, 'grade_submissions');
+                const canComment = coursePermits(submission.course_id, 'comment');
+                return `
+                    <tr>
+                        <td><code>${escapeHtml(submission.id)}</code></td>
+                        <td>${escapeHtml(submission.student_name || 'Unknown')}</td>
+                        <td>${escapeHtml(submission.assignment_title || 'Unknown Assignment')}</td>
+                        <td>
+                            <a href="${escapeHtml(submission.repo_link)}" target="_blank" rel="noopener" class="repo-link">
+                                ${escapeHtml(submission.repo_link)}
+                            </a>
+                            ${renderRepoRef(submission)}
+                        </td>
+                        <td>
+                            ${formatDate(submission.submitted_at)}
+                            ${submission.version_count > 1 ? `
+                                <small class="version-note">v${submission.counted_version} of ${submission.version_count}</small>
+                            ` : ''}
+                        </td>
+                        <td>
+                            <span class="status ${statusClass(submission.status)}">
+                                ${escapeHtml(submission.status)}
+                            </span>
+                            ${submission.minutes_late > 0 ? `
+                                <small class="late-note">
+                                    ${formatMinutesLate(submission.minutes_late)}${submission.late_penalty ? `, −${submission.late_penalty}%` : ''}
+                                </small>
+                            ` : ''}
+                        </td>
+                        <td>
+                            ${renderSnapshot(submission, 'submission')}
+                            ${renderSnapshot(submission, 'deadline')}
+                        </td>
+                        <td>
+                            ${renderAutograder(submission)}
+                            ${canGrade && submission.autograder_max_points ? `
+                                <button class="btn btn--outline btn--sm" onclick="rerunAutograder('${escapeHtml(submission.id)}')">
+                                    Rerun
+                                </button>
+                            ` : ''}
+                        </td>
+                        <td>
+                            ${canGrade ? `
+                            <form class="grade-form" data-submission-id="${escapeHtml(submission.id)}">
+                                <div class="grade-inputs">
+                                    <input type="number" name="points" class="form-control" min="0" step="any"
+                                           value="${escapeHtml(submission.points ?? submission.autograder_points ?? '')}" placeholder="Points" required>
+                                    <span>/</span>
+                                    <input type="number" name="maxPoints" class="form-control" min="1" step="any"
+                                           value="${escapeHtml(submission.max_points ?? (submission.autograder_points !== null ? submission.autograder_max_points : null) ?? 100)}" required>
+                                </div>
+                                <textarea name="feedback" class="form-control" rows="2" ${canComment ? '' : 'readonly title="Feedback is written by the professor"'}
+                                          placeholder="Feedback">${escapeHtml(submission.feedback || '')}</textarea>
+                                <button type="submit" class="btn btn--primary btn--sm">
+                                    ${submission.graded_at ? 'Re-grade' : 'Save Grade'}
+                                </button>
+                                ${submission.rubric_id ? `
+                                    <button type="button" class="btn btn--secondary btn--sm"
+                                            onclick="openRubricModal('${escapeHtml(submission.id)}')">
+                                        Score Rubric
+                                    </button>
+                                ` : ''}
+                            </form>
+                            ` : escapeHtml(formatGrade(submission))}
+                        </td>
+                        <td>
+                            <button class="btn btn--outline btn--sm" onclick="viewSubmission('${escapeHtml(submission.id)}')">
+                                History
+                            </button>
+                        </td>
+                    </tr>
+                `;
+            }).join('');
+        }
+    } finally {
+        hideLoading();
+    }
+}
+
+async function loadAnalytics() {
+    showLoading('Generating analytics...');
+    
+    try {
+        const analytics = await appState.getAnalytics();
+        
+        // Create chart
+        const canvas = document.getElementById('submission-chart');
+        if (canvas) {
+            if (appState.realTimeChart) {
+                appState.realTimeChart.destroy();
+            }
+            
+            const ctx = canvas.getContext('2d');
+            appState.realTimeChart = new Chart(ctx, {
+                type: 'line',
+                data: {
+                    labels: analytics.submissionTimeline.labels,
+                    datasets: [{
+                        label: 'Submissions',
+                        data: analytics.submissionTimeline.data,
+                        borderColor: '#1FB8CD',
+                        backgroundColor: 'rgba(31, 184, 205, 0.1)',
+                        fill: true,
+                        tension: 0.4
+                    }]
+                },
+                options: {
+                    responsive: true,
+                    maintainAspectRatio: false,
+                    plugins: {
+                        legend: {
+                            display: false
+                        }
+                    },
+                    scales: {
+                        y: {
+                            beginAtZero: true,
+                            ticks: {
+                                stepSize: 1
+                            }
+                        }
+                    }
+                }
+            });
+        }
+    } finally {
+        hideLoading();
+    }
+}
+
+// Student dashboard functions
+async function loadStudentDashboard() {
+    await loadCourses();
+    await refreshStudentTab('available');
+    await refreshStudentTab('profile');
+}
+
+async function refreshStudentTab(tabId) {
+    try {
+        switch(tabId) {
+            case 'available':
+                await loadAvailableAssignments();
+                break;
+            case 'my-submissions':
+                await loadMySubmissions();
+                break;
+            case 'profile':
+                loadStudentProfile();
+                break;
+        }
+    } catch (error) {
+        console.error('Failed to refresh student tab:', error);
+        if (error instanceof PermissionError) {
+            showNotification(error.message, 'error');
+        } else if (!(error instanceof AuthenticationError)) {
+            showNotification('Failed to load data', 'error');
+        }
+    }
+}
+
+async function loadAvailableAssignments() {
+    showLoading('Loading assignments...');
+    
+    try {
+        const [assignments, mySubmissions] = await Promise.all([
+            appState.getAssignments(),
+            appState.getSubmissions()
+        ]);
+        const container = document.getElementById('student-assignments-list');
+        
+        // Update stats
+        document.getElementById('total-assignments').textContent = assignments.length;
+        document.getElementById('submitted-count').textContent = mySubmissions.length;
+        document.getElementById('pending-count').textContent = Math.max(0, assignments.length - mySubmissions.length);
+        
+        if (!assignments || assignments.length === 0) {
+            container.innerHTML = `
+                <div style="text-align: center; padding: 2rem; color: var(--color-text-secondary);">
+                    <p>No assignments available.</p>
+                </div>
+            `;
+        } else {
+            container.innerHTML = assignments.map(assignment => {
+                const deadline = studentDeadline(assignment);
+                const overdue = isOverdue(deadline);
+                const closesAt = lateWindowEnd(assignment, deadline);
+                const lateOpen = overdue && closesAt !== null && new Date() <= closesAt;
+                const hasSubmitted = mySubmissions.some(sub => sub.assignment_id === assignment.id);
+                
+                return `
+                    <div class="assignment-card">
+                        <div class="assignment-header">
+                            <h3 class="assignment-title">${escapeHtml(assignment.title)}</h3>
+                            <span class="assignment-status ${hasSubmitted ? 'submitted' : (overdue && !lateOpen ? 'closed' : 'open')}">
+                                ${hasSubmitted ? 'Submitted' : (overdue ? (lateOpen ? 'Late Window' : 'Overdue') : 'Open')}
+                            </span>
+                        </div>
+                        <p class="assignment-description">${escapeHtml(assignment.description)}</p>
+                        <div class="assignment-meta">
+                            <span>Course: ${escapeHtml(assignment.course_code || 'None')}</span>
+                            <span>Professor: ${escapeHtml(assignment.creator_name || 'Unknown')}</span>
+                        </div>
+                        <div class="assignment-meta">
+                            <span>Deadline: ${formatDate(deadline)}</span>
+                            <span>${escapeHtml(describeLatePolicy(assignment, deadline))}</span>
+                        </div>
+                        ${hasAdjustedDeadline(assignment) ? `
+                            <div class="assignment-meta extension-note">
+                                <span>Extended from ${formatDate(assignment.deadline)}</span>
+                                <span>${escapeHtml(assignment.extension_reason || `${assignment.accommodation_percent}% extra time`)}</span>
+                            </div>
+                        ` : ''}
+                        ${assignment.allowed_hosts ? `
+                            <div class="assignment-meta">
+                                <span>Accepted hosts: ${escapeHtml(assignment.allowed_hosts.split(',').join(', '))}</span>
+                            </div>
+                        ` : ''}
+                        <div class="assignment-meta">
+                            <span>${formatDeadline(deadline)}</span>
+                            <span>ID: ${escapeHtml(assignment.id)}</span>
+                        </div>
+                        <div class="assignment-actions">
+                            ${hasSubmitted && (!overdue || lateOpen) ? 
+                                `<button class="btn btn--secondary btn--sm" onclick="updateSubmission('${escapeHtml(assignment.id)}')">
+                                    ${overdue ? 'Update (Late)' : 'Update Submission'}
+                                </button>` :
+                                (hasSubmitted || (overdue && !lateOpen) ?
+                                    `<button class="btn btn--outline btn--sm" disabled>Submission Closed</button>` :
+                                lateOpen ?
+                                    `<button class="btn btn--primary btn--sm" onclick="submitAssignment('${escapeHtml(assignment.id)}')">
+                                        Submit Late
+                                    </button>` :
+                                    `<button class="btn btn--primary btn--sm" onclick="submitAssignment('${escapeHtml(assignment.id)}')">
+                                        Submit Assignment
+                                    </button>`
+                                )
+                            }
+                        </div>
+                    </div>
+                `;
+            }).join('');
+        }
+    } finally {
+        hideLoading();
+    }
+}
+
+async function loadMySubmissions() {
+    showLoading('Loading your submissions...');
+    
+    try {
+        const [mySubmissions, assignments] = await Promise.all([
+            appState.getSubmissions(),
+            appState.getAssignments()
+        ]);
+        const container = document.getElementById('my-submissions-list');
+
+        // Filled rubrics for graded work, keyed by submission
+        const filledRubrics = new Map(await Promise.all(
+            mySubmissions
+                .filter(submission => submission.rubric_id && submission.graded_at)
+                .map(async submission => [submission.id, await appState.getSubmissionRubric(submission.id)])
+        ));
+
+        // Autograder output, keyed by submission
+        const autograderRuns = new Map(await Promise.all(
+            mySubmissions
+                .filter(submission => submission.autograder_run_id)
+                .map(async submission => [submission.id, await appState.getAutograderRun(submission.id)])
+        ));
+        
+        if (!mySubmissions || mySubmissions.length === 0) {
+            container.innerHTML = `
+                <div style="text-align: center; padding: 2rem; color: var(--color-text-secondary);">
+                    <p>No submissions found.</p>
+                    <button class="btn btn--primary" onclick="switchToAvailableTab()">View Available Assignments</button>
+                </div>
+            `;
+        } else {
+            container.innerHTML = mySubmissions.map(submission => {
+                const assignment = assignments.find(a => a.id === submission.assignment_id);
+                
+                return `
+                    <div class="submission-card">
+                        <div class="submission-header">
+                            <h3 class="submission-title">${escapeHtml(submission.assignment_title || 'Unknown Assignment')}</h3>
+                            <span class="status ${statusClass(submission.status)}">${escapeHtml(submission.status)}</span>
+                        </div>
+                        <div class="submission-info">
+                            <div>
+                                <strong>Submitted:</strong> ${formatDate(submission.submitted_at)}
+                            </div>
+                            <div>
+                                <strong>Deadline:</strong> ${assignment ? formatDate(studentDeadline(assignment)) : 'Unknown'}
+                            </div>
+                            <div>
+                                <strong>Submission ID:</strong> <code>${escapeHtml(submission.id)}</code>
+                            </div>
+                            <div>
+                                <strong>Version:</strong> ${submission.counted_version || 1} of ${submission.version_count || 1}
+                                <button class="btn btn--outline btn--sm" onclick="viewSubmission('${escapeHtml(submission.id)}')">
+                                    History
+                                </button>
+                            </div>
+                        </div>
+                        <div class="submission-repo">
+                            <strong>Repository:</strong> 
+                            <a href="${escapeHtml(submission.repo_link)}" target="_blank" rel="noopener" class="repo-link">
+                                ${escapeHtml(submission.repo_link)}
+                            </a>
+                            ${renderRepoRef(submission)}
+                        </div>
+                        ${autograderRuns.get(submission.id) ? renderAutograderOutput(autograderRuns.get(submission.id)) : ''}
+                        ${submission.graded_at ? `
+                            <div class="submission-grade">
+                                <div class="submission-grade-score">
+                                    <strong>Grade:</strong> ${escapeHtml(formatGrade(submission))}
+                                    <small>Graded by ${escapeHtml(submission.grader_name || 'Unknown')} on ${formatDate(submission.graded_at)}</small>
+                                </div>
+                                ${submission.feedback ? `<p class="submission-feedback">${escapeHtml(submission.feedback)}</p>` : ''}
+                                ${filledRubrics.has(submission.id) ? renderFilledRubric(filledRubrics.get(submission.id)) : ''}
+                            </div>
+                        ` : ''}
+                    </div>
+                `;
+            }).join('');
+        }
+    } finally {
+        hideLoading();
+    }
+}
+
+function loadStudentProfile() {
+    if (!appState.currentUser) return;
+    
+    document.getElementById('profile-student-id').textContent = appState.currentUser.id;
+    document.getElementById('profile-email').textContent = appState.currentUser.email;
+    document.getElementById('profile-name').textContent = appState.currentUser.name;
+    document.getElementById('profile-created').textContent = formatDate(appState.currentUser.created_at);
+}
+
+// Modal functions
+function submitAssignment(assignmentId) {
+    openSubmissionModal(assignmentId, false);
+}
+
+function updateSubmission(assignmentId) {
+    openSubmissionModal(assignmentId, true);
+}
+
+function openSubmissionModal(assignmentId, isUpdate = false) {
+    const modal = document.getElementById('submission-modal');
+    const assignment = appState.assignments.find(a => a.id === assignmentId);
+    
+    if (!assignment) return;
+    
+    document.getElementById('modal-assignment-title').textContent = 
+        (isUpdate ? 'Update ' : 'Submit ') + assignment.title;
+    document.getElementById('modal-assignment-id').value = assignmentId;
+    document.getElementById('modal-assignment-description').textContent = assignment.description;
+    document.getElementById('modal-assignment-instructions').textContent = 
+        assignment.instructions || 'No specific instructions provided.';
+    document.getElementById('modal-assignment-deadline').textContent = formatDate(studentDeadline(assignment));
+    document.getElementById('modal-allowed-hosts').textContent = assignment.allowed_hosts
+        ? `Accepted hosts: ${assignment.allowed_hosts.split(',').join(', ')}`
+        : 'GitHub, GitLab, Bitbucket or your own git server (HTTPS or SSH)';
+    
+    const existingSubmission = isUpdate && appState.submissions.find(
+        sub => sub.assignment_id === assignmentId && sub.student_id === appState.currentUser.id
+    );
+    document.getElementById('repo-link').value = existingSubmission ? existingSubmission.repo_link : '';
+    document.getElementById('repo-ref-type').value = (existingSubmission && existingSubmission.repo_ref_type) || 'branch';
+    document.getElementById('repo-ref').value = (existingSubmission && existingSubmission.repo_ref) || '';
+    
+    modal.classList.remove('hidden');
+}
+
+function closeSubmissionModal() {
+    const modal = document.getElementById('submission-modal');
+    modal.classList.add('hidden');
+    const form = document.getElementById('submission-form');
+    if (form) form.reset();
+}
+
+// Rubric functions
+async function loadRubrics() {
+    const rubrics = await appState.getRubrics();
+
+    const select = document.getElementById('assignment-rubric');
+    if (select) {
+        const selected = select.value;
+        select.innerHTML = '<option value="">No rubric</option>' + rubrics.map(rubric => `
+            <option value="${escapeHtml(rubric.id)}">${escapeHtml(rubric.title)}</option>
+        `).join('');
+        select.value = rubrics.some(rubric => rubric.id === selected) ? selected : '';
+    }
+
+    const list = document.getElementById('rubrics-list');
+    if (!list) return;
+
+    if (rubrics.length === 0) {
+        list.innerHTML = `
+            <p style="color: var(--color-text-secondary);">No rubrics saved yet.</p>
+        `;
+        return;
+    }
+
+    list.innerHTML = rubrics.map(rubric => `
+        <div class="rubric-card">
+            <div class="submission-header">
+                <h3 class="submission-title">${escapeHtml(rubric.title)}</h3>
+                <button class="btn btn--outline btn--sm" onclick="deleteRubric('${escapeHtml(rubric.id)}')">Delete</button>
+            </div>
+            ${rubric.description ? `<p class="assignment-description">${escapeHtml(rubric.description)}</p>` : ''}
+            <ul class="rubric-summary">
+                ${rubric.criteria.map(criterion => `
+                    <li>
+                        <strong>${escapeHtml(criterion.name)}</strong>
+                        <span>weight ${criterion.weight}</span>
+                        <span>${criterion.levels.map(level => `${escapeHtml(level.label)} (${level.points})`).join(' · ')}</span>
+                    </li>
+                `).join('')}
+            </ul>
+        </div>
+    `).join('');
+}
+
+async function deleteRubric(rubricId) {
+    if (!confirm('Delete this rubric?')) return;
+
+    try {
+        await appState.deleteRubric(rubricId);
+        showNotification('Rubric deleted', 'success');
+        await loadRubrics();
+    } catch (error) {
+        showNotification(`Failed to delete rubric: ${error.message}`, 'error');
+    }
+}
+
+function addRubricCriterionRow() {
+    const container = document.getElementById('rubric-criteria');
+    const row = document.createElement('div');
+    row.className = 'rubric-criterion';
+    row.innerHTML = `
+        <div class="form-grid">
+            <div class="form-group">
+                <label class="form-label">Criterion</label>
+                <input type="text" name="name" class="form-control" placeholder="Functionality" required>
+            </div>
+            <div class="form-group">
+                <label class="form-label">Weight</label>
+                <input type="number" name="weight" class="form-control" min="0" step="any" value="25" required>
+            </div>
+        </div>
+        <div class="form-group">
+            <label class="form-label">Point Bands</label>
+            <textarea name="levels" class="form-control" rows="3" required
+                      placeholder="4 | Excellent | Everything works as specified&#10;2 | Partial | Core features work&#10;0 | Missing | Not attempted"></textarea>
+        </div>
+        <button type="button" class="btn btn--outline btn--sm remove-criterion">Remove Criterion</button>
+    `;
+    container.appendChild(row);
+}
+
+function readRubricForm() {
+    const criteria = Array.from(document.querySelectorAll('#rubric-criteria .rubric-criterion')).map(row => ({
+        name: row.querySelector('input[name="name"]').value,
+        weight: row.querySelector('input[name="weight"]').value,
+        levels: row.querySelector('textarea[name="levels"]').value
+            .split('\n')
+            .map(line => line.trim())
+            .filter(Boolean)
+            .map(line => {
+                const [points, label, ...descriptor] = line.split('|').map(part => part.trim());
+                return { points, label, descriptor: descriptor.join(' | ') };
+            })
+    }));
+
+    return {
+        title: document.getElementById('rubric-title').value,
+        description: document.getElementById('rubric-description').value,
+        criteria
+    };
+}
+
+async function openRubricModal(submissionId) {
+    showLoading('Loading rubric...');
+
+    try {
+        const { rubric, scores } = await appState.getSubmissionRubric(submissionId);
+        if (!rubric) {
+            showNotification('This assignment has no rubric attached', 'info');
+            return;
+        }
+
+        const submission = appState.submissions.find(sub => sub.id === submissionId);
+        const scoreByCriterion = new Map(scores.map(score => [score.criterion_id, score]));
+        const canComment = Boolean(submission) && coursePermits(submission.course_id, 'comment');
+
+        document.getElementById('rubric-modal-title').textContent =
+            `${rubric.title}${submission ? ' — ' + submission.student_name : ''}`;
+        document.getElementById('rubric-submission-id').value = submissionId;
+        document.getElementById('rubric-feedback').value = (submission && submission.feedback) || '';
+        document.getElementById('rubric-feedback').readOnly = !canComment;
+        document.getElementById('rubric-score-criteria').innerHTML = rubric.criteria.map(criterion => {
+            const score = scoreByCriterion.get(criterion.id);
+            const max = Math.max(...criterion.levels.map(level => level.points));
+            return `
+                <div class="rubric-criterion" data-criterion-id="${escapeHtml(criterion.id)}">
+                    <div class="submission-header">
+                        <strong>${escapeHtml(criterion.name)}</strong>
+                        <small>weight ${criterion.weight}</small>
+                    </div>
+                    <select class="form-control rubric-level-select">
+                        <option value="">Choose a band…</option>
+                        ${criterion.levels.map(level => `
+                            <option value="${level.points}" ${score && score.points === level.points ? 'selected' : ''}>
+                                ${escapeHtml(level.label)} (${level.points}) ${level.descriptor ? '— ' + escapeHtml(level.descriptor) : ''}
+                            </option>
+                        `).join('')}
+                    </select>
+                    <div class="grade-inputs">
+                        <input type="number" name="points" class="form-control" min="0" max="${max}" step="any"
+                               value="${score ? score.points : ''}" required>
+                        <span>/ ${max}</span>
+                        <input type="text" name="comment" class="form-control" placeholder="Comment" ${canComment ? '' : 'readonly'}
+                               value="${escapeHtml(score && score.comment ? score.comment : '')}">
+                    </div>
+                </div>
+            `;
+        }).join('');
+
+        document.getElementById('rubric-modal').classList.remove('hidden');
+    } catch (error) {
+        showNotification(`Failed to load rubric: ${error.message}`, 'error');
+    } finally {
+        hideLoading();
+    }
+}
+
+function closeRubricModal() {
+    const modal = document.getElementById('rubric-modal');
+    if (modal) modal.classList.add('hidden');
+}
+
+async function openVersionModal(submissionId) {
+    const submission = appState.submissions.find(sub => sub.id === submissionId);
+    const staff = isCourseStaff();
+    const canSelect = staff && Boolean(submission) && coursePermits(submission.course_id, 'grade_submissions');
+
+    showLoading('Loading version history...');
+
+    try {
+        const versions = await appState.getSubmissionVersions(submissionId);
+
+        document.getElementById('version-modal-title').textContent = submission
+            ? `History — ${submission.assignment_title}${staff ? ' — ' + submission.student_name : ''}`
+            : 'Submission History';
+        document.getElementById('versions-list').innerHTML = `
+            <table class="database-table">
+                <thead>
+                    <tr>
+                        <th>Version</th>
+                        <th>Repository</th>
+                        <th>Submitted</th>
+                        <th>Status</th>
+                        <th>Client</th>
+                        ${canSelect ? '<th></th>' : ''}
+                    </tr>
+                </thead>
+                <tbody>
+                    ${versions.map(version => `
+                        <tr class="${version.counted ? 'version-counted' : ''}">
+                            <td>
+                                v${version.version}
+                                ${version.counted ? '<small class="version-note">counts</small>' : ''}
+                            </td>
+                            <td>
+                                <a href="${escapeHtml(version.repo_link)}" target="_blank" rel="noopener" class="repo-link">
+                                    ${escapeHtml(version.repo_link)}
+                                </a>
+                                ${renderRepoRef(version)}
+                            </td>
+                            <td>${formatDate(version.submitted_at)}</td>
+                            <td>
+                                <span class="status ${statusClass(version.status)}">${escapeHtml(version.status)}</span>
+                                ${version.minutes_late > 0 ? `
+                                    <small class="late-note">${formatMinutesLate(version.minutes_late)}</small>
+                                ` : ''}
+                            </td>
+                            <td>
+                                <small>${escapeHtml(version.ip_address || '—')}</small>
+                                <small class="version-agent" title="${escapeHtml(version.user_agent || '')}">
+                                    ${escapeHtml(version.user_agent || '')}
+                                </small>
+                            </td>
+                            ${canSelect ? `
+                                <td>
+                                    ${version.counted ? '' : `
+                                        <button class="btn btn--secondary btn--sm"
+                                                onclick="selectSubmissionVersion('${escapeHtml(submissionId)}', '${escapeHtml(version.id)}')">
+                                            Use This Version
+                                        </button>
+                                    `}
+                                </td>
+                            ` : ''}
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        `;
+
+        document.getElementById('version-modal').classList.remove('hidden');
+    } catch (error) {
+        showNotification(`Failed to load version history: ${error.message}`, 'error');
+    } finally {
+        hideLoading();
+    }
+}
+
+function closeVersionModal() {
+    const modal = document.getElementById('version-modal');
+    if (modal) modal.classList.add('hidden');
+}
+
+async function selectSubmissionVersion(submissionId, versionId) {
+    try {
+        const { message } = await appState.selectSubmissionVersion(submissionId, versionId);
+        showNotification(message, 'success');
+        await loadAllSubmissions();
+        await openVersionModal(submissionId);
+    } catch (error) {
+        showNotification(`Failed to select version: ${error.message}`, 'error');
+    }
+}
+
+async function openExtensionModal(assignmentId) {
+    const assignment = appState.assignments.find(a => a.id === assignmentId);
+    if (!assignment) return;
+
+    showLoading('Loading extensions...');
+
+    try {
+        const [grants, roster] = await Promise.all([
+            appState.getExtensions(assignmentId),
+            appState.getEnrollments(assignment.course_id)
+        ]);
+
+        document.getElementById('extension-modal-title').textContent = `Extensions — ${assignment.title}`;
+        document.getElementById('extension-assignment-id').value = assignmentId;
+        document.getElementById('extension-base-deadline').textContent = formatDate(assignment.deadline);
+        document.getElementById('extension-student').innerHTML = roster.map(enrollment => `
+            <option value="${escapeHtml(enrollment.student_id)}">${escapeHtml(enrollment.student_name)}</option>
+        `).join('');
+
+        document.getElementById('extensions-list').innerHTML = grants.length ? `
+            <table class="database-table">
+                <thead>
+                    <tr>
+                        <th>Student</th>
+                        <th>New Deadline</th>
+                        <th>Reason</th>
+                        <th>Granted</th>
+                        <th></th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${grants.map(grant => `
+                        <tr>
+                            <td>${escapeHtml(grant.student_name)}</td>
+                            <td>${formatDate(grant.deadline)}</td>
+                            <td>${escapeHtml(grant.reason)}</td>
+                            <td>${formatDate(grant.granted_at)} by ${escapeHtml(grant.granted_by_name)}</td>
+                            <td>
+                                <button class="btn btn--outline btn--sm"
+                                        onclick="revokeExtension('${escapeHtml(assignmentId)}', '${escapeHtml(grant.student_id)}')">
+                                    Revoke
+                                </button>
+                            </td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        ` : '<p style="color: var(--color-text-secondary);">No extensions granted.</p>';
+
+        document.getElementById('extension-modal').classList.remove('hidden');
+    } catch (error) {
+        showNotification(`Failed to load extensions: ${error.message}`, 'error');
+    } finally {
+        hideLoading();
+    }
+}
+
+function closeExtensionModal() {
+    const modal = document.getElementById('extension-modal');
+    if (modal) modal.classList.add('hidden');
+}
+
+async function revokeExtension(assignmentId, studentId) {
+    if (!confirm('Revoke this extension?')) return;
+
+    try {
+        await appState.revokeExtension(assignmentId, studentId);
+        showNotification('Extension revoked', 'success');
+        await openExtensionModal(assignmentId);
+    } catch (error) {
+        showNotification(`Failed to revoke extension: ${error.message}`, 'error');
+    }
+}
+
+// Uploaded text files ([{ path, content }]) edited in a modal before saving;
+// paths can be changed to place a file in a folder
+class FileListEditor {
+    constructor(containerId, inputId, emptyText) {
+        this.container = document.getElementById(containerId);
+        this.input = document.getElementById(inputId);
+        this.emptyText = emptyText;
+        this.files = [];
+
+        this.input.addEventListener('change', async () => {
+            try {
+                for (const file of this.input.files) {
+                    const content = await readTextFile(file);
+                    this.files = this.files.filter(existing => existing.path !== file.name);
+                    this.files.push({ path: file.name, content });
                 }
-            } finally {
-                hideLoading();
-                showButtonSpinner(button, false);
+                this.render();
+            } catch (error) {
+                showNotification(`Failed to read file: ${error.message}`, 'error');
             }
+            this.input.value = '';
+        });
+
+        this.container.addEventListener('input', (e) => {
+            const row = e.target.closest('.file-list-item');
+            if (row) this.files[Number(row.dataset.index)].path = e.target.value;
+        });
+
+        this.container.addEventListener('click', (e) => {
+            if (!e.target.classList.contains('remove-file')) return;
+            this.files.splice(Number(e.target.closest('.file-list-item').dataset.index), 1);
+            this.render();
+        });
+    }
+
+    setFiles(files) {
+        this.files = files.map(file => ({ path: file.path, content: file.content }));
+        this.input.value = '';
+        this.render();
+    }
+
+    render() {
+        this.container.innerHTML = this.files.length ? this.files.map((file, index) => `
+            <div class="file-list-item" data-index="${index}">
+                <input type="text" class="form-control" value="${escapeHtml(file.path)}" required>
+                <small>${file.content.length.toLocaleString()} chars</small>
+                <button type="button" class="btn btn--outline btn--sm remove-file">Remove</button>
+            </div>
+        `).join('') : `<p style="color: var(--color-text-secondary);">${escapeHtml(this.emptyText)}</p>`;
+    }
+}
+
+let autograderFileList;
+let starterFileList;
+
+async function openAutograderModal(assignmentId) {
+    const assignment = appState.assignments.find(a => a.id === assignmentId);
+    if (!assignment) return;
+
+    showLoading('Loading autograder...');
+
+    try {
+        const config = await appState.getAutograder(assignmentId);
+
+        document.getElementById('autograder-modal-title').textContent = `Autograder — ${assignment.title}`;
+        document.getElementById('autograder-assignment-id').value = assignmentId;
+        document.getElementById('autograder-command').value = config ? config.command : '';
+        document.getElementById('autograder-timeout').value = config ? config.timeout_seconds : 60;
+        document.getElementById('autograder-memory').value = config ? config.memory_mb : 512;
+        document.getElementById('autograder-max-points').value = config ? config.max_points : 100;
+        document.getElementById('autograder-prefill').checked = Boolean(config && config.prefill_grade);
+        document.getElementById('autograder-remove').disabled = !config;
+        document.getElementById('autograder-run-all').disabled = !config;
+        autograderFileList.setFiles(config ? config.files : []);
+
+        document.getElementById('autograder-modal').classList.remove('hidden');
+    } catch (error) {
+        showNotification(`Failed to load autograder: ${error.message}`, 'error');
+    } finally {
+        hideLoading();
+    }
+}
+
+function closeAutograderModal() {
+    const modal = document.getElementById('autograder-modal');
+    if (modal) modal.classList.add('hidden');
+}
+
+function readTextFile(file) {
+    return new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = () => resolve(reader.result);
+        reader.onerror = () => reject(reader.error);
+        reader.readAsText(file);
+    });
+}
+
+function renderAutograderOutput(run) {
+    const total = (run.tests_passed || 0) + (run.tests_failed || 0);
+    const summary = run.tests_passed !== null
+        ? `${run.tests_passed}/${total} tests passed`
+        : run.status;
+
+    return `
+        <details class="autograder-output">
+            <summary>
+                <strong>Autograder:</strong>
+                <span class="autograder-line autograder-line--${escapeHtml(run.status)}">${escapeHtml(summary)}</span>
+                ${run.commit_sha ? `<small>on <code>${escapeHtml(run.commit_sha.slice(0, 7))}</code></small>` : ''}
+            </summary>
+            ${run.log ? `<pre>${escapeHtml(run.log)}</pre>` : '<p class="form-help">No output yet.</p>'}
+        </details>
+    `;
+}
+
+async function openNotificationsModal() {
+    showLoading('Loading notification preferences...');
+
+    try {
+        const preferences = await appState.getNotificationPreferences();
+        document.getElementById('notification-preferences').innerHTML = preferences.map(preference => `
+            <div class="form-group">
+                <label class="form-check">
+                    <input type="checkbox" value="${escapeHtml(preference.type)}" ${preference.enabled ? 'checked' : ''}>
+                    ${escapeHtml(preference.label)}
+                </label>
+                <small class="form-help">${escapeHtml(preference.description)}</small>
+            </div>
+        `).join('');
+
+        document.getElementById('notifications-modal').classList.remove('hidden');
+    } catch (error) {
+        showNotification(`Failed to load notification preferences: ${error.message}`, 'error');
+    } finally {
+        hideLoading();
+    }
+}
+
+function closeNotificationsModal() {
+    const modal = document.getElementById('notifications-modal');
+    if (modal) modal.classList.add('hidden');
+}
+
+// Roster import
+const ROSTER_RESULT_CLASSES = {
+    created: 'status--success',
+    enrolled: 'status--success',
+    already_enrolled: 'status--info',
+    skipped: 'status--warning',
+    error: 'status--error'
+};
+
+function openRosterModal(courseId) {
+    const course = appState.courses.find(c => c.id === courseId);
+    if (!course) return;
+
+    document.getElementById('roster-modal-title').textContent = `Import Roster — ${course.code}`;
+    document.getElementById('roster-course-id').value = courseId;
+    document.getElementById('roster-form').reset();
+    document.getElementById('roster-results').innerHTML = '';
+    document.getElementById('roster-modal').classList.remove('hidden');
+}
+
+function closeRosterModal() {
+    const modal = document.getElementById('roster-modal');
+    if (modal) modal.classList.add('hidden');
+}
+
+function downloadTextFile(filename, text, type) {
+    const url = URL.createObjectURL(new Blob([text], { type }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+}
+
+function renderRosterResults(result, dryRun) {
+    const { summary } = result;
+    return `
+        <p class="similarity-status">
+            ${dryRun ? 'Nothing has been saved yet. ' : ''}
+            ${summary.rows} rows: ${summary.created} ${dryRun ? 'to create' : 'created'},
+            ${summary.enrolled} ${dryRun ? 'to enroll' : 'enrolled'}, ${summary.already_enrolled} already enrolled,
+            ${summary.skipped} skipped, ${summary.error} with errors
+        </p>
+        ${!dryRun && summary.created ? `
+            <p class="late-note">
+                Download the report now: it is the only copy of the new students' invite links or passwords.
+            </p>
+        ` : ''}
+        <div class="form-actions">
+            <button type="button" class="btn btn--outline btn--sm" id="roster-report-btn">Download Report</button>
+        </div>
+        <div class="database-table-wrapper">
+            <table class="database-table">
+                <thead>
+                    <tr><th>Line</th><th>Student</th><th>Student ID</th><th>Result</th><th>Details</th></tr>
+                </thead>
+                <tbody>
+                    ${result.results.map(row => `
+                        <tr>
+                            <td>${row.line}</td>
+                            <td>${escapeHtml(row.name || '—')}<br><small>${escapeHtml(row.email || '')}</small></td>
+                            <td>${escapeHtml(row.studentNumber || '—')}</td>
+                            <td><span class="status ${ROSTER_RESULT_CLASSES[row.status]}">${escapeHtml(row.status.replace('_', ' '))}</span></td>
+                            <td>
+                                ${row.message ? escapeHtml(row.message) : ''}
+                                ${row.temporaryPassword ? `Temporary password: <code>${escapeHtml(row.temporaryPassword)}</code>` : ''}
+                                ${row.inviteUrl ? `<a href="${escapeHtml(row.inviteUrl)}" target="_blank" rel="noopener">Invite link</a>` : ''}
+                            </td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        </div>
+    `;
+}
+
+async function submitRoster(apply) {
+    const courseId = document.getElementById('roster-course-id').value;
+    const file = document.getElementById('roster-file').files[0];
+    const button = document.getElementById(apply ? 'roster-import-btn' : 'roster-preview-btn');
+    const container = document.getElementById('roster-results');
+
+    if (!file) {
+        showNotification('Choose a roster CSV file', 'error');
+        return;
+    }
+    if (apply && !confirm('Create the new accounts and enroll every valid row?')) return;
+
+    showButtonSpinner(button, true);
+    try {
+        const result = await appState.importRoster(courseId, {
+            csv: await readTextFile(file),
+            credentials: document.getElementById('roster-credentials').value,
+            dryRun: !apply
+        });
+        container.innerHTML = renderRosterResults(result, !apply);
+
+        const course = appState.courses.find(c => c.id === courseId);
+        const filename = `${course ? course.code : 'roster'}-roster-${apply ? 'import' : 'check'}.csv`;
+        document.getElementById('roster-report-btn').addEventListener('click', () => {
+            downloadTextFile(filename, result.report, 'text/csv');
         });
+
+        if (apply) {
+            showNotification(`${result.summary.created} accounts created, ${result.summary.enrolled} students enrolled`, 'success');
+            await loadCourses();
+            await loadCourseManagement();
+        }
+    } catch (error) {
+        container.innerHTML = '';
+        showNotification(`Roster import failed: ${error.message}`, 'error');
+    } finally {
+        showButtonSpinner(button, false);
+    }
+}
+
+// Account invites
+async function openInviteModal(token) {
+    const greeting = document.getElementById('invite-greeting');
+    const form = document.getElementById('invite-form');
+    form.dataset.token = token;
+
+    try {
+        const invite = await appState.getInvite(token);
+        greeting.textContent = `Welcome, ${invite.name}. Choose a password for ${invite.email} to finish setting up your account.`;
+        form.querySelectorAll('input, button').forEach(element => { element.disabled = false; });
+    } catch (error) {
+        greeting.textContent = `${error.message}. Ask your professor or an administrator for a new one.`;
+        form.querySelectorAll('input, button').forEach(element => { element.disabled = true; });
+    }
+    document.getElementById('invite-modal').classList.remove('hidden');
+}
+
+function closeInviteModal() {
+    const modal = document.getElementById('invite-modal');
+    if (!modal || modal.classList.contains('hidden')) return;
+    modal.classList.add('hidden');
+    window.history.replaceState(null, '', window.location.pathname);
+}
+
+async function acceptInvite(e) {
+    e.preventDefault();
+    const form = e.target;
+    const button = form.querySelector('button[type="submit"]');
+    const errorDiv = document.getElementById('invite-error');
+    const password = document.getElementById('invite-password').value;
+
+    errorDiv.classList.remove('show');
+    if (password !== document.getElementById('invite-password-confirm').value) {
+        errorDiv.textContent = 'The passwords do not match';
+        errorDiv.classList.add('show');
+        return;
     }
 
-    // Modal close handlers
-    const closeBtn = document.getElementById('close-submission-modal');
-    const cancelBtn = document.getElementById('cancel-submission');
-    
-    if (closeBtn) closeBtn.addEventListener('click', closeSubmissionModal);
-    if (cancelBtn) cancelBtn.addEventListener('click', closeSubmissionModal);
-    
-    document.addEventListener('click', (e) => {
-        if (e.target.classList.contains('modal-overlay')) {
-            closeSubmissionModal();
-        }
-    });
+    showButtonSpinner(button, true);
+    try {
+        const { user } = await appState.acceptInvite(form.dataset.token, password);
+        closeInviteModal();
+        await enterDashboard(user);
+        showNotification(`Welcome, ${user.name}!`, 'success');
+    } catch (error) {
+        errorDiv.textContent = error.message;
+        errorDiv.classList.add('show');
+    } finally {
+        showButtonSpinner(button, false);
+    }
 }
 
-// Tab switching functionality
-function initTabSwitching(dashboardId) {
-    const container = document.getElementById(dashboardId);
-    if (!container) return;
-    
-    const tabBtns = container.querySelectorAll('.tab-btn');
-    const tabContents = container.querySelectorAll('.tab-content');
-    
-    tabBtns.forEach(btn => {
-        btn.addEventListener('click', async () => {
-            const tabId = btn.getAttribute('data-tab');
-            
-            // Update active states
-            tabBtns.forEach(b => b.classList.remove('active'));
-            btn.classList.add('active');
-            
-            tabContents.forEach(content => content.classList.remove('active'));
-            const targetContent = document.getElementById(tabId + '-tab');
-            if (targetContent) {
-                targetContent.classList.add('active');
-            }
-            
-            // Load content
-            if (appState.currentRole === 'professor') {
-                await refreshProfessorTab(tabId);
-            } else if (appState.currentRole === 'student') {
-                await refreshStudentTab(tabId);
-            }
-        });
-    });
+// Registration and course invite codes
+async function openRegisterModal(code = '') {
+    const form = document.getElementById('register-form');
+    form.reset();
+    form.querySelector('button[type="submit"]').disabled = false;
+    document.getElementById('register-error').classList.remove('show');
+    document.getElementById('register-sent').classList.add('hidden');
+    document.getElementById('register-code').value = code;
+    document.getElementById('register-modal').classList.remove('hidden');
+
+    const domainsHint = document.getElementById('register-domains');
+    try {
+        const { domains } = await appState.getRegistrationSettings();
+        domainsHint.textContent = domains.length ? `Use your institution's address (${domains.join(', ')})` : '';
+        domainsHint.classList.toggle('hidden', !domains.length);
+    } catch (error) {
+        domainsHint.classList.add('hidden');
+    }
+    await previewInviteCode(code);
 }
 
-// Professor dashboard functions
-async function loadProfessorDashboard() {
-    await updateDatabaseStats();
-    await refreshProfessorTab('assignments');
+function closeRegisterModal() {
+    document.getElementById('register-modal').classList.add('hidden');
 }
 
-async function refreshProfessorTab(tabId) {
+// Names the course a code is for, so a mistyped code shows before submitting
+async function previewInviteCode(code) {
+    const preview = document.getElementById('register-code-course');
+    if (!code.trim()) {
+        preview.textContent = '';
+        return;
+    }
+
     try {
-        switch(tabId) {
-            case 'assignments':
-                await loadProfessorAssignments();
-                break;
-            case 'submissions':
-                await loadAllSubmissions();
-                break;
-            case 'analytics':
-                await loadAnalytics();
-                break;
-        }
+        const invite = await appState.getCourseInvite(code.trim());
+        preview.textContent = `You will join ${invite.course_code} — ${invite.course_title}`;
     } catch (error) {
-        console.error('Failed to refresh tab:', error);
-        showNotification('Failed to load data', 'error');
+        preview.textContent = error.message;
     }
 }
 
-async function loadProfessorAssignments() {
-    showLoading('Loading assignments from database...');
-    
+async function register(e) {
+    e.preventDefault();
+    const button = e.target.querySelector('button[type="submit"]');
+    const errorDiv = document.getElementById('register-error');
+    const sent = document.getElementById('register-sent');
+    const password = document.getElementById('register-password').value;
+
+    errorDiv.classList.remove('show');
+    if (password !== document.getElementById('register-password-confirm').value) {
+        errorDiv.textContent = 'The passwords do not match';
+        errorDiv.classList.add('show');
+        return;
+    }
+
+    showButtonSpinner(button, true);
     try {
-        const assignments = await appState.getAssignments();
-        const submissions = await appState.getSubmissions();
-        const container = document.getElementById('assignments-list');
-        
-        if (!assignments || assignments.length === 0) {
-            container.innerHTML = `
-                <div style="text-align: center; padding: 2rem; color: var(--color-text-secondary);">
-                    <p>No assignments found in database.</p>
-                    <button class="btn btn--primary" onclick="switchToCreateTab()">Create First Assignment</button>
-                </div>
-            `;
-        } else {
-            container.innerHTML = assignments.map(assignment => {
-                const overdue = isOverdue(assignment.deadline);
-                const submissionCount = submissions.filter(sub => sub.assignment_id === assignment.id).length;
-                
-                return `
-                    <div class="assignment-card">
-                        <div class="assignment-header">
-                            <h3 class="assignment-title">${assignment.title}</h3>
-                            <span class="assignment-status ${overdue ? 'closed' : 'open'}">
-                                ${overdue ? 'Closed' : 'Open'}
-                            </span>
-                        </div>
-                        <p class="assignment-description">${assignment.description}</p>
-                        <div class="assignment-meta">
-                            <span>Created: ${formatDate(assignment.created_at)}</span>
-                            <span>Deadline: ${formatDate(assignment.deadline)}</span>
-                        </div>
-                        <div class="assignment-meta">
-                            <span>Submissions: ${submissionCount}</span>
-                            <span>ID: ${assignment.id}</span>
-                        </div>
-                        <div class="assignment-actions">
-                            <button class="btn btn--secondary btn--sm" onclick="viewSubmissions('${assignment.id}')">
-                                View Submissions
-                            </button>
-                        </div>
-                    </div>
-                `;
-            }).join('');
-        }
+        const { message } = await appState.register({
+            name: document.getElementById('register-name').value,
+            email: document.getElementById('register-email').value,
+            password,
+            code: document.getElementById('register-code').value.trim() || undefined
+        });
+        sent.textContent = `${message}.`;
+        sent.classList.remove('hidden');
+        button.disabled = true;
+    } catch (error) {
+        errorDiv.textContent = error.message;
+        errorDiv.classList.add('show');
     } finally {
-        hideLoading();
+        showButtonSpinner(button, false);
     }
 }
 
-async function loadAllSubmissions() {
-    showLoading('Querying submission database...');
-    
+async function verifyEmailFromLink(token) {
+    window.history.replaceState(null, '', window.location.pathname);
+    showLoading('Confirming your email address...');
     try {
-        const submissions = await appState.getSubmissions();
-        const assignments = await appState.getAssignments();
-        const tbody = document.getElementById('submissions-table-body');
-        
-        if (!submissions || submissions.length === 0) {
-            tbody.innerHTML = `
-                <tr>
-                    <td colspan="7" style="text-align: center; padding: 2rem; color: var(--color-text-secondary);">
-                        No submissions in database
-                    </td>
-                </tr>
-            `;
-        } else {
-            tbody.innerHTML = submissions.map(submission => {
-                const assignment = assignments.find(a => a.id === submission.assignment_id);
-                const student = appState.db.tables.users.find(u => u.id === submission.student_id);
-                
-                return `
-                    <tr>
-                        <td><code>${submission.id}</code></td>
-                        <td>${student ? student.name : 'Unknown'}</td>
-                        <td>${assignment ? assignment.title : 'Unknown Assignment'}</td>
-                        <td>
-                            <a href="${submission.repo_link}" target="_blank" class="repo-link">
-                                ${submission.repo_link}
-                            </a>
-                        </td>
-                        <td>${formatDate(submission.submitted_at)}</td>
-                        <td>
-                            <span class="status status--success">
-                                ${submission.status}
-                            </span>
-                        </td>
-                        <td>
-                            <button class="btn btn--outline btn--sm" onclick="viewSubmission('${submission.id}')">
-                                View
-                            </button>
-                        </td>
-                    </tr>
-                `;
-            }).join('');
+        const { user, course, inviteError } = await appState.verifyEmail(token);
+        await enterDashboard(user);
+        showNotification(course ?
+            `Email confirmed. Welcome to ${course.code}, ${user.name}!` :
+            `Email confirmed. Welcome, ${user.name}!`, 'success');
+        if (inviteError) {
+            showNotification(`You could not be enrolled: ${inviteError}. Ask your professor for a new code.`, 'error');
         }
+    } catch (error) {
+        showPage('studentLogin');
+        showNotification(error.message, 'error');
     } finally {
         hideLoading();
     }
 }
 
-async function loadAnalytics() {
-    showLoading('Generating analytics...');
-    
+function openJoinCourseModal() {
+    document.getElementById('join-course-form').reset();
+    document.getElementById('join-course-error').classList.remove('show');
+    document.getElementById('join-course-modal').classList.remove('hidden');
+}
+
+function closeJoinCourseModal() {
+    document.getElementById('join-course-modal').classList.add('hidden');
+}
+
+async function joinCourse(e) {
+    e.preventDefault();
+    const button = e.target.querySelector('button[type="submit"]');
+    const errorDiv = document.getElementById('join-course-error');
+
+    errorDiv.classList.remove('show');
+    showButtonSpinner(button, true);
     try {
-        const analytics = await appState.getAnalytics();
-        
-        // Update health metrics
-        const metrics = analytics.performanceMetrics;
-        document.querySelector('.metric-fill[style*="92%"]').style.width = metrics.queryPerformance + '%';
-        document.querySelector('.metric-fill[style*="78%"]').style.width = metrics.connectionPool + '%';
-        document.querySelector('.metric-fill[style*="85%"]').style.width = metrics.indexUsage + '%';
-        
-        // Create chart
-        const canvas = document.getElementById('submission-chart');
-        if (canvas) {
-            if (appState.realTimeChart) {
-                appState.realTimeChart.destroy();
-            }
-            
-            const ctx = canvas.getContext('2d');
-            appState.realTimeChart = new Chart(ctx, {
-                type: 'line',
-                data: {
-                    labels: analytics.submissionTimeline.labels,
-                    datasets: [{
-                        label: 'Submissions',
-                        data: analytics.submissionTimeline.data,
-                        borderColor: '#1FB8CD',
-                        backgroundColor: 'rgba(31, 184, 205, 0.1)',
-                        fill: true,
-                        tension: 0.4
-                    }]
-                },
-                options: {
-                    responsive: true,
-                    maintainAspectRatio: false,
-                    plugins: {
-                        legend: {
-                            display: false
-                        }
-                    },
-                    scales: {
-                        y: {
-                            beginAtZero: true,
-                            ticks: {
-                                stepSize: 1
-                            }
-                        }
-                    }
-                }
-            });
+        await joinCourseWithCode(document.getElementById('join-course-code').value.trim(), true);
+        closeJoinCourseModal();
+    } catch (error) {
+        errorDiv.textContent = error.message;
+        errorDiv.classList.add('show');
+    } finally {
+        showButtonSpinner(button, false);
+    }
+}
+
+// With `rethrow` the caller shows the error; otherwise it is a notification
+async function joinCourseWithCode(code, rethrow = false) {
+    try {
+        const { course } = await appState.redeemInviteCode(code);
+        showNotification(`You joined ${course.code} — ${course.title}`, 'success');
+        await loadStudentDashboard();
+    } catch (error) {
+        if (rethrow) throw error;
+        showNotification(`Could not join the course: ${error.message}`, 'error');
+    }
+}
+
+// Passwords
+function openForgotPasswordModal(email) {
+    const form = document.getElementById('forgot-password-form');
+    form.reset();
+    document.getElementById('forgot-password-email').value = email || '';
+    document.getElementById('forgot-password-error').classList.remove('show');
+    document.getElementById('forgot-password-sent').classList.add('hidden');
+    form.querySelector('button[type="submit"]').disabled = false;
+    document.getElementById('forgot-password-modal').classList.remove('hidden');
+}
+
+function closeForgotPasswordModal() {
+    document.getElementById('forgot-password-modal').classList.add('hidden');
+}
+
+// The server answers the same way for unknown addresses, and so does this form
+async function requestPasswordReset(e) {
+    e.preventDefault();
+    const button = e.target.querySelector('button[type="submit"]');
+    const errorDiv = document.getElementById('forgot-password-error');
+    const sent = document.getElementById('forgot-password-sent');
+
+    errorDiv.classList.remove('show');
+    showButtonSpinner(button, true);
+    try {
+        const { message } = await appState.requestPasswordReset(document.getElementById('forgot-password-email').value);
+        sent.textContent = `${message}. Check your inbox, and your spam folder if it does not arrive.`;
+        sent.classList.remove('hidden');
+        button.disabled = true;
+    } catch (error) {
+        errorDiv.textContent = error.message;
+        errorDiv.classList.add('show');
+    } finally {
+        showButtonSpinner(button, false);
+    }
+}
+
+async function openSetPasswordModal(token) {
+    const greeting = document.getElementById('set-password-greeting');
+    const form = document.getElementById('set-password-form');
+    form.dataset.token = token;
+
+    try {
+        const reset = await appState.getPasswordReset(token);
+        greeting.textContent = `Choose a new password for ${reset.email}. Every session signed in with the old one will end.`;
+        form.querySelectorAll('input, button').forEach(element => { element.disabled = false; });
+    } catch (error) {
+        greeting.textContent = `${error.message}. Use "Forgot password?" on the sign-in page to get a new one.`;
+        form.querySelectorAll('input, button').forEach(element => { element.disabled = true; });
+    }
+    document.getElementById('set-password-modal').classList.remove('hidden');
+}
+
+function closeSetPasswordModal() {
+    const modal = document.getElementById('set-password-modal');
+    if (!modal || modal.classList.contains('hidden')) return;
+    modal.classList.add('hidden');
+    window.history.replaceState(null, '', window.location.pathname);
+}
+
+async function resetPassword(e) {
+    e.preventDefault();
+    const form = e.target;
+    const button = form.querySelector('button[type="submit"]');
+    const errorDiv = document.getElementById('set-password-error');
+    const password = document.getElementById('set-password-new').value;
+
+    errorDiv.classList.remove('show');
+    if (password !== document.getElementById('set-password-confirm').value) {
+        errorDiv.textContent = 'The passwords do not match';
+        errorDiv.classList.add('show');
+        return;
+    }
+
+    showButtonSpinner(button, true);
+    try {
+        const { user } = await appState.resetPassword(form.dataset.token, password);
+        closeSetPasswordModal();
+        await enterDashboard(user);
+        showNotification('Password changed. You are signed in', 'success');
+    } catch (error) {
+        errorDiv.textContent = error.message;
+        errorDiv.classList.add('show');
+    } finally {
+        showButtonSpinner(button, false);
+    }
+}
+
+function openChangePasswordModal() {
+    document.getElementById('change-password-form').reset();
+    document.getElementById('change-password-error').classList.remove('show');
+    document.getElementById('change-password-modal').classList.remove('hidden');
+}
+
+function closeChangePasswordModal() {
+    document.getElementById('change-password-modal').classList.add('hidden');
+}
+
+async function changePassword(e) {
+    e.preventDefault();
+    const button = e.target.querySelector('button[type="submit"]');
+    const errorDiv = document.getElementById('change-password-error');
+    const newPassword = document.getElementById('change-password-new').value;
+
+    errorDiv.classList.remove('show');
+    if (newPassword !== document.getElementById('change-password-confirm').value) {
+        errorDiv.textContent = 'The new passwords do not match';
+        errorDiv.classList.add('show');
+        return;
+    }
+
+    showButtonSpinner(button, true);
+    try {
+        const { message } = await appState.changePassword(document.getElementById('change-password-current').value, newPassword);
+        closeChangePasswordModal();
+        showNotification(message, 'success');
+    } catch (error) {
+        errorDiv.textContent = error.message;
+        errorDiv.classList.add('show');
+    } finally {
+        showButtonSpinner(button, false);
+    }
+}
+
+// Sessions
+// The same list serves a user's own sessions and, for administrators, anyone else's
+let sessionsUserId = null;
+
+async function openSessionsModal(userId = null) {
+    const user = userId ? appState.adminUsers.find(u => u.id === userId) : null;
+    sessionsUserId = userId;
+    document.getElementById('sessions-title').textContent = user ? `${user.name}'s Sessions` : 'Your Sessions';
+    document.getElementById('sessions-end-all').textContent = user ? 'Sign Out Everywhere' : 'Sign Out Other Sessions';
+    document.getElementById('sessions-list').innerHTML = '';
+    document.getElementById('sessions-modal').classList.remove('hidden');
+    await loadSessions();
+}
+
+function closeSessionsModal() {
+    const modal = document.getElementById('sessions-modal');
+    if (modal) modal.classList.add('hidden');
+}
+
+async function loadSessions() {
+    const list = document.getElementById('sessions-list');
+
+    try {
+        const sessions = await appState.getSessions(sessionsUserId);
+        const others = sessions.filter(session => !session.current);
+        document.getElementById('sessions-end-all').disabled = !others.length;
+
+        list.innerHTML = sessions.length ? sessions.map(session => `
+            <li class="session-item">
+                <div>
+                    <strong>${escapeHtml(session.device)}</strong>
+                    ${session.current ? '<span class="status status--success">This session</span>' : ''}
+                    <small>${escapeHtml(session.ip || 'Unknown address')} · last active ${formatDate(session.last_seen_at)} · signed in ${formatDate(session.created_at)}</small>
+                </div>
+                <button class="btn btn--outline btn--sm" onclick="endSession('${escapeHtml(session.id)}')">Sign Out</button>
+            </li>
+        `).join('') : '<li style="color: var(--color-text-secondary);">No active sessions</li>';
+    } catch (error) {
+        showNotification(`Failed to load sessions: ${error.message}`, 'error');
+    }
+}
+
+async function endSession(sessionId) {
+    try {
+        const result = await appState.endSession(sessionId, sessionsUserId);
+        if (result.signedOut) {
+            closeSessionsModal();
+            showNotification('You have been signed out', 'info');
+            showPage('landing');
+            return;
         }
-    } finally {
-        hideLoading();
+        showNotification(result.message, 'success');
+        await loadSessions();
+        if (sessionsUserId) await loadAdminUsers();
+    } catch (error) {
+        showNotification(`Failed to sign out the session: ${error.message}`, 'error');
     }
 }
 
-// Student dashboard functions
-async function loadStudentDashboard() {
-    await refreshStudentTab('available');
-    await refreshStudentTab('profile');
+async function endAllSessions() {
+    const user = sessionsUserId ? appState.adminUsers.find(u => u.id === sessionsUserId) : null;
+    if (user && !confirm(`Sign ${user.name} out everywhere?`)) return;
+
+    try {
+        const { message } = await appState.endAllSessions(sessionsUserId);
+        showNotification(message, 'success');
+        await loadSessions();
+        if (sessionsUserId) await loadAdminUsers();
+    } catch (error) {
+        showNotification(`Failed to sign out sessions: ${error.message}`, 'error');
+    }
 }
 
-async function refreshStudentTab(tabId) {
+// User management (administrators)
+const ADMIN_USER_PAGE_SIZE = 50;
+
+const ROLE_LABELS = {
+    student: 'Student',
+    ta: 'Teaching Assistant',
+    professor: 'Professor',
+    admin: 'Administrator'
+};
+
+async function loadAdminDashboard() {
+    document.getElementById('admin-credentials').classList.add('hidden');
+    await Promise.all([loadAdminUsers(), loadLockouts(), loadJobs()]);
+}
+
+function describeAccountStatus(user) {
+    if (user.deactivated_at) {
+        return `<span class="status status--error">Deactivated</span><small class="late-note">since ${formatDate(user.deactivated_at)}</small>`;
+    }
+    if (user.locked_until) {
+        return `<span class="status status--error">Locked</span><small class="late-note">until ${formatDate(user.locked_until)}</small>`;
+    }
+    if (user.verification_pending) {
+        return '<span class="status status--warning">Email unconfirmed</span>';
+    }
+    if (!user.has_password) {
+        return `<span class="status status--warning">${user.invite_pending ? 'Invite pending' : 'No password'}</span>`;
+    }
+    return '<span class="status status--success">Active</span>';
+}
+
+async function loadAdminUsers() {
+    const tbody = document.getElementById('admin-users-body');
+
     try {
-        switch(tabId) {
-            case 'available':
-                await loadAvailableAssignments();
-                break;
-            case 'my-submissions':
-                await loadMySubmissions();
-                break;
-            case 'profile':
-                loadStudentProfile();
-                break;
+        const { users, total, offset } = await appState.getAdminUsers({
+            q: document.getElementById('admin-user-search').value.trim(),
+            role: document.getElementById('admin-user-role').value,
+            status: document.getElementById('admin-user-status').value,
+            limit: ADMIN_USER_PAGE_SIZE,
+            offset: appState.adminUserOffset
+        });
+
+        const first = total ? offset + 1 : 0;
+        document.getElementById('admin-users-page').textContent = `${first}–${offset + users.length} of ${total}`;
+        document.getElementById('admin-users-prev').disabled = offset === 0;
+        document.getElementById('admin-users-next').disabled = offset + users.length >= total;
+
+        if (!users.length) {
+            tbody.innerHTML = `
+                <tr>
+                    <td colspan="6" style="text-align: center; padding: 2rem; color: var(--color-text-secondary);">
+                        No users match these filters
+                    </td>
+                </tr>
+            `;
+            return;
         }
+
+        const self = appState.currentUser ? appState.currentUser.id : null;
+        tbody.innerHTML = users.map(user => `
+            <tr class="${user.deactivated_at ? 'admin-user--deactivated' : ''}">
+                <td>${escapeHtml(user.name)}<br><small>${escapeHtml(user.email)}</small></td>
+                <td>${escapeHtml(ROLE_LABELS[user.role] || user.role)}</td>
+                <td>${escapeHtml(user.student_number || '—')}</td>
+                <td>${describeAccountStatus(user)}</td>
+                <td>${formatDate(user.created_at)}</td>
+                <td>
+                    <button class="btn btn--outline btn--sm" onclick="openUserModal('${escapeHtml(user.id)}')">Edit</button>
+                    ${user.id !== self ? `
+                        <button class="btn btn--outline btn--sm" onclick="openPasswordResetModal('${escapeHtml(user.id)}')">Reset Password</button>
+                        <button class="btn btn--outline btn--sm" onclick="openSessionsModal('${escapeHtml(user.id)}')">Sessions (${user.active_sessions})</button>
+                        ${user.locked_until ? `
+                            <button class="btn btn--outline btn--sm" onclick="clearLockout('account', '${escapeHtml(user.email)}')">Unlock</button>
+                        ` : ''}
+                        ${user.deactivated_at ? `
+                            <button class="btn btn--outline btn--sm" onclick="setUserActive('${escapeHtml(user.id)}', true)">Reactivate</button>
+                        ` : `
+                            <button class="btn btn--outline btn--sm" onclick="setUserActive('${escapeHtml(user.id)}', false)">Deactivate</button>
+                        `}
+                    ` : ''}
+                </td>
+            </tr>
+        `).join('');
     } catch (error) {
-        console.error('Failed to refresh student tab:', error);
-        showNotification('Failed to load data', 'error');
+        showNotification(`Failed to load users: ${error.message}`, 'error');
     }
 }
 
-async function loadAvailableAssignments() {
-    showLoading('Loading assignments...');
-    
+const LOCKOUT_SCOPE_LABELS = {
+    ip: 'Address',
+    account: 'Account',
+    email: 'Account emails'
+};
+
+// Sign-in keys that are blocked now, and the latest account locks and unlocks
+async function loadLockouts() {
+    const tbody = document.getElementById('admin-lockouts-body');
+    const eventList = document.getElementById('admin-lockout-events');
+
     try {
-        const assignments = await appState.getAssignments();
-        const mySubmissions = await appState.getSubmissions();
-        const container = document.getElementById('student-assignments-list');
-        
-        // Update stats
-        document.getElementById('total-assignments').textContent = assignments.length;
-        document.getElementById('submitted-count').textContent = mySubmissions.length;
-        document.getElementById('pending-count').textContent = Math.max(0, assignments.length - mySubmissions.length);
-        
-        if (!assignments || assignments.length === 0) {
-            container.innerHTML = `
-                <div style="text-align: center; padding: 2rem; color: var(--color-text-secondary);">
-                    <p>No assignments available.</p>
-                </div>
-            `;
+        const { blocked, events } = await appState.getLockouts();
+
+        tbody.innerHTML = blocked.length ? blocked.map(row => `
+            <tr>
+                <td>${escapeHtml(LOCKOUT_SCOPE_LABELS[row.scope] || row.scope)}</td>
+                <td>${escapeHtml(row.key)}${row.user_name ? `<br><small>${escapeHtml(row.user_name)}</small>` : ''}</td>
+                <td>
+                    <span class="status ${row.locked_at ? 'status--error' : 'status--warning'}">${row.locked_at ? 'Locked' : 'Slowed down'}</span>
+                    <small class="late-note">${row.failures} failed · until ${formatDate(row.blocked_until)}</small>
+                </td>
+                <td>
+                    <button class="btn btn--outline btn--sm" onclick="clearLockout('${escapeHtml(row.scope)}', '${escapeHtml(row.key)}')">Clear</button>
+                </td>
+            </tr>
+        `).join('') : `
+            <tr>
+                <td colspan="4" style="text-align: center; padding: 2rem; color: var(--color-text-secondary);">
+                    Nothing is blocked
+                </td>
+            </tr>
+        `;
+
+        eventList.innerHTML = events.length ? events.map(event => `
+            <li>
+                <strong>${event.event === 'locked' ? 'Locked' : 'Unlocked'}</strong>
+                ${escapeHtml(event.key)}
+                <small>${formatDate(event.created_at)} · ${escapeHtml(event.reason || '')}${event.actor_name ? ` by ${escapeHtml(event.actor_name)}` : ''}${event.ip ? ` · from ${escapeHtml(event.ip)}` : ''}</small>
+            </li>
+        `).join('') : '<li style="color: var(--color-text-secondary);">No accounts have been locked</li>';
+    } catch (error) {
+        showNotification(`Failed to load sign-in locks: ${error.message}`, 'error');
+    }
+}
+
+async function clearLockout(scope, key) {
+    try {
+        await appState.clearLockout(scope, key);
+        showNotification(`Cleared the block on ${key}`, 'success');
+        await Promise.all([loadAdminUsers(), loadLockouts()]);
+    } catch (error) {
+        showNotification(`Failed to clear the block: ${error.message}`, 'error');
+    }
+}
+
+// Shows a new invite link or temporary password; it is never retrievable again
+function showIssuedCredentials(user, result) {
+    const panel = document.getElementById('admin-credentials');
+    if (!result.inviteUrl && !result.temporaryPassword) return;
+
+    panel.innerHTML = `
+        <p>
+            <strong>${escapeHtml(user.name)}</strong> (${escapeHtml(user.email)})
+            ${result.inviteUrl ? `
+                can choose a password with this invite link:
+                <code>${escapeHtml(result.inviteUrl)}</code>
+            ` : `
+                can sign in with this temporary password:
+                <code>${escapeHtml(result.temporaryPassword)}</code>
+            `}
+        </p>
+        <p class="form-help">Pass it on now: it is not shown again.</p>
+        <div class="form-actions">
+            <button type="button" class="btn btn--outline btn--sm" id="admin-credentials-copy">Copy</button>
+            <button type="button" class="btn btn--outline btn--sm" id="admin-credentials-dismiss">Dismiss</button>
+        </div>
+    `;
+    panel.classList.remove('hidden');
+
+    document.getElementById('admin-credentials-copy').addEventListener('click', async () => {
+        try {
+            await navigator.clipboard.writeText(result.inviteUrl || result.temporaryPassword);
+            showNotification('Copied to the clipboard', 'success');
+        } catch (error) {
+            showNotification('Could not copy; select the text instead', 'error');
+        }
+    });
+    document.getElementById('admin-credentials-dismiss').addEventListener('click', () => {
+        panel.classList.add('hidden');
+        panel.innerHTML = '';
+    });
+}
+
+function updateUserFormFields() {
+    const isStudent = document.getElementById('user-role').value === 'student';
+    const studentNumber = document.getElementById('user-student-number');
+    studentNumber.disabled = !isStudent;
+    if (!isStudent) studentNumber.value = '';
+}
+
+function openUserModal(userId = null) {
+    const user = userId ? appState.adminUsers.find(u => u.id === userId) : null;
+    if (userId && !user) return;
+
+    document.getElementById('user-form').reset();
+    document.getElementById('user-form-error').classList.remove('show');
+    document.getElementById('user-modal-title').textContent = user ? `Edit ${user.name}` : 'New User';
+    document.getElementById('user-id').value = user ? user.id : '';
+    document.getElementById('user-name').value = user ? user.name : '';
+    document.getElementById('user-email').value = user ? user.email : '';
+    document.getElementById('user-role').value = user ? user.role : 'student';
+    document.getElementById('user-student-number').value = user ? user.student_number || '' : '';
+    document.getElementById('user-credentials-group').classList.toggle('hidden', Boolean(user));
+
+    // Administrators cannot change their own role
+    const isSelf = user && appState.currentUser && user.id === appState.currentUser.id;
+    document.getElementById('user-role').disabled = Boolean(isSelf);
+
+    updateUserFormFields();
+    document.getElementById('user-modal').classList.remove('hidden');
+}
+
+function closeUserModal() {
+    const modal = document.getElementById('user-modal');
+    if (modal) modal.classList.add('hidden');
+}
+
+async function saveUser(e) {
+    e.preventDefault();
+    const button = e.target.querySelector('button[type="submit"]');
+    const errorDiv = document.getElementById('user-form-error');
+    const userId = document.getElementById('user-id').value;
+    const data = {
+        name: document.getElementById('user-name').value.trim(),
+        email: document.getElementById('user-email').value.trim(),
+        role: document.getElementById('user-role').value,
+        studentNumber: document.getElementById('user-student-number').value.trim()
+    };
+
+    errorDiv.classList.remove('show');
+    showButtonSpinner(button, true);
+    try {
+        if (userId) {
+            const { user } = await appState.updateUser(userId, data);
+            showNotification(`${user.name} updated`, 'success');
         } else {
-            container.innerHTML = assignments.map(assignment => {
-                const overdue = isOverdue(assignment.deadline);
-                const hasSubmitted = mySubmissions.some(sub => sub.assignment_id === assignment.id);
-                const professor = appState.db.tables.users.find(u => u.id === assignment.created_by);
-                
-                return `
-                    <div class="assignment-card">
-                        <div class="assignment-header">
-                            <h3 class="assignment-title">${assignment.title}</h3>
-                            <span class="assignment-status ${hasSubmitted ? 'submitted' : (overdue ? 'closed' : 'open')}">
-                                ${hasSubmitted ? 'Submitted' : (overdue ? 'Overdue' : 'Open')}
-                            </span>
-                        </div>
-                        <p class="assignment-description">${assignment.description}</p>
-                        <div class="assignment-meta">
-                            <span>Professor: ${professor ? professor.name : 'Unknown'}</span>
-                            <span>Deadline: ${formatDate(assignment.deadline)}</span>
-                        </div>
-                        <div class="assignment-meta">
-                            <span>${formatDeadline(assignment.deadline)}</span>
-                            <span>ID: ${assignment.id}</span>
-                        </div>
-                        <div class="assignment-actions">
-                            ${hasSubmitted ? 
-                                `<button class="btn btn--secondary btn--sm" onclick="updateSubmission('${assignment.id}')">
-                                    Update Submission
-                                </button>` :
-                                (overdue ?
-                                    `<button class="btn btn--outline btn--sm" disabled>Submission Closed</button>` :
-                                    `<button class="btn btn--primary btn--sm" onclick="submitAssignment('${assignment.id}')">
-                                        Submit Assignment
-                                    </button>`
-                                )
-                            }
-                        </div>
-                    </div>
-                `;
-            }).join('');
+            const result = await appState.createUser({ ...data, credentials: document.getElementById('user-credentials').value });
+            showIssuedCredentials(result.user, result);
+            showNotification(`${result.user.name} created`, 'success');
         }
+        closeUserModal();
+        await loadAdminUsers();
+    } catch (error) {
+        errorDiv.textContent = error.message;
+        errorDiv.classList.add('show');
     } finally {
-        hideLoading();
+        showButtonSpinner(button, false);
     }
 }
 
-async function loadMySubmissions() {
-    showLoading('Loading your submissions...');
-    
+async function setUserActive(userId, active) {
+    const user = appState.adminUsers.find(u => u.id === userId);
+    if (!user) return;
+    if (!active && !confirm(`Deactivate ${user.name}? They are signed out and cannot sign in until reactivated.`)) return;
+
     try {
-        const mySubmissions = await appState.getSubmissions();
-        const assignments = await appState.getAssignments();
-        const container = document.getElementById('my-submissions-list');
-        
-        if (!mySubmissions || mySubmissions.length === 0) {
-            container.innerHTML = `
-                <div style="text-align: center; padding: 2rem; color: var(--color-text-secondary);">
-                    <p>No submissions found.</p>
-                    <button class="btn btn--primary" onclick="switchToAvailableTab()">View Available Assignments</button>
-                </div>
-            `;
+        if (active) {
+            await appState.reactivateUser(userId);
         } else {
-            container.innerHTML = mySubmissions.map(submission => {
-                const assignment = assignments.find(a => a.id === submission.assignment_id);
-                
-                return `
-                    <div class="submission-card">
-                        <div class="submission-header">
-                            <h3 class="submission-title">${assignment ? assignment.title : 'Unknown Assignment'}</h3>
-                            <span class="status status--success">${submission.status}</span>
-                        </div>
-                        <div class="submission-info">
-                            <div>
-                                <strong>Submitted:</strong> ${formatDate(submission.submitted_at)}
-                            </div>
-                            <div>
-                                <strong>Deadline:</strong> ${assignment ? formatDate(assignment.deadline) : 'Unknown'}
-                            </div>
-                            <div>
-                                <strong>Submission ID:</strong> <code>${submission.id}</code>
-                            </div>
-                            <div>
-                                <strong>Status:</strong> Stored in database
-                            </div>
-                        </div>
-                        <div class="submission-repo">
-                            <strong>Repository:</strong> 
-                            <a href="${submission.repo_link}" target="_blank" class="repo-link">
-                                ${submission.repo_link}
-                            </a>
-                        </div>
-                    </div>
-                `;
-            }).join('');
+            await appState.deactivateUser(userId);
         }
-    } finally {
-        hideLoading();
+        showNotification(`${user.name} ${active ? 'reactivated' : 'deactivated'}`, 'success');
+        await loadAdminUsers();
+    } catch (error) {
+        showNotification(`Failed to ${active ? 'reactivate' : 'deactivate'} ${user.name}: ${error.message}`, 'error');
     }
 }
 
-function loadStudentProfile() {
-    if (!appState.currentUser) return;
-    
-    document.getElementById('profile-student-id').textContent = appState.currentUser.id;
-    document.getElementById('profile-email').textContent = appState.currentUser.email;
-    document.getElementById('profile-name').textContent = appState.currentUser.name;
-    document.getElementById('profile-created').textContent = formatDate(appState.currentUser.created_at);
+function openPasswordResetModal(userId) {
+    const user = appState.adminUsers.find(u => u.id === userId);
+    if (!user) return;
+
+    document.getElementById('password-reset-form').reset();
+    document.getElementById('password-reset-user-id').value = userId;
+    document.getElementById('password-reset-summary').textContent =
+        `${user.name}'s current password and any earlier invite links stop working, and they are signed out everywhere.`;
+    document.getElementById('password-reset-modal').classList.remove('hidden');
 }
 
-// Modal functions
-function submitAssignment(assignmentId) {
-    openSubmissionModal(assignmentId, false);
+function closePasswordResetModal() {
+    const modal = document.getElementById('password-reset-modal');
+    if (modal) modal.classList.add('hidden');
 }
 
-function updateSubmission(assignmentId) {
-    openSubmissionModal(assignmentId, true);
+async function resetUserPassword(e) {
+    e.preventDefault();
+    const button = e.target.querySelector('button[type="submit"]');
+    const userId = document.getElementById('password-reset-user-id').value;
+
+    showButtonSpinner(button, true);
+    try {
+        const result = await appState.resetUserPassword(userId, document.getElementById('password-reset-credentials').value);
+        closePasswordResetModal();
+        showIssuedCredentials(result.user, result);
+        showNotification(`Password reset for ${result.user.name}`, 'success');
+        await loadAdminUsers();
+    } catch (error) {
+        showNotification(`Password reset failed: ${error.message}`, 'error');
+    } finally {
+        showButtonSpinner(button, false);
+    }
 }
 
-function openSubmissionModal(assignmentId, isUpdate = false) {
-    const modal = document.getElementById('submission-modal');
-    const assignment = appState.db.tables.assignments.find(a => a.id === assignmentId);
-    
+async function openSimilarityModal(assignmentId) {
+    const assignment = appState.assignments.find(a => a.id === assignmentId);
     if (!assignment) return;
-    
-    document.getElementById('modal-assignment-title').textContent = 
-        (isUpdate ? 'Update ' : 'Submit ') + assignment.title;
-    document.getElementById('modal-assignment-id').value = assignmentId;
-    document.getElementById('modal-assignment-description').textContent = assignment.description;
-    document.getElementById('modal-assignment-instructions').textContent = 
-        assignment.instructions || 'No specific instructions provided.';
-    document.getElementById('modal-assignment-deadline').textContent = formatDate(assignment.deadline);
-    
-    if (isUpdate) {
-        const existingSubmission = appState.db.tables.submissions.find(
-            sub => sub.assignment_id === assignmentId && sub.student_id === appState.currentUser.id
-        );
-        if (existingSubmission) {
-            document.getElementById('repo-link').value = existingSubmission.repo_link;
+
+    document.getElementById('similarity-modal-title').textContent = `Similarity Report — ${assignment.title}`;
+    document.getElementById('similarity-assignment-id').value = assignmentId;
+
+    try {
+        starterFileList.setFiles(await appState.getStarterFiles(assignmentId));
+    } catch (error) {
+        showNotification(`Failed to load starter code: ${error.message}`, 'error');
+    }
+
+    await loadSimilarityReport(assignmentId);
+    document.getElementById('similarity-modal').classList.remove('hidden');
+}
+
+function closeSimilarityModal() {
+    const modal = document.getElementById('similarity-modal');
+    if (modal) modal.classList.add('hidden');
+}
+
+async function loadSimilarityReport(assignmentId) {
+    const status = document.getElementById('similarity-status');
+    const pairs = document.getElementById('similarity-pairs');
+    document.getElementById('similarity-matches').innerHTML = '';
+
+    showLoading('Loading similarity report...');
+
+    try {
+        const report = await appState.getSimilarityReport(assignmentId);
+
+        if (!report) {
+            status.textContent = 'No report has been run for this assignment yet.';
+            pairs.innerHTML = '';
+            return;
         }
-    } else {
-        document.getElementById('repo-link').value = '';
+
+        if (report.status === 'pending' || report.status === 'running') {
+            status.textContent = `Report requested ${formatDate(report.created_at)} is ${report.status}…`;
+            pairs.innerHTML = '';
+            return;
+        }
+
+        if (report.status === 'failed') {
+            status.textContent = `Report failed: ${report.error}`;
+            pairs.innerHTML = '';
+            return;
+        }
+
+        status.textContent = `Compared ${report.submission_count} submission${report.submission_count === 1 ? '' : 's'} ` +
+            `on ${formatDate(report.completed_at)}` +
+            (report.skipped_count ? `; ${report.skipped_count} without a snapshot were left out` : '') +
+            (report.common_fingerprints
+                ? `; ${report.common_fingerprints} fingerprint${report.common_fingerprints === 1 ? '' : 's'} ` +
+                  'shared by nearly every submission were ignored'
+                : '');
+
+        pairs.innerHTML = report.pairs.length ? `
+            <table class="database-table">
+                <thead>
+                    <tr>
+                        <th>Student A</th>
+                        <th>Student B</th>
+                        <th>Similarity</th>
+                        <th>Of A</th>
+                        <th>Of B</th>
+                        <th></th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${report.pairs.map(pair => `
+                        <tr>
+                            <td>${escapeHtml(pair.student_a_name)}</td>
+                            <td>${escapeHtml(pair.student_b_name)}</td>
+                            <td class="${pair.score >= 50 ? 'similarity-score--high' : ''}">${pair.score}%</td>
+                            <td>${pair.percent_a}%</td>
+                            <td>${pair.percent_b}%</td>
+                            <td>
+                                <button class="btn btn--outline btn--sm" onclick="showSimilarityPair('${escapeHtml(pair.id)}')">
+                                    Compare
+                                </button>
+                            </td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        ` : '<p style="color: var(--color-text-secondary);">No submissions share code beyond the starter code.</p>';
+    } catch (error) {
+        showNotification(`Failed to load similarity report: ${error.message}`, 'error');
+    } finally {
+        hideLoading();
     }
-    
-    modal.classList.remove('hidden');
 }
 
-function closeSubmissionModal() {
-    const modal = document.getElementById('submission-modal');
-    modal.classList.add('hidden');
-    const form = document.getElementById('submission-form');
-    if (form) form.reset();
+// Matching regions of one pair, side by side
+async function showSimilarityPair(pairId) {
+    showLoading('Loading matches...');
+
+    try {
+        const pair = await appState.getSimilarityPair(pairId);
+
+        document.getElementById('similarity-matches').innerHTML = `
+            <h4>${escapeHtml(pair.student_a_name)} and ${escapeHtml(pair.student_b_name)} — ${pair.score}% similar</h4>
+            ${pair.regions.map(region => `
+                <div class="match-region">
+                    <div>
+                        <small>${escapeHtml(region.fileA)}:${region.startA}–${region.endA}</small>
+                        <pre>${escapeHtml(region.codeA)}</pre>
+                    </div>
+                    <div>
+                        <small>${escapeHtml(region.fileB)}:${region.startB}–${region.endB}</small>
+                        <pre>${escapeHtml(region.codeB)}</pre>
+                    </div>
+                </div>
+            `).join('')}
+        `;
+        document.getElementById('similarity-matches').scrollIntoView({ behavior: 'smooth' });
+    } catch (error) {
+        showNotification(`Failed to load matches: ${error.message}`, 'error');
+    } finally {
+        hideLoading();
+    }
+}
+
+function renderFilledRubric({ rubric, scores }) {
+    if (!rubric) return '';
+
+    const scoreByCriterion = new Map(scores.map(score => [score.criterion_id, score]));
+
+    return `
+        <table class="rubric-table">
+            <thead>
+                <tr>
+                    <th>${escapeHtml(rubric.title)}</th>
+                    <th>Band</th>
+                    <th>Points</th>
+                    <th>Weight</th>
+                </tr>
+            </thead>
+            <tbody>
+                ${rubric.criteria.map(criterion => {
+                    const score = scoreByCriterion.get(criterion.id);
+                    const max = Math.max(...criterion.levels.map(level => level.points));
+                    const band = score && criterion.levels.find(level => level.points === score.points);
+                    return `
+                        <tr>
+                            <td>
+                                ${escapeHtml(criterion.name)}
+                                ${score && score.comment ? `<small>${escapeHtml(score.comment)}</small>` : ''}
+                            </td>
+                            <td>${band ? escapeHtml(band.label) : '—'}</td>
+                            <td>${score ? score.points : '—'} / ${max}</td>
+                            <td>${criterion.weight}</td>
+                        </tr>
+                    `;
+                }).join('')}
+            </tbody>
+        </table>
+    `;
 }
 
 // Helper functions
@@ -1449,21 +4994,28 @@ function switchToAvailableTab() {
 }
 
 function viewSubmissions(assignmentId) {
+    appState.submissionAssignmentId = assignmentId;
     const submissionsTab = document.querySelector('.tab-btn[data-tab="submissions"]');
     if (submissionsTab) submissionsTab.click();
 }
 
 function viewSubmission(submissionId) {
-    showNotification(`Viewing submission ${submissionId}`, 'info');
+    openVersionModal(submissionId);
 }
 
 async function updateDatabaseStats() {
-    const stats = appState.db.getStats();
-    const totalUsersEl = document.getElementById('total-users');
-    const activeSessionsEl = document.getElementById('active-sessions');
-    
-    if (totalUsersEl) totalUsersEl.textContent = stats.totalUsers;
-    if (activeSessionsEl) activeSessionsEl.textContent = appState.currentUser ? '1' : '0';
+    if (appState.currentRole !== 'professor') return;
+
+    try {
+        const stats = await appState.getStats();
+        const totalUsersEl = document.getElementById('total-users');
+        const activeSessionsEl = document.getElementById('active-sessions');
+
+        if (totalUsersEl) totalUsersEl.textContent = stats.totalUsers;
+        if (activeSessionsEl) activeSessionsEl.textContent = stats.activeSessions;
+    } catch (error) {
+        console.error('Failed to load database stats:', error);
+    }
 }
 
 // Clear form errors on input
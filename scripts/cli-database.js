@@ -0,0 +1,32 @@
+// Database access for the command-line scripts, through the same
+// createDatabase() as the server (see lib/database.js).
+
+const { createDatabase } = require('../lib/database');
+const { createMigrator } = require('../lib/migrations');
+
+// Only migrations may create the database file. The server may be writing at
+// the same time; createDatabase() waits for it.
+// DATABASE_FILE names another database file, as it does for the server.
+async function openDatabase({ create = false } = {}) {
+    const filename = process.env.DATABASE_FILE || './assignment_platform.db';
+    const db = createDatabase(filename, { create });
+    try {
+        await db.ready;
+    } catch (err) {
+        throw new Error(`Cannot open ${filename}: ${err.message}`);
+    }
+    return db;
+}
+
+// Scripts work on the current schema only
+async function requireCurrentSchema(helpers) {
+    const pending = await createMigrator(helpers).pending();
+    if (pending.length) {
+        throw new Error(`The database has ${pending.length} pending migration${pending.length === 1 ? '' : 's'}; run npm run migrate first`);
+    }
+}
+
+module.exports = {
+    openDatabase,
+    requireCurrentSchema
+};
@@ -0,0 +1,94 @@
+// Creates the first administrator, or gives an existing one fresh credentials
+// when every administrator is locked out:
+//
+//   npm run create-admin -- --email it@university.edu [--name "IT Services"] [--credentials invite|password]
+//
+// Everyone else is managed from the Users page. The invite link or temporary
+// password is printed once; the database keeps only its hash.
+
+const bcrypt = require('bcrypt');
+const { v4: uuidv4 } = require('uuid');
+const { openDatabase, requireCurrentSchema } = require('./cli-database');
+const mailer = require('../lib/mailer');
+const credentials = require('../lib/credentials');
+
+const USAGE = 'Usage: npm run create-admin -- --email <address> [--name <name>] [--credentials invite|password]';
+
+function parseArgs(argv) {
+    const options = { credentials: 'invite' };
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--email' || arg === '--name' || arg === '--credentials') {
+            if (!argv[i + 1]) throw new Error(`${arg} needs a value`);
+            options[arg.slice(2)] = argv[++i];
+        } else if (arg === '--help' || arg === '-h') {
+            options.help = true;
+        } else {
+            throw new Error(`Unknown argument ${arg}`);
+        }
+    }
+    return options;
+}
+
+async function main() {
+    const options = parseArgs(process.argv.slice(2));
+    if (options.help) {
+        console.log(USAGE);
+        return;
+    }
+    if (!options.email) {
+        throw new Error(USAGE);
+    }
+    if (!credentials.CREDENTIAL_MODES.includes(options.credentials)) {
+        throw new Error(`--credentials must be one of: ${credentials.CREDENTIAL_MODES.join(', ')}`);
+    }
+
+    const email = options.email.trim().toLowerCase();
+    const db = await openDatabase();
+
+    try {
+        await requireCurrentSchema(db);
+
+        const existing = await db.dbGet('SELECT id, role FROM users WHERE email = ?', [email]);
+        if (existing && existing.role !== 'admin') {
+            throw new Error(`${email} is a ${existing.role} account; an administrator can change its role from the Users page`);
+        }
+
+        const issued = {};
+        if (options.credentials === 'password') {
+            issued.temporaryPassword = credentials.generateTemporaryPassword();
+            issued.passwordHash = await bcrypt.hash(issued.temporaryPassword, 10);
+        } else {
+            const { token, tokenHash } = credentials.createToken();
+            issued.inviteUrl = credentials.inviteUrl(mailer.loadMailConfig().appUrl, token);
+            issued.tokenHash = tokenHash;
+        }
+
+        const userId = existing ? existing.id : uuidv4();
+        await db.withTransaction(async tx => {
+            if (existing) {
+                await tx.dbRun('UPDATE users SET password_hash = ?, deactivated_at = NULL, sessions_revoked_at = ? WHERE id = ?',
+                               [issued.passwordHash || null, new Date().toISOString(), userId]);
+                await tx.dbRun('UPDATE account_invites SET used_at = CURRENT_TIMESTAMP WHERE user_id = ? AND used_at IS NULL',
+                               [userId]);
+            } else {
+                await tx.dbRun('INSERT INTO users (id, email, password_hash, name, role) VALUES (?, ?, ?, ?, ?)',
+                               [userId, email, issued.passwordHash || null, options.name || email.split('@')[0], 'admin']);
+            }
+            if (issued.tokenHash) {
+                await tx.dbRun('INSERT INTO account_invites (id, user_id, token_hash, created_by, expires_at) VALUES (?, ?, ?, ?, ?)',
+                               [uuidv4(), userId, issued.tokenHash, null, credentials.inviteExpiry()]);
+            }
+        });
+
+        console.error(`${existing ? 'Reset the credentials of' : 'Created'} administrator ${email}`);
+        console.log(issued.inviteUrl ? `Invite link: ${issued.inviteUrl}` : `Temporary password: ${issued.temporaryPassword}`);
+    } finally {
+        await db.close();
+    }
+}
+
+main().catch(error => {
+    console.error(error.message);
+    process.exitCode = 1;
+});
@@ -0,0 +1,99 @@
+// Roster import from the command line. Runs the same import as the Courses tab:
+//
+//   npm run import-roster -- --course CS101 [--credentials invite|password] [--dry-run] [--report report.csv] roster.csv
+//
+// --course takes a course ID or code. The per-row report, including any new
+// invite links or temporary passwords, is written to --report or to stdout;
+// the summary goes to stderr.
+
+const fs = require('fs');
+const { openDatabase, requireCurrentSchema } = require('./cli-database');
+const mailer = require('../lib/mailer');
+const roster = require('../lib/roster');
+const { toCsv } = require('../lib/csv');
+
+const USAGE = 'Usage: npm run import-roster -- --course <id or code> [--credentials invite|password] ' +
+              '[--dry-run] [--report <file>] <roster.csv>';
+
+function parseArgs(argv) {
+    const options = { credentials: 'invite', dryRun: false };
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--course' || arg === '--credentials' || arg === '--report') {
+            if (!argv[i + 1]) throw new Error(`${arg} needs a value`);
+            options[arg.slice(2)] = argv[++i];
+        } else if (arg === '--dry-run') {
+            options.dryRun = true;
+        } else if (arg === '--help' || arg === '-h') {
+            options.help = true;
+        } else if (arg.startsWith('--')) {
+            throw new Error(`Unknown option ${arg}`);
+        } else if (options.file) {
+            throw new Error('Only one roster file can be imported at a time');
+        } else {
+            options.file = arg;
+        }
+    }
+    return options;
+}
+
+async function findCourse(helpers, idOrCode) {
+    const byId = await helpers.dbGet('SELECT * FROM courses WHERE id = ?', [idOrCode]);
+    if (byId) return byId;
+
+    const byCode = await helpers.dbAll('SELECT * FROM courses WHERE code = ? COLLATE NOCASE', [idOrCode]);
+    if (byCode.length > 1) {
+        throw new Error(`Several courses have the code ${idOrCode}; use the course ID instead`);
+    }
+    if (!byCode.length) {
+        throw new Error(`No course with the ID or code ${idOrCode}`);
+    }
+    return byCode[0];
+}
+
+async function main() {
+    const options = parseArgs(process.argv.slice(2));
+    if (options.help) {
+        console.log(USAGE);
+        return;
+    }
+    if (!options.course || !options.file) {
+        throw new Error(USAGE);
+    }
+
+    const csv = fs.readFileSync(options.file, 'utf8');
+    const db = await openDatabase();
+
+    try {
+        await requireCurrentSchema(db);
+
+        const course = await findCourse(db, options.course);
+        const { results, summary } = await roster.importRoster(db, {
+            courseId: course.id,
+            csv,
+            mode: options.credentials,
+            appUrl: mailer.loadMailConfig().appUrl,
+            createdBy: course.owner_id,
+            dryRun: options.dryRun
+        });
+
+        const report = toCsv(roster.rosterReport(results));
+        if (options.report) {
+            fs.writeFileSync(options.report, report, { mode: 0o600 });
+        } else {
+            process.stdout.write(report);
+        }
+
+        console.error(`${options.dryRun ? 'Dry run for' : 'Imported into'} ${course.code}: ` +
+                      `${summary.created} created, ${summary.enrolled} enrolled, ` +
+                      `${summary.already_enrolled} already enrolled, ${summary.skipped} skipped, ${summary.error} errors`);
+        if (summary.error) process.exitCode = 2;
+    } finally {
+        await db.close();
+    }
+}
+
+main().catch(error => {
+    console.error(error.message);
+    process.exitCode = 1;
+});
@@ -0,0 +1,90 @@
+// Applies, reverts or lists schema migrations (see lib/migrations.js):
+//
+//   npm run migrate [-- up [--to <version>]]
+//   npm run migrate -- down [--steps <n> | --to <version>]
+//   npm run migrate -- status
+//
+// `up` creates the database if there is none yet. Sample data is separate:
+// see `npm run seed`.
+
+const { openDatabase } = require('./cli-database');
+const { createMigrator } = require('../lib/migrations');
+
+const USAGE = 'Usage: npm run migrate -- [up [--to <version>] | down [--steps <n> | --to <version>] | status]';
+const COMMANDS = ['up', 'down', 'status'];
+
+function parseArgs(argv) {
+    const options = { command: 'up' };
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--to' || arg === '--steps') {
+            if (!argv[i + 1]) throw new Error(`${arg} needs a value`);
+            options[arg.slice(2)] = argv[++i];
+        } else if (arg === '--help' || arg === '-h') {
+            options.help = true;
+        } else if (COMMANDS.includes(arg) && i === 0) {
+            options.command = arg;
+        } else {
+            throw new Error(`Unknown argument ${arg}\n${USAGE}`);
+        }
+    }
+
+    if (options.steps !== undefined) {
+        if (options.command !== 'down') throw new Error('--steps only applies to down');
+        if (options.to !== undefined) throw new Error('Give --steps or --to, not both');
+        options.steps = Number(options.steps);
+        if (!Number.isInteger(options.steps) || options.steps < 1) throw new Error('--steps must be a whole number above 0');
+    }
+    if (options.to !== undefined && options.command === 'status') {
+        throw new Error('--to only applies to up and down');
+    }
+    return options;
+}
+
+const label = migration => `${migration.version}-${migration.name}`;
+
+async function main() {
+    const options = parseArgs(process.argv.slice(2));
+    if (options.help) {
+        console.log(USAGE);
+        return;
+    }
+
+    const db = await openDatabase({ create: options.command === 'up' });
+
+    try {
+        // Migrations need the connection to themselves (see lib/migrations.js)
+        await db.withConnection(async connection => {
+            const migrator = createMigrator(connection);
+
+            if (options.command === 'status') {
+                const migrations = await migrator.status();
+                migrations.forEach(migration => {
+                    const state = migration.missing ? `applied ${migration.applied_at}, file missing` :
+                        migration.applied_at ? `applied ${migration.applied_at}` : 'pending';
+                    console.log(`${label(migration)}  ${state}`);
+                });
+                const pending = migrations.filter(migration => !migration.applied_at).length;
+                console.log(pending ? `${pending} pending` : 'Up to date');
+            } else if (options.command === 'up') {
+                const applied = await migrator.up({ to: options.to === undefined ? null : options.to });
+                applied.forEach(migration => console.log(`Applied ${label(migration)}`));
+                if (!applied.length) console.log('Nothing to apply; the database is up to date');
+            } else {
+                const reverted = await migrator.down({
+                    steps: options.steps || 1,
+                    to: options.to === undefined ? null : options.to
+                });
+                reverted.forEach(migration => console.log(`Reverted ${label(migration)}`));
+                if (!reverted.length) console.log('Nothing to revert');
+            }
+        });
+    } finally {
+        await db.close();
+    }
+}
+
+main().catch(error => {
+    console.error(error.message);
+    process.exitCode = 1;
+});
@@ -0,0 +1,82 @@
+// Fills a development or test database with sample accounts, a course and
+// a couple of assignments:
+//
+//   npm run seed
+//
+// Every sample account shares the password password123, so this refuses to
+// run when NODE_ENV=production; a production site starts from
+// `npm run create-admin` instead. Rows that already exist are left alone, so
+// seeding twice changes nothing.
+
+const bcrypt = require('bcrypt');
+const { openDatabase, requireCurrentSchema } = require('./cli-database');
+
+const SAMPLE_PASSWORD = 'password123';
+
+const SAMPLE_USERS = [
+    ['admin1', 'admin@university.edu', 'Site Administrator', 'admin'],
+    ['prof1', 'prof.smith@university.edu', 'Dr. Sarah Smith', 'professor'],
+    ['ta1', 'ta.lee@university.edu', 'Alex Lee', 'ta'],
+    ['stud1', 'john.doe@university.edu', 'John Doe', 'student'],
+    ['stud2', 'jane.smith@university.edu', 'Jane Smith', 'student']
+];
+
+// [sql, rows] in the order the rows depend on each other
+const SAMPLE_DATA = [
+    ['INSERT OR IGNORE INTO courses (id, code, title, owner_id) VALUES (?, ?, ?, ?)', [
+        ['course1', 'CS101', 'Introduction to Web Development', 'prof1']
+    ]],
+    ['INSERT OR IGNORE INTO course_sections (id, course_id, name) VALUES (?, ?, ?)', [
+        ['section1', 'course1', 'Section A']
+    ]],
+    ['INSERT OR IGNORE INTO course_tas (course_id, user_id, added_by) VALUES (?, ?, ?)', [
+        ['course1', 'ta1', 'prof1']
+    ]],
+    ['INSERT OR IGNORE INTO enrollments (course_id, student_id, section_id) VALUES (?, ?, ?)', [
+        ['course1', 'stud1', 'section1'],
+        ['course1', 'stud2', 'section1']
+    ]],
+    ['INSERT OR IGNORE INTO assignments (id, title, description, deadline, instructions, created_by, course_id) VALUES (?, ?, ?, ?, ?, ?, ?)', [
+        ['assign1', 'Web Development Project', 'Create a responsive website using HTML, CSS, and JavaScript. Include at least 3 pages and implement modern design principles.', '2025-09-15T23:59:59', 'Submit your GitHub repository link containing the complete project code.', 'prof1', 'course1'],
+        ['assign2', 'Database Design Assignment', 'Design and implement a normalized database schema for a library management system.', '2025-09-20T23:59:59', 'Include ER diagram, SQL scripts, and documentation in your repository.', 'prof1', 'course1']
+    ]],
+    ['INSERT OR IGNORE INTO submissions (id, assignment_id, student_id, repo_link, status, counted_version_id) VALUES (?, ?, ?, ?, ?, ?)', [
+        ['sub1', 'assign1', 'stud1', 'https://github.com/johndoe/web-dev-project', 'submitted', 'sub1-v1']
+    ]],
+    ['INSERT OR IGNORE INTO submission_versions (id, submission_id, version, repo_link, status) VALUES (?, ?, ?, ?, ?)', [
+        ['sub1-v1', 'sub1', 1, 'https://github.com/johndoe/web-dev-project', 'submitted']
+    ]]
+];
+
+async function main() {
+    if (process.env.NODE_ENV === 'production') {
+        throw new Error('Sample data is never seeded when NODE_ENV=production; use npm run create-admin to set up the first account');
+    }
+
+    const db = await openDatabase();
+
+    try {
+        await requireCurrentSchema(db);
+        const passwordHash = await bcrypt.hash(SAMPLE_PASSWORD, 10);
+
+        await db.withTransaction(async tx => {
+            for (const [id, email, name, role] of SAMPLE_USERS) {
+                await tx.dbRun('INSERT OR IGNORE INTO users (id, email, password_hash, name, role) VALUES (?, ?, ?, ?, ?)',
+                               [id, email, passwordHash, name, role]);
+            }
+            for (const [sql, rows] of SAMPLE_DATA) {
+                for (const row of rows) await tx.dbRun(sql, row);
+            }
+        });
+
+        console.log(`Sample data inserted. Every sample account's password is ${SAMPLE_PASSWORD}:`);
+        SAMPLE_USERS.forEach(([, email, , role]) => console.log(`  ${role.padEnd(9)} ${email}`));
+    } finally {
+        await db.close();
+    }
+}
+
+main().catch(error => {
+    console.error(error.message);
+    process.exitCode = 1;
+});
@@ -1,155 +1,270 @@
 
 const express = require('express');
-const sqlite3 = require('sqlite3').verbose();
 const bcrypt = require('bcrypt');
 const session = require('express-session');
 const cors = require('cors');
 const path = require('path');
-const { v4: uuidv4 } = require('uuid');
+const fs = require('fs');
+const googleAuth = require('./lib/google-auth');
+const rubrics = require('./lib/rubrics');
+const latePolicy = require('./lib/late-policy');
+const extensions = require('./lib/extensions');
+const repoUrl = require('./lib/repo-url');
+const snapshots = require('./lib/snapshots');
+const autograder = require('./lib/autograder');
+const similarity = require('./lib/similarity');
+const { createEventStream } = require('./lib/event-stream');
+const mailer = require('./lib/mailer');
+const notifications = require('./lib/notifications');
+const { createJobScheduler } = require('./lib/job-scheduler');
+const { SCOPES: THROTTLE_SCOPES, createLoginThrottle, loadThrottlePolicy } = require('./lib/login-throttle');
+const gradebook = require('./lib/gradebook');
+const roster = require('./lib/roster');
+const credentials = require('./lib/credentials');
+const registration = require('./lib/registration');
+const roles = require('./lib/roles');
+const sessions = require('./lib/sessions');
+const { CsvError, toCsv } = require('./lib/csv');
+const { buildXlsx } = require('./lib/xlsx');
+const { createMigrator } = require('./lib/migrations');
+const { createDatabase } = require('./lib/database');
+const { createRepository } = require('./lib/repository');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
+// Google sign-in: GOOGLE_TOKEN_VERIFIER may name a module exporting a fake verifier, outside production only
+const googlePolicy = googleAuth.loadGooglePolicy();
+app.locals.verifyGoogleToken = googleAuth.loadTokenVerifier(
+    googlePolicy,
+    process.env.GOOGLE_TOKEN_VERIFIER && path.resolve(process.env.GOOGLE_TOKEN_VERIFIER)
+);
+
+// Repository snapshots; file:// repository links are only for local development and tests,
+// and hosts on a private network need PRIVATE_REPO_HOSTS
+const snapshotConfig = snapshots.loadSnapshotConfig();
+app.locals.allowFileRepoUrls = snapshotConfig.allowFileUrls;
+app.locals.privateRepoHosts = snapshotConfig.privateHosts;
+
+// Autograder sandbox; AUTOGRADER_SANDBOX=none runs tests unconfined, for local development only
+const autograderConfig = autograder.loadAutograderConfig();
+
+// Similarity reports; SIMILARITY_COMMON_PERCENT is how widely shared a fingerprint must be to be ignored
+const similarityConfig = similarity.loadSimilarityConfig();
+
+// Student self-registration; REGISTRATION_DOMAINS limits it to institutional addresses
+const registrationConfig = registration.loadRegistrationConfig();
+
+// Real-time updates; SSE_HEARTBEAT_MS shortens the heartbeat for tests
+const eventStream = createEventStream({ heartbeatMs: Number(process.env.SSE_HEARTBEAT_MS) || undefined });
+
+// Email notifications; MAIL_TRANSPORT=file keeps mail on this machine, console only logs who it was for
+const mailConfig = mailer.loadMailConfig();
+const mailTransport = mailer.createMailTransport(mailConfig);
+const notificationSchedule = {
+    // Hours before each deadline that reminders go out, e.g. DEADLINE_REMINDER_HOURS=24,1
+    reminderHours: (process.env.DEADLINE_REMINDER_HOURS || '24,1').split(',').map(Number).filter(hours => hours > 0),
+    digestHours: Number(process.env.MAIL_DIGEST_HOURS) || 24,
+    mailIntervalMs: Number(process.env.MAIL_SWEEP_INTERVAL_MS) || 60000
+};
+
+// Database and repository (see lib/database.js and lib/repository.js). Helpers
+// called inside a transaction take the transaction's `db` as their last argument.
+// DATABASE_FILE points the server at another database, e.g. a scratch one for tests.
+const database = createDatabase(process.env.DATABASE_FILE || './assignment_platform.db');
+const repository = createRepository(database);
+const { dbGet, dbAll, dbRun, withTransaction } = repository;
+
+// Background jobs, kept in the database; SCHEDULER_POLL_MS shortens the poll for tests
+const jobs = createJobScheduler({ dbGet, dbAll, dbRun, pollMs: Number(process.env.SCHEDULER_POLL_MS) || undefined });
+
+// Failed sign-ins, counted in the database (see lib/login-throttle.js)
+const loginThrottle = createLoginThrottle({ dbGet, dbAll, dbRun, policy: loadThrottlePolicy() });
+
+// Sign-in sessions, kept in the database; SESSION_SECRET and the cookie settings come from the environment
+const sessionConfig = sessions.loadSessionConfig();
+const sessionStore = new sessions.SqliteSessionStore({ dbGet, dbAll, dbRun, maxAgeMs: sessionConfig.maxAgeMs });
+const backupConfig = {
+    dir: path.resolve(process.env.BACKUP_DIR || 'backups'),
+    keep: Number(process.env.BACKUP_KEEP) || 7,
+    intervalHours: Number(process.env.BACKUP_INTERVAL_HOURS) || 24,
+    hourUtc: Number(process.env.BACKUP_HOUR_UTC) || 2
+};
+
 // Database setup
-const db = new sqlite3.Database('./assignment_platform.db', (err) => {
-    if (err) {
-        console.error('Error opening database:', err.message);
-    } else {
+// Resolves once the schema is up to date; the server only listens after that
+const databaseReady = database.ready
+    .then(() => {
         console.log('Connected to SQLite database');
-        initializeDatabase();
-    }
-});
+        return initializeDatabase();
+    })
+    .catch(error => {
+        console.error('Database error:', error.message);
+        process.exit(1);
+    });
 
 // Middleware
+// Behind a reverse proxy, TRUST_PROXY (a hop count, or addresses as Express
+// takes them) makes req.ip the client's address rather than the proxy's
+if (process.env.TRUST_PROXY) {
+    const hops = Number(process.env.TRUST_PROXY);
+    app.set('trust proxy', Number.isInteger(hops) ? hops : process.env.TRUST_PROXY);
+}
+
 app.use(cors({
     origin: 'http://localhost:3000',
     credentials: true
 }));
 
-app.use(express.json());
+// Large enough for a term's worth of grades in one CSV import
+app.use(express.json({ limit: '2mb' }));
 app.use(express.urlencoded({ extended: true }));
 
-app.use(session({
-    secret: 'assignment-platform-secret-key',
-    resave: false,
-    saveUninitialized: false,
-    cookie: { secure: false, maxAge: 24 * 60 * 60 * 1000 } // 24 hours
-}));
+app.use(session(sessions.sessionOptions(sessionConfig, sessionStore)));
 
 // Serve static files
 app.use(express.static(path.join(__dirname, 'public')));
 
 // Database initialization
-function initializeDatabase() {
-    // Create tables
-    const createTables = `
-        CREATE TABLE IF NOT EXISTS users (
-            id TEXT PRIMARY KEY,
-            email TEXT UNIQUE NOT NULL,
-            password_hash TEXT NOT NULL,
-            name TEXT NOT NULL,
-            role TEXT NOT NULL,
-            created_at DATETIME DEFAULT CURRENT_TIMESTAMP
-        );
-
-        CREATE TABLE IF NOT EXISTS assignments (
-            id TEXT PRIMARY KEY,
-            title TEXT NOT NULL,
-            description TEXT,
-            deadline DATETIME NOT NULL,
-            instructions TEXT,
-            created_by TEXT NOT NULL,
-            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-            FOREIGN KEY (created_by) REFERENCES users (id)
-        );
-
-        CREATE TABLE IF NOT EXISTS submissions (
-            id TEXT PRIMARY KEY,
-            assignment_id TEXT NOT NULL,
-            student_id TEXT NOT NULL,
-            repo_link TEXT NOT NULL,
-            submitted_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-            status TEXT DEFAULT 'submitted',
-            FOREIGN KEY (assignment_id) REFERENCES assignments (id),
-            FOREIGN KEY (student_id) REFERENCES users (id),
-            UNIQUE(assignment_id, student_id)
-        );
-
-        CREATE INDEX IF NOT EXISTS idx_assignments_created_by ON assignments(created_by);
-        CREATE INDEX IF NOT EXISTS idx_submissions_assignment_id ON submissions(assignment_id);
-        CREATE INDEX IF NOT EXISTS idx_submissions_student_id ON submissions(student_id);
-    `;
-
-    db.exec(createTables, (err) => {
-        if (err) {
-            console.error('Error creating tables:', err.message);
-        } else {
-            console.log('Database tables initialized');
-            insertSampleData();
+// The schema comes from migrations/ (see lib/migrations.js). The server does
+// not run against a database with pending migrations unless AUTO_MIGRATE=true
+// lets it apply them itself. Sample data only ever comes from `npm run seed`.
+async function initializeDatabase() {
+    await database.withConnection(async connection => {
+        const migrator = createMigrator(connection);
+        const pending = await migrator.pending();
+        if (!pending.length) return;
+
+        const names = pending.map(migration => `${migration.version}-${migration.name}`).join(', ');
+        if (process.env.AUTO_MIGRATE !== 'true') {
+            throw new Error(`The database has pending migrations (${names}). Run npm run migrate, or start with AUTO_MIGRATE=true`);
         }
+        await migrator.up();
+        console.log(`Applied migrations: ${names}`);
     });
-}
-
-// Insert sample data
-async function insertSampleData() {
-    const hashedPassword = await bcrypt.hash('password123', 10);
 
-    const sampleUsers = [
-        ['prof1', 'prof.smith@university.edu', hashedPassword, 'Dr. Sarah Smith', 'professor'],
-        ['stud1', 'john.doe@university.edu', hashedPassword, 'John Doe', 'student'],
-        ['stud2', 'jane.smith@university.edu', hashedPassword, 'Jane Smith', 'student']
-    ];
-
-    const sampleAssignments = [
-        ['assign1', 'Web Development Project', 'Create a responsive website using HTML, CSS, and JavaScript. Include at least 3 pages and implement modern design principles.', '2025-09-15T23:59:59', 'Submit your GitHub repository link containing the complete project code.', 'prof1'],
-        ['assign2', 'Database Design Assignment', 'Design and implement a normalized database schema for a library management system.', '2025-09-20T23:59:59', 'Include ER diagram, SQL scripts, and documentation in your repository.', 'prof1']
-    ];
-
-    const sampleSubmissions = [
-        ['sub1', 'assign1', 'stud1', 'https://github.com/johndoe/web-dev-project', 'submitted']
-    ];
-
-    // Insert sample users
-    const insertUser = db.prepare('INSERT OR IGNORE INTO users (id, email, password_hash, name, role) VALUES (?, ?, ?, ?, ?)');
-    sampleUsers.forEach(user => insertUser.run(user));
-    insertUser.finalize();
+    console.log('Database schema is up to date');
+}
 
-    // Insert sample assignments
-    const insertAssignment = db.prepare('INSERT OR IGNORE INTO assignments (id, title, description, deadline, instructions, created_by) VALUES (?, ?, ?, ?, ?, ?)');
-    sampleAssignments.forEach(assignment => insertAssignment.run(assignment));
-    insertAssignment.finalize();
+// startedAt lets a forced password reset end every session opened before it;
+// the address and browser are what the owner sees in their list of sessions
+function startSession(req, user) {
+    req.session.userId = user.id;
+    req.session.userRole = user.role;
+    req.session.startedAt = Date.now();
+    req.session.ip = req.ip;
+    req.session.userAgent = req.get('User-Agent') || null;
+}
 
-    // Insert sample submissions
-    const insertSubmission = db.prepare('INSERT OR IGNORE INTO submissions (id, assignment_id, student_id, repo_link, status) VALUES (?, ?, ?, ?, ?)');
-    sampleSubmissions.forEach(submission => insertSubmission.run(submission));
-    insertSubmission.finalize();
+// Ends a user's sessions, all but `exceptSid` if given, with their live
+// connections. Returns how many ended.
+async function endSessions(userId, { exceptSid = null, id = null } = {}) {
+    const ended = await sessionStore.destroyForUser(userId, { exceptSid, id });
+    if (exceptSid || id) {
+        eventStream.disconnectSessions(ended);
+    } else {
+        eventStream.disconnect(userId);
+    }
+    return ended.length;
+}
 
-    console.log('Sample data inserted');
+function toUserResponse(user) {
+    return {
+        id: user.id,
+        email: user.email,
+        name: user.name,
+        role: user.role,
+        created_at: user.created_at
+    };
 }
 
 // Authentication middleware
-function requireAuth(req, res, next) {
-    if (!req.session.userId) {
-        return res.status(401).json({ error: 'Authentication required' });
+// The account is read again on every request, so deactivation, a forced
+// password reset or a role change takes effect on the session's next request.
+function sessionProblem(req, user) {
+    if (!user) return 'Authentication required';
+    if (user.deactivated_at) return 'This account has been deactivated';
+    if (user.sessions_revoked_at && Date.parse(user.sessions_revoked_at) > (req.session.startedAt || 0)) {
+        return 'Your session has ended. Please sign in again';
     }
-    next();
+    return null;
 }
 
-function requireRole(role) {
-    return (req, res, next) => {
+// `allowed` lists roles and permissions (see lib/roles.js); null admits any signed-in user
+function checkSession(allowed) {
+    return async (req, res, next) => {
         if (!req.session.userId) {
             return res.status(401).json({ error: 'Authentication required' });
         }
-        if (req.session.userRole !== role) {
-            return res.status(403).json({ error: 'Insufficient permissions' });
+
+        try {
+            const user = await repository.users.findAccountState(req.session.userId);
+            const problem = sessionProblem(req, user);
+            if (problem) {
+                return req.session.destroy(() => res.status(401).json({ error: problem }));
+            }
+
+            req.session.userRole = user.role;
+            // Saved only when it changes, so the session list shows where it was last used
+            if (req.session.ip !== req.ip) req.session.ip = req.ip;
+            if (allowed && !roles.isAllowed(user.role, allowed)) {
+                return res.status(403).json({ error: 'Insufficient permissions' });
+            }
+            next();
+        } catch (error) {
+            console.error('Database error:', error);
+            res.status(500).json({ error: 'Internal server error' });
         }
-        next();
     };
 }
 
+const requireAuth = checkSession(null);
+
+// requireRole('professor'), requireRole('professor', 'admin') or requireRole('manage_users')
+function requireRole(...allowed) {
+    const unknown = allowed.filter(entry => !roles.isRole(entry) && !roles.PERMISSIONS.includes(entry));
+    if (!allowed.length || unknown.length) {
+        throw new Error(`requireRole: unknown role or permission ${unknown.join(', ')}`);
+    }
+    return checkSession(allowed);
+}
+
 // API Routes
 
 // Authentication
+// Every route that checks a password, token or link counts its failures
+// against the client's address, and sign-ins also against the account.
+function throttleKeys(req, { account = null, email = null } = {}) {
+    const keys = [{ scope: 'ip', key: req.ip }];
+    if (account) keys.push({ scope: 'account', key: String(account).trim().toLowerCase() });
+    if (email) keys.push({ scope: 'email', key: String(email).trim().toLowerCase() });
+    return keys;
+}
+
+function formatWait(ms) {
+    const seconds = Math.ceil(ms / 1000);
+    if (seconds < 60) return `${seconds} second${seconds === 1 ? '' : 's'}`;
+    const minutes = Math.ceil(seconds / 60);
+    return `${minutes} minute${minutes === 1 ? '' : 's'}`;
+}
+
+// Answers 429 and returns true while any of `keys` is blocked
+async function rejectThrottled(res, keys) {
+    const block = await loginThrottle.check(keys);
+    if (!block) return false;
+
+    const wait = formatWait(block.retryAfterMs);
+    res.set('Retry-After', String(Math.ceil(block.retryAfterMs / 1000)));
+    res.status(429).json({
+        error: block.locked ?
+            `This account is locked after too many failed sign-in attempts. Try again in ${wait}, or reset your password` :
+            `Too many attempts. Try again in ${wait}`,
+        locked: block.locked,
+        retryAfter: Math.ceil(block.retryAfterMs / 1000)
+    });
+    return true;
+}
+
 app.post('/api/auth/login', async (req, res) => {
     const { email, password } = req.body;
 
@@ -157,50 +272,99 @@ app.post('/api/auth/login', async (req, res) => {
         return res.status(400).json({ error: 'Email and password are required' });
     }
 
-    db.get('SELECT * FROM users WHERE email = ?', [email], async (err, user) => {
-        if (err) {
-            console.error('Database error:', err);
-            return res.status(500).json({ error: 'Internal server error' });
-        }
+    const keys = throttleKeys(req, { account: email });
+    try {
+        if (await rejectThrottled(res, keys)) return;
 
-        if (!user) {
+        const user = await repository.users.findByEmail(email);
+
+        // OAuth-provisioned accounts have no password to compare against
+        if (!user || !user.password_hash || !(await bcrypt.compare(password, user.password_hash))) {
+            await loginThrottle.fail(keys, { ip: req.ip });
             return res.status(401).json({ error: 'Invalid credentials' });
         }
+        await loginThrottle.succeed(keys);
+
+        if (user.deactivated_at) {
+            return res.status(403).json({ error: 'This account has been deactivated' });
+        }
+        if (user.verification_sent_at) {
+            return res.status(403).json({ error: VERIFY_FIRST_ERROR });
+        }
+
+        startSession(req, user);
 
+        res.json({ user: toUserResponse(user) });
+    } catch (error) {
+        console.error('Login error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+app.post('/api/auth/google', async (req, res) => {
+    const { token } = req.body;
+
+    if (!token) {
+        return res.status(400).json({ error: 'Google ID token is required' });
+    }
+
+    const keys = throttleKeys(req);
+    try {
+        if (await rejectThrottled(res, keys)) return;
+
+        let payload = null;
         try {
-            const isValid = await bcrypt.compare(password, user.password_hash);
-            if (!isValid) {
-                return res.status(401).json({ error: 'Invalid credentials' });
-            }
+            payload = await req.app.locals.verifyGoogleToken(token);
+        } catch (error) {
+            // Counted below like a wrong password
+        }
+        if (!payload) {
+            await loginThrottle.fail(keys, { ip: req.ip });
+            return res.status(401).json({ error: 'Invalid token' });
+        }
+        if (!googleAuth.isEmailVerified(payload)) {
+            return res.status(401).json({ error: 'Google account email is not verified' });
+        }
 
-            req.session.userId = user.id;
-            req.session.userRole = user.role;
+        const email = payload.email.toLowerCase();
+        if (!googleAuth.isDomainAllowed(email, googlePolicy)) {
+            return res.status(403).json({ error: 'Email domain is not allowed' });
+        }
 
-            res.json({
-                user: {
-                    id: user.id,
-                    email: user.email,
-                    name: user.name,
-                    role: user.role
-                }
+        let user = await repository.users.findByEmail(email);
+        if (!user) {
+            user = await repository.users.create({
+                email,
+                name: payload.name || email.split('@')[0],
+                role: googleAuth.resolveRole(email, googlePolicy)
             });
-        } catch (error) {
-            console.error('Password comparison error:', error);
-            res.status(500).json({ error: 'Internal server error' });
         }
-    });
+        if (user.deactivated_at) {
+            return res.status(403).json({ error: 'This account has been deactivated' });
+        }
+        if (user.verification_sent_at) {
+            await repository.users.confirmWithGoogle(user.id);
+        }
+
+        startSession(req, user);
+        res.json({ user: toUserResponse(user) });
+    } catch (error) {
+        console.error('Google sign-in error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
 });
 
-app.get('/api/auth/user', requireAuth, (req, res) => {
-    db.get('SELECT id, email, name, role FROM users WHERE id = ?', [req.session.userId], (err, user) => {
-        if (err) {
-            return res.status(500).json({ error: 'Internal server error' });
-        }
+app.get('/api/auth/user', requireAuth, async (req, res) => {
+    try {
+        const user = await repository.users.findProfile(req.session.userId);
         if (!user) {
             return res.status(404).json({ error: 'User not found' });
         }
         res.json({ user });
-    });
+    } catch (error) {
+        console.error('Database error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
 });
 
 app.post('/api/auth/logout', (req, res) => {
@@ -212,254 +376,2936 @@ app.post('/api/auth/logout', (req, res) => {
     });
 });
 
-// Assignments
-app.get('/api/assignments', requireAuth, (req, res) => {
-    const query = `
-        SELECT a.*, u.name as creator_name 
-        FROM assignments a 
-        JOIN users u ON a.created_by = u.id 
-        ORDER BY a.created_at DESC
-    `;
-
-    db.all(query, [], (err, assignments) => {
-        if (err) {
-            console.error('Database error:', err);
-            return res.status(500).json({ error: 'Internal server error' });
+// Sessions
+// Everyone can see where their account is signed in and end any of those
+// sessions; administrators can do the same for any account but their own.
+function toSessionResponse(row, currentSid) {
+    return {
+        id: row.id,
+        device: row.device,
+        ip: row.ip,
+        created_at: row.created_at,
+        last_seen_at: row.last_seen_at,
+        expires_at: row.expires_at,
+        current: row.sid === currentSid
+    };
+}
+
+app.get('/api/auth/sessions', requireAuth, async (req, res) => {
+    try {
+        const rows = await sessionStore.listForUser(req.session.userId);
+        res.json({ sessions: rows.map(row => toSessionResponse(row, req.sessionID)) });
+    } catch (error) {
+        console.error('Database error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Signs out every session of the account except this one
+app.delete('/api/auth/sessions', requireAuth, async (req, res) => {
+    try {
+        const ended = await endSessions(req.session.userId, { exceptSid: req.sessionID });
+        res.json({ message: `Signed out ${ended} other session${ended === 1 ? '' : 's'}`, ended });
+    } catch (error) {
+        console.error('Database error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Ending the current session is the same as logging out
+app.delete('/api/auth/sessions/:id', requireAuth, async (req, res) => {
+    try {
+        const rows = await sessionStore.listForUser(req.session.userId);
+        const target = rows.find(row => row.id === req.params.id);
+        if (!target) {
+            return res.status(404).json({ error: 'Session not found' });
         }
-        res.json({ assignments });
-    });
+
+        if (target.sid === req.sessionID) {
+            return req.session.destroy(() => res.json({ message: 'Signed out', signedOut: true }));
+        }
+        await endSessions(req.session.userId, { id: target.id });
+        res.json({ message: 'Session signed out', signedOut: false });
+    } catch (error) {
+        console.error('Database error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
 });
 
-app.post('/api/assignments', requireRole('professor'), (req, res) => {
-    const { title, description, deadline, instructions } = req.body;
-    const id = uuidv4();
+// Account invites from a roster import or an administrator
+function findOpenInvite(token) {
+    return repository.accountInvites.findOpen(credentials.hashToken(token));
+}
 
-    if (!title || !deadline) {
-        return res.status(400).json({ error: 'Title and deadline are required' });
+app.get('/api/auth/invites/:token', async (req, res) => {
+    const keys = throttleKeys(req);
+    try {
+        if (await rejectThrottled(res, keys)) return;
+
+        const invite = await findOpenInvite(req.params.token);
+        if (!invite) {
+            await loginThrottle.fail(keys, { ip: req.ip });
+            return res.status(404).json({ error: 'This invite link is invalid or has expired' });
+        }
+        res.json({ invite: { email: invite.email, name: invite.name, expires_at: invite.expires_at } });
+    } catch (error) {
+        console.error('Database error:', error);
+        res.status(500).json({ error: 'Internal server error' });
     }
+});
 
-    const query = 'INSERT INTO assignments (id, title, description, deadline, instructions, created_by) VALUES (?, ?, ?, ?, ?, ?)';
-    db.run(query, [id, title, description, deadline, instructions, req.session.userId], function(err) {
-        if (err) {
-            console.error('Database error:', err);
-            return res.status(500).json({ error: 'Internal server error' });
+// Sets the invited user's password and signs them in
+app.post('/api/auth/invites/:token', async (req, res) => {
+    const { password } = req.body;
+    const keys = throttleKeys(req);
+
+    try {
+        if (await rejectThrottled(res, keys)) return;
+
+        const invite = await findOpenInvite(req.params.token);
+        if (!invite) {
+            await loginThrottle.fail(keys, { ip: req.ip });
+            return res.status(404).json({ error: 'This invite link is invalid or has expired' });
         }
 
-        // Get the created assignment
-        db.get('SELECT a.*, u.name as creator_name FROM assignments a JOIN users u ON a.created_by = u.id WHERE a.id = ?', 
-               [id], (err, assignment) => {
-            if (err) {
-                return res.status(500).json({ error: 'Internal server error' });
-            }
-            res.status(201).json({ assignment });
-        });
-    });
+        const problem = credentials.passwordProblem(password, invite);
+        if (problem) {
+            return res.status(400).json({ error: problem });
+        }
+
+        if (!(await repository.accountInvites.redeem(invite, await bcrypt.hash(password, 10)))) {
+            return res.status(404).json({ error: 'This invite link is invalid or has expired' });
+        }
+
+        const user = await repository.users.findByEmail(invite.email);
+        startSession(req, user);
+        res.json({ user: toUserResponse(user) });
+    } catch (error) {
+        console.error('Database error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
 });
 
-app.put('/api/assignments/:id', requireRole('professor'), (req, res) => {
-    const { title, description, deadline, instructions } = req.body;
-    const assignmentId = req.params.id;
+// Passwords
+// Anyone can ask for a reset link by email. The answer is the same whether or
+// not the address has an account, so the form cannot be used to find accounts.
+// A new link voids the ones before it, and setting a password by any route
+// voids them all and signs out every other session of the account.
+const PASSWORD_RESET_SENT = 'If an account uses that email, a link to reset its password is on its way';
 
-    if (!title || !deadline) {
-        return res.status(400).json({ error: 'Title and deadline are required' });
+function findOpenPasswordReset(token) {
+    return repository.passwordResets.findOpen(credentials.hashToken(token));
+}
+
+// What follows a password set at `changedAt` (see users.setPassword). Every
+// session but `keepSid` ends; callers start or re-stamp that one afterwards.
+async function passwordChanged(userId, changedAt, method, { keepSid = null } = {}) {
+    await endSessions(userId, { exceptSid: keepSid });
+    queueAccountEmail(userId, 'password_changed', { changedAt, method })
+        .catch(error => console.error('Notification error:', error.message));
+}
+
+app.post('/api/auth/password/forgot', async (req, res) => {
+    const email = typeof req.body.email === 'string' ? req.body.email.trim().toLowerCase() : '';
+
+    if (!USER_EMAIL_PATTERN.test(email)) {
+        return res.status(400).json({ error: 'A valid email address is required' });
     }
 
-    const query = 'UPDATE assignments SET title = ?, description = ?, deadline = ?, instructions = ? WHERE id = ? AND created_by = ?';
-    db.run(query, [title, description, deadline, instructions, assignmentId, req.session.userId], function(err) {
-        if (err) {
-            console.error('Database error:', err);
-            return res.status(500).json({ error: 'Internal server error' });
+    // Every request counts, so nobody can flood an inbox with reset links
+    const keys = throttleKeys(req, { email });
+    try {
+        if (await rejectThrottled(res, keys)) return;
+        await loginThrottle.fail(keys, { ip: req.ip });
+
+        const user = await repository.users.findByEmail(email);
+        if (user && !user.deactivated_at) {
+            const { token, tokenHash } = credentials.createToken();
+            await repository.passwordResets.create(user.id, { tokenHash, expiresAt: credentials.passwordResetExpiry() });
+            await queueAccountEmail(user.id, 'password_reset', {
+                resetUrl: credentials.passwordResetUrl(mailConfig.appUrl, token),
+                expiresInMinutes: credentials.PASSWORD_RESET_MINUTES
+            });
         }
+        res.json({ message: PASSWORD_RESET_SENT });
+    } catch (error) {
+        console.error('Database error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
 
-        if (this.changes === 0) {
-            return res.status(404).json({ error: 'Assignment not found or not authorized' });
+app.get('/api/auth/password/reset/:token', async (req, res) => {
+    const keys = throttleKeys(req);
+    try {
+        if (await rejectThrottled(res, keys)) return;
+
+        const reset = await findOpenPasswordReset(req.params.token);
+        if (!reset) {
+            await loginThrottle.fail(keys, { ip: req.ip });
+            return res.status(404).json({ error: 'This reset link is invalid or has expired' });
         }
+        res.json({ reset: { email: reset.email, name: reset.name, expires_at: reset.expires_at } });
+    } catch (error) {
+        console.error('Database error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
 
-        res.json({ message: 'Assignment updated successfully' });
-    });
+// Sets a new password from a reset link and signs the user in
+app.post('/api/auth/password/reset/:token', async (req, res) => {
+    const { password } = req.body;
+    const keys = throttleKeys(req);
+
+    try {
+        if (await rejectThrottled(res, keys)) return;
+
+        const reset = await findOpenPasswordReset(req.params.token);
+        if (!reset) {
+            await loginThrottle.fail(keys, { ip: req.ip });
+            return res.status(404).json({ error: 'This reset link is invalid or has expired' });
+        }
+
+        const problem = credentials.passwordProblem(password, reset);
+        if (problem) {
+            return res.status(400).json({ error: problem });
+        }
+
+        const changedAt = new Date().toISOString();
+        if (!(await repository.passwordResets.redeem(reset, await bcrypt.hash(password, 10), changedAt))) {
+            return res.status(404).json({ error: 'This reset link is invalid or has expired' });
+        }
+        await passwordChanged(reset.user_id, changedAt, 'reset');
+        // The link proves the owner is the one signing in, so a lock from someone else's guesses ends
+        await loginThrottle.clear('account', reset.email, { reason: 'Password reset by email' });
+
+        const user = await repository.users.findByEmail(reset.email);
+        startSession(req, user);
+        res.json({ user: toUserResponse(user) });
+    } catch (error) {
+        console.error('Database error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
 });
 
-app.delete('/api/assignments/:id', requireRole('professor'), (req, res) => {
-    const assignmentId = req.params.id;
+// { currentPassword, newPassword }; this session stays signed in, every other one ends
+app.post('/api/auth/password/change', requireAuth, async (req, res) => {
+    const { currentPassword, newPassword } = req.body;
 
-    db.run('DELETE FROM assignments WHERE id = ? AND created_by = ?', [assignmentId, req.session.userId], function(err) {
-        if (err) {
-            console.error('Database error:', err);
-            return res.status(500).json({ error: 'Internal server error' });
+    if (typeof currentPassword !== 'string' || !currentPassword) {
+        return res.status(400).json({ error: 'Current password is required' });
+    }
+
+    try {
+        const user = await repository.users.findById(req.session.userId);
+        if (!user.password_hash) {
+            return res.status(400).json({ error: 'This account has no password yet. Use "Forgot password" on the sign-in page to set one' });
         }
 
-        if (this.changes === 0) {
-            return res.status(404).json({ error: 'Assignment not found or not authorized' });
+        // Guessing the current password here counts the same as at sign-in
+        const keys = throttleKeys(req, { account: user.email });
+        if (await rejectThrottled(res, keys)) return;
+        // Not 401: a mistyped password must not look like an expired session
+        if (!(await bcrypt.compare(currentPassword, user.password_hash))) {
+            await loginThrottle.fail(keys, { ip: req.ip });
+            return res.status(400).json({ error: 'Current password is incorrect' });
+        }
+        await loginThrottle.succeed(keys);
+        if (newPassword === currentPassword) {
+            return res.status(400).json({ error: 'The new password must be different from the current one' });
         }
 
-        res.json({ message: 'Assignment deleted successfully' });
-    });
+        const problem = credentials.passwordProblem(newPassword, user);
+        if (problem) {
+            return res.status(400).json({ error: problem });
+        }
+
+        const changedAt = new Date().toISOString();
+        await repository.users.setPassword(user.id, await bcrypt.hash(newPassword, 10), changedAt);
+        await passwordChanged(user.id, changedAt, 'change', { keepSid: req.sessionID });
+        req.session.startedAt = Date.now();
+        res.json({ message: 'Password changed. Your other sessions have been signed out' });
+    } catch (error) {
+        console.error('Database error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
 });
 
-// Submissions
-app.get('/api/submissions', requireAuth, (req, res) => {
-    let query, params;
+// Registration
+// Students may register themselves (see lib/registration.js). The account
+// exists from the start but cannot sign in until its address is confirmed, and
+// an invite code given at registration is only redeemed then.
+const VERIFY_FIRST_ERROR = 'Confirm your email address before signing in. ' +
+                           'Use the link we emailed you, or register again to get a new one';
+const MAX_NAME_LENGTH = 100;
 
-    if (req.session.userRole === 'professor') {
-        // Professor sees all submissions
-        query = `
-            SELECT s.*, u.name as student_name, u.email as student_email, a.title as assignment_title
-            FROM submissions s
-            JOIN users u ON s.student_id = u.id
-            JOIN assignments a ON s.assignment_id = a.id
-            ORDER BY s.submitted_at DESC
-        `;
-        params = [];
-    } else {
-        // Student sees only their submissions
-        query = `
-            SELECT s.*, a.title as assignment_title
-            FROM submissions s
-            JOIN assignments a ON s.assignment_id = a.id
-            WHERE s.student_id = ?
-            ORDER BY s.submitted_at DESC
-        `;
-        params = [req.session.userId];
-    }
-
-    db.all(query, params, (err, submissions) => {
-        if (err) {
-            console.error('Database error:', err);
-            return res.status(500).json({ error: 'Internal server error' });
+function findInviteCode(code) {
+    return repository.inviteCodes.findByCode(registration.normalizeInviteCode(code));
+}
+
+// Enrolls a student with an invite code and counts the use, joining the
+// transaction of `db` if it has one. Returns { course } or { status, error }.
+function redeemInviteCode(inviteId, studentId, db = repository) {
+    return db.withTransaction(async tx => {
+        const invite = await tx.inviteCodes.find(inviteId);
+        const problem = registration.inviteCodeProblem(invite);
+        const enrolled = !problem && await tx.enrollments.find(invite.course_id, studentId);
+        if (problem || enrolled) {
+            return problem ?
+                { status: 400, error: problem } :
+                { status: 409, error: `You are already enrolled in ${invite.course_code}` };
         }
-        res.json({ submissions });
+
+        await tx.inviteCodes.recordUse(invite, studentId);
+        return { course: { id: invite.course_id, code: invite.course_code, title: invite.course_title } };
     });
+}
+
+app.get('/api/auth/registration', (req, res) => {
+    res.json({ domains: registrationConfig.allowedDomains });
 });
 
-app.post('/api/submissions', requireRole('student'), (req, res) => {
-    const { assignmentId, repoLink } = req.body;
+// What an invite code is for, so the registration form can name the course
+app.get('/api/course-invites/:code', async (req, res) => {
+    try {
+        const invite = await findInviteCode(req.params.code);
+        const problem = registration.inviteCodeProblem(invite);
+        if (problem) {
+            return res.status(404).json({ error: problem });
+        }
+        res.json({ invite: { code: invite.code, course_code: invite.course_code, course_title: invite.course_title } });
+    } catch (error) {
+        console.error('Database error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
 
-    if (!assignmentId || !repoLink) {
-        return res.status(400).json({ error: 'Assignment ID and repository link are required' });
+// { name, email, password, code }; emails a link that confirms the address
+app.post('/api/auth/register', async (req, res) => {
+    const name = typeof req.body.name === 'string' ? req.body.name.trim() : '';
+    const email = typeof req.body.email === 'string' ? req.body.email.trim().toLowerCase() : '';
+    const { password, code } = req.body;
+
+    if (!name || name.length > MAX_NAME_LENGTH) {
+        return res.status(400).json({ error: `Name is required and may be at most ${MAX_NAME_LENGTH} characters` });
+    }
+    if (!USER_EMAIL_PATTERN.test(email)) {
+        return res.status(400).json({ error: 'A valid email address is required' });
+    }
+    if (!registration.isRegistrationAllowed(email, registrationConfig)) {
+        return res.status(403).json({
+            error: `Register with your institution's email address (${registrationConfig.allowedDomains.join(', ')})`
+        });
+    }
+    const problem = credentials.passwordProblem(password, { email, name });
+    if (problem) {
+        return res.status(400).json({ error: problem });
     }
 
-    // Check if assignment exists and is not past deadline
-    db.get('SELECT * FROM assignments WHERE id = ?', [assignmentId], (err, assignment) => {
-        if (err) {
-            return res.status(500).json({ error: 'Internal server error' });
+    const keys = throttleKeys(req, { email });
+    try {
+        if (await rejectThrottled(res, keys)) return;
+        await loginThrottle.fail(keys, { ip: req.ip });
+
+        let invite = null;
+        if (code) {
+            invite = await findInviteCode(code);
+            const inviteProblem = registration.inviteCodeProblem(invite);
+            if (inviteProblem) {
+                return res.status(400).json({ error: inviteProblem });
+            }
         }
 
-        if (!assignment) {
-            return res.status(404).json({ error: 'Assignment not found' });
+        // Only a registration still waiting for confirmation may be taken over
+        const existing = await repository.users.findByEmail(email);
+        if (existing && !existing.verification_sent_at) {
+            return res.status(409).json({ error: 'An account with this email already exists. Sign in, or reset your password' });
         }
 
-        const now = new Date();
-        const deadline = new Date(assignment.deadline);
-        if (now > deadline) {
-            return res.status(400).json({ error: 'Assignment deadline has passed' });
+        const sentAt = new Date().toISOString();
+        const userId = await repository.users.saveRegistration({
+            userId: existing ? existing.id : null, email, name, passwordHash: await bcrypt.hash(password, 10), sentAt
+        });
+
+        const token = registration.createVerificationToken({
+            userId, email, sentAt, inviteCodeId: invite ? invite.id : null
+        }, registrationConfig);
+        await queueAccountEmail(userId, 'verify_email', {
+            verifyUrl: registration.verificationUrl(mailConfig.appUrl, token),
+            expiresInHours: registrationConfig.verifyHours,
+            courseName: invite ? `${invite.course_code} - ${invite.course_title}` : null
+        });
+
+        res.status(201).json({ email, message: `We sent a link to ${email}. Follow it to confirm your address and sign in` });
+    } catch (error) {
+        if (error.code === 'SQLITE_CONSTRAINT') {
+            return res.status(409).json({ error: 'An account with this email already exists. Sign in, or reset your password' });
         }
+        console.error('Database error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
 
-        // Insert or update submission
-        const id = uuidv4();
-        const query = `
-            INSERT INTO submissions (id, assignment_id, student_id, repo_link, status)
-            VALUES (?, ?, ?, ?, 'submitted')
-            ON CONFLICT(assignment_id, student_id)
-            DO UPDATE SET repo_link = excluded.repo_link, submitted_at = CURRENT_TIMESTAMP
-        `;
+// { token } from the emailed link; confirms the address, redeems any invite
+// code and signs the student in
+app.post('/api/auth/verify', async (req, res) => {
+    const keys = throttleKeys(req);
+    try {
+        if (await rejectThrottled(res, keys)) return;
+
+        const claims = registration.readVerificationToken(req.body.token, registrationConfig);
+        if (!claims) {
+            await loginThrottle.fail(keys, { ip: req.ip });
+            return res.status(404).json({ error: 'This confirmation link is invalid or has expired' });
+        }
 
-        db.run(query, [id, assignmentId, req.session.userId, repoLink], function(err) {
-            if (err) {
-                console.error('Database error:', err);
-                return res.status(500).json({ error: 'Internal server error' });
-            }
+        const account = await repository.users.findById(claims.userId);
+        const user = account && account.email === claims.email ? account : null;
+        if (user && !user.verification_sent_at && !user.deactivated_at) {
+            return res.status(409).json({ error: 'This email address is already confirmed. Sign in instead' });
+        }
+        if (!user || user.deactivated_at || user.verification_sent_at !== claims.sentAt) {
+            return res.status(404).json({ error: 'This confirmation link is invalid or has expired' });
+        }
 
-            res.json({ message: 'Submission saved successfully' });
+        // A code that can no longer be used does not undo the confirmation
+        const enrollment = await withTransaction(async tx => {
+            if (!(await tx.users.confirmEmail(user.id, claims.sentAt))) return null;
+            return claims.inviteCodeId ? redeemInviteCode(claims.inviteCodeId, user.id, tx) : {};
         });
-    });
+        if (!enrollment) {
+            return res.status(409).json({ error: 'This email address is already confirmed. Sign in instead' });
+        }
+
+        startSession(req, user);
+        res.json({ user: toUserResponse(user), course: enrollment.course || null, inviteError: enrollment.error || null });
+    } catch (error) {
+        console.error('Database error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
 });
 
-// Server-Sent Events for real-time updates
-app.get('/api/submissions/stream', requireAuth, (req, res) => {
-    res.writeHead(200, {
-        'Content-Type': 'text/event-stream',
-        'Cache-Control': 'no-cache',
-        'Connection': 'keep-alive',
-        'Access-Control-Allow-Origin': '*',
-        'Access-Control-Allow-Headers': 'Cache-Control'
-    });
+// { code }; a signed-in student joins a course
+app.post('/api/course-invites/redeem', requireRole('student'), async (req, res) => {
+    try {
+        const invite = await findInviteCode(req.body.code);
+        if (!invite) {
+            return res.status(404).json({ error: registration.inviteCodeProblem(invite) });
+        }
+
+        const result = await redeemInviteCode(invite.id, req.session.userId);
+        if (result.error) {
+            return res.status(result.status).json({ error: result.error });
+        }
+        res.status(201).json({ course: result.course });
+    } catch (error) {
+        console.error('Database error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
 
-    const clientId = Date.now();
-    const newClient = {
-        id: clientId,
-        response: res
+// User management
+// Administrators list, create and edit accounts, change roles, deactivate and
+// reactivate them and force password resets. Nothing is ever deleted: a
+// deactivated account keeps its submissions and grades but cannot sign in.
+const USER_EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const USER_STATUSES = ['active', 'deactivated'];
+const ADMIN_USER_PAGE_SIZE = 50;
+
+function toManagedUserResponse(user) {
+    return {
+        ...user,
+        has_password: Boolean(user.has_password),
+        invite_pending: Boolean(user.invite_pending),
+        verification_pending: Boolean(user.verification_pending)
     };
+}
 
-    // Add client to list (in production, use Redis or similar)
-    // For demo purposes, we'll use a simple array
-    if (!global.sseClients) {
-        global.sseClients = [];
-    }
-    global.sseClients.push(newClient);
+// Returns { fields } or { error } for the editable account fields
+function readUserFields(body) {
+    const name = typeof body.name === 'string' ? body.name.trim() : '';
+    const email = typeof body.email === 'string' ? body.email.trim().toLowerCase() : '';
+    const role = body.role || 'student';
+    const studentNumber = typeof body.studentNumber === 'string' && body.studentNumber.trim() ? body.studentNumber.trim() : null;
+
+    if (!name) return { error: 'Name is required' };
+    if (!USER_EMAIL_PATTERN.test(email)) return { error: 'A valid email address is required' };
+    if (!roles.isRole(role)) return { error: `Role must be one of: ${roles.ROLES.join(', ')}` };
+    if (studentNumber && role !== 'student') return { error: 'Only student accounts have a student ID' };
 
-    // Send initial connection message
-    res.write(`data: ${JSON.stringify({ type: 'connected', clientId })}
+    return { fields: { name, email, role, studentNumber } };
+}
 
-`);
+// Email and student ID must stay unique; returns the conflict message, if any
+async function userConflict({ email, studentNumber }, userId = null) {
+    const emailOwner = await repository.users.findByEmail(email);
+    if (emailOwner && emailOwner.id !== userId) return 'An account with this email already exists';
 
-    // Handle client disconnect
-    req.on('close', () => {
-        global.sseClients = global.sseClients.filter(client => client.id !== clientId);
-    });
-});
+    if (studentNumber) {
+        const numberOwner = await repository.users.findByStudentNumber(studentNumber);
+        if (numberOwner && numberOwner.id !== userId) return `Student ID already belongs to ${numberOwner.email}`;
+    }
+    return null;
+}
 
-// Helper function to broadcast to all SSE clients
-function broadcastUpdate(data) {
-    if (global.sseClients) {
-        global.sseClients.forEach(client => {
-            client.response.write(`data: ${JSON.stringify(data)}
+// A role change must not strand courses or enrollments the new role cannot use
+async function roleChangeConflict(user, role) {
+    if (user.role === role) return null;
 
-`);
-        });
+    const { owned, enrolled, assisted } = await repository.users.countTies(user.id);
+    const plural = count => (count === 1 ? '' : 's');
+    if (user.role === 'professor' && owned) {
+        return `This professor owns ${owned} course${plural(owned)}, which would be left without a teacher`;
+    }
+    if (user.role === 'student' && enrolled) {
+        return `This student is enrolled in ${enrolled} course${plural(enrolled)}; unenroll them first`;
+    }
+    if (user.role === 'ta' && assisted) {
+        return `This TA assists in ${assisted} course${plural(assisted)}; remove them from those first`;
     }
+    return null;
 }
 
-// Start server
-app.listen(PORT, () => {
-    console.log(`Server running on http://localhost:${PORT}`);
+function normalizeCredentialMode(mode) {
+    const value = mode || 'invite';
+    return credentials.CREDENTIAL_MODES.includes(value) ? value : null;
+}
+
+// Hashing is slow, so callers prepare credentials before opening a transaction.
+// Returns what is stored ({ passwordHash, invite }, see users.createManaged)
+// and what is shown once.
+async function prepareCredentials(mode, createdBy) {
+    if (mode === 'password') {
+        const temporaryPassword = credentials.generateTemporaryPassword();
+        return { passwordHash: await bcrypt.hash(temporaryPassword, 10), invite: null, shown: { temporaryPassword } };
+    }
+    const { token, tokenHash } = credentials.createToken();
+    return {
+        passwordHash: null,
+        invite: { tokenHash, expiresAt: credentials.inviteExpiry(), createdBy },
+        shown: { inviteUrl: credentials.inviteUrl(mailConfig.appUrl, token) }
+    };
+}
+
+// ?q= matches name, email or student ID; ?role= and ?status=active|deactivated filter
+app.get('/api/admin/users', requireRole('manage_users'), async (req, res) => {
+    const { q, role, status } = req.query;
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || ADMIN_USER_PAGE_SIZE, 1), 200);
+    const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+
+    if (role && !roles.isRole(role)) {
+        return res.status(400).json({ error: `Role must be one of: ${roles.ROLES.join(', ')}` });
+    }
+    if (status && !USER_STATUSES.includes(status)) {
+        return res.status(400).json({ error: `Status must be one of: ${USER_STATUSES.join(', ')}` });
+    }
+
+    try {
+        const { users, total } = await repository.users.listManaged({
+            q: q && String(q).trim() ? String(q).trim() : null, role, status, limit, offset
+        });
+        res.json({ users: users.map(toManagedUserResponse), total, limit, offset });
+    } catch (error) {
+        console.error('Database error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
 });
 
-// Graceful shutdown
-process.on('SIGINT', () => {
-    db.close((err) => {
-        if (err) {
-            console.error('Error closing database:', err.message);
-        } else {
-            console.log('Database connection closed');
+// { name, email, role, studentNumber, credentials: 'invite' | 'password' }.
+// The invite link or temporary password is only ever in this response.
+app.post('/api/admin/users', requireRole('manage_users'), async (req, res) => {
+    const { fields, error } = readUserFields(req.body);
+    if (error) {
+        return res.status(400).json({ error });
+    }
+    const mode = normalizeCredentialMode(req.body.credentials);
+    if (!mode) {
+        return res.status(400).json({ error: `Credentials must be one of: ${credentials.CREDENTIAL_MODES.join(', ')}` });
+    }
+
+    try {
+        const conflict = await userConflict(fields);
+        if (conflict) {
+            return res.status(409).json({ error: conflict });
         }
-        process.exit(0);
-    });
+
+        const issued = await prepareCredentials(mode, req.session.userId);
+        const id = await repository.users.createManaged(fields, issued);
+
+        const user = await repository.users.findManaged(id);
+        res.status(201).json({ user: toManagedUserResponse(user), ...issued.shown });
+    } catch (error) {
+        if (error.code === 'SQLITE_CONSTRAINT') {
+            return res.status(409).json({ error: 'An account with this email or student ID already exists' });
+        }
+        console.error('Database error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
 });
 
-const { OAuth2Client } = require('google-auth-library');
-const client = new OAuth2Client('210534715330-hej3jpvufoaiuf6ui4smlst482mpmj4j.apps.googleusercontent.com');
+app.put('/api/admin/users/:id', requireRole('manage_users'), async (req, res) => {
+    const { fields, error } = readUserFields(req.body);
+    if (error) {
+        return res.status(400).json({ error });
+    }
 
-app.post('/api/auth/google', async (req, res) => {
-  const { token } = req.body;
-  try {
-    const ticket = await client.verifyIdToken({
-      idToken: token,
-      audience: '210534715330-hej3jpvufoaiuf6ui4smlst482mpmj4j.apps.googleusercontent.com'
-    });
-    const payload = ticket.getPayload();
-    const email = payload.email;
+    try {
+        const user = await repository.users.findManaged(req.params.id);
+        if (!user) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+        if (user.id === req.session.userId && fields.role !== user.role) {
+            return res.status(400).json({ error: 'You cannot change your own role' });
+        }
+
+        const conflict = await userConflict(fields, user.id) || await roleChangeConflict(user, fields.role);
+        if (conflict) {
+            return res.status(409).json({ error: conflict });
+        }
+
+        await repository.users.update(user.id, fields);
+        res.json({ user: toManagedUserResponse(await repository.users.findManaged(user.id)) });
+    } catch (error) {
+        if (error.code === 'SQLITE_CONSTRAINT') {
+            return res.status(409).json({ error: 'An account with this email or student ID already exists' });
+        }
+        console.error('Database error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
 
-    // Check if user exists in DB
-    const user = await findUserByEmail(email); // Implement this function
+app.post('/api/admin/users/:id/deactivate', requireRole('manage_users'), async (req, res) => {
+    if (req.params.id === req.session.userId) {
+        return res.status(400).json({ error: 'You cannot deactivate your own account' });
+    }
+
+    try {
+        const user = await repository.users.findManaged(req.params.id);
+        if (!user) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+        if (user.deactivated_at) {
+            return res.status(409).json({ error: 'This account is already deactivated' });
+        }
 
-    if (!user) {
-      // Create new student user in DB
-      await createUser({ email, role: 'student', name: payload.name }); // Implement createUser
+        await repository.users.deactivate(user.id);
+        await endSessions(user.id);
+        res.json({ user: toManagedUserResponse(await repository.users.findManaged(user.id)) });
+    } catch (error) {
+        console.error('Database error:', error);
+        res.status(500).json({ error: 'Internal server error' });
     }
+});
+
+app.post('/api/admin/users/:id/reactivate', requireRole('manage_users'), async (req, res) => {
+    try {
+        const user = await repository.users.findManaged(req.params.id);
+        if (!user) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+        if (!user.deactivated_at) {
+            return res.status(409).json({ error: 'This account is already active' });
+        }
 
-    // Generate session/auth token and respond success
-    res.json({ success: true });
-  } catch (error) {
-    res.status(401).json({ success: false, error: 'Invalid token' });
-  }
+        await repository.users.reactivate(user.id);
+        res.json({ user: toManagedUserResponse(await repository.users.findManaged(user.id)) });
+    } catch (error) {
+        console.error('Database error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
 });
+
+// Replaces the password with a new invite link or temporary password
+// ({ credentials: 'invite' | 'password' }), voids older invite links and
+// signs the account out everywhere
+app.post('/api/admin/users/:id/password-reset', requireRole('manage_users'), async (req, res) => {
+    if (req.params.id === req.session.userId) {
+        return res.status(400).json({ error: 'You cannot force a reset of your own password' });
+    }
+    const mode = normalizeCredentialMode(req.body.credentials);
+    if (!mode) {
+        return res.status(400).json({ error: `Credentials must be one of: ${credentials.CREDENTIAL_MODES.join(', ')}` });
+    }
+
+    try {
+        const user = await repository.users.findManaged(req.params.id);
+        if (!user) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+
+        const issued = await prepareCredentials(mode, req.session.userId);
+        await repository.users.resetCredentials(user.id, issued);
+
+        await endSessions(user.id);
+        res.json({ user: toManagedUserResponse(await repository.users.findManaged(user.id)), ...issued.shown });
+    } catch (error) {
+        console.error('Database error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// An account's sessions; administrators manage their own from the session list like everyone else
+app.get('/api/admin/users/:id/sessions', requireRole('manage_users'), async (req, res) => {
+    try {
+        const user = await repository.users.findManaged(req.params.id);
+        if (!user) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+
+        const rows = await sessionStore.listForUser(user.id);
+        res.json({ sessions: rows.map(row => toSessionResponse(row, req.sessionID)) });
+    } catch (error) {
+        console.error('Database error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Without :sessionId every session of the account ends
+app.delete('/api/admin/users/:id/sessions/:sessionId?', requireRole('manage_users'), async (req, res) => {
+    if (req.params.id === req.session.userId) {
+        return res.status(400).json({ error: 'Manage your own sessions from your session list' });
+    }
+
+    try {
+        const user = await repository.users.findManaged(req.params.id);
+        if (!user) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+
+        const ended = await endSessions(user.id, { id: req.params.sessionId || null });
+        if (req.params.sessionId && !ended) {
+            return res.status(404).json({ error: 'Session not found' });
+        }
+        res.json({ message: `Signed out ${ended} session${ended === 1 ? '' : 's'}`, ended });
+    } catch (error) {
+        console.error('Database error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Sign-in locks
+// Addresses and accounts blocked by the sign-in throttle, and the record of
+// locks and unlocks. Clearing a key ends its block and forgets its failures.
+app.get('/api/admin/lockouts', requireRole('manage_users'), async (req, res) => {
+    try {
+        const [blocked, events] = await Promise.all([loginThrottle.listBlocked(), loginThrottle.listEvents()]);
+        res.json({ blocked, events });
+    } catch (error) {
+        console.error('Database error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+app.delete('/api/admin/lockouts/:scope/:key', requireRole('manage_users'), async (req, res) => {
+    if (!THROTTLE_SCOPES.includes(req.params.scope)) {
+        return res.status(400).json({ error: `Scope must be one of: ${THROTTLE_SCOPES.join(', ')}` });
+    }
+
+    try {
+        const cleared = await loginThrottle.clear(req.params.scope, req.params.key, {
+            reason: 'Cleared by an administrator',
+            actorId: req.session.userId
+        });
+        if (!cleared) {
+            return res.status(404).json({ error: 'Nothing is blocked for that key' });
+        }
+        res.json({ message: 'Lock cleared' });
+    } catch (error) {
+        console.error('Database error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Course scoping
+// A professor manages assignments in the courses they own (plus their own
+// course-less assignments from before courses existed); a teaching assistant
+// works on assignments in the courses they assist, as far as the course's TA
+// permissions allow; a student sees assignments in the courses they are
+// enrolled in. Each clause takes the user id once per placeholder.
+function teachesAssignmentClause(alias = 'a') {
+    const column = alias ? `${alias}.` : '';
+    return `(${column}course_id IN (SELECT id FROM courses WHERE owner_id = ?)
+             OR (${column}course_id IS NULL AND ${column}created_by = ?))`;
+}
+
+// Course staff: the owner, or a TA of the course when it grants `permission`
+// (any TA when no permission is named). A drop-in for teachesAssignmentClause.
+function staffAssignmentClause(alias = 'a', permission = null) {
+    const column = alias ? `${alias}.` : '';
+    const granted = permission ? ` AND sc.${roles.taPermissionColumn(permission)} = 1` : '';
+    return `(${column}course_id IN (SELECT sc.id FROM courses sc
+                                    LEFT JOIN course_tas st ON st.course_id = sc.id${granted}
+                                    WHERE ? IN (sc.owner_id, st.user_id))
+             OR (${column}course_id IS NULL AND ${column}created_by = ?))`;
+}
+
+function enrolledAssignmentClause(alias = 'a') {
+    return `${alias}.course_id IN (SELECT course_id FROM enrollments WHERE student_id = ?)`;
+}
+
+function isStaff(req) {
+    return req.session.userRole === 'professor' || req.session.userRole === 'ta';
+}
+
+// The assignments a professor teaches, as a repository scope
+function teachesScope(professorId) {
+    return { clause: teachesAssignmentClause(), params: [professorId, professorId] };
+}
+
+// The assignments a user teaches or assists with `permission` granted
+function staffScope(userId, permission = null) {
+    return { clause: staffAssignmentClause('a', permission), params: [userId, userId] };
+}
+
+function assignmentScope(req, alias = 'a') {
+    if (req.session.userRole === 'professor') {
+        return { clause: teachesAssignmentClause(alias), params: [req.session.userId, req.session.userId] };
+    }
+    if (req.session.userRole === 'ta') {
+        return { clause: staffAssignmentClause(alias), params: [req.session.userId, req.session.userId] };
+    }
+    return { clause: enrolledAssignmentClause(alias), params: [req.session.userId] };
+}
+
+// The courses a professor owns, as a repository scope
+function ownsScope(professorId) {
+    return { clause: 'c.owner_id = ?', params: [professorId] };
+}
+
+function findOwnCourse(courseId, professorId) {
+    return repository.courses.find(courseId, ownsScope(professorId));
+}
+
+// A course the user owns, or assists with `permission` granted
+function findStaffCourse(courseId, userId, permission = null) {
+    const granted = permission ? ` AND c.${roles.taPermissionColumn(permission)} = 1` : '';
+    return repository.courses.find(courseId, {
+        clause: `(c.owner_id = ? OR (EXISTS (SELECT 1 FROM course_tas WHERE course_id = c.id AND user_id = ?)${granted}))`,
+        params: [userId, userId]
+    });
+}
+
+// Assignments
+function withEffectiveDeadline(assignment) {
+    assignment.effective_deadline = extensions.effectiveDeadline(assignment, assignment);
+    return assignment;
+}
+
+app.get('/api/assignments', requireAuth, async (req, res) => {
+    const isStudent = req.session.userRole === 'student';
+
+    try {
+        // Students see their own effective deadline alongside the shared one
+        const assignments = await repository.assignments.list({
+            scope: assignmentScope(req),
+            studentId: isStudent ? req.session.userId : null,
+            courseId: req.query.courseId || null
+        });
+        if (isStudent) {
+            assignments.forEach(withEffectiveDeadline);
+        }
+        res.json({ assignments });
+    } catch (error) {
+        console.error('Database error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+app.post('/api/assignments', requireRole('professor'), async (req, res) => {
+    const { title, description, deadline, instructions, courseId } = req.body;
+    const rubricId = req.body.rubricId || null;
+
+    if (!title || !deadline || !courseId) {
+        return res.status(400).json({ error: 'Title, deadline and course are required' });
+    }
+
+    let policy, allowedHosts;
+    try {
+        policy = latePolicy.normalizeLatePolicy(req.body);
+        latePolicy.validateLateCutoff(policy, deadline);
+        allowedHosts = repoUrl.normalizeAllowedHosts(req.body.allowedHosts);
+    } catch (error) {
+        return res.status(400).json({ error: error.message });
+    }
+
+    try {
+        if (!(await findOwnCourse(courseId, req.session.userId))) {
+            return res.status(400).json({ error: 'Course not found' });
+        }
+        if (rubricId && !(await findOwnRubric(rubricId, req.session.userId))) {
+            return res.status(400).json({ error: 'Rubric not found' });
+        }
+
+        const assignment = await repository.assignments.create({
+            title,
+            description,
+            deadline,
+            instructions,
+            rubric_id: rubricId,
+            course_id: courseId,
+            ...policy,
+            allowed_hosts: allowedHosts.join(',') || null
+        }, req.session.userId);
+        res.status(201).json({ assignment });
+        publishAssignmentEvent('assignment_created', assignment.id, req.session.userId);
+        notifyAssignmentPublished(assignment.id)
+            .catch(error => console.error('Notification error:', error.message));
+        scheduleAssignmentJobs(assignment.id)
+            .catch(error => console.error('Scheduler error:', error.message));
+    } catch (error) {
+        console.error('Database error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+app.put('/api/assignments/:id', requireRole('professor'), async (req, res) => {
+    const { title, description, deadline, instructions } = req.body;
+    const assignmentId = req.params.id;
+
+    if (!title || !deadline) {
+        return res.status(400).json({ error: 'Title and deadline are required' });
+    }
+
+    const fields = { title, description, deadline, instructions };
+
+    // Only touch the rubric when the client sends the field; null detaches it
+    if (req.body.rubricId !== undefined) {
+        fields.rubric_id = req.body.rubricId || null;
+    }
+
+    if (req.body.courseId) {
+        fields.course_id = req.body.courseId;
+    }
+
+    // The late policy is replaced as a whole when latePolicy is sent
+    if (req.body.latePolicy !== undefined) {
+        try {
+            Object.assign(fields, latePolicy.normalizeLatePolicy(req.body));
+        } catch (error) {
+            return res.status(400).json({ error: error.message });
+        }
+    }
+
+    if (req.body.allowedHosts !== undefined) {
+        try {
+            fields.allowed_hosts = repoUrl.normalizeAllowedHosts(req.body.allowedHosts).join(',') || null;
+        } catch (error) {
+            return res.status(400).json({ error: error.message });
+        }
+    }
+
+    try {
+        if (req.body.rubricId && !(await findOwnRubric(req.body.rubricId, req.session.userId))) {
+            return res.status(400).json({ error: 'Rubric not found' });
+        }
+        if (req.body.courseId && !(await findOwnCourse(req.body.courseId, req.session.userId))) {
+            return res.status(400).json({ error: 'Course not found' });
+        }
+
+        // A new deadline or late policy changes how late the submissions already made are
+        const outcome = await withTransaction(async tx => {
+            const previous = await tx.assignments.find(assignmentId, teachesScope(req.session.userId));
+            if (!previous) {
+                return { status: 404, error: 'Assignment not found or not authorized' };
+            }
+            // The cutoff that will be stored has to follow the deadline that will be stored
+            try {
+                latePolicy.validateLateCutoff({ ...previous, ...fields }, deadline);
+            } catch (error) {
+                return { status: 400, error: error.message };
+            }
+
+            await tx.assignments.update(assignmentId, fields, teachesScope(req.session.userId));
+            await tx.submissions.reevaluateLateness({ assignmentId });
+            return { previous };
+        });
+        if (outcome.error) {
+            return res.status(outcome.status).json({ error: outcome.error });
+        }
+
+        res.json({ message: 'Assignment updated successfully' });
+        publishAssignmentEvent('assignment_updated', assignmentId, req.session.userId);
+        rescheduleIfMoved(outcome.previous)
+            .catch(error => console.error('Scheduler error:', error.message));
+    } catch (error) {
+        console.error('Database error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+app.delete('/api/assignments/:id', requireRole('professor'), async (req, res) => {
+    const assignmentId = req.params.id;
+
+    try {
+        // The audience has to be worked out while the assignment still exists
+        const assignment = await findTaughtAssignment(assignmentId, req.session.userId);
+        if (!assignment) {
+            return res.status(404).json({ error: 'Assignment not found or not authorized' });
+        }
+        const recipients = await assignmentAudience(assignment);
+
+        await repository.assignments.remove(assignmentId);
+        await jobs.cancelForAssignment(assignmentId);
+
+        res.json({ message: 'Assignment deleted successfully' });
+        eventStream.publish('assignment_deleted', { assignmentId, title: assignment.title, actorId: req.session.userId }, recipients);
+    } catch (error) {
+        console.error('Database error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Extensions and accommodations
+function findTaughtAssignment(assignmentId, professorId) {
+    return repository.assignments.find(assignmentId, teachesScope(professorId));
+}
+
+function findStaffAssignment(assignmentId, userId, permission) {
+    return repository.assignments.find(assignmentId, staffScope(userId, permission));
+}
+
+app.get('/api/assignments/:id/extensions', requireRole('professor', 'ta'), async (req, res) => {
+    try {
+        if (!(await findStaffAssignment(req.params.id, req.session.userId, 'grant_extensions'))) {
+            return res.status(404).json({ error: 'Assignment not found or not authorized' });
+        }
+
+        res.json({ extensions: await repository.extensions.list(req.params.id) });
+    } catch (error) {
+        console.error('Database error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Grants or replaces one student's extension on an assignment
+app.post('/api/assignments/:id/extensions', requireRole('professor', 'ta'), async (req, res) => {
+    const { studentId } = req.body;
+
+    if (!studentId) {
+        return res.status(400).json({ error: 'Student is required' });
+    }
+
+    try {
+        const assignment = await findStaffAssignment(req.params.id, req.session.userId, 'grant_extensions');
+        if (!assignment) {
+            return res.status(404).json({ error: 'Assignment not found or not authorized' });
+        }
+        if (!assignment.course_id || !(await repository.enrollments.find(assignment.course_id, studentId))) {
+            return res.status(400).json({ error: 'Student is not enrolled in this course' });
+        }
+
+        let grant;
+        try {
+            grant = extensions.normalizeExtension(req.body, assignment.deadline);
+        } catch (error) {
+            return res.status(400).json({ error: error.message });
+        }
+
+        await repository.extensions.grant(assignment.id, studentId, grant, req.session.userId);
+        res.status(201).json({ extension: await repository.extensions.find(assignment.id, studentId) });
+        notifyExtensionGranted(assignment.id, studentId)
+            .catch(error => console.error('Notification error:', error.message));
+        rescheduleStudentDeadlines(studentId, assignment.course_id, assignment.id)
+            .catch(error => console.error('Scheduler error:', error.message));
+    } catch (error) {
+        console.error('Database error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+app.delete('/api/assignments/:id/extensions/:studentId', requireRole('professor', 'ta'), async (req, res) => {
+    try {
+        const assignment = await findStaffAssignment(req.params.id, req.session.userId, 'grant_extensions');
+        if (!assignment) {
+            return res.status(404).json({ error: 'Assignment not found or not authorized' });
+        }
+
+        // Without the extension a submission can be late again
+        if (!(await repository.extensions.revoke(assignment.id, req.params.studentId))) {
+            return res.status(404).json({ error: 'Extension not found' });
+        }
+        res.json({ message: 'Extension revoked' });
+        rescheduleStudentDeadlines(req.params.studentId, assignment.course_id, assignment.id)
+            .catch(error => console.error('Scheduler error:', error.message));
+    } catch (error) {
+        console.error('Database error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Submissions
+app.get('/api/submissions', requireAuth, async (req, res) => {
+    const filter = { courseId: req.query.courseId || null };
+
+    try {
+        // Course staff see submissions for the courses they teach or assist in; a student only their own
+        const submissions = isStaff(req)
+            ? await repository.submissions.listForStaff(staffScope(req.session.userId, 'view_submissions'), filter)
+            : await repository.submissions.listForStudent(req.session.userId, filter);
+        res.json({ submissions });
+    } catch (error) {
+        console.error('Database error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+app.post('/api/submissions', requireRole('student'), async (req, res) => {
+    const { assignmentId, repoLink } = req.body;
+
+    if (!assignmentId || !repoLink) {
+        return res.status(400).json({ error: 'Assignment ID and repository link are required' });
+    }
+
+    // A ref given explicitly wins over one embedded in a browser link
+    let repo, ref;
+    try {
+        repo = repoUrl.parseRepoUrl(repoLink, {
+            allowFileUrls: req.app.locals.allowFileRepoUrls,
+            allowPrivateHosts: req.app.locals.privateRepoHosts
+        });
+        ref = req.body.ref ? repoUrl.normalizeRef(req.body.refType || 'branch', req.body.ref) : repo.ref;
+    } catch (error) {
+        return res.status(400).json({ error: error.message });
+    }
+
+    try {
+        // The deadline is checked in the transaction that records the hand-in, so
+        // an extension revoked meanwhile cannot slip a late one through
+        const outcome = await withTransaction(async tx => {
+            const assignment = await tx.assignments.findForStudent(assignmentId, req.session.userId, {
+                clause: enrolledAssignmentClause(),
+                params: [req.session.userId]
+            });
+            if (!assignment) {
+                return { status: 404, error: 'Assignment not found' };
+            }
+
+            const allowedHosts = repoUrl.parseAllowedHosts(assignment.allowed_hosts);
+            if (!repoUrl.isHostAllowed(repo, allowedHosts)) {
+                return { status: 400, error: `Repositories for this assignment must be hosted on: ${allowedHosts.join(', ')}` };
+            }
+
+            const deadline = extensions.effectiveDeadline(assignment, assignment);
+            const evaluation = latePolicy.evaluateSubmission(assignment, new Date(), deadline);
+            if (!evaluation.accepted) {
+                return {
+                    status: 400,
+                    error: evaluation.closesAt ? 'The late submission window has closed' : 'Assignment deadline has passed'
+                };
+            }
+
+            // The submission row tracks the version that counts; every hand-in is kept as a new version
+            const status = evaluation.late ? 'late' : 'submitted';
+            const recorded = await tx.submissions.record({
+                assignmentId,
+                studentId: req.session.userId,
+                repo,
+                ref,
+                status,
+                evaluation,
+                ip: req.ip || null,
+                userAgent: req.get('user-agent') || null
+            });
+            return { ...recorded, status, evaluation };
+        });
+        if (outcome.error) {
+            return res.status(outcome.status).json({ error: outcome.error });
+        }
+
+        const { submissionId, versionId, version, status, evaluation } = outcome;
+
+        requestSnapshot(submissionId, 'submission')
+            .catch(error => console.error('Snapshot error:', error.message));
+        publishSubmissionEvent(version === 1 ? 'submission_created' : 'submission_updated', submissionId, req.session.userId);
+        notifySubmissionReceipt(versionId)
+            .catch(error => console.error('Notification error:', error.message));
+        scheduleDeadlineSnapshot(submissionId)
+            .catch(error => console.error('Scheduler error:', error.message));
+
+        res.json({
+            message: evaluation.late ? 'Late submission saved' : 'Submission saved successfully',
+            status,
+            version,
+            repoLink: repo.url,
+            ref,
+            minutesLate: evaluation.minutesLate,
+            latePenalty: evaluation.penaltyPercent
+        });
+    } catch (error) {
+        console.error('Database error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Version history
+// Visible to the submitting student and to the assignment's course staff; a TA
+// needs `permission` in the course
+function findVisibleSubmission(submissionId, req, permission = 'view_submissions') {
+    const scope = isStaff(req)
+        ? staffScope(req.session.userId, permission)
+        : { clause: 's.student_id = ?', params: [req.session.userId] };
+    return repository.submissions.find(submissionId, scope);
+}
+
+app.get('/api/submissions/:id/versions', requireAuth, async (req, res) => {
+    try {
+        const submission = await findVisibleSubmission(req.params.id, req);
+        if (!submission) {
+            return res.status(404).json({ error: 'Submission not found' });
+        }
+
+        res.json({ versions: await repository.submissions.listVersions(submission) });
+    } catch (error) {
+        console.error('Database error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Picks which version is graded. Lateness is recomputed for that version's
+// timestamp against the student's current effective deadline.
+app.put('/api/submissions/:id/version', requireRole('professor', 'ta'), async (req, res) => {
+    const { versionId } = req.body;
+
+    if (!versionId) {
+        return res.status(400).json({ error: 'Version is required' });
+    }
+
+    try {
+        const submission = await findVisibleSubmission(req.params.id, req, 'grade_submissions');
+        if (!submission) {
+            return res.status(404).json({ error: 'Submission not found or not authorized' });
+        }
+
+        const version = await repository.submissions.findVersion(submission.id, versionId);
+        if (!version) {
+            return res.status(404).json({ error: 'Version not found' });
+        }
+
+        const assignment = await repository.assignments.find(submission.assignment_id);
+
+        await withTransaction(async tx => {
+            await tx.submissions.countVersion(submission.id, version);
+            await tx.submissions.reapplyLatePenalty(submission.id, version.late_penalty);
+            if (assignment.course_id) {
+                await tx.submissions.reevaluateLateness({ assignmentId: submission.assignment_id, studentId: submission.student_id });
+            }
+        });
+
+        res.json({ message: `Version ${version.version} now counts` });
+        publishSubmissionEvent('submission_updated', submission.id, req.session.userId);
+    } catch (error) {
+        console.error('Database error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Repository snapshots
+// Each submission is snapshotted when it is handed in and again once the
+// student's effective deadline passes. Work runs one snapshot at a time in
+// the background; rows still pending after a restart are picked up again.
+const queuedSnapshots = new Set();
+let snapshotChain = Promise.resolve();
+
+function queueSnapshot(snapshotId) {
+    if (queuedSnapshots.has(snapshotId)) return;
+    queuedSnapshots.add(snapshotId);
+    snapshotChain = snapshotChain
+        .then(() => runSnapshot(snapshotId))
+        .catch(error => console.error('Snapshot error:', error.message))
+        .finally(() => queuedSnapshots.delete(snapshotId));
+}
+
+async function requestSnapshot(submissionId, kind) {
+    const id = await repository.snapshots.create(submissionId, kind);
+    if (id) queueSnapshot(id);
+    return id;
+}
+
+async function runSnapshot(snapshotId) {
+    const snapshot = await repository.snapshots.start(snapshotId);
+    if (!snapshot) return;
+
+    try {
+        const result = await snapshots.takeSnapshot({
+            url: snapshot.repo_url,
+            refType: snapshot.ref_type,
+            ref: snapshot.ref,
+            deadline: snapshot.deadline,
+            submissionId: snapshot.submission_id,
+            kind: snapshot.kind
+        }, snapshotConfig);
+
+        await repository.snapshots.complete(snapshotId, result);
+
+        if (snapshot.kind === 'submission') {
+            requestAutograderRun(snapshot.submission_id, snapshotId)
+                .catch(error => console.error('Autograder error:', error.message));
+        }
+    } catch (error) {
+        await repository.snapshots.fail(snapshotId, error.message);
+    }
+}
+
+// Deadline snapshots are taken by the deadline_snapshot job; see Scheduled jobs
+async function startSnapshotWorker() {
+    // Anything marked running belonged to a process that is gone
+    await repository.snapshots.requeueRunning();
+
+    const pending = await repository.snapshots.listPending();
+    pending.forEach(snapshot => queueSnapshot(snapshot.id));
+}
+
+// Queues a fresh snapshot, e.g. after a failure or once a private repo is shared
+app.post('/api/submissions/:id/snapshot', requireRole('professor', 'ta'), async (req, res) => {
+    const kind = req.body.kind || 'submission';
+
+    if (!['submission', 'deadline'].includes(kind)) {
+        return res.status(400).json({ error: 'Snapshot kind must be "submission" or "deadline"' });
+    }
+
+    try {
+        if (!(await findVisibleSubmission(req.params.id, req, 'grade_submissions'))) {
+            return res.status(404).json({ error: 'Submission not found or not authorized' });
+        }
+
+        const snapshotId = await requestSnapshot(req.params.id, kind);
+        res.status(202).json({ message: 'Snapshot queued', snapshotId });
+    } catch (error) {
+        console.error('Database error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+app.get('/api/snapshots/:id/archive', requireRole('professor', 'ta'), async (req, res) => {
+    try {
+        const snapshot = await repository.snapshots.findArchive(req.params.id, staffScope(req.session.userId, 'view_submissions'));
+
+        if (!snapshot) {
+            return res.status(404).json({ error: 'Snapshot not found' });
+        }
+
+        res.download(snapshot.archive_path, path.basename(snapshot.archive_path), (err) => {
+            if (err && !res.headersSent) {
+                res.status(404).json({ error: 'Snapshot archive is missing' });
+            }
+        });
+    } catch (error) {
+        console.error('Database error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Autograder
+// When a submission snapshot completes and the assignment has a test command,
+// a run is queued against that snapshot. Runs go one at a time, separately
+// from snapshots, and queued rows are picked up again after a restart.
+const queuedAutograderRuns = new Set();
+let autograderChain = Promise.resolve();
+
+function queueAutograderRun(runId) {
+    if (queuedAutograderRuns.has(runId)) return;
+    queuedAutograderRuns.add(runId);
+    autograderChain = autograderChain
+        .then(() => runAutograder(runId))
+        .catch(error => console.error('Autograder error:', error.message))
+        .finally(() => queuedAutograderRuns.delete(runId));
+}
+
+// Returns the run id, or null when the assignment has no autograder
+async function requestAutograderRun(submissionId, snapshotId) {
+    const id = await repository.autograderRuns.create(submissionId, snapshotId);
+    if (id) queueAutograderRun(id);
+    return id;
+}
+
+async function runAutograder(runId) {
+    const run = await repository.autograderRuns.start(runId);
+    if (!run) return;
+
+    try {
+        const config = await repository.autograder.find(run.assignment_id);
+        if (!config) {
+            throw new Error('The autograder was removed from this assignment');
+        }
+
+        const result = await autograder.runAutograder({
+            archivePath: run.archive_path,
+            command: config.command,
+            files: config.files,
+            timeoutSeconds: config.timeout_seconds,
+            memoryMb: config.memory_mb
+        }, autograderConfig);
+
+        await repository.autograderRuns.complete(runId, result);
+    } catch (error) {
+        await repository.autograderRuns.fail(runId, error.message);
+    }
+}
+
+async function startAutograderWorker() {
+    // Anything marked running belonged to a process that is gone
+    await repository.autograderRuns.requeueRunning();
+
+    const queued = await repository.autograderRuns.listQueued();
+    queued.forEach(run => queueAutograderRun(run.id));
+}
+
+// Reruns against the latest completed snapshot of the counted version
+async function rerunAutograder(submissionId) {
+    const snapshot = await repository.snapshots.findCounted(submissionId);
+    return snapshot ? requestAutograderRun(submissionId, snapshot.id) : null;
+}
+
+app.get('/api/assignments/:id/autograder', requireRole('professor'), async (req, res) => {
+    try {
+        if (!(await findTaughtAssignment(req.params.id, req.session.userId))) {
+            return res.status(404).json({ error: 'Assignment not found or not authorized' });
+        }
+
+        res.json({ autograder: await repository.autograder.find(req.params.id) });
+    } catch (error) {
+        console.error('Database error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Replaces the command, limits and the whole set of test files
+app.put('/api/assignments/:id/autograder', requireRole('professor'), async (req, res) => {
+    let settings;
+    try {
+        settings = autograder.normalizeAutograderSettings(req.body);
+    } catch (error) {
+        return res.status(error.status || 400).json({ error: error.message });
+    }
+
+    try {
+        if (!(await findTaughtAssignment(req.params.id, req.session.userId))) {
+            return res.status(404).json({ error: 'Assignment not found or not authorized' });
+        }
+
+        await repository.autograder.save(req.params.id, settings, req.session.userId);
+
+        res.json({ message: 'Autograder saved', autograder: await repository.autograder.find(req.params.id) });
+    } catch (error) {
+        console.error('Database error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+app.delete('/api/assignments/:id/autograder', requireRole('professor'), async (req, res) => {
+    try {
+        if (!(await findTaughtAssignment(req.params.id, req.session.userId))) {
+            return res.status(404).json({ error: 'Assignment not found or not authorized' });
+        }
+
+        if (!(await repository.autograder.remove(req.params.id))) {
+            return res.status(404).json({ error: 'This assignment has no autograder' });
+        }
+        res.json({ message: 'Autograder removed' });
+    } catch (error) {
+        console.error('Database error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Reruns every submission, e.g. after the tests change
+app.post('/api/assignments/:id/autograder/run', requireRole('professor'), async (req, res) => {
+    try {
+        if (!(await findTaughtAssignment(req.params.id, req.session.userId))) {
+            return res.status(404).json({ error: 'Assignment not found or not authorized' });
+        }
+
+        const submissions = await repository.submissions.listIds(req.params.id);
+        let queued = 0;
+        for (const submission of submissions) {
+            if (await rerunAutograder(submission.id)) queued++;
+        }
+        res.status(202).json({ message: `${queued} autograder run${queued === 1 ? '' : 's'} queued`, queued });
+    } catch (error) {
+        console.error('Database error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+app.post('/api/submissions/:id/autograde', requireRole('professor', 'ta'), async (req, res) => {
+    try {
+        if (!(await findVisibleSubmission(req.params.id, req, 'grade_submissions'))) {
+            return res.status(404).json({ error: 'Submission not found or not authorized' });
+        }
+
+        const runId = await rerunAutograder(req.params.id);
+        if (!runId) {
+            return res.status(409).json({ error: 'The assignment has no autograder, or the submission has no completed snapshot yet' });
+        }
+        res.status(202).json({ message: 'Autograder run queued', runId });
+    } catch (error) {
+        console.error('Database error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Latest run with its log, for the submitting student and the teacher
+app.get('/api/submissions/:id/autograder', requireAuth, async (req, res) => {
+    try {
+        if (!(await findVisibleSubmission(req.params.id, req))) {
+            return res.status(404).json({ error: 'Submission not found or not authorized' });
+        }
+
+        const run = await repository.autograderRuns.findLatest(req.params.id);
+        res.json({ run: run || null });
+    } catch (error) {
+        console.error('Database error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Similarity reports
+// A report compares the counted snapshot of every submission to an assignment.
+// Reports run one at a time in the background, like snapshots and autograder
+// runs; submissions without a completed snapshot are left out and counted.
+const queuedSimilarityReports = new Set();
+let similarityChain = Promise.resolve();
+
+function queueSimilarityReport(reportId) {
+    if (queuedSimilarityReports.has(reportId)) return;
+    queuedSimilarityReports.add(reportId);
+    similarityChain = similarityChain
+        .then(() => runSimilarityReport(reportId))
+        .catch(error => console.error('Similarity error:', error.message))
+        .finally(() => queuedSimilarityReports.delete(reportId));
+}
+
+async function runSimilarityReport(reportId) {
+    const report = await repository.similarityReports.start(reportId);
+    if (!report) return;
+
+    try {
+        const [snapshotted, submissionIds, starterFiles] = await Promise.all([
+            repository.snapshots.listCounted(report.assignment_id),
+            repository.submissions.listIds(report.assignment_id),
+            repository.similarityReports.listStarterFiles(report.assignment_id)
+        ]);
+
+        const submissions = [];
+        for (const submission of snapshotted) {
+            submissions.push({
+                id: submission.id,
+                sources: await similarity.readSnapshotSources(submission.archive_path)
+            });
+        }
+
+        const { pairs, commonFingerprints } = similarity.compareSubmissions(submissions, starterFiles, {
+            commonPercent: similarityConfig.commonPercent
+        });
+
+        await repository.similarityReports.complete(reportId, {
+            pairs,
+            submissionCount: submissions.length,
+            skippedCount: submissionIds.length - submissions.length,
+            commonFingerprints
+        });
+    } catch (error) {
+        await repository.similarityReports.fail(reportId, error.message);
+    }
+}
+
+async function startSimilarityWorker() {
+    // Anything marked running belonged to a process that is gone
+    await repository.similarityReports.requeueRunning();
+
+    const pending = await repository.similarityReports.listPending();
+    pending.forEach(report => queueSimilarityReport(report.id));
+}
+
+// Latest report for the assignment with its ranked pairs; matching regions load per pair
+app.get('/api/assignments/:id/similarity', requireRole('professor'), async (req, res) => {
+    try {
+        if (!(await findTaughtAssignment(req.params.id, req.session.userId))) {
+            return res.status(404).json({ error: 'Assignment not found or not authorized' });
+        }
+
+        res.json({ report: await repository.similarityReports.findLatest(req.params.id) });
+    } catch (error) {
+        console.error('Database error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+app.post('/api/assignments/:id/similarity', requireRole('professor'), async (req, res) => {
+    try {
+        if (!(await findTaughtAssignment(req.params.id, req.session.userId))) {
+            return res.status(404).json({ error: 'Assignment not found or not authorized' });
+        }
+
+        const id = await repository.similarityReports.create(req.params.id, req.session.userId);
+        queueSimilarityReport(id);
+
+        res.status(202).json({ message: 'Similarity report queued', reportId: id });
+    } catch (error) {
+        console.error('Database error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+app.get('/api/similarity/pairs/:id', requireRole('professor'), async (req, res) => {
+    try {
+        const pair = await repository.similarityReports.findPair(req.params.id, teachesScope(req.session.userId));
+        if (!pair) {
+            return res.status(404).json({ error: 'Pair not found' });
+        }
+
+        res.json({ pair });
+    } catch (error) {
+        console.error('Database error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Starter code whose fingerprints are excluded from every report
+app.get('/api/assignments/:id/similarity/starter', requireRole('professor'), async (req, res) => {
+    try {
+        if (!(await findTaughtAssignment(req.params.id, req.session.userId))) {
+            return res.status(404).json({ error: 'Assignment not found or not authorized' });
+        }
+
+        res.json({ files: await repository.similarityReports.listStarterFiles(req.params.id) });
+    } catch (error) {
+        console.error('Database error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+app.put('/api/assignments/:id/similarity/starter', requireRole('professor'), async (req, res) => {
+    let files;
+    try {
+        files = similarity.normalizeStarterFiles(req.body.files);
+    } catch (error) {
+        return res.status(error.status || 400).json({ error: error.message });
+    }
+
+    try {
+        if (!(await findTaughtAssignment(req.params.id, req.session.userId))) {
+            return res.status(404).json({ error: 'Assignment not found or not authorized' });
+        }
+
+        await repository.similarityReports.saveStarterFiles(req.params.id, files);
+
+        res.json({ message: 'Starter code saved', files });
+    } catch (error) {
+        console.error('Database error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Grading
+// `can_comment` is 0 for a TA whose course does not let them write feedback
+function findGradableSubmission(submissionId, userId) {
+    return repository.submissions.find(submissionId, staffScope(userId, 'grade_submissions'), {
+        can_comment: staffScope(userId, 'comment')
+    });
+}
+
+function hasText(value) {
+    return typeof value === 'string' && value.trim() !== '';
+}
+
+const NO_COMMENT_ERROR = 'You are not allowed to write feedback in this course';
+
+app.put('/api/submissions/:id/grade', requireRole('professor', 'ta'), async (req, res) => {
+    const submissionId = req.params.id;
+    let { feedback } = req.body;
+    const points = Number(req.body.points);
+    const maxPoints = req.body.maxPoints === undefined || req.body.maxPoints === '' ? 100 : Number(req.body.maxPoints);
+
+    if (req.body.points === undefined || req.body.points === '' || !Number.isFinite(points)) {
+        return res.status(400).json({ error: 'Points are required' });
+    }
+    if (!Number.isFinite(maxPoints) || maxPoints <= 0) {
+        return res.status(400).json({ error: 'Max points must be a positive number' });
+    }
+    if (points < 0 || points > maxPoints) {
+        return res.status(400).json({ error: 'Points must be between 0 and max points' });
+    }
+
+    try {
+        const submission = await findGradableSubmission(submissionId, req.session.userId);
+        if (!submission) {
+            return res.status(404).json({ error: 'Submission not found or not authorized' });
+        }
+        const outcome = await withTransaction(async tx => {
+            if (!submission.can_comment) {
+                // Grading without commenting leaves any earlier feedback alone
+                const existing = await tx.grades.find(submissionId);
+                if (hasText(feedback) && feedback !== (existing && existing.feedback)) {
+                    return { status: 403, error: NO_COMMENT_ERROR };
+                }
+                feedback = existing ? existing.feedback : null;
+            }
+
+            await tx.grades.save(submissionId, { points, maxPoints, feedback, gradedBy: req.session.userId });
+            return {};
+        });
+        if (outcome.error) {
+            return res.status(outcome.status).json({ error: outcome.error });
+        }
+
+        res.json({ submission: await repository.submissions.findGraded(submissionId) });
+        publishSubmissionEvent('grade_updated', submissionId, req.session.userId);
+        notifyGradeReleased(submissionId)
+            .catch(error => console.error('Notification error:', error.message));
+    } catch (error) {
+        console.error('Database error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Scores every rubric criterion; the total grade is computed here, never by the client
+app.put('/api/submissions/:id/rubric', requireRole('professor', 'ta'), async (req, res) => {
+    const submissionId = req.params.id;
+    const { scores } = req.body;
+    let { feedback } = req.body;
+
+    try {
+        const submission = await findGradableSubmission(submissionId, req.session.userId);
+        if (!submission) {
+            return res.status(404).json({ error: 'Submission not found or not authorized' });
+        }
+        if (!submission.rubric_id) {
+            return res.status(400).json({ error: 'Assignment has no rubric attached' });
+        }
+
+        const rubric = await repository.rubrics.find(submission.rubric_id);
+        const result = rubrics.scoreRubric(rubric, scores);
+
+        const outcome = await withTransaction(async tx => {
+            if (!submission.can_comment) {
+                const existing = await tx.grades.find(submissionId);
+                const comments = new Map((await tx.grades.listRubricScores(submissionId)).map(row => [row.criterion_id, row.comment]));
+                const rewritten = result.criteria.some(score => score.comment && score.comment !== comments.get(score.criterionId));
+                if (rewritten || (hasText(feedback) && feedback !== (existing && existing.feedback))) {
+                    return { status: 403, error: NO_COMMENT_ERROR };
+                }
+                result.criteria.forEach(score => { score.comment = comments.get(score.criterionId) || null; });
+                feedback = existing ? existing.feedback : null;
+            }
+
+            await tx.grades.saveRubricScores(submissionId, result.criteria, {
+                points: result.points,
+                maxPoints: result.maxPoints,
+                feedback,
+                gradedBy: req.session.userId
+            });
+            return {};
+        });
+        if (outcome.error) {
+            return res.status(outcome.status).json({ error: outcome.error });
+        }
+
+        res.json({ submission: await repository.submissions.findGraded(submissionId) });
+        publishSubmissionEvent('grade_updated', submissionId, req.session.userId);
+        notifyGradeReleased(submissionId)
+            .catch(error => console.error('Notification error:', error.message));
+    } catch (error) {
+        if (error instanceof rubrics.RubricValidationError) {
+            return res.status(400).json({ error: error.message });
+        }
+        console.error('Database error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// The filled rubric, visible to the course staff and the submitting student
+app.get('/api/submissions/:id/rubric', requireAuth, async (req, res) => {
+    try {
+        const submission = await repository.submissions.find(req.params.id, null, {
+            teaches: staffScope(req.session.userId, 'view_submissions')
+        });
+        const allowed = submission && (submission.student_id === req.session.userId ||
+                                       (isStaff(req) && submission.teaches));
+        if (!allowed) {
+            return res.status(404).json({ error: 'Submission not found' });
+        }
+        if (!submission.rubric_id) {
+            return res.json({ rubric: null, scores: [] });
+        }
+
+        const rubric = await repository.rubrics.find(submission.rubric_id);
+        res.json({ rubric, scores: await repository.grades.listRubricScores(submission.id) });
+    } catch (error) {
+        console.error('Database error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Rubrics
+function findOwnRubric(rubricId, professorId) {
+    return repository.rubrics.findOwned(rubricId, professorId);
+}
+
+app.get('/api/rubrics', requireRole('professor'), async (req, res) => {
+    try {
+        res.json({ rubrics: await repository.rubrics.listOwned(req.session.userId) });
+    } catch (error) {
+        console.error('Database error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+app.get('/api/rubrics/:id', requireRole('professor'), async (req, res) => {
+    try {
+        if (!(await findOwnRubric(req.params.id, req.session.userId))) {
+            return res.status(404).json({ error: 'Rubric not found' });
+        }
+        res.json({ rubric: await repository.rubrics.find(req.params.id) });
+    } catch (error) {
+        console.error('Database error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+app.post('/api/rubrics', requireRole('professor'), async (req, res) => {
+    let rubric;
+    try {
+        rubric = rubrics.normalizeRubric(req.body);
+    } catch (error) {
+        return res.status(400).json({ error: error.message });
+    }
+
+    try {
+        const rubricId = await repository.rubrics.create(rubric, req.session.userId);
+        res.status(201).json({ rubric: await repository.rubrics.find(rubricId) });
+    } catch (error) {
+        console.error('Database error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+app.delete('/api/rubrics/:id', requireRole('professor'), async (req, res) => {
+    const rubricId = req.params.id;
+
+    try {
+        if (!(await findOwnRubric(rubricId, req.session.userId))) {
+            return res.status(404).json({ error: 'Rubric not found or not authorized' });
+        }
+
+        if (await repository.rubrics.countUses(rubricId) > 0) {
+            return res.status(409).json({ error: 'Rubric is attached to assignments' });
+        }
+
+        await repository.rubrics.remove(rubricId);
+
+        res.json({ message: 'Rubric deleted successfully' });
+    } catch (error) {
+        console.error('Database error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Courses
+app.get('/api/courses', requireAuth, async (req, res) => {
+    try {
+        let courses;
+        if (req.session.userRole === 'professor') {
+            courses = await repository.courses.listOwned(req.session.userId);
+        } else if (req.session.userRole === 'ta') {
+            courses = await repository.courses.listAssisted(req.session.userId);
+        } else {
+            courses = await repository.courses.listEnrolled(req.session.userId);
+        }
+        const sections = await repository.courses.listSections(courses.map(course => course.id));
+        courses.forEach(course => {
+            course.sections = sections.filter(section => section.course_id === course.id);
+            course.ta_permissions = roles.taPermissionsOf(course);
+        });
+        res.json({ courses });
+    } catch (error) {
+        console.error('Database error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+app.post('/api/courses', requireRole('professor'), async (req, res) => {
+    const { code, title, description } = req.body;
+    const sections = Array.isArray(req.body.sections) ? req.body.sections.map(name => String(name).trim()).filter(Boolean) : [];
+
+    if (!code || !title) {
+        return res.status(400).json({ error: 'Course code and title are required' });
+    }
+
+    try {
+        const id = await repository.courses.create({
+            code: code.trim(), title: title.trim(), description: description || null, ownerId: req.session.userId
+        }, sections);
+
+        const course = await findOwnCourse(id, req.session.userId);
+        course.sections = await repository.courses.listSections([id]);
+        course.student_count = 0;
+        res.status(201).json({ course });
+    } catch (error) {
+        if (error.code === 'SQLITE_CONSTRAINT') {
+            return res.status(409).json({ error: 'You already have a course with this code' });
+        }
+        console.error('Database error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+app.put('/api/courses/:id', requireRole('professor'), async (req, res) => {
+    const { code, title, description } = req.body;
+
+    if (!code || !title) {
+        return res.status(400).json({ error: 'Course code and title are required' });
+    }
+
+    try {
+        const updated = await repository.courses.update(req.params.id, {
+            code: code.trim(), title: title.trim(), description: description || null
+        }, ownsScope(req.session.userId));
+        if (!updated) {
+            return res.status(404).json({ error: 'Course not found or not authorized' });
+        }
+        res.json({ message: 'Course updated successfully' });
+    } catch (error) {
+        if (error.code === 'SQLITE_CONSTRAINT') {
+            return res.status(409).json({ error: 'You already have a course with this code' });
+        }
+        console.error('Database error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+app.post('/api/courses/:id/sections', requireRole('professor'), async (req, res) => {
+    const name = (req.body.name || '').trim();
+
+    if (!name) {
+        return res.status(400).json({ error: 'Section name is required' });
+    }
+
+    try {
+        if (!(await findOwnCourse(req.params.id, req.session.userId))) {
+            return res.status(404).json({ error: 'Course not found or not authorized' });
+        }
+
+        res.status(201).json({ section: await repository.courses.addSection(req.params.id, name) });
+    } catch (error) {
+        if (error.code === 'SQLITE_CONSTRAINT') {
+            return res.status(409).json({ error: 'Section already exists' });
+        }
+        console.error('Database error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+app.get('/api/courses/:id/enrollments', requireRole('professor', 'ta'), async (req, res) => {
+    try {
+        if (!(await findStaffCourse(req.params.id, req.session.userId))) {
+            return res.status(404).json({ error: 'Course not found or not authorized' });
+        }
+
+        res.json({ enrollments: await repository.enrollments.list(req.params.id) });
+    } catch (error) {
+        console.error('Database error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Enrolls an existing student account by email, or moves them to another section
+app.post('/api/courses/:id/enrollments', requireRole('professor'), async (req, res) => {
+    const email = (req.body.email || '').trim().toLowerCase();
+    const sectionId = req.body.sectionId || null;
+    const courseId = req.params.id;
+
+    if (!email) {
+        return res.status(400).json({ error: 'Student email is required' });
+    }
+
+    try {
+        if (!(await findOwnCourse(courseId, req.session.userId))) {
+            return res.status(404).json({ error: 'Course not found or not authorized' });
+        }
+
+        const student = await repository.users.findByEmail(email);
+        if (!student || student.role !== 'student') {
+            return res.status(404).json({ error: 'No student account with that email' });
+        }
+
+        if (sectionId && !(await repository.courses.findSection(sectionId, courseId))) {
+            return res.status(400).json({ error: 'Section not found in this course' });
+        }
+
+        await repository.enrollments.enroll(courseId, student.id, sectionId);
+
+        res.status(201).json({ message: 'Student enrolled successfully' });
+    } catch (error) {
+        console.error('Database error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+app.delete('/api/courses/:id/enrollments/:studentId', requireRole('professor'), async (req, res) => {
+    try {
+        if (!(await findOwnCourse(req.params.id, req.session.userId))) {
+            return res.status(404).json({ error: 'Course not found or not authorized' });
+        }
+
+        if (!(await repository.enrollments.remove(req.params.id, req.params.studentId))) {
+            return res.status(404).json({ error: 'Enrollment not found' });
+        }
+        res.json({ message: 'Student unenrolled successfully' });
+    } catch (error) {
+        console.error('Database error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Teaching assistants
+// The owner adds TA accounts to a course and chooses what every TA of the
+// course may do there.
+app.get('/api/courses/:id/tas', requireRole('professor'), async (req, res) => {
+    try {
+        const course = await findOwnCourse(req.params.id, req.session.userId);
+        if (!course) {
+            return res.status(404).json({ error: 'Course not found or not authorized' });
+        }
+        res.json({ tas: await repository.courseTas.list(course.id), permissions: roles.taPermissionsOf(course) });
+    } catch (error) {
+        console.error('Database error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+app.post('/api/courses/:id/tas', requireRole('professor'), async (req, res) => {
+    const email = (req.body.email || '').trim().toLowerCase();
+
+    if (!email) {
+        return res.status(400).json({ error: 'TA email is required' });
+    }
+
+    try {
+        const course = await findOwnCourse(req.params.id, req.session.userId);
+        if (!course) {
+            return res.status(404).json({ error: 'Course not found or not authorized' });
+        }
+
+        const user = await repository.users.findByEmail(email);
+        if (!user || user.role !== 'ta') {
+            return res.status(404).json({ error: 'No teaching assistant account with that email' });
+        }
+
+        if (!(await repository.courseTas.add(course.id, user.id, req.session.userId))) {
+            return res.status(409).json({ error: 'Already a TA of this course' });
+        }
+        res.status(201).json({ tas: await repository.courseTas.list(course.id) });
+    } catch (error) {
+        console.error('Database error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+app.delete('/api/courses/:id/tas/:userId', requireRole('professor'), async (req, res) => {
+    try {
+        if (!(await findOwnCourse(req.params.id, req.session.userId))) {
+            return res.status(404).json({ error: 'Course not found or not authorized' });
+        }
+
+        if (!(await repository.courseTas.remove(req.params.id, req.params.userId))) {
+            return res.status(404).json({ error: 'TA not found in this course' });
+        }
+        res.json({ message: 'TA removed from the course' });
+    } catch (error) {
+        console.error('Database error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// { permissions: { view_submissions: true, ... } }; permissions left out keep their value
+app.put('/api/courses/:id/ta-permissions', requireRole('professor'), async (req, res) => {
+    const changes = req.body.permissions;
+
+    if (!changes || typeof changes !== 'object' || Array.isArray(changes)) {
+        return res.status(400).json({ error: 'Permissions are required' });
+    }
+
+    const unknown = Object.keys(changes).filter(permission => !(permission in roles.TA_PERMISSIONS));
+    if (unknown.length) {
+        return res.status(400).json({ error: `Unknown TA permission: ${unknown.join(', ')}` });
+    }
+    if (Object.values(changes).some(value => typeof value !== 'boolean')) {
+        return res.status(400).json({ error: 'Each permission must be true or false' });
+    }
+
+    try {
+        const course = await findOwnCourse(req.params.id, req.session.userId);
+        if (!course) {
+            return res.status(404).json({ error: 'Course not found or not authorized' });
+        }
+
+        const permissions = { ...roles.taPermissionsOf(course), ...changes };
+        if (!permissions.view_submissions && (permissions.grade_submissions || permissions.comment)) {
+            return res.status(400).json({ error: 'TAs must be able to view submissions to grade or comment on them' });
+        }
+
+        await repository.courses.setTaPermissions(course.id, permissions);
+        res.json({ permissions });
+    } catch (error) {
+        console.error('Database error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Course invite codes
+// The owner hands out codes (or links carrying them) that students use to
+// register and enroll, or just enroll. Revoked codes are kept for the record.
+function toInviteCodeResponse(invite) {
+    return {
+        ...invite,
+        url: registration.courseInviteUrl(mailConfig.appUrl, invite.code),
+        status: registration.inviteCodeStatus(invite)
+    };
+}
+
+async function loadInviteCodes(courseId) {
+    const codes = await repository.inviteCodes.list(courseId);
+    return codes.map(toInviteCodeResponse);
+}
+
+app.get('/api/courses/:id/invite-codes', requireRole('professor'), async (req, res) => {
+    try {
+        if (!(await findOwnCourse(req.params.id, req.session.userId))) {
+            return res.status(404).json({ error: 'Course not found or not authorized' });
+        }
+        res.json({ codes: await loadInviteCodes(req.params.id) });
+    } catch (error) {
+        console.error('Database error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// { expiresInDays, maxUses, sectionId }; maxUses left empty means no limit
+app.post('/api/courses/:id/invite-codes', requireRole('professor'), async (req, res) => {
+    const { expiresInDays = registration.DEFAULT_INVITE_CODE_DAYS, maxUses = null, sectionId = null } = req.body;
+
+    if (!Number.isInteger(expiresInDays) || expiresInDays < 1 || expiresInDays > registration.MAX_INVITE_CODE_DAYS) {
+        return res.status(400).json({ error: `Expiry must be a whole number of days from 1 to ${registration.MAX_INVITE_CODE_DAYS}` });
+    }
+    if (maxUses !== null && (!Number.isInteger(maxUses) || maxUses < 1 || maxUses > registration.MAX_INVITE_CODE_USES)) {
+        return res.status(400).json({ error: `Use limit must be a whole number from 1 to ${registration.MAX_INVITE_CODE_USES}` });
+    }
+
+    try {
+        if (!(await findOwnCourse(req.params.id, req.session.userId))) {
+            return res.status(404).json({ error: 'Course not found or not authorized' });
+        }
+        if (sectionId && !(await repository.courses.findSection(sectionId, req.params.id))) {
+            return res.status(400).json({ error: 'Section not found in this course' });
+        }
+
+        const expiresAt = new Date(Date.now() + expiresInDays * 24 * HOUR_MS).toISOString();
+        let id;
+        // A fresh code clashing with an existing one is unlikely but possible
+        for (let attempt = 1; ; attempt++) {
+            try {
+                id = await repository.inviteCodes.create({
+                    courseId: req.params.id, code: registration.generateInviteCode(), sectionId,
+                    createdBy: req.session.userId, expiresAt, maxUses
+                });
+                break;
+            } catch (error) {
+                if (error.code !== 'SQLITE_CONSTRAINT' || attempt === 5) throw error;
+            }
+        }
+
+        const codes = await loadInviteCodes(req.params.id);
+        res.status(201).json({ code: codes.find(code => code.id === id), codes });
+    } catch (error) {
+        console.error('Database error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+app.delete('/api/courses/:id/invite-codes/:codeId', requireRole('professor'), async (req, res) => {
+    try {
+        if (!(await findOwnCourse(req.params.id, req.session.userId))) {
+            return res.status(404).json({ error: 'Course not found or not authorized' });
+        }
+
+        const invite = await repository.inviteCodes.findInCourse(req.params.codeId, req.params.id);
+        if (!invite) {
+            return res.status(404).json({ error: 'Invite code not found in this course' });
+        }
+        if (invite.revoked_at) {
+            return res.status(409).json({ error: 'This invite code is already revoked' });
+        }
+
+        await repository.inviteCodes.revoke(invite.id);
+        res.json({ codes: await loadInviteCodes(req.params.id) });
+    } catch (error) {
+        console.error('Database error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Creates and enrolls students from a CSV: { csv, credentials: 'invite' | 'password', dryRun }.
+// The per-row report comes back as CSV text; it is the only copy of any new credentials.
+app.post('/api/courses/:id/roster', requireRole('professor'), async (req, res) => {
+    try {
+        if (!(await findOwnCourse(req.params.id, req.session.userId))) {
+            return res.status(404).json({ error: 'Course not found or not authorized' });
+        }
+
+        const result = await roster.importRoster(repository, {
+            courseId: req.params.id,
+            csv: req.body.csv,
+            mode: req.body.credentials,
+            appUrl: mailConfig.appUrl,
+            createdBy: req.session.userId,
+            dryRun: req.body.dryRun === true
+        });
+        res.json({ ...result, report: toCsv(roster.rosterReport(result.results)) });
+    } catch (error) {
+        if (error instanceof roster.RosterError || error instanceof CsvError) {
+            return res.status(400).json({ error: error.message });
+        }
+        console.error('Database error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+app.get('/api/courses/:id/accommodations', requireRole('professor'), async (req, res) => {
+    try {
+        if (!(await findOwnCourse(req.params.id, req.session.userId))) {
+            return res.status(404).json({ error: 'Course not found or not authorized' });
+        }
+
+        res.json({ accommodations: await repository.extensions.listAccommodations(req.params.id) });
+    } catch (error) {
+        console.error('Database error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Grants or replaces a student's extra-time accommodation for every assignment in the course
+app.post('/api/courses/:id/accommodations', requireRole('professor'), async (req, res) => {
+    const { studentId } = req.body;
+    const courseId = req.params.id;
+
+    if (!studentId) {
+        return res.status(400).json({ error: 'Student is required' });
+    }
+
+    let grant;
+    try {
+        grant = extensions.normalizeAccommodation(req.body);
+    } catch (error) {
+        return res.status(400).json({ error: error.message });
+    }
+
+    try {
+        if (!(await findOwnCourse(courseId, req.session.userId))) {
+            return res.status(404).json({ error: 'Course not found or not authorized' });
+        }
+        if (!(await repository.enrollments.find(courseId, studentId))) {
+            return res.status(400).json({ error: 'Student is not enrolled in this course' });
+        }
+
+        await repository.extensions.grantAccommodation(courseId, studentId, grant, req.session.userId);
+        res.status(201).json({ accommodation: await repository.extensions.findAccommodation(courseId, studentId) });
+        rescheduleStudentDeadlines(studentId, courseId)
+            .catch(error => console.error('Scheduler error:', error.message));
+    } catch (error) {
+        console.error('Database error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+app.delete('/api/courses/:id/accommodations/:studentId', requireRole('professor'), async (req, res) => {
+    try {
+        if (!(await findOwnCourse(req.params.id, req.session.userId))) {
+            return res.status(404).json({ error: 'Course not found or not authorized' });
+        }
+
+        if (!(await repository.extensions.revokeAccommodation(req.params.id, req.params.studentId))) {
+            return res.status(404).json({ error: 'Accommodation not found' });
+        }
+        res.json({ message: 'Accommodation revoked' });
+        rescheduleStudentDeadlines(req.params.studentId, req.params.id)
+            .catch(error => console.error('Scheduler error:', error.message));
+    } catch (error) {
+        console.error('Database error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Gradebook
+async function loadGradebook(courseId) {
+    return gradebook.buildGradebook(await repository.grades.listForCourse(courseId));
+}
+
+function exportFilename(course, extension) {
+    const code = course.code.replace(/[^A-Za-z0-9_-]+/g, '-').replace(/^-+|-+$/g, '') || 'course';
+    return `${code}-gradebook-${new Date().toISOString().slice(0, 10)}.${extension}`;
+}
+
+// ?format=csv or ?format=xlsx downloads the matrix instead of returning JSON
+app.get('/api/courses/:id/gradebook', requireRole('professor', 'ta'), async (req, res) => {
+    const format = req.query.format || 'json';
+
+    if (!['json', 'csv', 'xlsx'].includes(format)) {
+        return res.status(400).json({ error: 'Format must be json, csv or xlsx' });
+    }
+
+    try {
+        const course = await findStaffCourse(req.params.id, req.session.userId, 'view_submissions');
+        if (!course) {
+            return res.status(404).json({ error: 'Course not found or not authorized' });
+        }
+
+        const book = await loadGradebook(course.id);
+        if (format === 'json') {
+            return res.json({ course, gradebook: book });
+        }
+
+        const rows = gradebook.gradebookTable(book);
+        res.attachment(exportFilename(course, format));
+        if (format === 'csv') {
+            // The byte order mark tells Excel the file is UTF-8
+            res.type('text/csv; charset=utf-8').send('\uFEFF' + toCsv(rows));
+        } else {
+            res.type('xlsx').send(buildXlsx(rows, { sheet: `${course.code} grades`, frozenColumns: 2 }));
+        }
+    } catch (error) {
+        console.error('Database error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Grades from a CSV: { csv, apply }. Without apply it only previews; with it,
+// every grade is saved in one transaction, and only when no row has an error.
+app.post('/api/courses/:id/gradebook/import', requireRole('professor', 'ta'), async (req, res) => {
+    let records;
+    try {
+        records = gradebook.parseGradeImport(req.body.csv);
+    } catch (error) {
+        return res.status(error.status || 400).json({ error: error.message });
+    }
+
+    try {
+        const course = await findStaffCourse(req.params.id, req.session.userId, 'grade_submissions');
+        if (!course) {
+            return res.status(404).json({ error: 'Course not found or not authorized' });
+        }
+
+        const feedback = course.owner_id === req.session.userId || Boolean(course.ta_comment);
+        const plan = gradebook.planGradeImport(records, await loadGradebook(course.id), { feedback });
+        if (req.body.apply !== true) {
+            return res.json(plan);
+        }
+        if (plan.errors.length) {
+            return res.status(400).json({ error: 'Fix the rows with errors before applying the import', ...plan });
+        }
+
+        const changed = plan.changes.filter(change => change.action !== 'unchanged');
+        await withTransaction(async tx => {
+            for (const change of changed) {
+                await tx.grades.save(change.submissionId, { ...change.after, gradedBy: req.session.userId });
+            }
+        });
+
+        res.json({ message: `Imported ${changed.length} grade${changed.length === 1 ? '' : 's'}`, ...plan });
+        changed.forEach(change => {
+            publishSubmissionEvent('grade_updated', change.submissionId, req.session.userId);
+            notifyGradeReleased(change.submissionId)
+                .catch(error => console.error('Notification error:', error.message));
+        });
+    } catch (error) {
+        console.error('Database error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Statistics
+// Counts cover only the professor's own courses and assignments
+app.get('/api/stats', requireRole('professor'), async (req, res) => {
+    try {
+        const stats = await repository.stats.totals(teachesScope(req.session.userId), ownsScope(req.session.userId));
+        req.sessionStore.length((err, activeSessions) => {
+            res.json({ stats: { ...stats, activeSessions: err ? 1 : activeSessions } });
+        });
+    } catch (error) {
+        console.error('Database error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Real-time updates
+// Events go only to users who could load the same data: an assignment's
+// teacher and enrolled students for assignment events, and the teacher and
+// the submitting student for submission and grade events.
+app.get('/api/submissions/stream', requireAuth, (req, res) => {
+    eventStream.connect(req, res, req.session.userId);
+});
+
+// The course's staff (TAs only when the course grants them `taPermission`, if
+// one is named) and, unless told otherwise, its students
+async function assignmentAudience(assignment, { students = true, taPermission = null } = {}) {
+    const recipients = [];
+    if (assignment.course_id) {
+        const course = await repository.courses.find(assignment.course_id);
+        if (course) {
+            recipients.push(course.owner_id);
+            if (!taPermission || course[roles.taPermissionColumn(taPermission)]) {
+                const tas = await repository.courseTas.list(course.id);
+                tas.forEach(ta => recipients.push(ta.user_id));
+            }
+        }
+        if (students) {
+            const enrolled = await repository.enrollments.list(assignment.course_id);
+            enrolled.forEach(enrollment => recipients.push(enrollment.student_id));
+        }
+    } else {
+        recipients.push(assignment.created_by);
+    }
+    return recipients;
+}
+
+// Publishing never fails the request that triggered it; actorId lets clients skip their own changes
+function publishAssignmentEvent(type, assignmentId, actorId) {
+    repository.assignments.find(assignmentId)
+        .then(async assignment => {
+            if (!assignment) return;
+            eventStream.publish(type, {
+                assignmentId: assignment.id,
+                title: assignment.title,
+                courseId: assignment.course_id,
+                actorId
+            }, await assignmentAudience(assignment));
+        })
+        .catch(error => console.error('Event error:', error.message));
+}
+
+function publishSubmissionEvent(type, submissionId, actorId) {
+    repository.submissions.findOverview(submissionId)
+        .then(async submission => {
+            if (!submission) return;
+            const teachers = await assignmentAudience(submission, { students: false, taPermission: 'view_submissions' });
+            eventStream.publish(type, {
+                submissionId: submission.id,
+                assignmentId: submission.assignment_id,
+                assignmentTitle: submission.assignment_title,
+                studentName: submission.student_name,
+                status: submission.status,
+                actorId
+            }, [...teachers, submission.student_id]);
+        })
+        .catch(error => console.error('Event error:', error.message));
+}
+
+// Email notifications
+// Messages go through the email_outbox table and are sent in the background,
+// so a slow or failing mail server never holds up the request behind them.
+let mailDeliveryQueued = false;
+let mailChain = Promise.resolve();
+const SIGN_IN_LINK_EMAILS = ['verify_email', 'password_reset'];
+
+function queueMailDelivery() {
+    if (mailDeliveryQueued) return;
+    mailDeliveryQueued = true;
+    mailChain = mailChain
+        .then(() => {
+            mailDeliveryQueued = false;
+            return deliverDueMail();
+        })
+        .catch(error => console.error('Mail error:', error.message));
+}
+
+async function deliverDueMail() {
+    const due = await repository.emailOutbox.listDue();
+
+    for (const message of due) {
+        await repository.emailOutbox.markSending(message.id);
+        const attempts = message.attempts + 1;
+        try {
+            await mailTransport.send({
+                to: message.to_address,
+                subject: message.subject,
+                text: message.text_body,
+                html: message.html_body
+            });
+            // Once sent, a link that signs someone in is only needed in the recipient's inbox
+            await repository.emailOutbox.markSent(message.id, attempts, {
+                clearBody: SIGN_IN_LINK_EMAILS.includes(message.type)
+            });
+        } catch (error) {
+            await repository.emailOutbox.recordFailure(message.id, {
+                attempts,
+                error: error.message,
+                retryIn: `+${Math.round(notifications.retryDelayMs(attempts) / 1000)} seconds`,
+                gaveUp: attempts >= notifications.MAX_SEND_ATTEMPTS
+            });
+        }
+    }
+}
+
+// Renders and queues one email unless the recipient opted out of `type`.
+// A dedupeKey that was queued before is ignored, so sweeps can run repeatedly.
+async function queueNotification(userId, type, data, dedupeKey = null) {
+    if (!notifications.NOTIFICATION_TYPES[type]) {
+        throw new Error(`Unknown notification type "${type}"`);
+    }
+
+    const recipient = await repository.notificationPreferences.findRecipient(userId, type);
+    if (!recipient || !recipient.email || recipient.enabled === 0) return;
+
+    const email = notifications.renderEmail(type, data, { recipientName: recipient.name, appUrl: mailConfig.appUrl });
+    const added = await repository.emailOutbox.add({ userId, type, dedupeKey, to: recipient.email, ...email });
+    if (added) queueMailDelivery();
+}
+
+// Account emails skip the opt-out check and the dedupe key
+async function queueAccountEmail(userId, type, data) {
+    if (!notifications.ACCOUNT_EMAIL_TYPES.includes(type)) {
+        throw new Error(`Unknown account email type "${type}"`);
+    }
+
+    const recipient = await repository.users.findById(userId);
+    if (!recipient || !recipient.email) return;
+
+    const email = notifications.renderEmail(type, data, { recipientName: recipient.name, appUrl: mailConfig.appUrl });
+    await repository.emailOutbox.add({ userId, type, to: recipient.email, ...email });
+    queueMailDelivery();
+}
+
+async function notifyAssignmentPublished(assignmentId) {
+    const assignment = await repository.assignments.findDetails(assignmentId);
+    if (!assignment || !assignment.course_id) return;
+
+    const data = {
+        assignmentTitle: assignment.title,
+        courseCode: assignment.course_code,
+        courseTitle: assignment.course_title,
+        deadline: assignment.deadline,
+        description: assignment.description
+    };
+    const students = await repository.enrollments.list(assignment.course_id);
+    for (const { student_id: studentId } of students) {
+        await queueNotification(studentId, 'assignment_published', data);
+    }
+}
+
+async function notifySubmissionReceipt(versionId) {
+    const version = await repository.submissions.findReceipt(versionId);
+    if (!version) return;
+
+    await queueNotification(version.student_id, 'submission_receipt', {
+        assignmentTitle: version.assignment_title,
+        version: version.version,
+        repoLink: version.repo_link,
+        ref: version.repo_ref ? `${version.repo_ref_type} ${version.repo_ref}` : null,
+        submittedAt: version.submitted_at_utc,
+        minutesLate: version.minutes_late,
+        latePenalty: version.late_penalty
+    });
+}
+
+async function notifyGradeReleased(submissionId) {
+    const submission = await repository.submissions.findGraded(submissionId);
+    if (!submission || submission.points === null || submission.points === undefined) return;
+
+    await queueNotification(submission.student_id, 'grade_released', {
+        assignmentTitle: submission.assignment_title,
+        points: submission.points,
+        maxPoints: submission.max_points,
+        latePenalty: submission.applied_late_penalty,
+        feedback: submission.feedback
+    });
+}
+
+async function notifyExtensionGranted(assignmentId, studentId) {
+    const extension = await repository.extensions.findDetails(assignmentId, studentId);
+    if (!extension) return;
+
+    await queueNotification(studentId, 'extension_granted', {
+        assignmentTitle: extension.assignment_title,
+        courseCode: extension.course_code,
+        deadline: extension.deadline,
+        reason: extension.reason
+    });
+}
+
+// Runs as a recurring job; each professor's digest covers the hand-ins since the previous one
+async function queueSubmissionDigests() {
+    const due = await repository.notificationPreferences.listDigestsDue(notificationSchedule.digestHours);
+
+    for (const professor of due) {
+        const submissions = await repository.submissions.listVersionsBetween(professor.since, professor.until,
+                                                                             teachesScope(professor.id));
+
+        if (submissions.length) {
+            await queueNotification(professor.id, 'submission_digest', {
+                since: `${professor.since.replace(' ', 'T')}Z`,
+                submissions: submissions.map(submission => ({
+                    assignmentTitle: submission.assignment_title,
+                    studentName: submission.student_name,
+                    version: submission.version,
+                    status: submission.status,
+                    submittedAt: submission.submitted_at_utc
+                }))
+            }, `submission_digest:${professor.id}:${professor.until}`);
+        }
+
+        await repository.notificationPreferences.markDigestSent(professor.id, professor.until);
+    }
+}
+
+app.get('/api/notifications/preferences', requireAuth, async (req, res) => {
+    try {
+        const saved = await repository.notificationPreferences.find(req.session.userId);
+        const preferences = notifications.typesForRole(req.session.userRole).map(type => ({
+            type,
+            label: notifications.NOTIFICATION_TYPES[type].label,
+            description: notifications.NOTIFICATION_TYPES[type].description,
+            enabled: saved ? Boolean(saved[type]) : true
+        }));
+        res.json({ preferences });
+    } catch (error) {
+        console.error('Database error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Accepts { preferences: { type: true|false } }; types left out keep their setting
+app.put('/api/notifications/preferences', requireAuth, async (req, res) => {
+    let preferences;
+    try {
+        preferences = notifications.normalizePreferences(req.body.preferences, req.session.userRole);
+    } catch (error) {
+        return res.status(400).json({ error: error.message });
+    }
+
+    try {
+        await repository.notificationPreferences.save(req.session.userId, preferences);
+        res.json({ message: 'Notification preferences saved' });
+    } catch (error) {
+        console.error('Database error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Scheduled jobs
+// Work tied to a point in time: reminders before each deadline, closing an
+// assignment, the snapshot at each student's own deadline, and periodic
+// upkeep. Deadlines can move after a job was scheduled, so handlers look at
+// the current state when they run rather than trusting their payload.
+const HOUR_MS = 60 * 60 * 1000;
+const SCHEDULE_SLACK_MS = 60 * 1000;
+
+function reminderKey(assignmentId, hours, studentId = null) {
+    return `deadline_reminder:${assignmentId}:${hours}h${studentId ? `:${studentId}` : ''}`;
+}
+
+// Reminders before the shared deadline and the event that closes the assignment.
+// Students whose own deadline is later get their reminders from the handler.
+async function scheduleAssignmentJobs(assignmentId) {
+    const assignment = await repository.assignments.find(assignmentId);
+    if (!assignment || !assignment.course_id) return;
+
+    const deadline = new Date(assignment.deadline);
+    if (deadline > new Date()) {
+        for (const hours of notificationSchedule.reminderHours) {
+            await jobs.schedule({
+                key: reminderKey(assignment.id, hours),
+                type: 'deadline_reminder',
+                runAt: new Date(deadline.getTime() - hours * HOUR_MS),
+                payload: { assignmentId: assignment.id, hours },
+                assignmentId: assignment.id
+            });
+        }
+    }
+
+    await jobs.schedule({
+        key: `assignment_close:${assignment.id}`,
+        type: 'assignment_close',
+        runAt: latePolicy.lateWindowEnd(assignment) || deadline,
+        payload: { assignmentId: assignment.id },
+        assignmentId: assignment.id
+    });
+}
+
+async function scheduleDeadlineSnapshot(submissionId) {
+    const submission = await repository.snapshots.findDeadline(submissionId);
+    if (!submission) return;
+
+    await jobs.schedule({
+        key: `deadline_snapshot:${submission.id}`,
+        type: 'deadline_snapshot',
+        runAt: extensions.effectiveDeadline(submission, submission),
+        payload: { submissionId: submission.id },
+        assignmentId: submission.assignment_id
+    });
+}
+
+// After a deadline change everything timed from the old one is dropped and rebuilt
+async function rescheduleAssignment(assignmentId) {
+    await jobs.cancelForAssignment(assignmentId);
+    await scheduleAssignmentJobs(assignmentId);
+
+    const submissions = await repository.submissions.listIds(assignmentId);
+    for (const submission of submissions) {
+        await scheduleDeadlineSnapshot(submission.id);
+    }
+}
+
+// Reminders, closing and deadline snapshots follow a moved deadline or late window
+async function rescheduleIfMoved(previous) {
+    const current = await repository.assignments.find(previous.id);
+    const timing = ['deadline', 'course_id', 'late_policy', 'grace_period_minutes', 'late_cutoff'];
+    if (current && timing.some(column => current[column] !== previous[column])) {
+        await rescheduleAssignment(previous.id);
+    }
+}
+
+// Follows a student's own deadline after an extension or accommodation changes
+async function rescheduleStudentDeadlines(studentId, courseId, assignmentId = null) {
+    for (const row of await repository.assignments.listStudentDeadlines(courseId, studentId, assignmentId)) {
+        if (row.submission_id) {
+            await scheduleDeadlineSnapshot(row.submission_id);
+            continue;
+        }
+
+        const deadline = new Date(extensions.effectiveDeadline(row, row));
+        if (deadline <= new Date()) continue;
+        for (const hours of notificationSchedule.reminderHours) {
+            await jobs.schedule({
+                key: reminderKey(row.id, hours, studentId),
+                type: 'deadline_reminder',
+                runAt: new Date(deadline.getTime() - hours * HOUR_MS),
+                payload: { assignmentId: row.id, hours, studentId },
+                assignmentId: row.id
+            });
+        }
+    }
+}
+
+// Reminds students who have not handed in yet. A student whose own deadline is
+// later than the job's gets a job of their own for the right time instead.
+jobs.define('deadline_reminder', async ({ assignmentId, hours, studentId = null }) => {
+    const students = await repository.assignments.listUnsubmitted(assignmentId, studentId);
+
+    // A reminder that comes due with less time left than a shorter one is skipped
+    const shorter = notificationSchedule.reminderHours.filter(other => other < hours);
+    const floor = shorter.length ? Math.max(...shorter) * HOUR_MS : 0;
+
+    for (const row of students) {
+        const deadline = extensions.effectiveDeadline(row, row);
+        const remaining = new Date(deadline).getTime() - Date.now();
+
+        if (remaining - hours * HOUR_MS > SCHEDULE_SLACK_MS) {
+            await jobs.schedule({
+                key: reminderKey(assignmentId, hours, row.student_id),
+                type: 'deadline_reminder',
+                runAt: new Date(new Date(deadline).getTime() - hours * HOUR_MS),
+                payload: { assignmentId, hours, studentId: row.student_id },
+                assignmentId
+            });
+        } else if (remaining > floor) {
+            await queueNotification(row.student_id, 'deadline_approaching', {
+                assignmentTitle: row.title,
+                courseCode: row.course_code,
+                deadline,
+                hoursLeft: Math.max(Math.round(remaining / HOUR_MS), 1)
+            }, `deadline_approaching:${row.id}:${row.student_id}:${deadline}:${hours}h`);
+        }
+    }
+});
+
+// Tells open dashboards that the submission window has closed
+jobs.define('assignment_close', async ({ assignmentId }) => {
+    const assignment = await repository.assignments.find(assignmentId);
+    if (!assignment) return;
+
+    eventStream.publish('assignment_closed', {
+        assignmentId: assignment.id,
+        title: assignment.title,
+        courseId: assignment.course_id
+    }, await assignmentAudience(assignment));
+});
+
+jobs.define('deadline_snapshot', async ({ submissionId }) => {
+    const submission = await repository.snapshots.findDeadline(submissionId);
+    if (!submission) return;
+
+    if (await repository.snapshots.hasDeadlineSnapshot(submissionId)) return;
+
+    if (new Date(extensions.effectiveDeadline(submission, submission)) > new Date()) {
+        await scheduleDeadlineSnapshot(submissionId);
+        return;
+    }
+    await requestSnapshot(submissionId, 'deadline');
+});
+
+jobs.define('mail_delivery', () => {
+    queueMailDelivery();
+    return mailChain;
+});
+
+jobs.define('submission_digest', queueSubmissionDigests);
+
+// Copies the live database with VACUUM INTO and keeps the newest BACKUP_KEEP copies
+jobs.define('database_backup', async () => {
+    await fs.promises.mkdir(backupConfig.dir, { recursive: true });
+    const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+    await dbRun('VACUUM INTO ?', [path.join(backupConfig.dir, `assignment_platform-${stamp}.db`)]);
+
+    const backups = (await fs.promises.readdir(backupConfig.dir))
+        .filter(name => /^assignment_platform-.+\.db$/.test(name))
+        .sort();
+    for (const name of backups.slice(0, -backupConfig.keep)) {
+        await fs.promises.rm(path.join(backupConfig.dir, name), { force: true });
+    }
+});
+
+jobs.define('prune_jobs', () => jobs.prune());
+
+jobs.define('prune_auth_throttles', () => loginThrottle.prune());
+
+jobs.define('prune_sessions', () => sessionStore.prune());
+
+jobs.define('prune_password_resets', () => repository.passwordResets.prune(new Date(Date.now() - 24 * HOUR_MS).toISOString()));
+
+function nextUtcHour(hour) {
+    const next = new Date();
+    next.setUTCHours(hour, 0, 0, 0);
+    if (next <= new Date()) next.setUTCDate(next.getUTCDate() + 1);
+    return next;
+}
+
+// Assignments and submissions from before the scheduler existed get their jobs here;
+// scheduling is idempotent, so this is a no-op on later starts
+async function backfillScheduledJobs() {
+    const assignments = await repository.assignments.listInCourses();
+    for (const assignment of assignments) {
+        const closesAt = latePolicy.lateWindowEnd(assignment) || new Date(assignment.deadline);
+        if (closesAt > new Date()) await scheduleAssignmentJobs(assignment.id);
+    }
+
+    const unsnapshotted = await repository.snapshots.listWithoutDeadlineSnapshot();
+    for (const submission of unsnapshotted) {
+        await scheduleDeadlineSnapshot(submission.id);
+    }
+}
+
+async function startScheduler() {
+    // Mail marked sending belonged to a process that is gone; it may or may not have gone out
+    await repository.emailOutbox.requeueSending();
+
+    await jobs.every({ key: 'mail_delivery', type: 'mail_delivery', intervalMs: notificationSchedule.mailIntervalMs });
+    await jobs.every({ key: 'submission_digest', type: 'submission_digest', intervalMs: notificationSchedule.digestHours * HOUR_MS });
+    await jobs.every({
+        key: 'database_backup',
+        type: 'database_backup',
+        intervalMs: backupConfig.intervalHours * HOUR_MS,
+        firstRunAt: nextUtcHour(backupConfig.hourUtc)
+    });
+    await jobs.every({ key: 'prune_jobs', type: 'prune_jobs', intervalMs: 24 * HOUR_MS });
+    await jobs.every({ key: 'prune_password_resets', type: 'prune_password_resets', intervalMs: 24 * HOUR_MS });
+    await jobs.every({ key: 'prune_auth_throttles', type: 'prune_auth_throttles', intervalMs: 24 * HOUR_MS });
+    await jobs.every({ key: 'prune_sessions', type: 'prune_sessions', intervalMs: HOUR_MS });
+
+    await backfillScheduledJobs();
+    await jobs.start();
+}
+
+const JOB_STATUSES = ['pending', 'running', 'complete', 'failed', 'cancelled'];
+
+// Professors see the jobs of assignments they teach; site-wide upkeep is for
+// administrators alone. Returns the scope jobs.find() and jobs.list() take.
+function visibleJobsScope(req) {
+    if (req.session.userRole === 'admin') {
+        return { clause: 'j.assignment_id IS NULL', params: [] };
+    }
+    return {
+        clause: `j.assignment_id IS NOT NULL AND ${teachesAssignmentClause()}`,
+        params: [req.session.userId, req.session.userId]
+    };
+}
+
+function findVisibleJob(req) {
+    return jobs.find(req.params.id, visibleJobsScope(req));
+}
+
+app.get('/api/jobs', requireRole('professor', 'admin'), async (req, res) => {
+    const statuses = req.query.status ? String(req.query.status).split(',') : ['pending', 'running', 'failed'];
+    if (statuses.some(status => !JOB_STATUSES.includes(status))) {
+        return res.status(400).json({ error: `Status must be one of: ${JOB_STATUSES.join(', ')}` });
+    }
+
+    try {
+        const rows = await jobs.list(statuses, visibleJobsScope(req));
+
+        res.json({ jobs: rows.map(job => ({ ...job, payload: JSON.parse(job.payload || '{}') })) });
+    } catch (error) {
+        console.error('Database error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+app.post('/api/jobs/:id/retry', requireRole('professor', 'admin'), async (req, res) => {
+    try {
+        if (!(await findVisibleJob(req))) {
+            return res.status(404).json({ error: 'Job not found' });
+        }
+        if (!(await jobs.retry(req.params.id))) {
+            return res.status(409).json({ error: 'Only pending or failed jobs can be retried' });
+        }
+        res.json({ message: 'Job queued to run now' });
+    } catch (error) {
+        console.error('Database error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+app.delete('/api/jobs/:id', requireRole('professor', 'admin'), async (req, res) => {
+    try {
+        if (!(await findVisibleJob(req))) {
+            return res.status(404).json({ error: 'Job not found' });
+        }
+        if (!(await jobs.cancel(req.params.id))) {
+            return res.status(409).json({ error: 'Only pending or failed one-off jobs can be cancelled' });
+        }
+        res.json({ message: 'Job cancelled' });
+    } catch (error) {
+        console.error('Database error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Start server
+if (require.main === module) {
+    databaseReady.then(() => {
+        app.listen(PORT, () => {
+            console.log(`Server running on http://localhost:${PORT}`);
+        });
+    });
+
+    databaseReady
+        .then(startSnapshotWorker)
+        .catch(error => console.error('Snapshot worker error:', error.message));
+    databaseReady
+        .then(startAutograderWorker)
+        .catch(error => console.error('Autograder worker error:', error.message));
+    databaseReady
+        .then(startSimilarityWorker)
+        .catch(error => console.error('Similarity worker error:', error.message));
+    databaseReady
+        .then(startScheduler)
+        .catch(error => console.error('Scheduler error:', error.message));
+
+    // Graceful shutdown
+    process.on('SIGINT', () => {
+        database.close()
+            .then(() => console.log('Database connection closed'),
+                  error => console.error('Error closing database:', error.message))
+            .then(() => process.exit(0));
+    });
+}
+
+module.exports = { app, database, ready: databaseReady };
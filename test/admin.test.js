@@ -0,0 +1,67 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp } = require('./support/app');
+
+let app;
+test.before(async () => {
+    app = await startApp();
+});
+test.after(() => app.close());
+
+function fieldsOf(user, changes = {}) {
+    return { name: user.name, email: user.email, role: user.role, ...changes };
+}
+
+test('an administrator changes roles, but not one that would orphan a course or their own', async () => {
+    const admin = await app.createUser({ role: 'admin' });
+    const ta = await app.createUser({ role: 'ta', name: 'Assistant' });
+    const professor = await app.createUser({ role: 'professor' });
+    await app.createCourse(professor);
+    const administrator = await app.signIn(admin);
+
+    const promoted = await administrator.put(`/api/admin/users/${ta.id}`, fieldsOf(ta, { role: 'professor' }));
+    assert.equal(promoted.status, 200);
+    assert.equal(promoted.body.user.role, 'professor');
+    assert.equal((await app.database.dbGet('SELECT role FROM users WHERE id = ?', [ta.id])).role, 'professor');
+
+    assert.equal((await administrator.put(`/api/admin/users/${professor.id}`, fieldsOf(professor, { role: 'student' }))).status, 409);
+    assert.equal((await administrator.put(`/api/admin/users/${admin.id}`, fieldsOf(admin, { role: 'professor' }))).status, 400);
+    assert.equal((await administrator.put(`/api/admin/users/${ta.id}`, fieldsOf(ta, { role: 'dean' }))).status, 400);
+    assert.equal((await app.database.dbGet('SELECT role FROM users WHERE id = ?', [admin.id])).role, 'admin');
+});
+
+test('a deactivated account is signed out and cannot sign in until it is reactivated', async () => {
+    const admin = await app.createUser({ role: 'admin' });
+    const student = await app.createUser();
+    const administrator = await app.signIn(admin);
+    const learner = await app.signIn(student);
+
+    const deactivated = await administrator.post(`/api/admin/users/${student.id}/deactivate`);
+    assert.equal(deactivated.status, 200);
+    assert.ok(deactivated.body.user.deactivated_at);
+    assert.equal((await learner.get('/api/auth/user')).status, 401);
+    await assert.rejects(app.signIn(student), /failed with 403/);
+    assert.equal((await administrator.post(`/api/admin/users/${student.id}/deactivate`)).status, 409);
+    assert.equal((await administrator.post(`/api/admin/users/${admin.id}/deactivate`)).status, 400);
+
+    const reactivated = await administrator.post(`/api/admin/users/${student.id}/reactivate`);
+    assert.equal(reactivated.status, 200);
+    assert.equal(reactivated.body.user.deactivated_at, null);
+    assert.equal((await (await app.signIn(student)).get('/api/auth/user')).status, 200);
+    assert.equal((await administrator.post(`/api/admin/users/${student.id}/reactivate`)).status, 409);
+});
+
+test('only administrators manage users', async () => {
+    const student = await app.createUser();
+    for (const role of ['student', 'ta', 'professor']) {
+        const client = await app.signIn(await app.createUser({ role }));
+        assert.equal((await client.get('/api/admin/users')).status, 403);
+        assert.equal((await client.put(`/api/admin/users/${student.id}`, fieldsOf(student, { role: 'admin' }))).status, 403);
+        assert.equal((await client.post(`/api/admin/users/${student.id}/deactivate`)).status, 403);
+        assert.equal((await client.post(`/api/admin/users/${student.id}/reactivate`)).status, 403);
+    }
+    assert.equal((await app.client().get('/api/admin/users')).status, 401);
+
+    const row = await app.database.dbGet('SELECT role, deactivated_at FROM users WHERE id = ?', [student.id]);
+    assert.deepEqual(row, { role: 'student', deactivated_at: null });
+});
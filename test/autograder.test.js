@@ -0,0 +1,154 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { execFileSync, spawnSync } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const autograder = require('../lib/autograder');
+
+const scratch = fs.mkdtempSync(path.join(os.tmpdir(), 'autograder-test-'));
+test.after(() => fs.rmSync(scratch, { recursive: true, force: true }));
+
+const direct = { ...autograder.loadAutograderConfig({ AUTOGRADER_SANDBOX: 'none' }), workDir: path.join(scratch, 'work') };
+const sandboxed = { ...autograder.loadAutograderConfig({}), workDir: path.join(scratch, 'work') };
+
+// Whether this host lets an unprivileged process build the sandbox
+const canSandbox = spawnSync('unshare', ['--user', '--map-root-user', '--mount', '--pid', '--fork', '--net', '--',
+                                         '/bin/sh', '-c', 'mount -t tmpfs sandbox /mnt'], { timeout: 10000 }).status === 0;
+
+let archives = 0;
+
+// A snapshot tarball of `files` ({ path: content }); content { symlink } makes a symlink
+function createArchive(files) {
+    const tree = path.join(scratch, `tree-${++archives}`);
+    for (const [file, content] of Object.entries(files)) {
+        const target = path.join(tree, file);
+        fs.mkdirSync(path.dirname(target), { recursive: true });
+        if (content.symlink) {
+            fs.symlinkSync(content.symlink, target);
+        } else {
+            fs.writeFileSync(target, content);
+        }
+    }
+    const archivePath = `${tree}.tar.gz`;
+    execFileSync('tar', ['-czf', archivePath, '-C', tree, '.']);
+    return archivePath;
+}
+
+function run(archivePath, command, { files = [], config = direct } = {}) {
+    return autograder.runAutograder({ archivePath, command, files, timeoutSeconds: 20, memoryMb: 512 }, config);
+}
+
+test('runner summaries are parsed into counts', () => {
+    assert.deepEqual(autograder.parseTestCounts('Tests:       1 failed, 4 passed, 5 total'), { passed: 4, failed: 1 });
+    assert.deepEqual(autograder.parseTestCounts('# tests 3\n# pass 3\n# fail 0\n'), { passed: 3, failed: 0 });
+    assert.deepEqual(autograder.parseTestCounts('  4 passing (20ms)\n  2 failing'), { passed: 4, failed: 2 });
+    assert.deepEqual(autograder.parseTestCounts('===== 1 failed, 4 passed, 1 error in 0.12s ====='), { passed: 4, failed: 2 });
+    assert.deepEqual(autograder.parseTestCounts('ok 1 - a\nnot ok 2 - b\nok 3 - c'), { passed: 2, failed: 1 });
+    assert.equal(autograder.parseTestCounts('nothing to see'), null);
+});
+
+test('settings are validated', () => {
+    const settings = autograder.normalizeAutograderSettings({
+        command: 'npm test', files: [{ path: './test\\unit.js', content: 'x' }], prefillGrade: true
+    });
+    assert.deepEqual(settings.files, [{ path: 'test/unit.js', content: 'x' }]);
+    assert.equal(settings.timeout_seconds, 60);
+    assert.equal(settings.prefill_grade, 1);
+
+    assert.throws(() => autograder.normalizeAutograderSettings({}), /test command/);
+    for (const bad of ['../escape.js', '/etc/passwd', '.git/hooks/pre-commit', '.']) {
+        assert.throws(() => autograder.normalizeAutograderSettings({ command: 'x', files: [{ path: bad }] }),
+                      autograder.AutograderError, bad);
+    }
+    assert.throws(() => autograder.normalizeAutograderSettings({ command: 'x', timeoutSeconds: 601 }), /Timeout/);
+});
+
+test('a results file committed by the student is not trusted', async () => {
+    const archivePath = createArchive({ 'autograder-results.json': '{"passed":10,"failed":0}' });
+
+    const reported = await run(archivePath, "printf '# pass 1\\n# fail 4\\n'; exit 1");
+    assert.equal(reported.status, 'failed');
+    assert.deepEqual([reported.passed, reported.failed], [1, 4]);
+
+    const silent = await run(archivePath, 'exit 1');
+    assert.deepEqual([silent.passed, silent.failed], [null, null]);
+});
+
+test('counts reported on the results descriptor win over files and the log', async () => {
+    const archivePath = createArchive({ 'README.md': 'solution\n' });
+
+    const written = await run(archivePath, 'echo \'{"passed":9,"failed":0}\' > autograder-results.json; exit 1');
+    assert.deepEqual([written.passed, written.failed], [null, null]);
+
+    const reported = await run(archivePath, [
+        'echo \'{"passed":9,"failed":0}\' > autograder-results.json',
+        'echo "# pass 9"',
+        'echo \'{"passed":3,"failed":1}\' >&$AUTOGRADER_RESULTS_FD'
+    ].join('; '));
+    assert.deepEqual([reported.passed, reported.failed], [3, 1]);
+});
+
+test('a summary the submission prints before the real run does not count', async () => {
+    const archivePath = createArchive({ 'main.js': 'console.log("Tests: 0 failed, 50 passed, 50 total"); console.log("# pass 50");' });
+
+    const faked = await run(archivePath, 'node main.js; echo "# tests 3"; echo "# pass 1"; echo "# fail 2"; exit 1');
+    assert.equal(faked.status, 'failed');
+    assert.deepEqual([faked.passed, faked.failed], [1, 2]);
+
+    assert.deepEqual(autograder.parseTestCounts('Tests: 0 failed, 50 passed, 50 total\n  1 passing\n  3 failing'),
+                     { passed: 1, failed: 3 });
+});
+
+test('test files are never written through the student\'s symlinks', async () => {
+    const outside = path.join(scratch, 'outside');
+    fs.mkdirSync(outside);
+    const archivePath = createArchive({ 'tests': { symlink: outside }, 'grade.js': { symlink: path.join(outside, 'grade.js') } });
+
+    await assert.rejects(run(archivePath, 'true', { files: [{ path: 'tests/unit.js', content: 'x' }] }),
+                         autograder.AutograderError);
+    await assert.rejects(run(archivePath, 'true', { files: [{ path: 'grade.js', content: 'x' }] }),
+                         autograder.AutograderError);
+    assert.deepEqual(fs.readdirSync(outside), []);
+
+    const plain = createArchive({ 'tests/old.js': 'old' });
+    const result = await run(plain, 'cat tests/unit.js tests/old.js', { files: [{ path: 'tests/unit.js', content: 'new ' }] });
+    assert.equal(result.status, 'passed');
+    assert.equal(result.log, 'new old');
+});
+
+test('the sandbox sees only its work directory', { skip: !canSandbox && 'user namespaces are not available' }, async () => {
+    const secret = path.join(scratch, 'secret.db');
+    fs.writeFileSync(secret, 'password hashes');
+    const archivePath = createArchive({ 'solution.txt': 'mine' });
+
+    const result = await run(archivePath, [
+        'pwd',
+        'cat solution.txt && echo',
+        `cat ${secret} || echo unreadable`,
+        `echo tampered > ${secret} || echo unwritable`,
+        'touch /usr/planted || echo read-only',
+        'echo written > /tmp/scratch && cat /tmp/scratch'
+    ].join('; '), { config: sandboxed });
+
+    assert.equal(fs.readFileSync(secret, 'utf8'), 'password hashes');
+    assert.match(result.log, /^\/work\nmine\n/);
+    assert.match(result.log, /unreadable/);
+    assert.match(result.log, /unwritable/);
+    assert.match(result.log, /read-only/);
+    assert.match(result.log, /written/);
+    assert.doesNotMatch(result.log, /password hashes/);
+});
+
+test('the sandbox has no network, runs Node and keeps the results descriptor', { skip: !canSandbox && 'user namespaces are not available' }, async () => {
+    const archivePath = createArchive({
+        'test.js': 'console.log("# pass 1"); console.log("# fail 0");\n' +
+                   'require("fs").writeSync(Number(process.env.AUTOGRADER_RESULTS_FD), \'{"passed":2,"failed":0}\\n\');'
+    });
+
+    const result = await run(archivePath, 'node test.js && cat /proc/net/dev | grep -c :', { config: sandboxed });
+    assert.equal(result.status, 'passed');
+    assert.deepEqual([result.passed, result.failed], [2, 0]);
+    // Only the loopback interface
+    assert.match(result.log, /\n1\n$/);
+});
@@ -0,0 +1,72 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp } = require('./support/app');
+
+let app;
+test.before(async () => {
+    app = await startApp();
+});
+test.after(() => app.close());
+
+function daysFromNow(days) {
+    return new Date(Date.now() + days * 24 * 60 * 60 * 1000).toISOString();
+}
+
+test('dashboard counts cover only the professor\'s own courses', async () => {
+    const professor = await app.createUser({ role: 'professor' });
+    const other = await app.createUser({ role: 'professor' });
+    const [mine, theirs] = [await app.createUser(), await app.createUser()];
+    const course = await app.createCourse(professor, [mine]);
+    const otherCourse = await app.createCourse(other, [mine, theirs]);
+
+    const staff = await app.signIn(professor);
+    const created = await staff.post('/api/assignments', { title: 'Parser', deadline: daysFromNow(1), courseId: course.id });
+    await app.createSubmission({ assignmentId: created.body.assignment.id, studentId: mine.id, submittedAt: daysFromNow(0) });
+
+    const otherStaff = await app.signIn(other);
+    await otherStaff.post('/api/assignments', { title: 'Lexer', deadline: daysFromNow(1), courseId: otherCourse.id });
+    await otherStaff.post('/api/assignments', { title: 'Linker', deadline: daysFromNow(1), courseId: otherCourse.id });
+
+    const { stats } = (await staff.get('/api/stats')).body;
+    assert.deepEqual([stats.totalUsers, stats.totalAssignments, stats.totalSubmissions], [1, 1, 1]);
+    const { stats: theirStats } = (await otherStaff.get('/api/stats')).body;
+    assert.deepEqual([theirStats.totalUsers, theirStats.totalAssignments, theirStats.totalSubmissions], [2, 2, 0]);
+
+    assert.equal((await (await app.signIn(mine)).get('/api/stats')).status, 403);
+});
+
+test('nobody sees another course\'s assignments or submissions', async () => {
+    const professor = await app.createUser({ role: 'professor' });
+    const other = await app.createUser({ role: 'professor' });
+    const [student, outsider] = [await app.createUser(), await app.createUser()];
+    const course = await app.createCourse(professor, [student]);
+    await app.createCourse(other, [outsider]);
+
+    const staff = await app.signIn(professor);
+    const created = await staff.post('/api/assignments', { title: 'Parser', deadline: daysFromNow(1), courseId: course.id });
+    const assignmentId = created.body.assignment.id;
+    const { id: submissionId } = await app.createSubmission({ assignmentId, studentId: student.id, submittedAt: daysFromNow(0) });
+
+    const otherStaff = await app.signIn(other);
+    assert.deepEqual((await otherStaff.get('/api/assignments')).body.assignments, []);
+    assert.deepEqual((await otherStaff.get('/api/submissions')).body.submissions, []);
+    assert.equal((await otherStaff.get(`/api/submissions/${submissionId}/versions`)).status, 404);
+    assert.equal((await otherStaff.get(`/api/submissions/${submissionId}/rubric`)).status, 404);
+    assert.equal((await otherStaff.get(`/api/courses/${course.id}/enrollments`)).status, 404);
+    assert.equal((await otherStaff.get(`/api/courses/${course.id}/gradebook`)).status, 404);
+    assert.equal((await otherStaff.put(`/api/assignments/${assignmentId}`, { title: 'Taken', deadline: daysFromNow(2) })).status, 404);
+    assert.equal((await otherStaff.delete(`/api/assignments/${assignmentId}`)).status, 404);
+
+    const learner = await app.signIn(outsider);
+    assert.deepEqual((await learner.get('/api/assignments')).body.assignments, []);
+    assert.deepEqual((await learner.get('/api/submissions')).body.submissions, []);
+    assert.equal((await learner.get(`/api/submissions/${submissionId}/versions`)).status, 404);
+    assert.equal((await learner.get(`/api/submissions/${submissionId}/autograder`)).status, 404);
+    assert.equal((await learner.post('/api/submissions', { assignmentId, repoLink: 'https://github.com/outsider/parser' })).status, 404);
+    assert.equal((await learner.get(`/api/courses/${course.id}/enrollments`)).status, 403);
+
+    // The course's own people still see it
+    assert.equal((await staff.get('/api/assignments')).body.assignments.length, 1);
+    assert.equal((await (await app.signIn(student)).get(`/api/submissions/${submissionId}/versions`)).status, 200);
+    assert.equal((await app.database.dbGet('SELECT title FROM assignments WHERE id = ?', [assignmentId])).title, 'Parser');
+});
@@ -0,0 +1,70 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const credentials = require('../lib/credentials');
+const { startApp } = require('./support/app');
+
+let app;
+test.before(async () => {
+    app = await startApp();
+});
+test.after(() => app.close());
+
+test('chosen passwords must be long, mixed, uncommon and impersonal', () => {
+    const account = { email: 'ada.lovelace@example.edu', name: 'Ada Lovelace' };
+
+    assert.equal(credentials.passwordProblem('Correct-horse-9', account), null);
+    assert.match(credentials.passwordProblem('short1', account), /at least 8/);
+    assert.match(credentials.passwordProblem('onlyletters', account), /mix letters/);
+    assert.match(credentials.passwordProblem('PassWord123', account), /too common/);
+    assert.match(credentials.passwordProblem('lovelace-2024', account), /name or email/);
+    assert.match(credentials.passwordProblem('é'.repeat(37) + '1', account), /at most 72 bytes/);
+});
+
+test('tokens are stored only as their hash and temporary passwords avoid look-alikes', () => {
+    const { token, tokenHash } = credentials.createToken();
+    assert.equal(tokenHash, credentials.hashToken(token));
+    assert.notEqual(tokenHash, token);
+    assert.equal(credentials.inviteUrl('https://edu.example', 'a/b'), 'https://edu.example/?invite=a%2Fb');
+
+    const password = credentials.generateTemporaryPassword();
+    assert.match(password, /^[A-HJ-NP-Za-km-z2-9]{12}$/);
+});
+
+// The reset link from the last password reset email sent to `email`
+async function resetToken(email) {
+    const links = (await app.sentMail(email)).map(message => /[?&]reset=([\w-]+)/.exec(message)).filter(Boolean);
+    return decodeURIComponent(links[links.length - 1][1]);
+}
+
+test('a reset link works once and ends the sessions signed in before it', async () => {
+    const student = await app.createUser({ name: 'Grace' });
+    const laptop = await app.signIn(student);
+    const browser = app.client();
+
+    assert.equal((await browser.post('/api/auth/password/forgot', { email: student.email })).status, 200);
+    const token = await resetToken(student.email);
+
+    assert.equal((await browser.post(`/api/auth/password/reset/${token}`, { password: 'short' })).status, 400);
+    const reset = await browser.post(`/api/auth/password/reset/${token}`, { password: 'New-battery-7' });
+    assert.equal(reset.status, 200);
+    assert.equal(reset.body.user.email, student.email);
+
+    assert.equal((await browser.post(`/api/auth/password/reset/${token}`, { password: 'Other-staple-8' })).status, 404);
+    assert.equal((await laptop.get('/api/auth/user')).status, 401);
+    assert.equal((await browser.get('/api/auth/user')).status, 200);
+});
+
+test('changing the password keeps this session and ends the others', async () => {
+    const student = await app.createUser({ name: 'Alan' });
+    const here = await app.signIn(student);
+    const elsewhere = await app.signIn(student);
+
+    const wrong = await here.post('/api/auth/password/change', { currentPassword: 'nope', newPassword: 'New-battery-7' });
+    assert.equal(wrong.status, 400);
+    assert.equal((await here.get('/api/auth/user')).status, 200, 'a mistyped password does not sign out');
+
+    const changed = await here.post('/api/auth/password/change', { currentPassword: 'Correct-horse-9', newPassword: 'New-battery-7' });
+    assert.equal(changed.status, 200);
+    assert.equal((await here.get('/api/auth/user')).status, 200);
+    assert.equal((await elsewhere.get('/api/auth/user')).status, 401);
+});
@@ -0,0 +1,37 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const csv = require('../lib/csv');
+const gradebook = require('../lib/gradebook');
+
+test('quoted fields keep commas, doubled quotes and line breaks', () => {
+    const rows = csv.parseCsv('\uFEFFname,note\r\n"Lovelace, Ada","said ""hi""\nthen left"\r\n\r\nBabbage,\n');
+
+    assert.deepEqual(rows, [
+        { line: 1, fields: ['name', 'note'] },
+        { line: 2, fields: ['Lovelace, Ada', 'said "hi"\nthen left'] },
+        { line: 5, fields: ['Babbage', ''] }
+    ]);
+});
+
+test('an unterminated quote is reported with its line', () => {
+    assert.throws(() => csv.parseCsv('a,b\n"open,\nstill open'), { name: 'CsvError', message: /line 2/ });
+});
+
+test('written cells round-trip and never start a formula', () => {
+    const text = csv.toCsv([['Name', 'Points'], ['Ada, "the first"', 92.5], ['=HYPERLINK("x")', null], ['-1', NaN]]);
+
+    assert.equal(text, 'Name,Points\r\n"Ada, ""the first""",92.5\r\n"\'=HYPERLINK(""x"")",\r\n\'-1,\r\n');
+    assert.deepEqual(csv.parseCsv(text).map(row => row.fields), [
+        ['Name', 'Points'], ['Ada, "the first"', '92.5'], ['\'=HYPERLINK("x")', ''], ['\'-1', '']
+    ]);
+});
+
+test('grade imports accept header spellings and keep line numbers', () => {
+    const records = gradebook.parseGradeImport('Student Email,Title,Score,Comments\nada@example.edu,Parser,90,"Good, mostly"\n');
+
+    assert.deepEqual(records, [
+        { line: 2, email: 'ada@example.edu', assignment: 'Parser', points: '90', maxPoints: '', feedback: 'Good, mostly' }
+    ]);
+    assert.throws(() => gradebook.parseGradeImport('email,points\nada@example.edu,90'), /assignment/);
+    assert.throws(() => gradebook.parseGradeImport('  '), /empty/);
+});
@@ -0,0 +1,102 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { EventEmitter } = require('events');
+const { createEventStream } = require('../lib/event-stream');
+
+// A browser's connection: the request it sends and everything written back to it
+function connect(stream, userId, { lastEventId, sessionID } = {}) {
+    const req = new EventEmitter();
+    req.sessionID = sessionID;
+    req.query = {};
+    req.get = name => (name === 'Last-Event-ID' ? lastEventId : undefined);
+
+    const res = new EventEmitter();
+    res.chunks = [];
+    res.writableEnded = false;
+    res.destroyed = false;
+    res.writeHead = () => {};
+    res.write = chunk => res.chunks.push(chunk);
+    res.end = () => {
+        res.writableEnded = true;
+    };
+
+    stream.connect(req, res, userId);
+    return {
+        req,
+        res,
+        // Events with an id that reached this connection, in order
+        events: () => res.chunks
+            .filter(chunk => chunk.startsWith('id: '))
+            .map(chunk => ({ id: /^id: (.*)$/m.exec(chunk)[1], ...JSON.parse(/^data: (.*)$/m.exec(chunk)[1]) }))
+    };
+}
+
+test('events reach only their recipients', () => {
+    const stream = createEventStream();
+    const ada = connect(stream, 'ada');
+    const bob = connect(stream, 'bob');
+
+    stream.publish('grade_released', { submissionId: 's1' }, ['ada', null]);
+    stream.publish('assignment_created', { assignmentId: 'a1' }, ['ada', 'bob']);
+
+    assert.deepEqual(ada.events().map(event => event.type), ['grade_released', 'assignment_created']);
+    assert.deepEqual(bob.events().map(event => event.type), ['assignment_created']);
+    assert.equal(ada.events()[0].data.submissionId, 's1');
+});
+
+test('a reconnecting browser gets exactly the events it missed', () => {
+    const stream = createEventStream();
+    const first = connect(stream, 'ada');
+    const seen = stream.publish('one', {}, ['ada']);
+    first.req.emit('close');
+    assert.equal(stream.clientCount, 0);
+
+    stream.publish('two', {}, ['ada']);
+    stream.publish('not-mine', {}, ['bob']);
+    stream.publish('three', {}, ['ada']);
+
+    const again = connect(stream, 'ada', { lastEventId: seen });
+    assert.deepEqual(again.events().map(event => event.type), ['two', 'three']);
+});
+
+test('a gap that cannot be replayed asks the browser to resync', () => {
+    const stream = createEventStream({ historySize: 1 });
+    const seen = stream.publish('one', {}, ['ada']);
+    stream.publish('two', {}, ['ada']);
+    stream.publish('three', {}, ['ada']);
+
+    // The event after `seen` fell out of the history
+    assert.deepEqual(connect(stream, 'ada', { lastEventId: seen }).events().map(event => event.type), ['resync']);
+    // An id from before a restart
+    assert.deepEqual(connect(stream, 'ada', { lastEventId: 'oldstream-3' }).events().map(event => event.type), ['resync']);
+    assert.deepEqual(connect(stream, 'ada').events(), []);
+});
+
+test('connections end with their user or sign-in session', () => {
+    const stream = createEventStream();
+    const laptop = connect(stream, 'ada', { sessionID: 'sid-1' });
+    const phone = connect(stream, 'ada', { sessionID: 'sid-2' });
+    const bob = connect(stream, 'bob', { sessionID: 'sid-3' });
+
+    stream.disconnectSessions(['sid-1']);
+    assert.equal(laptop.res.writableEnded, true);
+    assert.equal(phone.res.writableEnded, false);
+
+    stream.disconnect('ada');
+    assert.equal(phone.res.writableEnded, true);
+    assert.equal(stream.clientCount, 1);
+
+    stream.publish('after', {}, ['ada', 'bob']);
+    assert.deepEqual(laptop.events(), []);
+    assert.deepEqual(bob.events().map(event => event.type), ['after']);
+});
+
+test('a connection that can no longer be written to is dropped', () => {
+    const stream = createEventStream();
+    const gone = connect(stream, 'ada');
+    gone.res.destroyed = true;
+
+    stream.publish('lost', {}, ['ada']);
+    assert.equal(stream.clientCount, 0);
+    assert.deepEqual(gone.events(), []);
+});
@@ -0,0 +1,94 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const extensions = require('../lib/extensions');
+const { startApp } = require('./support/app');
+
+const DEADLINE = '2030-03-01T12:00:00.000Z';
+
+let app;
+test.before(async () => {
+    app = await startApp();
+});
+test.after(() => app.close());
+
+test('grants need a reason and must add time', () => {
+    assert.deepEqual(extensions.normalizeExtension({ deadline: '2030-03-02T12:00:00Z', reason: ' Illness ' }, DEADLINE),
+                     { deadline: '2030-03-02T12:00:00.000Z', reason: 'Illness' });
+    assert.throws(() => extensions.normalizeExtension({ deadline: '2030-03-02', reason: '' }, DEADLINE),
+                  extensions.ExtensionError);
+    assert.throws(() => extensions.normalizeExtension({ deadline: DEADLINE, reason: 'x' }, DEADLINE), /after the assignment/);
+
+    assert.deepEqual(extensions.normalizeAccommodation({ extraTimePercent: '50', reason: 'Plan' }),
+                     { extra_time_percent: 50, reason: 'Plan' });
+    assert.throws(() => extensions.normalizeAccommodation({ extraTimePercent: 0, reason: 'Plan' }), /Extra time/);
+    assert.throws(() => extensions.normalizeAccommodation({ extraTimePercent: 501, reason: 'Plan' }), /Extra time/);
+});
+
+test('the effective deadline is the latest one any adjustment allows', () => {
+    const assignment = { deadline: DEADLINE, created_at: '2030-02-19 12:00:00' };
+
+    assert.equal(extensions.effectiveDeadline(assignment), DEADLINE);
+    // Ten days of working time, half again
+    assert.equal(extensions.effectiveDeadline(assignment, { accommodation_percent: 50 }), '2030-03-06T12:00:00.000Z');
+    assert.equal(extensions.effectiveDeadline(assignment, {
+        accommodation_percent: 50,
+        extension_deadline: '2030-03-03T12:00:00.000Z'
+    }), '2030-03-06T12:00:00.000Z');
+    // An extension earlier than the deadline never shortens it
+    assert.equal(extensions.effectiveDeadline(assignment, { extension_deadline: '2030-02-28T12:00:00.000Z' }), DEADLINE);
+});
+
+// Graded 80 after handing in two days late under a 20%-a-day policy
+async function lateGradedSubmission() {
+    const professor = await app.createUser({ role: 'professor' });
+    const student = await app.createUser();
+    const course = await app.createCourse(professor, [student]);
+    const client = await app.signIn(professor);
+
+    const created = await client.post('/api/assignments', {
+        title: 'Interpreter', deadline: DEADLINE, courseId: course.id,
+        latePolicy: 'grace', gracePeriodMinutes: 3 * 24 * 60, latePenaltyPercent: 20, latePenaltyUnit: 'day'
+    });
+    const assignmentId = created.body.assignment.id;
+    const submission = await app.createSubmission({
+        assignmentId, studentId: student.id, submittedAt: '2030-03-03T11:00:00.000Z', status: 'late'
+    });
+    await app.database.dbRun('UPDATE submissions SET minutes_late = 2820, late_penalty = 40 WHERE id = ?', [submission.id]);
+    await client.put(`/api/submissions/${submission.id}/grade`, { points: 80 });
+
+    const grade = () => app.database.dbGet(`
+        SELECT s.late_penalty, g.points FROM submissions s JOIN grades g ON g.submission_id = s.id WHERE s.id = ?
+    `, [submission.id]);
+    return { client, student, course, assignmentId, grade };
+}
+
+test('revoking an extension brings the late penalty back', async () => {
+    const { client, student, assignmentId, grade } = await lateGradedSubmission();
+    assert.deepEqual(await grade(), { late_penalty: 40, points: 48 });
+
+    const granted = await client.post(`/api/assignments/${assignmentId}/extensions`, {
+        studentId: student.id, deadline: '2030-03-04T12:00:00.000Z', reason: 'Illness'
+    });
+    assert.equal(granted.status, 201);
+    assert.deepEqual(await grade(), { late_penalty: 0, points: 80 });
+
+    const revoked = await client.delete(`/api/assignments/${assignmentId}/extensions/${student.id}`);
+    assert.equal(revoked.status, 200);
+    assert.deepEqual(await grade(), { late_penalty: 40, points: 48 });
+
+    assert.equal((await client.delete(`/api/assignments/${assignmentId}/extensions/${student.id}`)).status, 404);
+});
+
+test('revoking an accommodation brings the late penalty back', async () => {
+    const { client, student, course, grade } = await lateGradedSubmission();
+
+    const granted = await client.post(`/api/courses/${course.id}/accommodations`, {
+        studentId: student.id, extraTimePercent: 25, reason: 'Support plan'
+    });
+    assert.equal(granted.status, 201);
+    assert.deepEqual(await grade(), { late_penalty: 0, points: 80 });
+
+    const revoked = await client.delete(`/api/courses/${course.id}/accommodations/${student.id}`);
+    assert.equal(revoked.status, 200);
+    assert.deepEqual(await grade(), { late_penalty: 40, points: 48 });
+});
@@ -0,0 +1,94 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const googleAuth = require('../lib/google-auth');
+const { startApp } = require('./support/app');
+
+test('the sign-in policy comes from comma-separated lists', () => {
+    const policy = googleAuth.loadGooglePolicy({
+        GOOGLE_CLIENT_ID: 'client',
+        GOOGLE_ALLOWED_DOMAINS: 'Uni.edu, college.org',
+        GOOGLE_PROFESSOR_DOMAINS: 'faculty.uni.edu'
+    });
+
+    assert.equal(policy.clientId, 'client');
+    assert.deepEqual(policy.allowedDomains, ['uni.edu', 'college.org']);
+    assert.deepEqual(policy.professorDomains, ['faculty.uni.edu']);
+    assert.deepEqual(policy.studentEmails, []);
+});
+
+test('allowed domains admit their subdomains and nothing else', () => {
+    const policy = googleAuth.loadGooglePolicy({ GOOGLE_ALLOWED_DOMAINS: 'uni.edu' });
+
+    assert.equal(googleAuth.isDomainAllowed('a@uni.edu', policy), true);
+    assert.equal(googleAuth.isDomainAllowed('a@cs.uni.edu', policy), true);
+    assert.equal(googleAuth.isDomainAllowed('a@notuni.edu', policy), false);
+    assert.equal(googleAuth.isDomainAllowed('a@gmail.com', googleAuth.loadGooglePolicy({})), true);
+});
+
+test('explicit email lists win over professor domains', () => {
+    const policy = googleAuth.loadGooglePolicy({
+        GOOGLE_PROFESSOR_DOMAINS: 'faculty.uni.edu',
+        GOOGLE_PROFESSOR_EMAILS: 'ada@uni.edu',
+        GOOGLE_STUDENT_EMAILS: 'ta@faculty.uni.edu'
+    });
+
+    assert.equal(googleAuth.resolveRole('Ada@uni.edu', policy), 'professor');
+    assert.equal(googleAuth.resolveRole('bob@faculty.uni.edu', policy), 'professor');
+    assert.equal(googleAuth.resolveRole('ta@faculty.uni.edu', policy), 'student');
+    assert.equal(googleAuth.resolveRole('eve@uni.edu', policy), 'student');
+});
+
+test('a verifier module replaces Google, except in production', async () => {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'google-verifier-'));
+    const modulePath = path.join(directory, 'fake-verifier.js');
+    fs.writeFileSync(modulePath, 'module.exports = async token => ({ email: token, email_verified: true });');
+    try {
+        const verify = googleAuth.loadTokenVerifier(googleAuth.loadGooglePolicy({}), modulePath, {});
+        assert.deepEqual(await verify('a@uni.edu'), { email: 'a@uni.edu', email_verified: true });
+        assert.throws(() => googleAuth.loadTokenVerifier(googleAuth.loadGooglePolicy({}), modulePath, { NODE_ENV: 'production' }),
+                      /GOOGLE_TOKEN_VERIFIER/);
+    } finally {
+        fs.rmSync(directory, { recursive: true, force: true });
+    }
+});
+
+test('Google sign-in provisions the account and starts a session', async (t) => {
+    const app = await startApp();
+    t.after(app.close);
+
+    app.app.locals.verifyGoogleToken = async token => {
+        if (token !== 'good-token') throw new Error('bad signature');
+        return { email: 'New.Student@Example.edu', email_verified: true, name: 'New Student', sub: '1' };
+    };
+
+    const client = app.client();
+    assert.equal((await client.post('/api/auth/google', { token: 'forged' })).status, 401);
+
+    // An address Google has not said it verified does not sign in
+    const verifyGoogleToken = app.app.locals.verifyGoogleToken;
+    for (const unverified of [{ email_verified: false }, {}, { email_verified: 'true' }]) {
+        app.app.locals.verifyGoogleToken = async () => ({ email: 'unverified@example.edu', sub: '2', ...unverified });
+        assert.equal((await app.client().post('/api/auth/google', { token: 'any' })).status, 401);
+    }
+    assert.equal(await app.database.dbGet("SELECT id FROM users WHERE email = 'unverified@example.edu'"), undefined);
+    app.app.locals.verifyGoogleToken = verifyGoogleToken;
+
+    const signIn = await client.post('/api/auth/google', { token: 'good-token' });
+    assert.equal(signIn.status, 200);
+    assert.equal(signIn.body.user.email, 'new.student@example.edu');
+    assert.equal(signIn.body.user.role, 'student');
+
+    const account = await app.database.dbGet('SELECT password_hash FROM users WHERE id = ?', [signIn.body.user.id]);
+    assert.equal(account.password_hash, null);
+
+    const me = await client.get('/api/auth/user');
+    assert.equal(me.status, 200);
+    assert.equal(me.body.user.id, signIn.body.user.id);
+
+    // The second sign-in finds the same account
+    const again = await app.client().post('/api/auth/google', { token: 'good-token' });
+    assert.equal(again.body.user.id, signIn.body.user.id);
+});
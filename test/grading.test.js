@@ -0,0 +1,88 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp } = require('./support/app');
+
+let app;
+test.before(async () => {
+    app = await startApp();
+});
+test.after(() => app.close());
+
+function daysFromNow(days) {
+    return new Date(Date.now() + days * 24 * 60 * 60 * 1000).toISOString();
+}
+
+// A professor's course with one student who has handed in one submission
+async function gradingSetup(assignment = {}) {
+    const professor = await app.createUser({ role: 'professor' });
+    const student = await app.createUser();
+    const course = await app.createCourse(professor, [student]);
+    const staff = await app.signIn(professor);
+    const learner = await app.signIn(student);
+
+    const created = await staff.post('/api/assignments', {
+        title: 'Parser', deadline: daysFromNow(1), courseId: course.id, ...assignment
+    });
+    const assignmentId = created.body.assignment.id;
+    return { professor, student, staff, learner, assignmentId };
+}
+
+test('a grade is saved, shown to the student and replaced by a regrade', async () => {
+    const { professor, staff, learner, assignmentId } = await gradingSetup();
+    await learner.post('/api/submissions', { assignmentId, repoLink: 'https://github.com/student/parser' });
+    const { id } = await app.database.dbGet('SELECT id FROM submissions WHERE assignment_id = ?', [assignmentId]);
+
+    const graded = await staff.put(`/api/submissions/${id}/grade`, { points: 72, maxPoints: 80, feedback: 'Solid' });
+    assert.equal(graded.status, 200);
+    assert.equal(graded.body.submission.status, 'graded');
+    assert.equal(graded.body.submission.points, 72);
+    assert.equal(graded.body.submission.max_points, 80);
+    assert.equal(graded.body.submission.graded_by, professor.id);
+
+    const regraded = await staff.put(`/api/submissions/${id}/grade`, { points: 60, maxPoints: 80, feedback: 'Tests fail' });
+    assert.equal(regraded.status, 200);
+    assert.equal(regraded.body.submission.points, 60);
+    assert.equal((await app.database.dbGet('SELECT COUNT(*) as count FROM grades WHERE submission_id = ?', [id])).count, 1);
+
+    const mine = (await learner.get('/api/submissions')).body.submissions.find(submission => submission.id === id);
+    assert.equal(mine.status, 'graded');
+    assert.equal(mine.points, 60);
+    assert.equal(mine.feedback, 'Tests fail');
+
+    // Points outside 0..max are refused and leave the grade alone
+    assert.equal((await staff.put(`/api/submissions/${id}/grade`, { points: 81, maxPoints: 80 })).status, 400);
+    assert.equal((await staff.put(`/api/submissions/${id}/grade`, {})).status, 400);
+    assert.equal((await app.database.dbGet('SELECT points FROM grades WHERE submission_id = ?', [id])).points, 60);
+});
+
+test('grading a late submission deducts its penalty from the points given', async () => {
+    const { staff, learner, assignmentId } = await gradingSetup({
+        latePolicy: 'grace', gracePeriodMinutes: 7 * 24 * 60, latePenaltyPercent: 10, latePenaltyUnit: 'day'
+    });
+    // The deadline passed two and a half days ago
+    await app.database.dbRun('UPDATE assignments SET deadline = ? WHERE id = ?', [daysFromNow(-2.5), assignmentId]);
+    const submitted = await learner.post('/api/submissions', { assignmentId, repoLink: 'https://github.com/student/parser' });
+    assert.equal(submitted.body.latePenalty, 30);
+    const { id } = await app.database.dbGet('SELECT id FROM submissions WHERE assignment_id = ?', [assignmentId]);
+
+    const graded = await staff.put(`/api/submissions/${id}/grade`, { points: 90 });
+    assert.equal(graded.status, 200);
+    assert.equal(graded.body.submission.raw_points, 90);
+    assert.equal(graded.body.submission.applied_late_penalty, 30);
+    assert.equal(graded.body.submission.points, 63);
+});
+
+test('students and other professors cannot grade', async () => {
+    const { student, learner, assignmentId } = await gradingSetup();
+    await learner.post('/api/submissions', { assignmentId, repoLink: 'https://github.com/student/parser' });
+    const { id } = await app.database.dbGet('SELECT id FROM submissions WHERE assignment_id = ?', [assignmentId]);
+
+    assert.equal((await learner.put(`/api/submissions/${id}/grade`, { points: 100 })).status, 403);
+
+    const outsider = await app.signIn(await app.createUser({ role: 'professor' }));
+    assert.equal((await outsider.put(`/api/submissions/${id}/grade`, { points: 100 })).status, 404);
+
+    const submission = await app.database.dbGet('SELECT status FROM submissions WHERE id = ? AND student_id = ?', [id, student.id]);
+    assert.equal(submission.status, 'submitted');
+    assert.equal(await app.database.dbGet('SELECT id FROM grades WHERE submission_id = ?', [id]), undefined);
+});
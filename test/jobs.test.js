@@ -0,0 +1,51 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { v4: uuidv4 } = require('uuid');
+const { startApp } = require('./support/app');
+
+let app;
+test.before(async () => {
+    app = await startApp();
+});
+test.after(() => app.close());
+
+async function createJob({ type, assignmentId = null, status = 'failed' }) {
+    const id = uuidv4();
+    await app.database.dbRun(`
+        INSERT INTO scheduled_jobs (id, key, type, assignment_id, run_at, status)
+        VALUES (?, ?, ?, ?, datetime('now'), ?)
+    `, [id, `${type}:${id}`, type, assignmentId, status]);
+    return id;
+}
+
+test('site-wide jobs belong to administrators and course jobs to their professor', async () => {
+    const professor = await app.createUser({ role: 'professor' });
+    const other = await app.createUser({ role: 'professor' });
+    const admin = await app.createUser({ role: 'admin' });
+    const course = await app.createCourse(professor);
+    const staff = await app.signIn(professor);
+
+    const created = await staff.post('/api/assignments', {
+        title: 'Parser', deadline: new Date(Date.now() + 86400000).toISOString(), courseId: course.id
+    });
+    const courseJob = await createJob({ type: 'assignment_close', assignmentId: created.body.assignment.id });
+    const siteJob = await createJob({ type: 'database_backup' });
+
+    const listed = async (client) => (await client.get('/api/jobs')).body.jobs.map(job => job.id);
+
+    // Creating the assignment scheduled its own jobs too
+    const mine = await listed(staff);
+    assert.ok(mine.includes(courseJob));
+    assert.ok(!mine.includes(siteJob));
+    assert.deepEqual(await listed(await app.signIn(other)), []);
+
+    const administrator = await app.signIn(admin);
+    assert.deepEqual(await listed(administrator), [siteJob]);
+
+    assert.equal((await staff.post(`/api/jobs/${siteJob}/retry`, {})).status, 404);
+    assert.equal((await staff.delete(`/api/jobs/${siteJob}`)).status, 404);
+    assert.equal((await administrator.post(`/api/jobs/${courseJob}/retry`, {})).status, 404);
+
+    assert.equal((await administrator.delete(`/api/jobs/${siteJob}`)).status, 200);
+    assert.equal((await staff.post(`/api/jobs/${courseJob}/retry`, {})).status, 200);
+});
@@ -0,0 +1,143 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const latePolicy = require('../lib/late-policy');
+const { startApp } = require('./support/app');
+
+const DEADLINE = '2030-03-01T12:00:00.000Z';
+
+let app;
+test.before(async () => {
+    app = await startApp();
+});
+test.after(() => app.close());
+
+function minutesAfter(timestamp, minutes) {
+    return new Date(Date.parse(timestamp) + minutes * 60000).toISOString();
+}
+
+test('request fields map onto assignment columns', () => {
+    assert.deepEqual(latePolicy.normalizeLatePolicy({}), {
+        late_policy: 'hard_close',
+        grace_period_minutes: 0,
+        late_cutoff: null,
+        late_penalty_percent: 0,
+        late_penalty_unit: 'day'
+    });
+
+    const grace = latePolicy.normalizeLatePolicy({ latePolicy: 'grace', gracePeriodMinutes: '90', latePenaltyPercent: 10 });
+    assert.equal(grace.grace_period_minutes, 90);
+    assert.equal(grace.late_penalty_percent, 10);
+
+    assert.throws(() => latePolicy.normalizeLatePolicy({ latePolicy: 'whenever' }), latePolicy.LatePolicyError);
+    assert.throws(() => latePolicy.normalizeLatePolicy({ latePolicy: 'grace' }), /Grace period/);
+    assert.throws(() => latePolicy.normalizeLatePolicy({ latePolicy: 'accept_until' }), /late cutoff/);
+    assert.throws(() => latePolicy.normalizeLatePolicy({ latePolicy: 'grace', gracePeriodMinutes: 5, latePenaltyPercent: 101 }),
+                  /exceed 100%/);
+});
+
+test('the cutoff has to come after the deadline', () => {
+    const policy = latePolicy.normalizeLatePolicy({ latePolicy: 'accept_until', lateCutoff: minutesAfter(DEADLINE, 60) });
+
+    assert.doesNotThrow(() => latePolicy.validateLateCutoff(policy, DEADLINE));
+    assert.throws(() => latePolicy.validateLateCutoff(policy, minutesAfter(DEADLINE, 60)), /after the deadline/);
+});
+
+test('penalties are charged per started unit and capped at 100%', () => {
+    const assignment = { deadline: DEADLINE, late_policy: 'grace', grace_period_minutes: 10 * 24 * 60,
+                         late_penalty_percent: 15, late_penalty_unit: 'day' };
+
+    assert.deepEqual(latePolicy.evaluateSubmission(assignment, DEADLINE),
+                     { accepted: true, late: false, minutesLate: 0, penaltyPercent: 0 });
+
+    const oneMinute = latePolicy.evaluateSubmission(assignment, minutesAfter(DEADLINE, 1));
+    assert.equal(oneMinute.late, true);
+    assert.equal(oneMinute.penaltyPercent, 15);
+
+    assert.equal(latePolicy.evaluateSubmission(assignment, minutesAfter(DEADLINE, 24 * 60 + 1)).penaltyPercent, 30);
+    assert.equal(latePolicy.evaluateSubmission(assignment, minutesAfter(DEADLINE, 9 * 24 * 60)).penaltyPercent, 100);
+});
+
+test('nothing is accepted after the late window closes', () => {
+    const hardClose = { deadline: DEADLINE, late_policy: 'hard_close' };
+    assert.equal(latePolicy.evaluateSubmission(hardClose, minutesAfter(DEADLINE, 1)).accepted, false);
+
+    const acceptUntil = { deadline: DEADLINE, late_policy: 'accept_until', late_cutoff: minutesAfter(DEADLINE, 60),
+                          late_penalty_percent: 5, late_penalty_unit: 'hour' };
+    assert.equal(latePolicy.evaluateSubmission(acceptUntil, minutesAfter(DEADLINE, 60)).accepted, true);
+    assert.equal(latePolicy.evaluateSubmission(acceptUntil, minutesAfter(DEADLINE, 61)).accepted, false);
+
+    // An extension past the shared cutoff moves the window's end with it
+    const extended = minutesAfter(DEADLINE, 120);
+    assert.equal(latePolicy.lateWindowEnd(acceptUntil, extended).toISOString(), extended);
+});
+
+test('applyPenalty rounds to hundredths', () => {
+    assert.equal(latePolicy.applyPenalty(80, 40), 48);
+    assert.equal(latePolicy.applyPenalty(77.77, 33), 52.11);
+    assert.equal(latePolicy.applyPenalty(80, 0), 80);
+});
+
+test('editing an assignment re-evaluates the submissions already made', async () => {
+    const professor = await app.createUser({ role: 'professor' });
+    const student = await app.createUser();
+    const course = await app.createCourse(professor, [student]);
+    const client = await app.signIn(professor);
+
+    const created = await client.post('/api/assignments', {
+        title: 'Parser', deadline: DEADLINE, courseId: course.id,
+        latePolicy: 'grace', gracePeriodMinutes: 3 * 24 * 60, latePenaltyPercent: 20, latePenaltyUnit: 'day'
+    });
+    assert.equal(created.status, 201);
+    const assignmentId = created.body.assignment.id;
+
+    // Handed in two days late, and graded 80 with the 40% penalty
+    const submission = await app.createSubmission({
+        assignmentId, studentId: student.id, submittedAt: minutesAfter(DEADLINE, 2 * 24 * 60 - 30), status: 'late'
+    });
+    await app.database.dbRun('UPDATE submissions SET minutes_late = ?, late_penalty = 40 WHERE id = ?',
+                             [2 * 24 * 60 - 30, submission.id]);
+    assert.equal((await client.put(`/api/submissions/${submission.id}/grade`, { points: 80 })).status, 200);
+
+    const rows = async () => app.database.dbGet(`
+        SELECT s.status, s.minutes_late, s.late_penalty, g.points, g.raw_points
+        FROM submissions s JOIN grades g ON g.submission_id = s.id WHERE s.id = ?
+    `, [submission.id]);
+    assert.deepEqual(await rows(), { status: 'graded', minutes_late: 2850, late_penalty: 40, points: 48, raw_points: 80 });
+
+    // Moving the deadline past the hand-in clears the penalty
+    const moved = await client.put(`/api/assignments/${assignmentId}`, {
+        title: 'Parser', deadline: minutesAfter(DEADLINE, 3 * 24 * 60)
+    });
+    assert.equal(moved.status, 200);
+    assert.deepEqual(await rows(), { status: 'graded', minutes_late: 0, late_penalty: 0, points: 80, raw_points: 80 });
+
+    // Back on the original deadline, a gentler policy lowers the penalty
+    await client.put(`/api/assignments/${assignmentId}`, { title: 'Parser', deadline: DEADLINE });
+    assert.equal((await rows()).points, 48);
+    await client.put(`/api/assignments/${assignmentId}`, {
+        title: 'Parser', deadline: DEADLINE,
+        latePolicy: 'grace', gracePeriodMinutes: 3 * 24 * 60, latePenaltyPercent: 5, latePenaltyUnit: 'day'
+    });
+    assert.deepEqual(await rows(), { status: 'graded', minutes_late: 2850, late_penalty: 10, points: 72, raw_points: 80 });
+});
+
+test('a deadline edit alone cannot pass the stored cutoff', async () => {
+    const professor = await app.createUser({ role: 'professor' });
+    const course = await app.createCourse(professor);
+    const client = await app.signIn(professor);
+
+    const created = await client.post('/api/assignments', {
+        title: 'Cutoff', deadline: DEADLINE, courseId: course.id,
+        latePolicy: 'accept_until', lateCutoff: minutesAfter(DEADLINE, 60)
+    });
+    const assignmentId = created.body.assignment.id;
+
+    const moved = await client.put(`/api/assignments/${assignmentId}`, {
+        title: 'Cutoff', deadline: minutesAfter(DEADLINE, 120)
+    });
+    assert.equal(moved.status, 400);
+    assert.match(moved.body.error, /after the deadline/);
+
+    const stored = await app.database.dbGet('SELECT deadline FROM assignments WHERE id = ?', [assignmentId]);
+    assert.equal(stored.deadline, DEADLINE);
+});
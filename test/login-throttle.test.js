@@ -0,0 +1,62 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { backoffMs, createLoginThrottle, loadThrottlePolicy } = require('../lib/login-throttle');
+const { openDatabase } = require('./support/database');
+
+let database;
+test.before(async () => {
+    database = await openDatabase();
+});
+test.after(() => database.close());
+
+const policy = loadThrottlePolicy({ LOGIN_ACCOUNT_FREE_ATTEMPTS: '2', LOGIN_LOCKOUT_ATTEMPTS: '5', LOGIN_LOCKOUT_MINUTES: '15' });
+
+function at(minutes) {
+    return new Date(Date.parse('2030-01-01T00:00:00Z') + minutes * 60 * 1000);
+}
+
+test('backoff doubles after the free attempts up to the ceiling', () => {
+    const rules = { freeAttempts: 2, baseMs: 1000, maxMs: 5000 };
+    assert.deepEqual([1, 2, 3, 4, 5, 6].map(failures => backoffMs(failures, rules)), [0, 0, 1000, 2000, 4000, 5000]);
+});
+
+test('an account that keeps failing is locked until the lock runs out', async () => {
+    const throttle = createLoginThrottle({ ...database, policy });
+    const keys = [{ scope: 'account', key: 'ada@example.edu' }];
+
+    await throttle.fail(keys, {}, at(0));
+    await throttle.fail(keys, {}, at(0));
+    assert.equal(await throttle.check(keys, at(0)), null);
+
+    await throttle.fail(keys, {}, at(0));
+    assert.deepEqual(await throttle.check(keys, at(0)), { scope: 'account', key: 'ada@example.edu', locked: false, retryAfterMs: 1000 });
+
+    await throttle.fail(keys, {}, at(0));
+    await throttle.fail(keys, { ip: '203.0.113.9' }, at(0));
+    const locked = await throttle.check(keys, at(1));
+    assert.equal(locked.locked, true);
+    assert.equal(locked.retryAfterMs, 14 * 60 * 1000);
+    // A correct password does not end a lock
+    await throttle.succeed(keys);
+    assert.ok(await throttle.check(keys, at(1)));
+
+    assert.equal(await throttle.check(keys, at(15)), null);
+    const events = (await throttle.listEvents()).map(event => [event.event, event.reason]);
+    assert.deepEqual(events, [['unlocked', 'expired'], ['locked', '5 failed attempts']]);
+});
+
+test('a success clears the account counter but not the address', async () => {
+    const throttle = createLoginThrottle({ ...database, policy: { ...policy, ip: { ...policy.ip, freeAttempts: 1 } } });
+    const keys = [{ scope: 'ip', key: '198.51.100.7' }, { scope: 'account', key: 'grace@example.edu' }];
+
+    await throttle.fail(keys, {}, at(0));
+    await throttle.fail(keys, {}, at(0));
+    await throttle.succeed(keys);
+
+    const blocked = await throttle.check(keys, at(0));
+    assert.equal(blocked.scope, 'ip');
+    assert.equal(await throttle.check([keys[1]], at(0)), null);
+
+    assert.equal(await throttle.clear('ip', '198.51.100.7', { reason: 'test' }), true);
+    assert.equal(await throttle.check(keys, at(0)), null);
+});
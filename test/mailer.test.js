@@ -0,0 +1,28 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const mailer = require('../lib/mailer');
+
+test('production needs a mail transport to be chosen', () => {
+    assert.throws(() => mailer.loadMailConfig({ NODE_ENV: 'production' }), /MAIL_TRANSPORT/);
+    assert.equal(mailer.loadMailConfig({ NODE_ENV: 'production', MAIL_TRANSPORT: 'file' }).transport, 'file');
+    assert.equal(mailer.loadMailConfig({}).transport, 'console');
+    assert.throws(() => mailer.loadMailConfig({ MAIL_TRANSPORT: 'smtp' }), /SMTP_HOST/);
+});
+
+test('the console transport logs who a message is for, not what it says', async (t) => {
+    const logged = [];
+    t.mock.method(console, 'log', line => logged.push(line));
+
+    const transport = mailer.createMailTransport(mailer.loadMailConfig({}));
+    await transport.send({
+        to: 'ada@example.edu',
+        subject: 'Reset your password',
+        text: 'http://localhost:3000/reset?token=secret',
+        html: '<a href="http://localhost:3000/reset?token=secret">Reset</a>'
+    });
+
+    assert.equal(logged.length, 1);
+    assert.match(logged[0], /ada@example\.edu/);
+    assert.match(logged[0], /Reset your password/);
+    assert.doesNotMatch(logged[0], /secret/);
+});
@@ -0,0 +1,147 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createMigrator, loadMigrations, MigrationError } = require('../lib/migrations');
+const { TABLES_SQL, INDEXES_SQL } = require('../lib/baseline-schema');
+const { openDatabase } = require('./support/database');
+
+async function tableNames(database) {
+    const rows = await database.dbAll("SELECT name FROM sqlite_master WHERE type = 'table' AND name NOT LIKE 'sqlite_%'");
+    return rows.map(row => row.name);
+}
+
+async function schemaOf(database) {
+    return database.dbAll(`
+        SELECT type, name, sql FROM sqlite_master
+        WHERE name NOT LIKE 'sqlite_%' AND name != 'schema_migrations' AND tbl_name != 'schema_migrations'
+        ORDER BY type, name
+    `);
+}
+
+async function columnNames(database, table) {
+    return (await database.dbAll(`PRAGMA table_info(${table})`)).map(column => column.name);
+}
+
+test('migration files load in version order', () => {
+    const migrations = loadMigrations();
+    assert.deepEqual(migrations.slice(0, 3).map(migration => `${migration.version}-${migration.name}`),
+                     ['001-baseline', '002-rebuild-legacy-tables', '003-similarity-common-fingerprints']);
+
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'migrations-'));
+    try {
+        fs.writeFileSync(path.join(directory, 'add-table.js'), 'module.exports = { up() {}, down() {} };');
+        assert.throws(() => loadMigrations(directory), MigrationError);
+    } finally {
+        fs.rmSync(directory, { recursive: true, force: true });
+    }
+});
+
+test('every migration applies and reverts', async () => {
+    const database = await openDatabase({ migrate: false });
+    try {
+        await database.withConnection(async connection => {
+            const migrator = createMigrator(connection);
+
+            await migrator.up({ to: '002' });
+            assert.equal((await migrator.pending())[0].version, '003');
+            assert.ok(!(await columnNames(database, 'similarity_reports')).includes('common_fingerprints'));
+
+            await migrator.up();
+            assert.deepEqual(await migrator.pending(), []);
+            assert.ok((await columnNames(database, 'similarity_reports')).includes('common_fingerprints'));
+
+            await migrator.down();
+            assert.ok(!(await columnNames(database, 'similarity_reports')).includes('common_fingerprints'));
+
+            await migrator.down({ steps: 2 });
+            assert.deepEqual(await tableNames(database), ['schema_migrations']);
+
+            await migrator.up();
+            assert.ok((await migrator.status()).every(row => row.applied_at));
+        });
+    } finally {
+        await database.close();
+    }
+});
+
+// 001-baseline.js keeps its shipped copy of the schema; later migrations read lib/baseline-schema.js
+test('the baseline schema module matches what 001-baseline.js creates', async () => {
+    const migrated = await openDatabase({ migrate: false });
+    const built = await openDatabase({ migrate: false });
+    try {
+        await migrated.withConnection(connection => createMigrator(connection).up({ to: '001' }));
+        await built.withConnection(async connection => {
+            await connection.dbExec(TABLES_SQL);
+            await connection.dbExec(INDEXES_SQL);
+        });
+        assert.deepEqual(await schemaOf(built), await schemaOf(migrated));
+    } finally {
+        await migrated.close();
+        await built.close();
+    }
+});
+
+test('a migration that fails leaves the database as it was', async () => {
+    const database = await openDatabase({ migrate: false });
+    const migrations = [
+        { version: '1', name: 'notes', up: ({ dbExec }) => dbExec('CREATE TABLE notes (id TEXT)'), down: () => {} },
+        {
+            version: '2',
+            name: 'broken',
+            up: async ({ dbExec }) => {
+                await dbExec('CREATE TABLE half_done (id TEXT)');
+                await dbExec('ALTER TABLE missing ADD COLUMN x TEXT');
+            },
+            down: () => {}
+        }
+    ];
+    try {
+        await database.withConnection(async connection => {
+            const migrator = createMigrator(connection, { migrations });
+            await assert.rejects(migrator.up(), /Migration 2-broken failed/);
+            assert.deepEqual((await tableNames(database)).sort(), ['notes', 'schema_migrations']);
+            assert.deepEqual((await migrator.pending()).map(migration => migration.name), ['broken']);
+        });
+    } finally {
+        await database.close();
+    }
+});
+
+test('a database from before migrations gets the baseline tables and loses orphans', async () => {
+    const database = await openDatabase({ migrate: false });
+    try {
+        await database.withConnection(async connection => {
+            // The old submissions table, with no ON DELETE actions, and a row whose assignment is gone
+            await connection.dbExec(`
+                PRAGMA foreign_keys = OFF;
+                CREATE TABLE submissions (
+                    id TEXT PRIMARY KEY,
+                    assignment_id TEXT NOT NULL,
+                    student_id TEXT NOT NULL,
+                    repo_link TEXT NOT NULL,
+                    submitted_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                    status TEXT DEFAULT 'submitted',
+                    FOREIGN KEY (assignment_id) REFERENCES assignments (id),
+                    FOREIGN KEY (student_id) REFERENCES users (id)
+                );
+                INSERT INTO submissions (id, assignment_id, student_id, repo_link) VALUES ('orphan', 'gone', 'gone', 'x');
+                PRAGMA foreign_keys = ON;
+            `);
+            await createMigrator(connection).up();
+        });
+
+        assert.equal(await database.dbGet("SELECT id FROM submissions WHERE id = 'orphan'"), undefined);
+        assert.equal(await database.dbGet("SELECT id FROM submission_versions WHERE submission_id = 'orphan'"), undefined);
+
+        await database.dbRun("INSERT INTO users (id, email, name, role) VALUES ('u1', 'ada@example.edu', 'Ada', 'professor')");
+        await database.dbRun(`INSERT INTO assignments (id, title, deadline, created_by) VALUES ('a1', 'Parser', '2030-01-01', 'u1')`);
+        await database.dbRun("INSERT INTO submissions (id, assignment_id, student_id, repo_link) VALUES ('s1', 'a1', 'u1', 'x')");
+        // The rebuilt table cascades
+        await database.dbRun("DELETE FROM assignments WHERE id = 'a1'");
+        assert.equal(await database.dbGet("SELECT id FROM submissions WHERE id = 's1'"), undefined);
+    } finally {
+        await database.close();
+    }
+});
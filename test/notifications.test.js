@@ -0,0 +1,79 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp } = require('./support/app');
+
+let app;
+test.before(async () => {
+    app = await startApp();
+});
+test.after(() => app.close());
+
+function daysFromNow(days) {
+    return new Date(Date.now() + days * 24 * 60 * 60 * 1000).toISOString();
+}
+
+// Notifications are queued after the response is sent, so wait for `times` of the type expected
+async function queuedTypes(user, expected, times = 1) {
+    for (let tries = 0; tries < 100; tries++) {
+        const rows = await app.database.dbAll('SELECT type FROM email_outbox WHERE user_id = ? ORDER BY created_at, rowid', [user.id]);
+        const types = rows.map(row => row.type);
+        if (types.filter(type => type === expected).length >= times) return types;
+        await new Promise(resolve => setTimeout(resolve, 20));
+    }
+    throw new Error(`No ${expected} notification was queued`);
+}
+
+test('preferences default to on, are saved per type and refuse types of another role', async () => {
+    const student = await app.createUser();
+    const client = await app.signIn(student);
+
+    const defaults = (await client.get('/api/notifications/preferences')).body.preferences;
+    assert.ok(defaults.every(preference => preference.enabled));
+    assert.ok(!defaults.some(preference => preference.type === 'submission_digest'));
+
+    assert.equal((await client.put('/api/notifications/preferences', { preferences: { grade_released: false } })).status, 200);
+    const saved = (await client.get('/api/notifications/preferences')).body.preferences;
+    assert.deepEqual(saved.filter(preference => !preference.enabled).map(preference => preference.type), ['grade_released']);
+
+    assert.equal((await client.put('/api/notifications/preferences', { preferences: { submission_digest: true } })).status, 400);
+    assert.equal((await client.put('/api/notifications/preferences', { preferences: { grade_released: 'yes' } })).status, 400);
+    assert.equal((await client.put('/api/notifications/preferences', {})).status, 400);
+    assert.equal((await app.client().get('/api/notifications/preferences')).status, 401);
+});
+
+test('notifications are queued for enrolled students unless they turned that type off', async () => {
+    const professor = await app.createUser({ role: 'professor' });
+    const student = await app.createUser();
+    const outsider = await app.createUser();
+    const course = await app.createCourse(professor, [student]);
+    const staff = await app.signIn(professor);
+    const learner = await app.signIn(student);
+    await learner.put('/api/notifications/preferences', { preferences: { grade_released: false } });
+
+    // Far enough out that no deadline reminder is due yet
+    const created = await staff.post('/api/assignments', { title: 'Parser', deadline: daysFromNow(3), courseId: course.id });
+    const assignmentId = created.body.assignment.id;
+    assert.deepEqual(await queuedTypes(student, 'assignment_published'), ['assignment_published']);
+
+    await learner.post('/api/submissions', { assignmentId, repoLink: 'https://github.com/student/parser' });
+    await queuedTypes(student, 'submission_receipt');
+    const { id } = await app.database.dbGet('SELECT id FROM submissions WHERE assignment_id = ?', [assignmentId]);
+    await staff.put(`/api/submissions/${id}/grade`, { points: 90 });
+
+    // A later hand-in is queued after the grade would have been
+    await learner.post('/api/submissions', { assignmentId, repoLink: 'https://github.com/student/parser2' });
+    const types = await queuedTypes(student, 'submission_receipt', 2);
+    assert.deepEqual(types, ['assignment_published', 'submission_receipt', 'submission_receipt']);
+
+    // Turned back on, the next grade change is queued
+    await learner.put('/api/notifications/preferences', { preferences: { grade_released: true } });
+    await staff.put(`/api/submissions/${id}/grade`, { points: 85 });
+    assert.equal((await queuedTypes(student, 'grade_released')).length, 4);
+
+    const mail = await app.sentMail(student.email);
+    assert.equal(mail.length, 4);
+    assert.match(mail[0], /Parser/);
+
+    const { count } = await app.database.dbGet('SELECT COUNT(*) as count FROM email_outbox WHERE user_id = ?', [outsider.id]);
+    assert.equal(count, 0);
+});
@@ -0,0 +1,39 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const registration = require('../lib/registration');
+
+test('production refuses to start without REGISTRATION_SECRET', () => {
+    assert.throws(() => registration.loadRegistrationConfig({ NODE_ENV: 'production' }), /REGISTRATION_SECRET/);
+    assert.equal(registration.loadRegistrationConfig({ NODE_ENV: 'production', REGISTRATION_SECRET: 'k' }).secret, 'k');
+    assert.ok(registration.loadRegistrationConfig({}).secret, 'development falls back to a fixed key');
+});
+
+test('verification links are signed and expire', () => {
+    const config = registration.loadRegistrationConfig({ REGISTRATION_SECRET: 'one', REGISTRATION_VERIFY_HOURS: '1' });
+    const claims = { userId: 'u1', email: 'ada@example.edu', sentAt: '2030-01-01T00:00:00.000Z', inviteCodeId: null };
+    const now = Date.parse('2030-01-01T00:00:00Z');
+    const token = registration.createVerificationToken(claims, config, now);
+
+    assert.deepEqual(registration.readVerificationToken(token, config, now + 1000), { ...claims, expiresAt: now + 3600000 });
+    assert.equal(registration.readVerificationToken(token, config, now + 3600000), null);
+
+    const otherKey = registration.loadRegistrationConfig({ REGISTRATION_SECRET: 'two' });
+    assert.equal(registration.readVerificationToken(token, otherKey, now), null);
+
+    const [, signature] = token.split('.');
+    const forged = Buffer.from(JSON.stringify({ ...claims, email: 'mallory@example.edu', expiresAt: now + 3600000 })).toString('base64url');
+    assert.equal(registration.readVerificationToken(`${forged}.${signature}`, config, now), null);
+});
+
+test('invite codes are normalized and checked in order', () => {
+    assert.equal(registration.normalizeInviteCode(' abcd-efgh '), 'ABCDEFGH');
+    assert.match(registration.generateInviteCode(), /^[A-HJ-NP-Z2-9]{8}$/);
+
+    const now = '2030-01-01T00:00:00.000Z';
+    const invite = { revoked_at: null, expires_at: '2030-02-01T00:00:00.000Z', max_uses: 2, use_count: 1 };
+    assert.equal(registration.inviteCodeProblem(invite, now), null);
+    assert.equal(registration.inviteCodeStatus({ ...invite, use_count: 2 }, now), 'used_up');
+    assert.equal(registration.inviteCodeStatus({ ...invite, expires_at: now }, now), 'expired');
+    assert.equal(registration.inviteCodeStatus({ ...invite, revoked_at: now, use_count: 2 }, now), 'revoked');
+    assert.match(registration.inviteCodeProblem(null, now), /No course/);
+});
@@ -0,0 +1,86 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const repoUrl = require('../lib/repo-url');
+
+test('HTTPS, SSH and browser links reduce to the canonical URL', () => {
+    const expected = { provider: 'github', host: 'github.com', path: 'ada/parser', url: 'https://github.com/ada/parser', ref: null };
+
+    assert.deepEqual(repoUrl.parseRepoUrl('https://github.com/ada/parser'), expected);
+    assert.deepEqual(repoUrl.parseRepoUrl('https://www.github.com/ada/parser.git'), expected);
+    assert.deepEqual(repoUrl.parseRepoUrl('git@github.com:ada/parser.git'), expected);
+    assert.deepEqual(repoUrl.parseRepoUrl('ssh://git@github.com/ada/parser'), expected);
+});
+
+test('a browser link names the ref it points into', () => {
+    assert.deepEqual(repoUrl.parseRepoUrl('https://github.com/ada/parser/tree/main/src').ref, { type: 'branch', name: 'main' });
+    assert.deepEqual(repoUrl.parseRepoUrl('https://github.com/ada/parser/releases/tag/v1.0').ref, { type: 'tag', name: 'v1.0' });
+
+    const sha = 'a'.repeat(40);
+    const gitlab = repoUrl.parseRepoUrl(`https://gitlab.com/group/sub/parser/-/commit/${sha}`);
+    assert.equal(gitlab.path, 'group/sub/parser');
+    assert.deepEqual(gitlab.ref, { type: 'commit', name: sha });
+});
+
+test('links that are not repositories are refused', () => {
+    for (const link of ['', 'not a url', 'https://github.com/ada', 'https://github.com/ada/parser/extra',
+                        'https://github.com/settings/profile', 'https://gist.github.com/ada/123',
+                        'ftp://example.com/ada/parser', 'https://github.com/ada/parser?tab=readme']) {
+        assert.throws(() => repoUrl.parseRepoUrl(link), repoUrl.RepoUrlError, link);
+    }
+});
+
+test('self-hosted servers keep plain http and nested groups', () => {
+    assert.deepEqual(repoUrl.parseRepoUrl('http://git.uni.edu/cs101/team/parser.git'), {
+        provider: 'self-hosted', host: 'git.uni.edu', path: 'cs101/team/parser', url: 'http://git.uni.edu/cs101/team/parser', ref: null
+    });
+});
+
+test('file links are only accepted when allowed', () => {
+    assert.throws(() => repoUrl.parseRepoUrl('file:///srv/repos/parser.git'), /Local repository/);
+    assert.equal(repoUrl.parseRepoUrl('file:///srv/repos/parser.git', { allowFileUrls: true }).url, 'file:///srv/repos/parser.git');
+});
+
+test('local and private network hosts are refused unless allowed', () => {
+    for (const link of ['http://localhost/a/b', 'http://127.1/a/b', 'http://0x7f000001/a/b', 'http://[::1]/a/b',
+                        'https://169.254.169.254/a/b', 'https://10.0.0.5/a/b', 'https://172.16.4.2/a/b',
+                        'https://192.168.1.10:8443/a/b', 'git@192.168.1.10:a/b.git', 'http://[fd00::1]/a/b',
+                        'http://git.localhost/a/b']) {
+        assert.throws(() => repoUrl.parseRepoUrl(link), /private network/, link);
+    }
+
+    assert.equal(repoUrl.parseRepoUrl('https://172.32.0.1/a/b').host, '172.32.0.1');
+    assert.equal(repoUrl.parseRepoUrl('https://10.0.0.5/a/b', { allowPrivateHosts: ['10.0.0.5'] }).url,
+                 'https://10.0.0.5/a/b');
+});
+
+test('private addresses cover loopback, link-local and private ranges', () => {
+    for (const address of ['0.0.0.0', '10.1.2.3', '100.64.0.1', '127.0.0.1', '169.254.169.254', '172.31.255.255',
+                           '192.168.0.1', '::', '::1', 'fe80::1', 'fc00::1', '::ffff:10.0.0.1']) {
+        assert.equal(repoUrl.isPrivateAddress(address), true, address);
+    }
+    for (const address of ['8.8.8.8', '172.32.0.1', '192.169.0.1', '2606:4700::1111']) {
+        assert.equal(repoUrl.isPrivateAddress(address), false, address);
+    }
+});
+
+test('refs follow the rules of git-check-ref-format', () => {
+    assert.deepEqual(repoUrl.normalizeRef('branch', ' feature/lexer '), { type: 'branch', name: 'feature/lexer' });
+    assert.deepEqual(repoUrl.normalizeRef('commit', 'ABCDEF1'), { type: 'commit', name: 'abcdef1' });
+    assert.equal(repoUrl.normalizeRef('branch', ''), null);
+
+    for (const name of ['a..b', 'a b', '-x', 'x.lock', 'x/', '@', 'a@{1}']) {
+        assert.throws(() => repoUrl.normalizeRef('branch', name), repoUrl.RepoUrlError, name);
+    }
+    assert.throws(() => repoUrl.normalizeRef('commit', 'xyz'), /hexadecimal/);
+    assert.throws(() => repoUrl.normalizeRef('note', 'x'), /Ref type/);
+});
+
+test('allowed hosts are normalized and matched exactly', () => {
+    assert.deepEqual(repoUrl.normalizeAllowedHosts(' GitHub.com, www.gitlab.com,github.com'), ['github.com', 'gitlab.com']);
+    assert.throws(() => repoUrl.normalizeAllowedHosts('not a host'), repoUrl.RepoUrlError);
+
+    const repo = repoUrl.parseRepoUrl('https://gitlab.com/ada/parser');
+    assert.equal(repoUrl.isHostAllowed(repo, repoUrl.parseAllowedHosts('github.com,gitlab.com')), true);
+    assert.equal(repoUrl.isHostAllowed(repo, repoUrl.parseAllowedHosts('github.com')), false);
+    assert.equal(repoUrl.isHostAllowed(repo, repoUrl.parseAllowedHosts(null)), true);
+});
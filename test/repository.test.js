@@ -0,0 +1,75 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createRepository } = require('../lib/repository');
+const { openDatabase } = require('./support/database');
+
+let database;
+let repository;
+test.before(async () => {
+    database = await openDatabase();
+    repository = createRepository(database);
+});
+test.after(() => database.close());
+
+function hoursFromNow(hours) {
+    return new Date(Date.now() + hours * 60 * 60 * 1000).toISOString();
+}
+
+test('an invite sets the password once, however many requests race for it', async () => {
+    const user = await repository.users.create({ email: 'ada@example.edu', name: 'Ada', role: 'student' });
+    await repository.accountInvites.create(user.id, { tokenHash: 'invite-hash', expiresAt: hoursFromNow(1), createdBy: null });
+    const invite = await repository.accountInvites.findOpen('invite-hash');
+
+    const redeemed = await Promise.all([
+        repository.accountInvites.redeem(invite, 'first-hash'),
+        repository.accountInvites.redeem(invite, 'second-hash')
+    ]);
+    assert.deepEqual(redeemed, [true, false]);
+    assert.equal((await repository.users.findById(user.id)).password_hash, 'first-hash');
+    assert.equal(await repository.accountInvites.findOpen('invite-hash'), undefined);
+});
+
+test('a reset link voids the earlier ones and its use confirms the address', async () => {
+    const userId = await repository.users.saveRegistration({
+        email: 'grace@example.edu', name: 'Grace', passwordHash: 'unconfirmed', sentAt: hoursFromNow(0)
+    });
+    await repository.passwordResets.create(userId, { tokenHash: 'old-link', expiresAt: hoursFromNow(1) });
+    await repository.passwordResets.create(userId, { tokenHash: 'new-link', expiresAt: hoursFromNow(1) });
+    assert.equal(await repository.passwordResets.findOpen('old-link'), undefined);
+
+    const reset = await repository.passwordResets.findOpen('new-link');
+    const changedAt = hoursFromNow(0);
+    assert.equal(await repository.passwordResets.redeem(reset, 'reset-hash', changedAt), true);
+    assert.equal(await repository.passwordResets.redeem(reset, 'again-hash', changedAt), false);
+
+    const user = await repository.users.findById(userId);
+    assert.deepEqual([user.password_hash, user.sessions_revoked_at, user.verification_sent_at], ['reset-hash', changedAt, null]);
+});
+
+test('a grade deducts the late penalty and a failed rubric save keeps the grade before it', async () => {
+    const professor = await repository.users.create({ email: 'prof@example.edu', name: 'Prof', role: 'professor' });
+    const student = await repository.users.create({ email: 'linus@example.edu', name: 'Linus', role: 'student' });
+    const assignment = await repository.assignments.create({ title: 'Parser', deadline: hoursFromNow(-24) }, professor.id);
+    const submission = await repository.submissions.record({
+        assignmentId: assignment.id, studentId: student.id, repo: { url: 'https://github.com/linus/parser' },
+        status: 'late', evaluation: { minutesLate: 60, penaltyPercent: 20 }
+    });
+    const rubricId = await repository.rubrics.create({
+        title: 'Parser', description: null,
+        criteria: [{ name: 'Tests', description: null, weight: 1, levels: [{ label: 'All', points: 10, descriptor: null }] }]
+    }, professor.id);
+    const [criterion] = (await repository.rubrics.find(rubricId)).criteria;
+
+    await repository.grades.saveRubricScores(submission.submissionId, [{ criterionId: criterion.id, points: 10, comment: 'Good' }],
+                                             { points: 90, maxPoints: 100, feedback: 'Solid', gradedBy: professor.id });
+    const graded = await repository.submissions.findGraded(submission.submissionId);
+    assert.deepEqual([graded.status, graded.raw_points, graded.points, graded.applied_late_penalty], ['graded', 90, 72, 20]);
+
+    await assert.rejects(repository.grades.saveRubricScores(submission.submissionId,
+                                                            [{ criterionId: criterion.id, points: -1, comment: null }],
+                                                            { points: 0, maxPoints: 100, feedback: null, gradedBy: professor.id }),
+                         /CHECK constraint/);
+    assert.equal((await repository.grades.find(submission.submissionId)).raw_points, 90);
+    assert.deepEqual(await repository.grades.listRubricScores(submission.submissionId),
+                     [{ criterion_id: criterion.id, points: 10, comment: 'Good' }]);
+});
@@ -0,0 +1,81 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp } = require('./support/app');
+
+let app;
+test.before(async () => {
+    app = await startApp();
+});
+test.after(() => app.close());
+
+function statuses(results) {
+    return results.map(result => result.status);
+}
+
+test('a roster creates new students, enrolls existing ones and reports the rows it could not use', async () => {
+    const professor = await app.createUser({ role: 'professor' });
+    const enrolled = await app.createUser({ name: 'Enrolled' });
+    const existing = await app.createUser({ name: 'Existing' });
+    const course = await app.createCourse(professor, [enrolled]);
+    const staff = await app.signIn(professor);
+
+    const csv = [
+        'Name,Email,Student ID',
+        'New Student,New.Student@example.edu,S100',
+        `Existing,${existing.email},S101`,
+        `Enrolled,${enrolled.email},S102`,
+        'Repeat,new.student@example.edu,S103',
+        ',nameless@example.edu,S104',
+        'Bad Email,not-an-email,S105',
+        'Same Number,other@example.edu,S100',
+        `Professor,${professor.email},S106`
+    ].join('\n');
+
+    // A dry run reports the same rows and writes nothing
+    const preview = await staff.post(`/api/courses/${course.id}/roster`, { csv, dryRun: true });
+    assert.equal(preview.status, 200);
+    assert.equal(await app.database.dbGet("SELECT id FROM users WHERE email = 'new.student@example.edu'"), undefined);
+
+    const imported = await staff.post(`/api/courses/${course.id}/roster`, { csv, credentials: 'password' });
+    assert.equal(imported.status, 200);
+    assert.deepEqual(statuses(imported.body.results), statuses(preview.body.results));
+    assert.deepEqual(statuses(imported.body.results), [
+        'created', 'enrolled', 'already_enrolled', 'skipped', 'error', 'error', 'error', 'error'
+    ]);
+    assert.deepEqual(imported.body.summary, { rows: 8, created: 1, enrolled: 1, already_enrolled: 1, skipped: 1, error: 4 });
+    assert.ok(imported.body.results[0].temporaryPassword);
+    assert.match(imported.body.report, /^Line,Name,Email/);
+
+    const enrollments = await app.database.dbAll(`
+        SELECT u.email, u.student_number FROM enrollments e JOIN users u ON e.student_id = u.id
+        WHERE e.course_id = ? ORDER BY u.student_number
+    `, [course.id]);
+    assert.deepEqual(enrollments.map(row => [row.email, row.student_number]), [
+        ['new.student@example.edu', 'S100'],
+        [existing.email, 'S101'],
+        [enrolled.email, 'S102']
+    ]);
+    assert.equal((await app.database.dbGet('SELECT role FROM users WHERE id = ?', [professor.id])).role, 'professor');
+
+    // Importing the same file again creates nobody
+    const again = await staff.post(`/api/courses/${course.id}/roster`, { csv });
+    assert.equal(again.body.summary.created, 0);
+    assert.equal(again.body.summary.already_enrolled, 3);
+});
+
+test('a roster is refused without the required columns, for another course or from a student', async () => {
+    const professor = await app.createUser({ role: 'professor' });
+    const student = await app.createUser();
+    const course = await app.createCourse(professor, [student]);
+    const csv = 'Name,Email,Student ID\nA Student,a.student@example.edu,S200';
+
+    const staff = await app.signIn(professor);
+    assert.equal((await staff.post(`/api/courses/${course.id}/roster`, { csv: 'Name,Email\nA,a@example.edu' })).status, 400);
+    assert.equal((await staff.post(`/api/courses/${course.id}/roster`, { csv: '' })).status, 400);
+    assert.equal((await staff.post(`/api/courses/${course.id}/roster`, { csv, credentials: 'carrier-pigeon' })).status, 400);
+
+    const other = await app.signIn(await app.createUser({ role: 'professor' }));
+    assert.equal((await other.post(`/api/courses/${course.id}/roster`, { csv })).status, 404);
+    assert.equal((await (await app.signIn(student)).post(`/api/courses/${course.id}/roster`, { csv })).status, 403);
+    assert.equal(await app.database.dbGet("SELECT id FROM users WHERE email = 'a.student@example.edu'"), undefined);
+});
@@ -0,0 +1,102 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp } = require('./support/app');
+
+let app;
+test.before(async () => {
+    app = await startApp();
+});
+test.after(() => app.close());
+
+function daysFromNow(days) {
+    return new Date(Date.now() + days * 24 * 60 * 60 * 1000).toISOString();
+}
+
+const RUBRIC = {
+    title: 'Project',
+    criteria: [
+        { name: 'Functionality', weight: 60, levels: [{ label: 'Works', points: 4 }, { label: 'Partly', points: 2 }, { label: 'Broken', points: 0 }] },
+        { name: 'README', weight: 40, levels: [{ label: 'Clear', points: 2 }, { label: 'Missing', points: 0 }] }
+    ]
+};
+
+// A professor with a rubric attached to an assignment one student has submitted to
+async function rubricSetup() {
+    const professor = await app.createUser({ role: 'professor' });
+    const student = await app.createUser();
+    const course = await app.createCourse(professor, [student]);
+    const staff = await app.signIn(professor);
+    const learner = await app.signIn(student);
+
+    const rubric = (await staff.post('/api/rubrics', RUBRIC)).body.rubric;
+    const created = await staff.post('/api/assignments', {
+        title: 'Project', deadline: daysFromNow(1), courseId: course.id, rubricId: rubric.id
+    });
+    const assignmentId = created.body.assignment.id;
+    await learner.post('/api/submissions', { assignmentId, repoLink: 'https://github.com/student/project' });
+    const { id: submissionId } = await app.database.dbGet('SELECT id FROM submissions WHERE assignment_id = ?', [assignmentId]);
+    return { staff, learner, rubric, assignmentId, submissionId };
+}
+
+function scoresFor(rubric, ...points) {
+    return rubric.criteria.map((criterion, index) => ({ criterionId: criterion.id, points: points[index] }));
+}
+
+test('a rubric is created with its bands in order and validated', async () => {
+    const staff = await app.signIn(await app.createUser({ role: 'professor' }));
+
+    const created = await staff.post('/api/rubrics', RUBRIC);
+    assert.equal(created.status, 201);
+    assert.deepEqual(created.body.rubric.criteria.map(criterion => [criterion.name, criterion.weight]),
+                     [['Functionality', 60], ['README', 40]]);
+    assert.deepEqual(created.body.rubric.criteria[0].levels.map(level => level.points), [4, 2, 0]);
+
+    assert.equal((await staff.post('/api/rubrics', { title: 'Empty', criteria: [] })).status, 400);
+    assert.equal((await staff.post('/api/rubrics', { ...RUBRIC, criteria: [{ ...RUBRIC.criteria[0], weight: 0 }] })).status, 400);
+
+    const other = await app.signIn(await app.createUser({ role: 'professor' }));
+    assert.equal((await other.get(`/api/rubrics/${created.body.rubric.id}`)).status, 404);
+});
+
+test('the total is computed on the server from the weighted criterion scores', async () => {
+    const { staff, learner, rubric, submissionId } = await rubricSetup();
+
+    // Full functionality and no README is 60 of 100; points the client sends are ignored
+    const scored = await staff.put(`/api/submissions/${submissionId}/rubric`, {
+        scores: scoresFor(rubric, 4, 0), points: 100
+    });
+    assert.equal(scored.status, 200);
+    assert.equal(scored.body.submission.points, 60);
+    assert.equal(scored.body.submission.max_points, 100);
+
+    // Half the functionality bands and a clear README: 30 + 40
+    const rescored = await staff.put(`/api/submissions/${submissionId}/rubric`, { scores: scoresFor(rubric, 2, 2) });
+    assert.equal(rescored.body.submission.points, 70);
+
+    // Every criterion has to be scored within its bands
+    assert.equal((await staff.put(`/api/submissions/${submissionId}/rubric`, { scores: scoresFor(rubric, 4) })).status, 400);
+    assert.equal((await staff.put(`/api/submissions/${submissionId}/rubric`, { scores: scoresFor(rubric, 5, 2) })).status, 400);
+
+    const filled = await learner.get(`/api/submissions/${submissionId}/rubric`);
+    assert.equal(filled.status, 200);
+    assert.deepEqual(filled.body.scores.map(score => score.points).sort(), [2, 2]);
+});
+
+test('a rubric in use cannot be deleted; once detached, deleting it drops its scores but keeps the grade', async () => {
+    const { staff, rubric, assignmentId, submissionId } = await rubricSetup();
+    await staff.put(`/api/submissions/${submissionId}/rubric`, { scores: scoresFor(rubric, 4, 2) });
+
+    assert.equal((await staff.delete(`/api/rubrics/${rubric.id}`)).status, 409);
+
+    const detached = await staff.put(`/api/assignments/${assignmentId}`, {
+        title: 'Project', deadline: daysFromNow(1), rubricId: null
+    });
+    assert.equal(detached.status, 200);
+    assert.equal((await staff.delete(`/api/rubrics/${rubric.id}`)).status, 200);
+
+    const { count } = await app.database.dbGet('SELECT COUNT(*) as count FROM rubric_scores WHERE submission_id = ?', [submissionId]);
+    assert.equal(count, 0);
+    assert.deepEqual(await app.database.dbGet('SELECT points, max_points FROM grades WHERE submission_id = ?', [submissionId]),
+                     { points: 100, max_points: 100 });
+    assert.equal((await staff.get(`/api/rubrics/${rubric.id}`)).status, 404);
+});
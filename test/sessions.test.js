@@ -0,0 +1,61 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { promisify } = require('util');
+const sessions = require('../lib/sessions');
+const { openDatabase } = require('./support/database');
+
+let database;
+let store;
+test.before(async () => {
+    database = await openDatabase();
+    store = new sessions.SqliteSessionStore(database);
+    for (const id of ['ada', 'grace']) {
+        await database.dbRun('INSERT INTO users (id, email, name, role) VALUES (?, ?, ?, ?)', [id, `${id}@example.edu`, id, 'student']);
+    }
+});
+test.after(() => database.close());
+
+const get = sid => promisify(store.get.bind(store))(sid);
+const set = (sid, sess) => promisify(store.set.bind(store))(sid, sess);
+const destroy = sid => promisify(store.destroy.bind(store))(sid);
+
+function newSession(userId) {
+    return { cookie: { expires: new Date(Date.now() + 60 * 60 * 1000) }, userId, ip: '203.0.113.4', userAgent: 'curl/8.0' };
+}
+
+test('a new session gets a row and later saves update it', async () => {
+    const sess = newSession('ada');
+    await set('sid-new', sess);
+    assert.equal(sess.persisted, true);
+
+    const loaded = await get('sid-new');
+    assert.equal(loaded.persisted, true);
+    await set('sid-new', { ...loaded, ip: '198.51.100.1' });
+
+    const [row] = await store.listForUser('ada');
+    assert.equal(row.ip, '198.51.100.1');
+    assert.equal(row.device, 'curl');
+    assert.equal(JSON.parse((await database.dbGet('SELECT sess FROM sessions WHERE sid = ?', ['sid-new'])).sess).persisted, undefined);
+});
+
+test('a revoked session is not written back by a request still using it', async () => {
+    await set('sid-laptop', newSession('grace'));
+    await set('sid-phone', newSession('grace'));
+    const inFlight = await get('sid-phone');
+
+    assert.deepEqual(await store.destroyForUser('grace', { exceptSid: 'sid-laptop' }), ['sid-phone']);
+    await set('sid-phone', { ...inFlight, userRole: 'student' });
+
+    assert.equal(await get('sid-phone'), null);
+    assert.deepEqual((await store.listForUser('grace')).map(row => row.sid), ['sid-laptop']);
+
+    await destroy('sid-laptop');
+    assert.deepEqual(await store.listForUser('grace'), []);
+});
+
+test('production needs SESSION_SECRET and cookie settings are checked', () => {
+    assert.throws(() => sessions.loadSessionConfig({ NODE_ENV: 'production' }), /SESSION_SECRET/);
+    assert.deepEqual(sessions.loadSessionConfig({ SESSION_SECRET: 'new, old' }).secret, ['new', 'old']);
+    assert.throws(() => sessions.loadSessionConfig({ SESSION_SAMESITE: 'none' }), /SESSION_COOKIE_SECURE=true/);
+    assert.equal(sessions.describeDevice('Mozilla/5.0 (Windows NT 10.0) Gecko/20100101 Firefox/118.0'), 'Firefox on Windows');
+});
@@ -0,0 +1,83 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const similarity = require('../lib/similarity');
+
+// Code whose token structure differs from seed to seed, so renaming is not what sets it apart
+function uniqueCode(seed, lines = 40) {
+    const templates = [
+        v => `${v} = ${v} + 1;`,
+        v => `if (${v} > 2) { return ${v}; }`,
+        v => `while (${v} < 10) ${v} *= 2;`,
+        v => `${v} = [${v}, ${v}, "x"];`,
+        v => `for (let i = 0; i < ${v}; i++) { call(i); }`,
+        v => `${v} = ${v} ? ${v} : null;`,
+        v => `throw new Error(${v});`
+    ];
+    let state = seed * 7919 + 17;
+    const code = [];
+    for (let line = 0; line < lines; line++) {
+        state = (state * 1103515245 + 12345) % 2147483648;
+        code.push(templates[state % templates.length](`v${line}`));
+    }
+    return code.join('\n');
+}
+
+const STARTER = 'function main(args) {\n    const parsed = parse(args);\n    return run(parsed, { verbose: false });\n}\n'.repeat(3);
+const BOILERPLATE = 'module.exports = { main, parse, run };\nconst fs = require("fs");\nconst path = require("path");\n'.repeat(4);
+const SHARED_SOLUTION = uniqueCode(999, 60);
+
+// 30 students: all get the starter code and the same boilerplate; 0 to 9 also hand in one solution
+function classSubmissions() {
+    return Array.from({ length: 30 }, (_, index) => ({
+        id: `s${index}`,
+        sources: [
+            { path: 'main.js', content: STARTER },
+            { path: 'exports.js', content: BOILERPLATE },
+            { path: 'solution.js', content: index < 10 ? SHARED_SOLUTION : uniqueCode(index, 60) }
+        ]
+    }));
+}
+
+test('renaming and reformatting do not change the tokens', () => {
+    const a = similarity.tokenize('let total = 0; // sum\nfor (const x of xs) total += x;').map(token => token.text);
+    const b = similarity.tokenize('let   sum=0\n/* other */ for (const item of items)\n  sum += item;').map(token => token.text);
+
+    assert.deepEqual(a.filter(text => text !== ';'), b.filter(text => text !== ';'));
+    assert.equal(similarity.tokenize('a\n"two\\nlines"\nb')[2].line, 3);
+});
+
+test('a copying ring of a third of the class is still reported', () => {
+    const { pairs, commonFingerprints } = similarity.compareSubmissions(classSubmissions(), [{ path: 'main.js', content: STARTER }]);
+
+    const ring = pairs.filter(pair => Number(pair.a.slice(1)) < 10 && Number(pair.b.slice(1)) < 10);
+    assert.equal(ring.length, 45);
+    assert.ok(ring.every(pair => pair.score === 100), 'every pair in the ring shares its whole solution');
+    assert.ok(pairs.slice(0, 45).every(pair => ring.includes(pair)), 'the ring ranks first');
+
+    // The boilerplate everyone wrote is dropped and counted
+    assert.ok(commonFingerprints > 0);
+    assert.ok(pairs.every(pair => !pair.regions.some(region => region.fileA === 'exports.js')));
+});
+
+test('the common threshold can be lowered and says what it dropped', () => {
+    const strict = similarity.compareSubmissions(classSubmissions(), [], { commonPercent: 25 });
+    const loose = similarity.compareSubmissions(classSubmissions(), [], { commonPercent: 100 });
+
+    assert.ok(strict.commonFingerprints > loose.commonFingerprints);
+    assert.equal(loose.commonFingerprints, 0);
+    // At 25% the ring's own solution is treated as common and its evidence is gone
+    assert.ok(!strict.pairs.some(pair => Number(pair.a.slice(1)) < 10 && Number(pair.b.slice(1)) < 10));
+});
+
+test('the threshold comes from SIMILARITY_COMMON_PERCENT', () => {
+    assert.deepEqual(similarity.loadSimilarityConfig({}), { commonPercent: 80 });
+    assert.deepEqual(similarity.loadSimilarityConfig({ SIMILARITY_COMMON_PERCENT: '50' }), { commonPercent: 50 });
+    assert.throws(() => similarity.loadSimilarityConfig({ SIMILARITY_COMMON_PERCENT: '0' }), /SIMILARITY_COMMON_PERCENT/);
+    assert.throws(() => similarity.loadSimilarityConfig({ SIMILARITY_COMMON_PERCENT: '101' }), /SIMILARITY_COMMON_PERCENT/);
+});
+
+test('starter files are validated', () => {
+    assert.deepEqual(similarity.normalizeStarterFiles([{ path: 'src\\main.js', content: 'x' }]), [{ path: 'src/main.js', content: 'x' }]);
+    assert.throws(() => similarity.normalizeStarterFiles('main.js'), similarity.SimilarityError);
+    assert.throws(() => similarity.normalizeStarterFiles([{ path: 'a' }, { path: 'a' }]), /unique/);
+});
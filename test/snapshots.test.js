@@ -0,0 +1,58 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { execFileSync } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const snapshots = require('../lib/snapshots');
+
+// A bare repository with one commit dated `committedAt`, reachable as a file:// URL
+function createRepository(directory, committedAt) {
+    const work = path.join(directory, 'work');
+    const bare = path.join(directory, 'origin.git');
+    const env = { ...process.env, GIT_AUTHOR_DATE: committedAt, GIT_COMMITTER_DATE: committedAt,
+                  GIT_AUTHOR_NAME: 'Student', GIT_AUTHOR_EMAIL: 's@example.edu',
+                  GIT_COMMITTER_NAME: 'Student', GIT_COMMITTER_EMAIL: 's@example.edu' };
+    const git = (...args) => execFileSync('git', args, { cwd: work, env, stdio: 'pipe' });
+
+    fs.mkdirSync(work);
+    git('init', '--quiet', '--initial-branch=main');
+    fs.writeFileSync(path.join(work, 'README.md'), 'solution\n');
+    git('add', 'README.md');
+    git('commit', '--quiet', '-m', 'Solution');
+    execFileSync('git', ['clone', '--bare', '--quiet', work, bare], { stdio: 'pipe' });
+    return `file://${bare}`;
+}
+
+test('a snapshot pins the commit and counts commits after the deadline', async (t) => {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'snapshots-'));
+    t.after(() => fs.rmSync(directory, { recursive: true, force: true }));
+
+    const url = createRepository(directory, '2030-03-02T12:00:00Z');
+    const config = { ...snapshots.loadSnapshotConfig({ ALLOW_FILE_REPO_URLS: 'true' }), archiveDir: path.join(directory, 'archive') };
+
+    const result = await snapshots.takeSnapshot({
+        url, refType: 'branch', ref: 'main', deadline: '2030-03-01T12:00:00Z', submissionId: 'sub-1', kind: 'submission'
+    }, config);
+
+    assert.match(result.commitSha, /^[0-9a-f]{40}$/);
+    assert.equal(result.commitsAfterDeadline, 1);
+    assert.equal(fs.existsSync(result.archivePath), true);
+
+    await assert.rejects(snapshots.takeSnapshot({
+        url, refType: 'branch', ref: 'missing', submissionId: 'sub-1', kind: 'submission'
+    }, config), /branch "missing" was not found/);
+});
+
+test('hosts on a local or private network are not fetched', async () => {
+    const config = snapshots.loadSnapshotConfig({});
+
+    await assert.rejects(snapshots.checkRemoteHost('http://127.0.0.1/a/b', config), /private network/);
+    // localhost resolves without a network
+    await assert.rejects(snapshots.checkRemoteHost('https://localhost/a/b', config), /private network/);
+    await assert.rejects(snapshots.takeSnapshot({ url: 'https://169.254.169.254/a/b', submissionId: 's', kind: 'submission' }, config),
+                         /private network/);
+
+    const allowed = snapshots.loadSnapshotConfig({ PRIVATE_REPO_HOSTS: '127.0.0.1' });
+    await snapshots.checkRemoteHost('http://127.0.0.1/a/b', allowed);
+});
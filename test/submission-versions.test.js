@@ -0,0 +1,47 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp } = require('./support/app');
+
+let app;
+test.before(async () => {
+    app = await startApp();
+});
+test.after(() => app.close());
+
+function daysFromNow(days) {
+    return new Date(Date.now() + days * 24 * 60 * 60 * 1000).toISOString();
+}
+
+test('a late resubmission of a graded submission carries its penalty into the grade', async () => {
+    const professor = await app.createUser({ role: 'professor' });
+    const student = await app.createUser();
+    const course = await app.createCourse(professor, [student]);
+    const staff = await app.signIn(professor);
+    const learner = await app.signIn(student);
+
+    const created = await staff.post('/api/assignments', {
+        title: 'Compiler', deadline: daysFromNow(1), courseId: course.id,
+        latePolicy: 'grace', gracePeriodMinutes: 7 * 24 * 60, latePenaltyPercent: 20, latePenaltyUnit: 'day'
+    });
+    const assignmentId = created.body.assignment.id;
+
+    const first = await learner.post('/api/submissions', { assignmentId, repoLink: 'https://github.com/student/compiler' });
+    assert.equal(first.status, 200);
+    assert.equal(first.body.status, 'submitted');
+
+    const { id: submissionId } = await app.database.dbGet('SELECT id FROM submissions WHERE assignment_id = ?', [assignmentId]);
+    await staff.put(`/api/submissions/${submissionId}/grade`, { points: 80 });
+
+    // The deadline passed a day and a half ago
+    await app.database.dbRun('UPDATE assignments SET deadline = ? WHERE id = ?', [daysFromNow(-1.5), assignmentId]);
+    const second = await learner.post('/api/submissions', { assignmentId, repoLink: 'https://github.com/student/compiler2' });
+    assert.equal(second.status, 200);
+    assert.equal(second.body.version, 2);
+    assert.equal(second.body.latePenalty, 40);
+
+    const grade = () => app.database.dbGet(`
+        SELECT s.status, s.late_penalty, g.points, g.late_penalty as applied
+        FROM submissions s JOIN grades g ON g.submission_id = s.id WHERE s.id = ?
+    `, [submissionId]);
+    assert.deepEqual(await grade(), { status: 'late', late_penalty: 40, points: 48, applied: 40 });
+});
@@ -0,0 +1,151 @@
+// Starts server.js against a scratch database for route tests.
+//
+// Each test file runs in its own process, so startApp() is called once per
+// file. It returns the base URL, the repository-backed helpers for setting up
+// rows directly, a few fixtures, signIn(), whose client keeps the session
+// cookie, and sentMail(), which reads what the file mail transport wrote.
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const bcrypt = require('bcrypt');
+const { v4: uuidv4 } = require('uuid');
+
+const PASSWORD = 'Correct-horse-9';
+
+async function startApp() {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'assignment-platform-test-'));
+    process.env.DATABASE_FILE = path.join(directory, 'test.db');
+    process.env.AUTO_MIGRATE = 'true';
+    process.env.MAIL_TRANSPORT = 'file';
+    process.env.MAIL_OUTBOX_DIR = path.join(directory, 'mail-outbox');
+
+    const { app, database, ready } = require('../../server');
+    await ready;
+
+    const server = await new Promise(resolve => {
+        const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+    });
+    const baseUrl = `http://127.0.0.1:${server.address().port}`;
+    const passwordHash = await bcrypt.hash(PASSWORD, 4);
+
+    async function createUser({ role = 'student', name = role } = {}) {
+        const id = uuidv4();
+        const email = `${name.toLowerCase().replace(/\W+/g, '.')}.${id.slice(0, 8)}@example.edu`;
+        await database.dbRun('INSERT INTO users (id, email, password_hash, name, role) VALUES (?, ?, ?, ?, ?)',
+                             [id, email, passwordHash, name, role]);
+        return { id, email, name, role };
+    }
+
+    // A course owned by `owner` with `students` enrolled
+    async function createCourse(owner, students = []) {
+        const id = uuidv4();
+        await database.dbRun('INSERT INTO courses (id, code, title, owner_id) VALUES (?, ?, ?, ?)',
+                             [id, `C${id.slice(0, 6)}`, 'Test course', owner.id]);
+        for (const student of students) {
+            await database.dbRun('INSERT INTO enrollments (course_id, student_id) VALUES (?, ?)', [id, student.id]);
+        }
+        return { id };
+    }
+
+    // A submission row as if handed in at `submittedAt` (an ISO timestamp)
+    async function createSubmission({ assignmentId, studentId, submittedAt, status = 'submitted' }) {
+        const id = uuidv4();
+        await database.dbRun(`
+            INSERT INTO submissions (id, assignment_id, student_id, repo_link, submitted_at, status)
+            VALUES (?, ?, ?, ?, datetime(?), ?)
+        `, [id, assignmentId, studentId, 'https://github.com/student/work', submittedAt, status]);
+        return { id };
+    }
+
+    // A client whose requests carry `user`'s session
+    async function signIn(user) {
+        const client = createClient(baseUrl);
+        const response = await client.post('/api/auth/login', { email: user.email, password: PASSWORD });
+        if (response.status !== 200) {
+            throw new Error(`Sign-in as ${user.email} failed with ${response.status}`);
+        }
+        return client;
+    }
+
+    // Waits for queued mail to be delivered; a failed send is retried later, so it does not count
+    async function deliverMail() {
+        for (let tries = 0; tries < 100; tries++) {
+            const { due } = await database.dbGet(`
+                SELECT COUNT(*) as due FROM email_outbox
+                WHERE status = 'sending' OR (status = 'pending' AND next_attempt_at <= datetime('now'))
+            `);
+            if (!due) return;
+            await new Promise(resolve => setTimeout(resolve, 20));
+        }
+        throw new Error('Queued mail was not delivered');
+    }
+
+    // The text of every message delivered to `email`, oldest first
+    async function sentMail(email) {
+        await deliverMail();
+        const outbox = process.env.MAIL_OUTBOX_DIR;
+        const files = fs.existsSync(outbox) ? fs.readdirSync(outbox).sort() : [];
+        return files
+            .map(file => fs.readFileSync(path.join(outbox, file), 'utf8'))
+            // Undo quoted-printable, which breaks long lines and escapes =
+            .map(message => message.replace(/=\r?\n/g, '').replace(/=([0-9A-F]{2})/g, (_, hex) => String.fromCharCode(parseInt(hex, 16))))
+            .filter(message => new RegExp(`^To: .*${email.replace(/[.+]/g, '\\$&')}`, 'm').test(message));
+    }
+
+    async function close() {
+        await deliverMail();
+        await new Promise(resolve => server.close(resolve));
+        await database.close();
+        fs.rmSync(directory, { recursive: true, force: true });
+    }
+
+    return {
+        app,
+        database,
+        baseUrl,
+        createUser,
+        createCourse,
+        createSubmission,
+        signIn,
+        sentMail,
+        client: () => createClient(baseUrl),
+        close
+    };
+}
+
+function createClient(baseUrl) {
+    let cookie = null;
+
+    async function request(method, url, body) {
+        const headers = {};
+        if (cookie) headers.Cookie = cookie;
+        if (body !== undefined) headers['Content-Type'] = 'application/json';
+
+        const response = await fetch(baseUrl + url, {
+            method,
+            headers,
+            body: body === undefined ? undefined : JSON.stringify(body)
+        });
+        const setCookie = response.headers.get('set-cookie');
+        if (setCookie) cookie = setCookie.split(';')[0];
+
+        const text = await response.text();
+        let json = null;
+        try {
+            json = JSON.parse(text);
+        } catch (error) {
+            // Not every response is JSON
+        }
+        return { status: response.status, body: json, text };
+    }
+
+    return {
+        get: url => request('GET', url),
+        post: (url, body = {}) => request('POST', url, body),
+        put: (url, body = {}) => request('PUT', url, body),
+        delete: url => request('DELETE', url)
+    };
+}
+
+module.exports = { startApp };
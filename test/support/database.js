@@ -0,0 +1,30 @@
+// A scratch database for testing the lib modules that take db helpers.
+//
+// openDatabase() applies every migration unless `migrate` is false; close()
+// also deletes the file.
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createDatabase } = require('../../lib/database');
+const { createMigrator } = require('../../lib/migrations');
+
+async function openDatabase({ migrate = true } = {}) {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'assignment-platform-db-'));
+    const database = createDatabase(path.join(directory, 'test.db'));
+    await database.ready;
+
+    if (migrate) {
+        await database.withConnection(connection => createMigrator(connection).up());
+    }
+
+    return {
+        ...database,
+        async close() {
+            await database.close();
+            fs.rmSync(directory, { recursive: true, force: true });
+        }
+    };
+}
+
+module.exports = { openDatabase };
@@ -0,0 +1,73 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp } = require('./support/app');
+
+let app;
+test.before(async () => {
+    app = await startApp();
+});
+test.after(() => app.close());
+
+function daysFromNow(days) {
+    return new Date(Date.now() + days * 24 * 60 * 60 * 1000).toISOString();
+}
+
+// A course with a TA and a student who has handed in two versions of one assignment
+async function courseWithTa() {
+    const professor = await app.createUser({ role: 'professor' });
+    const ta = await app.createUser({ role: 'ta' });
+    const student = await app.createUser();
+    const course = await app.createCourse(professor, [student]);
+    const owner = await app.signIn(professor);
+    assert.equal((await owner.post(`/api/courses/${course.id}/tas`, { email: ta.email })).status, 201);
+
+    const created = await owner.post('/api/assignments', { title: 'Parser', deadline: daysFromNow(1), courseId: course.id });
+    const assignmentId = created.body.assignment.id;
+    const learner = await app.signIn(student);
+    await learner.post('/api/submissions', { assignmentId, repoLink: 'https://github.com/student/parser' });
+    await learner.post('/api/submissions', { assignmentId, repoLink: 'https://github.com/student/parser2' });
+    const { id: submissionId } = await app.database.dbGet('SELECT id FROM submissions WHERE assignment_id = ?', [assignmentId]);
+    const { versions } = (await owner.get(`/api/submissions/${submissionId}/versions`)).body;
+    const first = versions.find(version => version.version === 1);
+
+    return { course, owner, ta, student, submissionId, firstVersionId: first.id, assistant: await app.signIn(ta) };
+}
+
+function gradeImport(student, points) {
+    return { csv: `email,assignment,points\n${student.email},Parser,${points}\n`, apply: true };
+}
+
+test('a TA without grade_submissions cannot grade, switch versions or import grades', async () => {
+    const { course, owner, student, submissionId, firstVersionId, assistant } = await courseWithTa();
+    const changed = await owner.put(`/api/courses/${course.id}/ta-permissions`, { permissions: { grade_submissions: false } });
+    assert.equal(changed.status, 200);
+
+    assert.equal((await assistant.put(`/api/submissions/${submissionId}/grade`, { points: 90 })).status, 404);
+    assert.equal((await assistant.put(`/api/submissions/${submissionId}/version`, { versionId: firstVersionId })).status, 404);
+    assert.equal((await assistant.post(`/api/courses/${course.id}/gradebook/import`, gradeImport(student, 90))).status, 404);
+
+    // They can still look at the work
+    assert.equal((await assistant.get(`/api/submissions/${submissionId}/versions`)).status, 200);
+    assert.equal(await app.database.dbGet('SELECT id FROM grades WHERE submission_id = ?', [submissionId]), undefined);
+    const { counted_version_id } = await app.database.dbGet('SELECT counted_version_id FROM submissions WHERE id = ?', [submissionId]);
+    assert.notEqual(counted_version_id, firstVersionId);
+});
+
+test('a TA with grade_submissions grades their own course and no other', async () => {
+    const { student, submissionId, firstVersionId, course, ta, assistant } = await courseWithTa();
+
+    const graded = await assistant.put(`/api/submissions/${submissionId}/grade`, { points: 75 });
+    assert.equal(graded.status, 200);
+    assert.equal(graded.body.submission.graded_by, ta.id);
+    assert.equal((await assistant.put(`/api/submissions/${submissionId}/version`, { versionId: firstVersionId })).status, 200);
+    const imported = await assistant.post(`/api/courses/${course.id}/gradebook/import`, gradeImport(student, 82));
+    assert.equal(imported.status, 200);
+    assert.equal((await app.database.dbGet('SELECT points FROM grades WHERE submission_id = ?', [submissionId])).points, 82);
+
+    // The same TA has no say in a course they do not assist in
+    const elsewhere = await courseWithTa();
+    assert.equal((await assistant.put(`/api/submissions/${elsewhere.submissionId}/grade`, { points: 75 })).status, 404);
+    assert.equal((await assistant.put(`/api/submissions/${elsewhere.submissionId}/version`, { versionId: elsewhere.firstVersionId })).status, 404);
+    assert.equal((await assistant.post(`/api/courses/${elsewhere.course.id}/gradebook/import`, gradeImport(elsewhere.student, 82))).status, 404);
+    assert.equal(await app.database.dbGet('SELECT id FROM grades WHERE submission_id = ?', [elsewhere.submissionId]), undefined);
+});